@@ -0,0 +1,358 @@
+require("dotenv").config();
+
+/**
+ * Configuration loader
+ *
+ * Builds the config object from, in increasing precedence: schema
+ * defaults, the JSON or YAML file named by CONFIG_FILE, environment
+ * variables and options passed to `configure()`. Every problem found
+ * (bad values, unknown settings, missing required settings) is collected
+ * and reported together, so a misconfigured deployment fails on start
+ * with one readable list. The config object is updated in place, so
+ * modules holding it see programmatic options too.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const schema = require("./schema");
+
+const config = {};
+let options = {};
+let problems = [];
+
+/**
+ * Check whether a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether the value is a plain object
+ */
+const isPlainObject = (value) => {
+  return (
+    !!value &&
+    typeof value === "object" &&
+    Object.getPrototypeOf(value) === Object.prototype
+  );
+};
+
+/**
+ * Read a value at a path
+ * @param {Object} source - Object to read from
+ * @param {Array<string>} keys - Path
+ * @returns {*} Value, or undefined
+ */
+const getPath = (source, keys) => {
+  return keys.reduce(
+    (value, key) => (isPlainObject(value) ? value[key] : undefined),
+    source
+  );
+};
+
+/**
+ * Deep merge plain objects; other values of the source replace the target's
+ * @param {Object} target - Object merged into
+ * @param {Object} source - Object merged from
+ * @returns {Object} Merged copy
+ */
+const merge = (target, source) => {
+  return Object.keys(source).reduce(
+    (merged, key) => {
+      merged[key] =
+        isPlainObject(merged[key]) && isPlainObject(source[key])
+          ? merge(merged[key], source[key])
+          : source[key];
+      return merged;
+    },
+    { ...target }
+  );
+};
+
+/**
+ * Replace the contents of an object, keeping nested objects in place
+ * @param {Object} target - Object to update
+ * @param {Object} source - New contents
+ */
+const replaceContents = (target, source) => {
+  Object.keys(target).forEach((key) => {
+    if (!(key in source)) {
+      delete target[key];
+    }
+  });
+  Object.keys(source).forEach((key) => {
+    if (isPlainObject(target[key]) && isPlainObject(source[key])) {
+      replaceContents(target[key], source[key]);
+    } else {
+      target[key] = source[key];
+    }
+  });
+};
+
+/**
+ * Load the config file named by CONFIG_FILE
+ * @param {Object} env - Environment variables
+ * @returns {Object} { settings, problems }
+ */
+const loadFile = (env) => {
+  if (!env.CONFIG_FILE) {
+    return { settings: {}, problems: [] };
+  }
+
+  const file = path.resolve(env.CONFIG_FILE);
+  try {
+    const contents = fs.readFileSync(file, "utf8");
+    const extension = path.extname(file).toLowerCase();
+    let settings;
+
+    if (extension === ".json") {
+      settings = JSON.parse(contents);
+    } else if (extension === ".yaml" || extension === ".yml") {
+      // Only needed by deployments configured with YAML
+      settings = require("js-yaml").load(contents);
+    } else {
+      throw new Error("expected a .json, .yaml or .yml file");
+    }
+
+    if (settings === undefined || settings === null) {
+      return { settings: {}, problems: [] };
+    }
+    if (!isPlainObject(settings)) {
+      throw new Error("expected an object of settings");
+    }
+    return { settings, problems: [] };
+  } catch (err) {
+    return {
+      settings: {},
+      problems: [`CONFIG_FILE: cannot load ${file}: ${err.message}`],
+    };
+  }
+};
+
+/**
+ * Get the custom providers configured besides the built-in ones: any
+ * `oauth` entry of the file or options, and <NAME>_CLIENT_ID variables
+ * @param {Object} sources - { env, file, options }
+ * @returns {Array<string>} Provider names
+ */
+const getProviderNames = ({ env, file, options: programmatic }) => {
+  const fromEnv = Object.keys(env)
+    .map((key) => /^([A-Z][A-Z0-9_]*)_CLIENT_ID$/.exec(key))
+    .filter(Boolean)
+    .map((match) => schema.fromEnvPrefix(match[1]));
+  const fromObjects = [file, programmatic].flatMap((source) =>
+    isPlainObject(source.oauth) ? Object.keys(source.oauth) : []
+  );
+
+  return Array.from(new Set(fromEnv.concat(fromObjects))).filter(
+    (name) => !schema.BUILT_IN_PROVIDERS.includes(name)
+  );
+};
+
+/**
+ * Report settings of the file or options that the schema does not know
+ * @param {Object} node - Schema section
+ * @param {Object} settings - Settings for the section
+ * @param {Array<string>} keys - Path of the section
+ * @param {string} origin - Where the settings came from
+ * @param {Array<string>} found - Problems found so far
+ */
+const checkUnknown = (node, settings, keys, origin, found) => {
+  if (!isPlainObject(settings)) {
+    if (settings !== undefined && keys.length > 0) {
+      found.push(`${keys.join(".")}: must be an object (from ${origin})`);
+    }
+    return;
+  }
+
+  Object.keys(settings).forEach((key) => {
+    const fieldKeys = keys.concat(key);
+    const name = fieldKeys.join(".");
+
+    if (keys.join(".") === "oauth" && !schema.PROVIDER_NAME_PATTERN.test(key)) {
+      found.push(
+        `${name}: provider names use lowercase letters, digits and dashes (from ${origin})`
+      );
+    } else if (!node[key]) {
+      found.push(`${name}: unknown setting (from ${origin})`);
+    } else if (!schema.isField(node[key])) {
+      checkUnknown(node[key], settings[key], fieldKeys, origin, found);
+    }
+  });
+};
+
+/**
+ * Build a field's value from the sources
+ * @param {Object} field - Field schema
+ * @param {Array<string>} keys - Path of the field
+ * @param {Object} sources - { env, file, options }
+ * @param {Object} built - Config built so far, for computed defaults
+ * @param {Array<string>} found - Problems found so far
+ * @returns {*} Field value
+ */
+const buildField = (field, keys, sources, built, found) => {
+  // Empty variables count as unset, as in .env templates
+  const envValue = field.env ? sources.env[field.env] : undefined;
+  const candidates = [
+    [getPath(sources.options, keys), "configure() options"],
+    [envValue === "" ? undefined : envValue, field.env],
+    [getPath(sources.file, keys), "CONFIG_FILE"],
+  ];
+
+  const [value, origin] = candidates.find(
+    ([candidate]) => candidate !== undefined && candidate !== null
+  ) || [undefined];
+
+  if (value === undefined) {
+    return typeof field.default === "function"
+      ? field.default(built)
+      : field.default;
+  }
+
+  try {
+    const parsed = schema.TYPES[field.type](value, field);
+    return field.transform ? field.transform(parsed) : parsed;
+  } catch (err) {
+    found.push(`${keys.join(".")}: ${err.message} (from ${origin})`);
+    return undefined;
+  }
+};
+
+/**
+ * Build a section of the config
+ * @param {Object} node - Schema section
+ * @param {Array<string>} keys - Path of the section
+ * @param {Object} sources - { env, file, options }
+ * @param {Object} built - Config built so far
+ * @param {Object} target - Section object to fill
+ * @param {Array<string>} found - Problems found so far
+ */
+const buildSection = (node, keys, sources, built, target, found) => {
+  Object.keys(node).forEach((key) => {
+    const fieldKeys = keys.concat(key);
+    if (schema.isField(node[key])) {
+      target[key] = buildField(node[key], fieldKeys, sources, built, found);
+    } else {
+      target[key] = {};
+      buildSection(node[key], fieldKeys, sources, built, target[key], found);
+    }
+  });
+};
+
+/**
+ * Check the rules of every field of a built section
+ * @param {Object} node - Schema section
+ * @param {Array<string>} keys - Path of the section
+ * @param {Object} section - Built section
+ * @param {Object} built - Whole built config
+ * @param {Array<string>} found - Problems found so far
+ */
+const validateSection = (node, keys, section, built, found) => {
+  Object.keys(node).forEach((key) => {
+    const field = node[key];
+    const value = section[key];
+    const name = keys.concat(key).join(".");
+    const hint = field.env ? ` (set ${field.env})` : "";
+
+    if (!schema.isField(field)) {
+      validateSection(field, keys.concat(key), value, built, found);
+      return;
+    }
+
+    if (field.required && (value === undefined || value === "")) {
+      found.push(`${name}: is required${hint}`);
+    } else if (
+      field.minLength &&
+      value !== undefined &&
+      value.length < field.minLength
+    ) {
+      found.push(
+        `${name}: must be at least ${field.minLength} characters long${hint}`
+      );
+    } else if (field.check) {
+      const message = field.check(value, built);
+      if (message) {
+        found.push(`${name}: ${message}${hint}`);
+      }
+    }
+  });
+};
+
+/**
+ * Build and validate the config from every source
+ * @param {Object} programmatic - Options given to configure()
+ * @returns {Object} { config, problems }
+ */
+const build = (programmatic) => {
+  const env = process.env;
+  const file = loadFile(env);
+  const sources = { env, file: file.settings, options: programmatic };
+  const configSchema = schema.createSchema(getProviderNames(sources));
+  const found = [...file.problems];
+  const built = {};
+
+  checkUnknown(configSchema, file.settings, [], "CONFIG_FILE", found);
+  checkUnknown(configSchema, programmatic, [], "configure() options", found);
+  buildSection(configSchema, [], sources, built, built, found);
+  validateSection(configSchema, [], built, built, found);
+
+  return { config: built, problems: found };
+};
+
+/**
+ * Create the error reporting configuration problems
+ * @param {Array<string>} found - Problems
+ * @returns {Error} Error listing every problem
+ */
+const createConfigError = (found) => {
+  const error = new Error(
+    `Invalid configuration:\n${found
+      .map((problem) => `  - ${problem}`)
+      .join("\n")}`
+  );
+  error.name = "ConfigError";
+  error.problems = found;
+  return error;
+};
+
+/**
+ * Throw if the configuration is invalid. Called on startup, before the
+ * config is relied on
+ */
+const assertValid = () => {
+  if (problems.length > 0) {
+    throw createConfigError(problems);
+  }
+};
+
+/**
+ * Set configuration programmatically, on top of the environment and the
+ * config file. Options are merged with those of earlier calls; if the
+ * result is invalid, nothing changes and the error lists every problem
+ * @param {Object} settings - Settings shaped like the config object
+ * @returns {Object} The updated config
+ */
+const configure = (settings = {}) => {
+  if (!isPlainObject(settings)) {
+    throw createConfigError(["configure() options must be an object"]);
+  }
+
+  const next = merge(options, settings);
+  const result = build(next);
+  if (result.problems.length > 0) {
+    throw createConfigError(result.problems);
+  }
+
+  options = next;
+  problems = [];
+  replaceContents(config, result.config);
+  return config;
+};
+
+// Load from the environment and the config file; invalid settings are
+// reported by assertValid() so configure() still gets a chance to fix them
+const initial = build(options);
+problems = initial.problems;
+replaceContents(config, initial.config);
+
+module.exports = {
+  config,
+  configure,
+  assertValid,
+};
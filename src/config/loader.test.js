@@ -0,0 +1,138 @@
+describe("configuration loader", () => {
+  const originalEnv = process.env;
+
+  /**
+   * Load a fresh loader from an environment
+   * @param {Object} env - Variables to add to the test environment
+   * @returns {Object} Loader exports
+   */
+  const load = (env = {}) => {
+    process.env = { ...originalEnv, ...env };
+    let loader;
+    jest.isolateModules(() => {
+      loader = require("./loader");
+    });
+    return loader;
+  };
+
+  afterEach(() => {
+    process.env = originalEnv;
+  });
+
+  it("parses and validates environment variables", () => {
+    const { config, assertValid } = load({
+      PORT: "4000",
+      RATE_LIMIT_ENABLED: "false",
+      GOOGLE_SCOPES: "openid, email",
+    });
+
+    expect(() => assertValid()).not.toThrow();
+    expect(config.server.port).toBe(4000);
+    expect(config.rateLimit.enabled).toBe(false);
+    expect(config.oauth.google.scope).toEqual(["openid", "email"]);
+  });
+
+  it("keeps readiness details private unless turned on", () => {
+    expect(load().config.server).toMatchObject({
+      readinessDetails: false,
+      readinessToken: undefined,
+    });
+
+    const { config } = load({
+      READINESS_DETAILS: "true",
+      READINESS_TOKEN: "probe-token",
+      AUTH_CODE_TTL: "30",
+    });
+
+    expect(config.server).toMatchObject({
+      readinessDetails: true,
+      readinessToken: "probe-token",
+    });
+    expect(config.tokens.codeTtl).toBe(30);
+  });
+
+  it("reports every invalid setting at once", () => {
+    const { assertValid } = load({ PORT: "http", RATE_LIMIT_WINDOW: "0" });
+
+    expect(() => assertValid()).toThrow(
+      expect.objectContaining({
+        name: "ConfigError",
+        problems: [
+          expect.stringMatching(/^server\.port: /),
+          expect.stringMatching(/^rateLimit\.window: /),
+        ],
+      })
+    );
+  });
+
+  it("leaves the config unchanged when configure() is given bad options", () => {
+    const { config, configure } = load();
+
+    expect(() => configure({ rateLimit: { windw: 10 } })).toThrow(
+      /rateLimit\.windw: unknown setting/
+    );
+    expect(config.rateLimit.window).toBe(60);
+  });
+
+  it("merges configure() options with earlier calls", () => {
+    const { config, configure } = load();
+
+    configure({ rateLimit: { window: 30 } });
+    configure({ rateLimit: { enabled: false } });
+
+    expect(config.rateLimit).toMatchObject({ window: 30, enabled: false });
+  });
+
+  it("does not require encryption keys in production", () => {
+    const { config, assertValid } = load({
+      NODE_ENV: "production",
+      TOKEN_ENCRYPTION_KEYS: "",
+    });
+
+    expect(() => assertValid()).not.toThrow();
+    expect(config.server.env).toBe("production");
+    expect(config.encryption.keys).toBe("");
+  });
+
+  it("requires the Microsoft issuer and keys with overridden endpoints", () => {
+    const { configure } = load();
+
+    expect(() =>
+      configure({
+        oauth: {
+          microsoft: {
+            authorizationUrl:
+              "https://login.microsoftonline.com/contoso/oauth2/v2.0/authorize",
+          },
+        },
+      })
+    ).toThrow(/oauth\.microsoft\.issuer: is required/);
+    expect(() =>
+      configure({
+        oauth: {
+          microsoft: {
+            authorizationUrl:
+              "https://login.microsoftonline.com/contoso/oauth2/v2.0/authorize",
+            issuer: "https://login.microsoftonline.com/contoso/v2.0",
+            jwksUri:
+              "https://login.microsoftonline.com/contoso/discovery/v2.0/keys",
+          },
+        },
+      })
+    ).not.toThrow();
+  });
+
+  it("accepts an issuer and label for custom providers", () => {
+    const { config } = load({
+      ACME_SSO_CLIENT_ID: "client",
+      ACME_SSO_ISSUER: "https://sso.acme.example",
+      ACME_SSO_LABEL: "Acme SSO",
+    });
+
+    expect(config.oauth["acme-sso"]).toMatchObject({
+      clientID: "client",
+      issuer: "https://sso.acme.example",
+      label: "Acme SSO",
+    });
+  });
+});
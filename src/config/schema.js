@@ -0,0 +1,696 @@
+/**
+ * Configuration schema
+ *
+ * Declares every setting once: where it lives in the config object, the
+ * environment variable it is read from, its type, its default and the
+ * rules it must satisfy. Fields are built in declaration order, so a
+ * default may be computed from settings declared before it. Each OAuth
+ * provider gets the same set of fields (credentials, enabled flag and
+ * overrides for its callback URL, scopes, authorization params and
+ * endpoints) under `oauth.<name>`.
+ */
+
+const PROVIDER_NAME_PATTERN = /^[a-z][a-z0-9-]*$/;
+
+// Providers that ship with PassportLink always have a config entry
+const BUILT_IN_PROVIDERS = [
+  "google",
+  "github",
+  "facebook",
+  "microsoft",
+  "linkedin",
+  "oidc",
+];
+
+/**
+ * Get the environment variable prefix of a provider
+ * @param {string} name - Provider name, e.g. "my-idp"
+ * @returns {string} Prefix, e.g. "MY_IDP"
+ */
+const toEnvPrefix = (name) => name.toUpperCase().replace(/-/g, "_");
+
+/**
+ * Get the provider name for an environment variable prefix
+ * @param {string} prefix - Prefix, e.g. "MY_IDP"
+ * @returns {string} Provider name, e.g. "my-idp"
+ */
+const fromEnvPrefix = (prefix) => prefix.toLowerCase().replace(/_/g, "-");
+
+/**
+ * Split a comma separated string into its values
+ * @param {string} value - Comma separated values
+ * @returns {Array<string>} Values
+ */
+const splitList = (value) => {
+  return value
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+};
+
+/**
+ * Check that a value is an http(s) URL
+ * @param {string} value - Value to check
+ * @returns {string} The value
+ */
+const parseUrl = (value) => {
+  if (typeof value !== "string") {
+    throw new Error("must be a URL");
+  }
+
+  let url;
+  try {
+    url = new URL(value);
+  } catch (err) {
+    throw new Error(`must be a URL, got "${value}"`);
+  }
+  if (!["http:", "https:"].includes(url.protocol)) {
+    throw new Error(`must be an http(s) URL, got "${value}"`);
+  }
+  return value;
+};
+
+/**
+ * Parse the TRUST_PROXY setting
+ * @param {string|boolean|number} value - true, false, a hop count or proxy
+ *   addresses
+ * @returns {boolean|number|string} Value for Express' "trust proxy" setting
+ */
+const parseTrustProxy = (value) => {
+  if (typeof value === "boolean" || typeof value === "number") {
+    return value;
+  }
+  if (value === "false") {
+    return false;
+  }
+  if (value === "true") {
+    return true;
+  }
+  if (/^\d+$/.test(value)) {
+    return parseInt(value, 10);
+  }
+  return value;
+};
+
+/**
+ * Parse the MOBILE_CLIENTS setting
+ * @param {string|Object} value - Comma separated "clientId=redirectUri"
+ *   pairs, where a client may be listed more than once, or redirect URIs
+ *   keyed by client ID
+ * @returns {Object} Allowed redirect URIs keyed by client ID
+ */
+const parseMobileClients = (value) => {
+  if (value && typeof value === "object" && !Array.isArray(value)) {
+    return Object.keys(value).reduce((clients, clientId) => {
+      clients[clientId] = [].concat(value[clientId]).map(String);
+      return clients;
+    }, {});
+  }
+  if (typeof value !== "string") {
+    throw new Error("must be clientId=redirectUri pairs");
+  }
+
+  return splitList(value).reduce((clients, entry) => {
+    const separator = entry.indexOf("=");
+    const clientId = entry.slice(0, separator).trim();
+    const redirectUri = entry.slice(separator + 1).trim();
+
+    if (separator <= 0 || !redirectUri) {
+      throw new Error(
+        `invalid entry "${entry}"; expected clientId=redirectUri`
+      );
+    }
+
+    clients[clientId] = (clients[clientId] || []).concat(redirectUri);
+    return clients;
+  }, {});
+};
+
+// Parsers by field type. Values come as strings from the environment and
+// as strings, numbers, booleans, arrays or objects from a config file or
+// programmatic options; a parser throws an Error describing a bad value
+const TYPES = {
+  string: (value) => {
+    if (typeof value !== "string" && typeof value !== "number") {
+      throw new Error("must be a string");
+    }
+    return String(value);
+  },
+  url: parseUrl,
+  boolean: (value) => {
+    if (typeof value === "boolean") {
+      return value;
+    }
+    if (value === "true" || value === "false") {
+      return value === "true";
+    }
+    throw new Error(`must be true or false, got "${value}"`);
+  },
+  integer: (value, field) => {
+    const parsed =
+      typeof value === "string" && /^-?\d+$/.test(value.trim())
+        ? parseInt(value, 10)
+        : value;
+    if (!Number.isInteger(parsed)) {
+      throw new Error(`must be an integer, got "${value}"`);
+    }
+    if (field.min !== undefined && parsed < field.min) {
+      throw new Error(`must be at least ${field.min}, got ${parsed}`);
+    }
+    if (field.max !== undefined && parsed > field.max) {
+      throw new Error(`must be at most ${field.max}, got ${parsed}`);
+    }
+    return parsed;
+  },
+  enum: (value, field) => {
+    if (!field.values.includes(value)) {
+      throw new Error(
+        `must be one of ${field.values.join(", ")}, got "${value}"`
+      );
+    }
+    return value;
+  },
+  list: (value, field) => {
+    const items = Array.isArray(value)
+      ? value.map((item) => String(item).trim()).filter(Boolean)
+      : splitList(TYPES.string(value));
+    return items.map((item) =>
+      field.items ? TYPES[field.items](item, field) : item
+    );
+  },
+  // Scopes are separated by spaces or commas
+  scopes: (value) => {
+    const scopes = Array.isArray(value)
+      ? value.map(String)
+      : TYPES.string(value).split(/[\s,]+/);
+    return scopes.filter(Boolean);
+  },
+  // Extra authorization request params, given as an object or as a query
+  // string (e.g. "prompt=login&hd=example.com")
+  params: (value) => {
+    if (value && typeof value === "object" && !Array.isArray(value)) {
+      return Object.keys(value).reduce((params, key) => {
+        params[key] = String(value[key]);
+        return params;
+      }, {});
+    }
+    return Object.fromEntries(new URLSearchParams(TYPES.string(value)));
+  },
+  trustProxy: parseTrustProxy,
+  mobileClients: parseMobileClients,
+};
+
+/**
+ * Create the fields of an OAuth provider
+ * @param {string} name - Provider name
+ * @param {Object} extraFields - Provider specific fields
+ * @returns {Object} Provider schema
+ */
+const createProviderSchema = (name, extraFields = {}) => {
+  const prefix = toEnvPrefix(name);
+
+  return {
+    // A disabled provider is not offered even when it has credentials
+    enabled: { type: "boolean", env: `${prefix}_ENABLED`, default: true },
+    clientID: { type: "string", env: `${prefix}_CLIENT_ID` },
+    clientSecret: { type: "string", env: `${prefix}_CLIENT_SECRET` },
+    // Overrides of the provider's built-in settings
+    callbackUrl: { type: "url", env: `${prefix}_CALLBACK_URL` },
+    scope: { type: "scopes", env: `${prefix}_SCOPES` },
+    authParams: { type: "params", env: `${prefix}_AUTH_PARAMS` },
+    authorizationUrl: { type: "url", env: `${prefix}_AUTHORIZATION_URL` },
+    tokenUrl: { type: "url", env: `${prefix}_TOKEN_URL` },
+    userInfoUrl: { type: "url", env: `${prefix}_USERINFO_URL` },
+    ...extraFields,
+  };
+};
+
+/**
+ * Create the configuration schema
+ * @param {Array<string>} providerNames - Providers to configure besides
+ *   the built-in ones
+ * @returns {Object} Schema; fields are objects with a `type`, every other
+ *   object is a section
+ */
+const createSchema = (providerNames = []) => {
+  const oauth = {};
+  BUILT_IN_PROVIDERS.forEach((name) => {
+    oauth[name] = createProviderSchema(name);
+  });
+  // Custom providers may be issuers created with createOidcProvider()
+  providerNames.forEach((name) => {
+    oauth[name] = createProviderSchema(name, {
+      label: { type: "string", env: `${toEnvPrefix(name)}_LABEL` },
+      issuer: { type: "url", env: `${toEnvPrefix(name)}_ISSUER` },
+    });
+  });
+  // Tenants other than personal accounts ("consumers") sign ID tokens with
+  // their own issuer and keys, so overriding the endpoints needs both
+  const checkMicrosoftTenant = (value, config) =>
+    (config.oauth.microsoft.authorizationUrl ||
+      config.oauth.microsoft.tokenUrl) &&
+    !value
+      ? "is required when the Microsoft endpoints are overridden"
+      : null;
+  oauth.microsoft = createProviderSchema("microsoft", {
+    issuer: {
+      type: "url",
+      env: "MICROSOFT_ISSUER",
+      check: checkMicrosoftTenant,
+    },
+    jwksUri: {
+      type: "url",
+      env: "MICROSOFT_JWKS_URI",
+      check: checkMicrosoftTenant,
+    },
+  });
+  oauth.oidc = createProviderSchema("oidc", {
+    label: { type: "string", env: "OIDC_LABEL", default: "OpenID Connect" },
+    issuer: {
+      type: "url",
+      env: "OIDC_ISSUER",
+      check: (value, config) =>
+        config.oauth.oidc.clientID && !value
+          ? "is required when oauth.oidc.clientID is set"
+          : null,
+    },
+  });
+
+  return {
+    server: {
+      port: { type: "integer", env: "PORT", default: 3000, min: 0, max: 65535 },
+      env: { type: "string", env: "NODE_ENV", default: "development" },
+      // Express "trust proxy" setting: true, a hop count, or a list of
+      // trusted proxy addresses/subnets. Needed for secure cookies behind
+      // TLS terminating load balancers
+      trustProxy: { type: "trustProxy", env: "TRUST_PROXY", default: false },
+      // On SIGTERM/SIGINT, how long in-flight requests may take to finish
+      // before connections are closed (keep below the orchestrator's grace
+      // period)
+      shutdownTimeout: {
+        type: "integer",
+        env: "SHUTDOWN_TIMEOUT",
+        default: 25 * 1000, // 25 seconds
+        min: 0,
+      },
+      // How long each /readyz check may take
+      healthCheckTimeout: {
+        type: "integer",
+        env: "HEALTH_CHECK_TIMEOUT",
+        default: 2 * 1000, // 2 seconds
+        min: 1,
+      },
+      // /readyz answers { ready } only; the result of each check is added
+      // with READINESS_DETAILS=true (for debugging), or for requests
+      // sending "Authorization: Bearer <READINESS_TOKEN>"
+      readinessDetails: {
+        type: "boolean",
+        env: "READINESS_DETAILS",
+        default: false,
+      },
+      readinessToken: { type: "string", env: "READINESS_TOKEN" },
+    },
+    // Log entries below this level are dropped. "json" writes one JSON
+    // object per line, "pretty" readable lines for development
+    logging: {
+      level: {
+        type: "enum",
+        env: "LOG_LEVEL",
+        values: ["error", "warn", "info", "debug"],
+        default: "info",
+      },
+      format: {
+        type: "enum",
+        env: "LOG_FORMAT",
+        values: ["json", "pretty"],
+        default: (config) =>
+          config.server.env === "production" ? "json" : "pretty",
+      },
+    },
+    mongodb: {
+      uri: {
+        type: "string",
+        env: "MONGODB_URI",
+        default: "mongodb://localhost:27017/passportlink",
+      },
+      // Delay before retrying a failed connection, doubled after every
+      // failure up to the maximum
+      retryDelay: {
+        type: "integer",
+        env: "MONGODB_RETRY_DELAY",
+        default: 1000, // milliseconds
+        min: 1,
+      },
+      maxRetryDelay: {
+        type: "integer",
+        env: "MONGODB_MAX_RETRY_DELAY",
+        default: 30 * 1000, // milliseconds
+        min: 1,
+      },
+    },
+    session: {
+      secret: { type: "string", env: "SESSION_SECRET", required: true },
+      // Session store adapter: "memory" (development only), "mongo", or the
+      // name of an adapter registered with sessionStore.register()
+      store: { type: "string", env: "SESSION_STORE", default: "memory" },
+      collectionName: {
+        type: "string",
+        env: "SESSION_COLLECTION",
+        default: "sessions",
+      },
+      cookieName: {
+        type: "string",
+        env: "SESSION_COOKIE_NAME",
+        default: "connect.sid",
+      },
+      cookieSecure: {
+        type: "boolean",
+        env: "SESSION_COOKIE_SECURE",
+        default: false,
+      },
+      cookieSameSite: {
+        type: "enum",
+        env: "SESSION_COOKIE_SAMESITE",
+        values: ["lax", "strict", "none"],
+        default: "lax",
+      },
+      cookieHttpOnly: {
+        type: "boolean",
+        env: "SESSION_COOKIE_HTTP_ONLY",
+        default: true,
+      },
+      cookieDomain: { type: "string", env: "SESSION_COOKIE_DOMAIN" },
+      cookiePath: { type: "string", env: "SESSION_COOKIE_PATH", default: "/" },
+      cookieMaxAge: {
+        type: "integer",
+        env: "SESSION_COOKIE_MAX_AGE",
+        default: 24 * 60 * 60 * 1000, // 24 hours
+        min: 1,
+      },
+      // Bind logged in sessions to the client that created them: "off"
+      // (default), "log" (warn on mismatch) or "logout" (end the session)
+      fingerprintPolicy: {
+        type: "enum",
+        env: "SESSION_FINGERPRINT",
+        values: ["off", "log", "logout"],
+        default: "off",
+      },
+      // Request headers (or "ip") hashed into the fingerprint
+      fingerprintFields: {
+        type: "list",
+        env: "SESSION_FINGERPRINT_FIELDS",
+        default: ["user-agent"],
+        transform: (fields) => fields.map((field) => field.toLowerCase()),
+      },
+    },
+    urls: {
+      base: { type: "url", env: "BASE_URL", default: "http://localhost:3000" },
+      frontend: {
+        type: "url",
+        env: "FRONTEND_URL",
+        default: "http://localhost:8080",
+      },
+    },
+    // Where users land after a flow. returnTo values given to
+    // /auth/:provider and /auth/link/:provider must use an allowed origin
+    // and match one of the path patterns ("*" matches any characters)
+    redirects: {
+      loginSuccess: {
+        type: "url",
+        env: "LOGIN_SUCCESS_REDIRECT",
+        default: (config) => `${config.urls.frontend}/auth/success`,
+      },
+      loginFailure: {
+        type: "url",
+        env: "LOGIN_FAILURE_REDIRECT",
+        default: (config) => `${config.urls.frontend}/auth/failure`,
+      },
+      linkSuccess: {
+        type: "url",
+        env: "LINK_SUCCESS_REDIRECT",
+        default: (config) => `${config.urls.frontend}/auth/success`,
+      },
+      linkFailure: {
+        type: "url",
+        env: "LINK_FAILURE_REDIRECT",
+        default: (config) => `${config.urls.frontend}/auth/failure`,
+      },
+      allowedOrigins: {
+        type: "list",
+        items: "url",
+        env: "RETURN_TO_ORIGINS",
+        default: (config) => [config.urls.frontend],
+      },
+      allowedPaths: { type: "list", env: "RETURN_TO_PATHS", default: ["/*"] },
+    },
+    // Cross-site request forgery protection for state-changing routes of
+    // logged in sessions: a token from /auth/csrf-token, and an Origin or
+    // Referer from one of the trusted origins
+    csrf: {
+      enabled: { type: "boolean", env: "CSRF_ENABLED", default: true },
+      trustedOrigins: {
+        type: "list",
+        items: "url",
+        env: "CSRF_TRUSTED_ORIGINS",
+        default: (config) => [config.urls.frontend, config.urls.base],
+      },
+      // Keep the deprecated GET /auth/unlink/:provider route
+      legacyUnlinkRoute: {
+        type: "boolean",
+        env: "LEGACY_UNLINK_ROUTE",
+        default: false,
+      },
+    },
+    // Authentication event log: how long events are kept, and the users
+    // allowed to query every user's events
+    audit: {
+      retentionDays: {
+        type: "integer",
+        env: "AUDIT_RETENTION_DAYS",
+        default: 90,
+        min: 1,
+      },
+      adminUserIds: { type: "list", env: "AUDIT_ADMIN_USER_IDS", default: [] },
+    },
+    // Requests allowed per window, per client IP and per logged in user,
+    // for starting flows, provider callbacks and account management
+    // routes. Clients whose callbacks keep failing are locked out of the
+    // provider's login flows
+    rateLimit: {
+      enabled: { type: "boolean", env: "RATE_LIMIT_ENABLED", default: true },
+      // Counter store: "memory" (single instance), "mongo", or the name of
+      // an adapter registered with rateLimit.registerStore()
+      store: { type: "string", env: "RATE_LIMIT_STORE", default: "memory" },
+      window: {
+        type: "integer",
+        env: "RATE_LIMIT_WINDOW",
+        default: 60, // seconds
+        min: 1,
+      },
+      limits: {
+        start: {
+          ip: {
+            type: "integer",
+            env: "RATE_LIMIT_START_IP",
+            default: 30,
+            min: 1,
+          },
+          user: {
+            type: "integer",
+            env: "RATE_LIMIT_START_USER",
+            default: 30,
+            min: 1,
+          },
+        },
+        callback: {
+          ip: {
+            type: "integer",
+            env: "RATE_LIMIT_CALLBACK_IP",
+            default: 30,
+            min: 1,
+          },
+          user: {
+            type: "integer",
+            env: "RATE_LIMIT_CALLBACK_USER",
+            default: 30,
+            min: 1,
+          },
+        },
+        account: {
+          ip: {
+            type: "integer",
+            env: "RATE_LIMIT_ACCOUNT_IP",
+            default: 60,
+            min: 1,
+          },
+          user: {
+            type: "integer",
+            env: "RATE_LIMIT_ACCOUNT_USER",
+            default: 30,
+            min: 1,
+          },
+        },
+      },
+      lockout: {
+        // Failed callbacks within the window that trigger a lockout
+        failures: {
+          type: "integer",
+          env: "RATE_LIMIT_LOCKOUT_FAILURES",
+          default: 10,
+          min: 1,
+        },
+        window: {
+          type: "integer",
+          env: "RATE_LIMIT_LOCKOUT_WINDOW",
+          default: 15 * 60, // seconds
+          min: 1,
+        },
+        duration: {
+          type: "integer",
+          env: "RATE_LIMIT_LOCKOUT_DURATION",
+          default: 15 * 60, // seconds
+          min: 1,
+        },
+      },
+    },
+    // Signed webhooks for account events. Subscriptions stored in MongoDB
+    // are delivered in addition to this one
+    webhooks: {
+      url: { type: "url", env: "WEBHOOK_URL" },
+      secret: {
+        type: "string",
+        env: "WEBHOOK_SECRET",
+        check: (value, config) =>
+          config.webhooks.url && !value
+            ? "is required when webhooks.url is set"
+            : null,
+      },
+      events: { type: "list", env: "WEBHOOK_EVENTS", default: ["*"] },
+      // Deliveries failing this many times are dead-lettered
+      maxAttempts: {
+        type: "integer",
+        env: "WEBHOOK_MAX_ATTEMPTS",
+        default: 8,
+        min: 1,
+      },
+      // First retry delay in seconds; doubled for every further attempt
+      retryDelay: {
+        type: "integer",
+        env: "WEBHOOK_RETRY_DELAY",
+        default: 30,
+        min: 0,
+      },
+      timeout: {
+        type: "integer",
+        env: "WEBHOOK_TIMEOUT",
+        default: 10 * 1000, // 10 seconds
+        min: 1,
+      },
+      pollInterval: {
+        type: "integer",
+        env: "WEBHOOK_POLL_INTERVAL",
+        default: 5 * 1000, // 5 seconds
+        min: 1,
+      },
+    },
+    // Prometheus metrics served at /metrics; scrapers must send
+    // "Authorization: Bearer <token>" when a token is set
+    metrics: {
+      enabled: { type: "boolean", env: "METRICS_ENABLED", default: true },
+      token: { type: "string", env: "METRICS_TOKEN" },
+    },
+    oauth,
+    // PKCE mode per provider: "on" (default), "off", or "required" for
+    // public-client deployments that have no client secret
+    pkce: ["google", "microsoft", "linkedin", "oidc"].reduce((fields, name) => {
+      fields[name] = {
+        type: "enum",
+        env: `${toEnvPrefix(name)}_PKCE`,
+        values: ["on", "off", "required"],
+        default: "on",
+      };
+      return fields;
+    }, {}),
+    // Where OpenID Connect providers read the user profile from:
+    // "userinfo" (default, API call) or "id_token" (verified ID token
+    // claims)
+    profileSource: ["google", "microsoft", "oidc"].reduce((fields, name) => {
+      fields[name] = {
+        type: "enum",
+        env: `${toEnvPrefix(name)}_PROFILE_SOURCE`,
+        values: ["userinfo", "id_token"],
+        default: "userinfo",
+      };
+      return fields;
+    }, {}),
+    // Access and refresh tokens issued to SPAs and mobile clients in token
+    // mode. Token mode is disabled until a signing secret is configured
+    tokens: {
+      secret: { type: "string", env: "AUTH_TOKEN_SECRET", minLength: 32 },
+      issuer: {
+        type: "string",
+        env: "AUTH_TOKEN_ISSUER",
+        default: (config) => config.urls.base,
+      },
+      accessTokenTtl: {
+        type: "integer",
+        env: "ACCESS_TOKEN_TTL",
+        default: 15 * 60, // 15 minutes, in seconds
+        min: 1,
+      },
+      refreshTokenTtl: {
+        type: "integer",
+        env: "REFRESH_TOKEN_TTL",
+        default: 30 * 24 * 60 * 60, // 30 days, in seconds
+        min: 1,
+      },
+      // One-time codes sent to the success redirect
+      codeTtl: {
+        type: "integer",
+        env: "AUTH_CODE_TTL",
+        default: 60, // seconds
+        min: 1,
+      },
+    },
+    // Native apps that log in through /auth/:provider?client=<id> and
+    // receive a one-time code on one of their registered redirect URIs
+    mobile: {
+      clients: { type: "mobileClients", env: "MOBILE_CLIENTS", default: {} },
+      codeTtl: {
+        type: "integer",
+        env: "MOBILE_CODE_TTL",
+        default: 60, // seconds
+        min: 1,
+      },
+    },
+    // Field-level encryption of provider tokens (AES-256-GCM). Keys are
+    // comma separated "keyId:base64Key" pairs; new values are encrypted
+    // with the active key and every listed key can still decrypt, so keys
+    // can be rotated without downtime
+    encryption: {
+      keys: {
+        type: "string",
+        env: "TOKEN_ENCRYPTION_KEYS",
+        default: "",
+      },
+      activeKeyId: { type: "string", env: "TOKEN_ENCRYPTION_ACTIVE_KEY_ID" },
+    },
+  };
+};
+
+/**
+ * Check whether a schema node is a field (rather than a section)
+ * @param {Object} node - Schema node
+ * @returns {boolean} Whether the node is a field
+ */
+const isField = (node) => typeof node.type === "string";
+
+module.exports = {
+  PROVIDER_NAME_PATTERN,
+  BUILT_IN_PROVIDERS,
+  TYPES,
+  toEnvPrefix,
+  fromEnvPrefix,
+  createSchema,
+  isField,
+};
@@ -0,0 +1,257 @@
+/**
+ * Authentication event log
+ *
+ * Records logins, sign-ups, links, unlinks, logouts and token use, with
+ * their outcome, in the AuthEvent collection. Users can read their own
+ * recent activity and the configured admins can search all events.
+ * Events expire after the configured retention period.
+ */
+
+const mongoose = require("mongoose");
+const AuthEvent = require("../../models/AuthEvent");
+const config = require("../../config");
+const errors = require("./errors");
+const logger = require("./logger");
+
+const EVENT_TYPES = {
+  LOGIN: "login",
+  USER_CREATED: "user.created",
+  PROVIDER_LINKED: "provider.linked",
+  PROVIDER_UNLINKED: "provider.unlinked",
+  LOGOUT: "logout",
+  SESSION_REVOKED: "session.revoked",
+  TOKEN_REFRESHED: "token.refreshed",
+  TOKEN_REVOKED: "token.revoked",
+};
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Get the ID of a user given as a document or an ID
+ * @param {Object|string} user - User document or ID
+ * @returns {string|undefined} User ID
+ */
+const getUserId = (user) => {
+  if (!user) {
+    return undefined;
+  }
+  return String(user._id || user.id || user);
+};
+
+/**
+ * Record an event. Recording never fails the action it describes; errors
+ * are logged
+ * @param {Object} req - Express request object
+ * @param {Object} event - Event data
+ * @param {string} event.type - Event type (one of EVENT_TYPES)
+ * @param {Object|string} event.user - User the event belongs to (defaults
+ *   to the logged in user)
+ * @param {string} event.provider - Provider involved
+ * @param {Error} event.error - Error that made the action fail
+ * @returns {Promise<void>}
+ */
+const record = (req, event) => {
+  // Users created or linked outside a request (e.g. by scripts) are skipped
+  if (!req) {
+    return Promise.resolve();
+  }
+
+  return AuthEvent.create({
+    type: event.type,
+    user: getUserId(event.user || req.user),
+    provider: event.provider,
+    ip: req.ip,
+    userAgent: req.get("user-agent") || "",
+    outcome: event.error ? "failure" : "success",
+    errorCode: event.error ? errors.getErrorCode(event.error) : undefined,
+    correlationId: req.correlationId,
+    expiresAt: new Date(
+      Date.now() + config.audit.retentionDays * 24 * 60 * 60 * 1000
+    ),
+  }).then(
+    () => {},
+    (err) => logger.error(`Failed to record ${event.type} event`, { req, err })
+  );
+};
+
+/**
+ * Create an invalid request error for a query parameter
+ * @param {string} name - Parameter name
+ * @returns {Error} Coded error
+ */
+const invalidParam = (name) => {
+  return errors.createCodedError(
+    errors.OAUTH_ERRORS.INVALID_REQUEST,
+    `Invalid ${name} parameter`,
+    400,
+    { parameter: name }
+  );
+};
+
+/**
+ * Parse an optional date query parameter
+ * @param {Object} query - Query parameters
+ * @param {string} name - Parameter name
+ * @returns {Date|undefined} Date
+ */
+const parseDate = (query, name) => {
+  if (query[name] === undefined) {
+    return undefined;
+  }
+
+  const date = new Date(query[name]);
+  if (typeof query[name] !== "string" || Number.isNaN(date.getTime())) {
+    throw invalidParam(name);
+  }
+  return date;
+};
+
+/**
+ * Parse the limit query parameter
+ * @param {Object} query - Query parameters
+ * @returns {number} Number of events to return
+ */
+const parseLimit = (query) => {
+  if (query.limit === undefined) {
+    return DEFAULT_LIMIT;
+  }
+
+  const limit = Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw invalidParam("limit");
+  }
+  return limit;
+};
+
+/**
+ * Build the time range filter of a query. "before" is the createdAt of
+ * the last event of the previous page
+ * @param {Object} query - Query parameters (from, to, before)
+ * @returns {Object|undefined} createdAt filter
+ */
+const parseTimeRange = (query) => {
+  const range = {};
+  const from = parseDate(query, "from");
+  const to = parseDate(query, "to");
+  const before = parseDate(query, "before");
+
+  if (from) {
+    range.$gte = from;
+  }
+  if (to || before) {
+    range.$lt = new Date(
+      Math.min(...[to, before].filter(Boolean).map((d) => d.getTime()))
+    );
+  }
+
+  return Object.keys(range).length > 0 ? range : undefined;
+};
+
+/**
+ * Format an event for API responses
+ * @param {Object} event - AuthEvent document
+ * @param {boolean} includeUser - Whether to include the user ID
+ * @returns {Object} Event
+ */
+const formatEvent = (event, includeUser) => {
+  return {
+    id: event.id,
+    type: event.type,
+    user: includeUser ? getUserId(event.user) : undefined,
+    provider: event.provider,
+    outcome: event.outcome,
+    errorCode: event.errorCode,
+    ip: event.ip,
+    userAgent: event.userAgent,
+    correlationId: event.correlationId,
+    createdAt: event.createdAt,
+  };
+};
+
+/**
+ * Find events, newest first
+ * @param {Object} filter - MongoDB filter
+ * @param {number} limit - Number of events to return
+ * @param {boolean} includeUser - Whether to include user IDs
+ * @returns {Promise<Array<Object>>} Events
+ */
+const findEvents = async (filter, limit, includeUser) => {
+  const events = await AuthEvent.find(filter)
+    .sort({ createdAt: -1 })
+    .limit(limit);
+
+  return events.map((event) => formatEvent(event, includeUser));
+};
+
+/**
+ * List a user's recent events
+ * @param {string} userId - User ID
+ * @param {Object} query - Query parameters (type, limit, before)
+ * @returns {Promise<Array<Object>>} Events, newest first
+ */
+const listUserEvents = (userId, query = {}) => {
+  const filter = { user: userId };
+  const createdAt = parseTimeRange({ before: query.before });
+
+  if (createdAt) {
+    filter.createdAt = createdAt;
+  }
+  if (query.type !== undefined) {
+    filter.type = String(query.type);
+  }
+
+  return findEvents(filter, parseLimit(query), false);
+};
+
+/**
+ * Search the events of all users
+ * @param {Object} query - Query parameters (user, type, provider,
+ *   outcome, ip, from, to, before, limit)
+ * @returns {Promise<Array<Object>>} Events, newest first
+ */
+const queryEvents = (query = {}) => {
+  const filter = {};
+  const createdAt = parseTimeRange(query);
+
+  if (query.user !== undefined) {
+    if (!mongoose.isValidObjectId(query.user)) {
+      throw invalidParam("user");
+    }
+    filter.user = query.user;
+  }
+  if (
+    query.outcome !== undefined &&
+    !["success", "failure"].includes(query.outcome)
+  ) {
+    throw invalidParam("outcome");
+  }
+
+  ["type", "provider", "outcome", "ip"].forEach((name) => {
+    if (query[name] !== undefined) {
+      filter[name] = String(query[name]);
+    }
+  });
+  if (createdAt) {
+    filter.createdAt = createdAt;
+  }
+
+  return findEvents(filter, parseLimit(query), true);
+};
+
+/**
+ * Check whether a user may search every user's events
+ * @param {Object} user - User document
+ * @returns {boolean} Whether the user is an audit admin
+ */
+const isAdmin = (user) => {
+  return !!user && config.audit.adminUserIds.includes(getUserId(user));
+};
+
+module.exports = {
+  EVENT_TYPES,
+  record,
+  listUserEvents,
+  queryEvents,
+  isAdmin,
+};
@@ -0,0 +1,264 @@
+const request = require("supertest");
+const { mockModels } = require("../../../test/memoryModels");
+const { startStubIssuer } = require("../../../test/stubIssuer");
+const { useStubIssuer, createApp, login } = require("../../../test/app");
+
+/**
+ * Wait until events recorded in the background are stored
+ * @returns {Promise<void>}
+ */
+const flushEvents = () => new Promise((resolve) => setImmediate(resolve));
+
+describe("audit log", () => {
+  let issuer;
+  let config;
+  let auditLog;
+  let stores;
+
+  beforeAll(async () => {
+    issuer = await startStubIssuer();
+    useStubIssuer(issuer);
+    config = require("../../config");
+    auditLog = require("./auditLog");
+  });
+
+  afterAll(() => issuer.close());
+
+  beforeEach(() => {
+    stores = mockModels();
+  });
+
+  /**
+   * Build a request as seen by record()
+   * @param {Object} fields - Request fields to set
+   * @returns {Object} Request
+   */
+  const fakeRequest = (fields = {}) => ({
+    ip: "203.0.113.7",
+    get: (name) => (name === "user-agent" ? "test-agent" : undefined),
+    correlationId: "corr-1",
+    ...fields,
+  });
+
+  describe("record", () => {
+    it("stores the outcome, request details and expiry", async () => {
+      const user = { _id: "64b7f0c2a1b2c3d4e5f60718" };
+
+      await auditLog.record(fakeRequest(), {
+        type: auditLog.EVENT_TYPES.LOGIN,
+        user,
+        provider: "oidc",
+      });
+
+      const [event] = stores.AuthEvent;
+      expect(event).toMatchObject({
+        type: "login",
+        provider: "oidc",
+        ip: "203.0.113.7",
+        userAgent: "test-agent",
+        outcome: "success",
+        correlationId: "corr-1",
+      });
+      expect(String(event.user)).toBe(user._id);
+      const retention = config.audit.retentionDays * 24 * 60 * 60 * 1000;
+      expect(event.expiresAt.getTime()).toBeGreaterThan(
+        Date.now() + retention - 60 * 1000
+      );
+    });
+
+    it("records failures with their error code", async () => {
+      const errors = require("./errors");
+
+      await auditLog.record(fakeRequest(), {
+        type: auditLog.EVENT_TYPES.LOGIN,
+        provider: "oidc",
+        error: errors.createCodedError(
+          errors.STATE_ERRORS.INVALID,
+          "Invalid state",
+          400
+        ),
+      });
+
+      expect(stores.AuthEvent[0]).toMatchObject({
+        outcome: "failure",
+        errorCode: "state_invalid",
+      });
+      expect(stores.AuthEvent[0].user).toBeUndefined();
+    });
+
+    it("never fails the action it describes", async () => {
+      const logger = require("./logger");
+      jest.spyOn(logger, "error").mockImplementation(() => {});
+      const AuthEvent = require("../../models/AuthEvent");
+      AuthEvent.create.mockRejectedValueOnce(new Error("database down"));
+
+      await expect(
+        auditLog.record(fakeRequest(), { type: "logout" })
+      ).resolves.toBeUndefined();
+      expect(logger.error).toHaveBeenCalledWith(
+        "Failed to record logout event",
+        expect.objectContaining({ err: expect.any(Error) })
+      );
+    });
+
+    it("skips events outside a request", async () => {
+      await auditLog.record(undefined, { type: "user.created" });
+
+      expect(stores.AuthEvent).toHaveLength(0);
+    });
+  });
+
+  describe("queries", () => {
+    const ADA = "64b7f0c2a1b2c3d4e5f60718";
+    const BOB = "64b7f0c2a1b2c3d4e5f60719";
+
+    beforeEach(async () => {
+      const AuthEvent = require("../../models/AuthEvent");
+      const events = [
+        ["login", ADA, "success", "2024-01-01T10:00:00Z"],
+        ["logout", ADA, "success", "2024-01-02T10:00:00Z"],
+        ["login", BOB, "failure", "2024-01-03T10:00:00Z"],
+        ["login", ADA, "success", "2024-01-04T10:00:00Z"],
+      ];
+      for (const [type, user, outcome, createdAt] of events) {
+        await AuthEvent.create({
+          type,
+          user,
+          outcome,
+          provider: "oidc",
+          createdAt: new Date(createdAt),
+          expiresAt: new Date(Date.now() + 60 * 1000),
+        });
+      }
+    });
+
+    it("lists a user's own events, newest first, without user IDs", async () => {
+      const events = await auditLog.listUserEvents(ADA);
+
+      expect(events.map((event) => event.createdAt.toISOString())).toEqual([
+        "2024-01-04T10:00:00.000Z",
+        "2024-01-02T10:00:00.000Z",
+        "2024-01-01T10:00:00.000Z",
+      ]);
+      expect(events[0].user).toBeUndefined();
+    });
+
+    it("pages with before and limit, and filters by type", async () => {
+      const page = await auditLog.listUserEvents(ADA, {
+        before: "2024-01-04T10:00:00Z",
+        limit: "1",
+      });
+      expect(page.map((event) => event.type)).toEqual(["logout"]);
+
+      const logins = await auditLog.listUserEvents(ADA, { type: "login" });
+      expect(logins).toHaveLength(2);
+    });
+
+    it("searches every user's events by user, outcome and time", async () => {
+      const failures = await auditLog.queryEvents({ outcome: "failure" });
+      expect(failures).toHaveLength(1);
+      expect(failures[0].user).toBe(BOB);
+
+      const ranged = await auditLog.queryEvents({
+        user: ADA,
+        from: "2024-01-02T00:00:00Z",
+        to: "2024-01-04T00:00:00Z",
+      });
+      expect(ranged.map((event) => event.type)).toEqual(["logout"]);
+    });
+
+    it("rejects invalid parameters", () => {
+      const invalid = (query) => {
+        try {
+          auditLog.queryEvents(query);
+        } catch (err) {
+          return { code: err.code, status: err.status, details: err.details };
+        }
+        return null;
+      };
+
+      expect(invalid({ limit: "0" })).toEqual({
+        code: "invalid_request",
+        status: 400,
+        details: { parameter: "limit" },
+      });
+      expect(invalid({ limit: "101" }).details.parameter).toBe("limit");
+      expect(invalid({ from: "yesterday" }).details.parameter).toBe("from");
+      expect(invalid({ user: "ada" }).details.parameter).toBe("user");
+      expect(invalid({ outcome: "maybe" }).details.parameter).toBe("outcome");
+    });
+  });
+
+  describe("routes", () => {
+    let app;
+    let adminUserIds;
+
+    beforeAll(() => {
+      app = createApp();
+      adminUserIds = config.audit.adminUserIds;
+    });
+
+    afterEach(() => {
+      config.audit.adminUserIds = adminUserIds;
+    });
+
+    it("show users their own activity", async () => {
+      const agent = request.agent(app);
+      await login(agent, issuer);
+      await flushEvents();
+
+      const res = await agent.get("/auth/activity").expect(200);
+
+      // Both events can share a timestamp, so their order is not checked
+      expect(res.body.events).toHaveLength(2);
+      expect(res.body.events).toEqual(
+        expect.arrayContaining([
+          expect.objectContaining({
+            type: "login",
+            provider: "oidc",
+            outcome: "success",
+          }),
+          expect.objectContaining({ type: "user.created", provider: "oidc" }),
+        ])
+      );
+    });
+
+    it("require a login for activity", async () => {
+      await request(app).get("/auth/activity").expect(401);
+    });
+
+    it("reject invalid activity parameters", async () => {
+      const agent = request.agent(app);
+      await login(agent, issuer);
+
+      const res = await agent
+        .get("/auth/activity")
+        .query({ limit: "many" })
+        .expect(400);
+
+      expect(res.body.code).toBe("invalid_request");
+    });
+
+    it("let only admins search all events", async () => {
+      const agent = request.agent(app);
+      await login(agent, issuer);
+
+      const forbidden = await agent.get("/auth/admin/events").expect(403);
+      expect(forbidden.body.code).toBe("forbidden");
+
+      config.audit.adminUserIds = [String(stores.User[0]._id)];
+      await flushEvents();
+      const res = await agent
+        .get("/auth/admin/events")
+        .query({ type: "login" })
+        .expect(200);
+
+      expect(res.body.events).toEqual([
+        expect.objectContaining({
+          type: "login",
+          user: String(stores.User[0]._id),
+        }),
+      ]);
+    });
+  });
+});
@@ -0,0 +1,394 @@
+/**
+ * First-party access and refresh tokens (token mode)
+ *
+ * SPAs and mobile clients that cannot use the session cookie can log in
+ * in token mode: a successful provider login then issues a short-lived
+ * HS256 access JWT and a refresh token instead of creating a session.
+ * Refresh tokens are stored hashed and rotated on every use; presenting
+ * an already rotated token revokes every token of that login, as it
+ * means the token has been copied. Browser logins receive a short-lived,
+ * single-use code in the success redirect instead of the tokens, so tokens
+ * never appear in a URL.
+ */
+
+const crypto = require("crypto");
+const User = require("../../models/User");
+const RefreshToken = require("../../models/RefreshToken");
+const AuthCode = require("../../models/AuthCode");
+const config = require("../../config");
+const errors = require("./errors");
+const jwt = require("./jwt");
+const auditLog = require("./auditLog");
+const logger = require("./logger");
+
+/**
+ * Check whether token mode is enabled
+ * @returns {boolean} Whether a token signing secret is configured
+ */
+const isEnabled = () => {
+  return !!config.tokens.secret;
+};
+
+/**
+ * Throw if token mode is not enabled
+ */
+const assertEnabled = () => {
+  if (!isEnabled()) {
+    throw errors.createCodedError(
+      errors.AUTH_TOKEN_ERRORS.DISABLED,
+      "Token mode is not enabled",
+      404
+    );
+  }
+};
+
+/**
+ * Hash a refresh token or login code for storage and lookup
+ * @param {string} token - Refresh token or login code
+ * @returns {string} SHA-256 hash of the token
+ */
+const hashToken = (token) => {
+  return crypto.createHash("sha256").update(token).digest("base64url");
+};
+
+/**
+ * Sign an access token for a user
+ * @param {Object} user - User document
+ * @param {string} provider - Provider used to log in
+ * @returns {string} Access JWT
+ */
+const signAccessToken = (user, provider) => {
+  const now = Math.floor(Date.now() / 1000);
+
+  return jwt.signHs256(
+    {
+      iss: config.tokens.issuer,
+      sub: String(user._id || user.id),
+      iat: now,
+      exp: now + config.tokens.accessTokenTtl,
+      jti: crypto.randomUUID(),
+      provider,
+    },
+    config.tokens.secret
+  );
+};
+
+/**
+ * Verify an access token
+ * @param {string} token - Access JWT
+ * @returns {Object} Token claims
+ */
+const verifyAccessToken = (token) => {
+  assertEnabled();
+
+  let decoded;
+  try {
+    decoded = jwt.decode(token);
+  } catch (err) {
+    throw errors.createCodedError(
+      errors.AUTH_TOKEN_ERRORS.INVALID,
+      "Access token is malformed",
+      401
+    );
+  }
+
+  if (
+    !jwt.verifyHs256(decoded, config.tokens.secret) ||
+    decoded.payload.iss !== config.tokens.issuer
+  ) {
+    throw errors.createCodedError(
+      errors.AUTH_TOKEN_ERRORS.INVALID,
+      "Access token is invalid",
+      401
+    );
+  }
+
+  if (
+    typeof decoded.payload.exp !== "number" ||
+    decoded.payload.exp * 1000 <= Date.now()
+  ) {
+    throw errors.createCodedError(
+      errors.AUTH_TOKEN_ERRORS.EXPIRED,
+      "Access token has expired",
+      401
+    );
+  }
+
+  return decoded.payload;
+};
+
+/**
+ * Create and store a refresh token
+ * @param {Object} req - Express request object
+ * @param {Object} user - User document
+ * @param {string} provider - Provider used to log in
+ * @param {string} family - Token family of the login
+ * @returns {Promise<string>} Refresh token
+ */
+const createRefreshToken = async (req, user, provider, family) => {
+  const token = crypto.randomBytes(32).toString("base64url");
+
+  await RefreshToken.create({
+    user: user._id || user.id,
+    tokenHash: hashToken(token),
+    family,
+    provider,
+    userAgent: req.get("user-agent") || "",
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + config.tokens.refreshTokenTtl * 1000),
+  });
+
+  return token;
+};
+
+/**
+ * Issue an access and refresh token pair
+ * @param {Object} req - Express request object
+ * @param {Object} user - User document
+ * @param {string} provider - Provider used to log in
+ * @param {string} family - Token family (a new login when omitted)
+ * @returns {Promise<Object>} OAuth 2.0 style token response
+ */
+const issueTokens = async (
+  req,
+  user,
+  provider,
+  family = crypto.randomUUID()
+) => {
+  assertEnabled();
+
+  return {
+    access_token: signAccessToken(user, provider),
+    token_type: "Bearer",
+    expires_in: config.tokens.accessTokenTtl,
+    refresh_token: await createRefreshToken(req, user, provider, family),
+    refresh_token_expires_in: config.tokens.refreshTokenTtl,
+  };
+};
+
+/**
+ * Create a one-time code that the client exchanges for a token pair
+ * @param {Object} user - User document
+ * @param {string} provider - Provider used to log in
+ * @returns {Promise<string>} One-time code
+ */
+const createLoginCode = async (user, provider) => {
+  assertEnabled();
+
+  const code = crypto.randomBytes(32).toString("base64url");
+
+  await AuthCode.create({
+    codeHash: hashToken(code),
+    user: user._id || user.id,
+    provider,
+    expiresAt: new Date(Date.now() + config.tokens.codeTtl * 1000),
+  });
+
+  return code;
+};
+
+/**
+ * Exchange a one-time login code for a token pair
+ * @param {Object} req - Express request object
+ * @param {string} code - Code from the success redirect
+ * @returns {Promise<Object>} OAuth 2.0 style token response
+ */
+const exchangeLoginCode = async (req, code) => {
+  assertEnabled();
+
+  if (!code || typeof code !== "string") {
+    throw errors.createCodedError(
+      errors.AUTH_TOKEN_ERRORS.INVALID_CODE,
+      "code is required",
+      400
+    );
+  }
+
+  // Consume the code whatever the outcome so it can never be retried.
+  // Mobile app codes are bound to the app's PKCE challenge and can only
+  // be exchanged at /auth/mobile/token
+  const now = new Date();
+  const record = await AuthCode.findOneAndUpdate(
+    {
+      codeHash: hashToken(code),
+      client: null,
+      usedAt: null,
+      expiresAt: { $gt: now },
+    },
+    { usedAt: now }
+  );
+
+  const user = record && (await User.findById(record.user));
+  if (!user) {
+    throw errors.createCodedError(
+      errors.AUTH_TOKEN_ERRORS.INVALID_CODE,
+      "Code is invalid, expired or has already been used",
+      400
+    );
+  }
+
+  return issueTokens(req, user, record.provider);
+};
+
+/**
+ * Revoke every refresh token of a login
+ * @param {string} family - Token family
+ */
+const revokeFamily = async (family) => {
+  await RefreshToken.updateMany(
+    { family, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+};
+
+/**
+ * Exchange a refresh token for a new token pair, rotating the refresh token
+ * @param {Object} req - Express request object
+ * @param {string} refreshToken - Refresh token
+ * @returns {Promise<Object>} OAuth 2.0 style token response
+ */
+const refreshTokens = async (req, refreshToken) => {
+  assertEnabled();
+
+  if (!refreshToken || typeof refreshToken !== "string") {
+    throw errors.createCodedError(
+      errors.AUTH_TOKEN_ERRORS.INVALID_REFRESH_TOKEN,
+      "refresh_token is required",
+      400
+    );
+  }
+
+  const tokenHash = hashToken(refreshToken);
+  const now = new Date();
+
+  // Claim the token atomically so concurrent requests cannot both use it
+  const record = await RefreshToken.findOneAndUpdate(
+    { tokenHash, usedAt: null, revokedAt: null, expiresAt: { $gt: now } },
+    { usedAt: now }
+  );
+
+  if (!record) {
+    const existing = await RefreshToken.findOne({ tokenHash });
+
+    if (existing && existing.usedAt && !existing.revokedAt) {
+      await revokeFamily(existing.family);
+      logger.warn(
+        "Rotated refresh token reused; revoked all tokens of the login",
+        { req, user: String(existing.user) }
+      );
+
+      const err = errors.createCodedError(
+        errors.AUTH_TOKEN_ERRORS.REFRESH_TOKEN_REUSED,
+        "Refresh token has already been used",
+        401
+      );
+      auditLog.record(req, {
+        type: auditLog.EVENT_TYPES.TOKEN_REFRESHED,
+        user: existing.user,
+        provider: existing.provider,
+        error: err,
+      });
+      throw err;
+    }
+
+    throw errors.createCodedError(
+      errors.AUTH_TOKEN_ERRORS.INVALID_REFRESH_TOKEN,
+      "Refresh token is invalid or expired",
+      401
+    );
+  }
+
+  const user = await User.findById(record.user);
+  if (!user) {
+    await revokeFamily(record.family);
+    throw errors.createCodedError(
+      errors.AUTH_TOKEN_ERRORS.INVALID_REFRESH_TOKEN,
+      "Refresh token is invalid or expired",
+      401
+    );
+  }
+
+  auditLog.record(req, {
+    type: auditLog.EVENT_TYPES.TOKEN_REFRESHED,
+    user,
+    provider: record.provider,
+  });
+  return issueTokens(req, user, record.provider, record.family);
+};
+
+/**
+ * Revoke a refresh token and every token rotated from the same login
+ * @param {Object} req - Express request object
+ * @param {string} refreshToken - Refresh token
+ */
+const revokeRefreshToken = async (req, refreshToken) => {
+  assertEnabled();
+
+  if (!refreshToken || typeof refreshToken !== "string") {
+    throw errors.createCodedError(
+      errors.AUTH_TOKEN_ERRORS.INVALID_REFRESH_TOKEN,
+      "refresh_token is required",
+      400
+    );
+  }
+
+  const record = await RefreshToken.findOne({
+    tokenHash: hashToken(refreshToken),
+  });
+
+  if (record) {
+    await revokeFamily(record.family);
+    auditLog.record(req, {
+      type: auditLog.EVENT_TYPES.TOKEN_REVOKED,
+      user: record.user,
+      provider: record.provider,
+    });
+  }
+};
+
+/**
+ * Verify a request's Bearer access token, without loading its user
+ * @param {Object} req - Express request object
+ * @returns {Object|null} Token claims, or null without a Bearer token
+ */
+const getBearerClaims = (req) => {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get("authorization") || "");
+  return match ? verifyAccessToken(match[1]) : null;
+};
+
+/**
+ * Authenticate a request from its Bearer access token
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object|null>} { user, claims }, or null without a
+ *   Bearer token
+ */
+const authenticateBearer = async (req) => {
+  const claims = getBearerClaims(req);
+  if (!claims) {
+    return null;
+  }
+
+  const user = await User.findById(claims.sub);
+  if (!user) {
+    throw errors.createCodedError(
+      errors.AUTH_TOKEN_ERRORS.INVALID,
+      "Access token user no longer exists",
+      401
+    );
+  }
+
+  return { user, claims };
+};
+
+module.exports = {
+  isEnabled,
+  assertEnabled,
+  verifyAccessToken,
+  issueTokens,
+  createLoginCode,
+  exchangeLoginCode,
+  refreshTokens,
+  revokeRefreshToken,
+  getBearerClaims,
+  authenticateBearer,
+};
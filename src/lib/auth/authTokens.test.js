@@ -0,0 +1,287 @@
+const request = require("supertest");
+const { mockModels } = require("../../../test/memoryModels");
+const { startStubIssuer } = require("../../../test/stubIssuer");
+const { useStubIssuer, createApp } = require("../../../test/app");
+
+const SECRET = "test-token-secret-0123456789abcdefghij";
+
+/**
+ * Build a request stand-in
+ * @param {Object} headers - Request headers, lower-case names
+ * @returns {Object} Request
+ */
+const createRequest = (headers = {}) => ({
+  ip: "127.0.0.1",
+  get: (name) => headers[name.toLowerCase()],
+});
+
+describe("token mode", () => {
+  let issuer;
+  let config;
+  let authTokens;
+  let User;
+  let stores;
+  let user;
+
+  beforeAll(async () => {
+    issuer = await startStubIssuer();
+    useStubIssuer(issuer);
+    config = require("../../config");
+    authTokens = require("./authTokens");
+    User = require("../../models/User");
+    config.tokens.secret = SECRET;
+  });
+
+  afterAll(() => {
+    config.tokens.secret = undefined;
+    return issuer.close();
+  });
+
+  beforeEach(async () => {
+    stores = mockModels();
+    user = await User.create({ name: "Ada Lovelace" });
+  });
+
+  it("issues an access token and a hashed refresh token", async () => {
+    const tokens = await authTokens.issueTokens(
+      createRequest(),
+      user,
+      "google"
+    );
+
+    expect(tokens).toMatchObject({
+      token_type: "Bearer",
+      access_token: expect.any(String),
+      refresh_token: expect.any(String),
+    });
+    expect(authTokens.verifyAccessToken(tokens.access_token)).toMatchObject({
+      sub: user.id,
+      provider: "google",
+    });
+    expect(stores.RefreshToken).toHaveLength(1);
+    expect(stores.RefreshToken[0].tokenHash).not.toBe(tokens.refresh_token);
+  });
+
+  it("rotates the refresh token within the same login", async () => {
+    const first = await authTokens.issueTokens(createRequest(), user, "google");
+
+    const second = await authTokens.refreshTokens(
+      createRequest(),
+      first.refresh_token
+    );
+
+    expect(second.refresh_token).not.toBe(first.refresh_token);
+    expect(stores.RefreshToken).toHaveLength(2);
+    expect(stores.RefreshToken[0].usedAt).toBeInstanceOf(Date);
+    expect(stores.RefreshToken[1].family).toBe(stores.RefreshToken[0].family);
+    expect(stores.RefreshToken[1].provider).toBe("google");
+  });
+
+  it("revokes the whole login when a rotated token is reused", async () => {
+    const first = await authTokens.issueTokens(createRequest(), user, "google");
+    const second = await authTokens.refreshTokens(
+      createRequest(),
+      first.refresh_token
+    );
+    const other = await authTokens.issueTokens(createRequest(), user, "github");
+
+    await expect(
+      authTokens.refreshTokens(createRequest(), first.refresh_token)
+    ).rejects.toMatchObject({ code: "refresh_token_reused", status: 401 });
+
+    await expect(
+      authTokens.refreshTokens(createRequest(), second.refresh_token)
+    ).rejects.toMatchObject({ code: "refresh_token_invalid" });
+    // Other logins of the user are left alone
+    await expect(
+      authTokens.refreshTokens(createRequest(), other.refresh_token)
+    ).resolves.toHaveProperty("access_token");
+  });
+
+  it("rejects unknown and expired refresh tokens", async () => {
+    const tokens = await authTokens.issueTokens(
+      createRequest(),
+      user,
+      "google"
+    );
+    stores.RefreshToken[0].expiresAt = new Date(Date.now() - 1000);
+
+    await expect(
+      authTokens.refreshTokens(createRequest(), tokens.refresh_token)
+    ).rejects.toMatchObject({ code: "refresh_token_invalid", status: 401 });
+    await expect(
+      authTokens.refreshTokens(createRequest(), "made-up")
+    ).rejects.toMatchObject({ code: "refresh_token_invalid", status: 401 });
+    await expect(
+      authTokens.refreshTokens(createRequest(), undefined)
+    ).rejects.toMatchObject({ code: "refresh_token_invalid", status: 400 });
+  });
+
+  it("revokes every token of the login", async () => {
+    const first = await authTokens.issueTokens(createRequest(), user, "google");
+    const second = await authTokens.refreshTokens(
+      createRequest(),
+      first.refresh_token
+    );
+
+    await authTokens.revokeRefreshToken(createRequest(), first.refresh_token);
+
+    await expect(
+      authTokens.refreshTokens(createRequest(), second.refresh_token)
+    ).rejects.toMatchObject({ code: "refresh_token_invalid" });
+  });
+
+  describe("login codes", () => {
+    it("exchanges a code for a token pair exactly once", async () => {
+      const code = await authTokens.createLoginCode(user, "google");
+
+      expect(stores.AuthCode[0].codeHash).not.toBe(code);
+      const tokens = await authTokens.exchangeLoginCode(createRequest(), code);
+      expect(authTokens.verifyAccessToken(tokens.access_token)).toMatchObject({
+        sub: user.id,
+        provider: "google",
+      });
+
+      await expect(
+        authTokens.exchangeLoginCode(createRequest(), code)
+      ).rejects.toMatchObject({ code: "login_code_invalid", status: 400 });
+    });
+
+    it("rejects expired and missing codes", async () => {
+      const code = await authTokens.createLoginCode(user, "google");
+      stores.AuthCode[0].expiresAt = new Date(Date.now() - 1000);
+
+      await expect(
+        authTokens.exchangeLoginCode(createRequest(), code)
+      ).rejects.toMatchObject({ code: "login_code_invalid" });
+      await expect(
+        authTokens.exchangeLoginCode(createRequest(), undefined)
+      ).rejects.toMatchObject({ code: "login_code_invalid", status: 400 });
+    });
+  });
+
+  describe("token mode logins", () => {
+    let app;
+
+    /**
+     * Log in at the stub issuer in token mode
+     * @returns {Promise<Object>} The callback's response
+     */
+    const tokenLogin = async () => {
+      const agent = request.agent(app);
+      const res = await agent.get("/auth/oidc?mode=token").expect(302);
+      const { code, state } = issuer.authorize(res.headers.location);
+      return agent
+        .get("/auth/oidc/callback")
+        .query({ code, state })
+        .expect(302);
+    };
+
+    beforeAll(() => {
+      app = createApp();
+    });
+
+    afterEach(() => {
+      config.redirects.loginSuccess = "http://localhost:8080/auth/success";
+    });
+
+    it("sends the success redirect a code, not tokens", async () => {
+      const res = await tokenLogin();
+
+      const location = new URL(res.headers.location);
+      expect(location.pathname).toBe("/auth/success");
+      const fragment = new URLSearchParams(location.hash.slice(1));
+      expect([...fragment.keys()]).toEqual(["code"]);
+
+      const exchanged = await request(app)
+        .post("/auth/token/exchange")
+        .send({ code: fragment.get("code") })
+        .expect(200);
+      expect(exchanged.headers["cache-control"]).toBe("no-store");
+      expect(exchanged.body).toMatchObject({
+        token_type: "Bearer",
+        refresh_token: expect.any(String),
+      });
+    });
+
+    it("appends the code to a fragment the redirect already has", async () => {
+      // A hash-routed SPA
+      config.redirects.loginSuccess = "http://app.test/#/auth/success";
+
+      const res = await tokenLogin();
+
+      expect(res.headers.location).toMatch(
+        /^http:\/\/app\.test\/#\/auth\/success&code=[\w-]+$/
+      );
+      expect(res.headers.location.split("#")).toHaveLength(2);
+    });
+  });
+
+  describe("Bearer authentication", () => {
+    it("loads the user of a valid access token", async () => {
+      const { access_token: accessToken } = await authTokens.issueTokens(
+        createRequest(),
+        user,
+        "google"
+      );
+
+      const result = await authTokens.authenticateBearer(
+        createRequest({ authorization: `Bearer ${accessToken}` })
+      );
+
+      expect(result.user.id).toBe(user.id);
+      expect(result.claims.sub).toBe(user.id);
+    });
+
+    it("ignores requests without a Bearer token", async () => {
+      await expect(
+        authTokens.authenticateBearer(createRequest())
+      ).resolves.toBeNull();
+    });
+
+    it("rejects tampered and expired access tokens", async () => {
+      const { access_token: accessToken } = await authTokens.issueTokens(
+        createRequest(),
+        user,
+        "google"
+      );
+      const [header, payload] = accessToken.split(".");
+      const forged = `${header}.${payload}.${"A".repeat(43)}`;
+
+      expect(() => authTokens.verifyAccessToken(forged)).toThrow(
+        expect.objectContaining({ code: "access_token_invalid" })
+      );
+
+      jest.spyOn(Date, "now").mockReturnValue(Date.now() + 24 * 3600 * 1000);
+      expect(() => authTokens.verifyAccessToken(accessToken)).toThrow(
+        expect.objectContaining({ code: "access_token_expired", status: 401 })
+      );
+    });
+
+    it("rejects access tokens of deleted users", async () => {
+      const { access_token: accessToken } = await authTokens.issueTokens(
+        createRequest(),
+        user,
+        "google"
+      );
+      stores.User.length = 0;
+
+      await expect(
+        authTokens.authenticateBearer(
+          createRequest({ authorization: `Bearer ${accessToken}` })
+        )
+      ).rejects.toMatchObject({ code: "access_token_invalid" });
+    });
+  });
+
+  it("is disabled without a signing secret", async () => {
+    config.tokens.secret = undefined;
+
+    expect(authTokens.isEnabled()).toBe(false);
+    await expect(
+      authTokens.issueTokens(createRequest(), user, "google")
+    ).rejects.toMatchObject({ code: "token_mode_disabled", status: 404 });
+
+    config.tokens.secret = SECRET;
+  });
+});
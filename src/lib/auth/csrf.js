@@ -0,0 +1,136 @@
+/**
+ * Cross-site request forgery protection
+ *
+ * State-changing requests of a logged in session must send the session's
+ * synchronizer token (from GET /auth/csrf-token) in the X-CSRF-Token
+ * header, and must not come from an untrusted Origin or Referer. Requests
+ * without a logged in session, e.g. with only a Bearer access token, carry
+ * no ambient credentials and are not checked.
+ */
+
+const crypto = require("crypto");
+const config = require("../../config");
+const errors = require("./errors");
+
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+/**
+ * Get the CSRF token of the session, creating it if needed. Logging in
+ * starts a new session, so the token must be fetched again afterwards
+ * @param {Object} req - Express request object
+ * @returns {string} CSRF token
+ */
+const getToken = (req) => {
+  if (!req.session.csrfToken) {
+    req.session.csrfToken = crypto.randomBytes(32).toString("base64url");
+  }
+  return req.session.csrfToken;
+};
+
+/**
+ * Get the origin a request says it was sent from
+ * @param {Object} req - Express request object
+ * @returns {string|null} Origin, or null if the browser sent neither
+ *   Origin nor Referer
+ */
+const getRequestOrigin = (req) => {
+  const origin = req.get("origin");
+  if (origin) {
+    return origin;
+  }
+
+  const referer = req.get("referer");
+  if (!referer) {
+    return null;
+  }
+
+  try {
+    return new URL(referer).origin;
+  } catch (err) {
+    return "invalid";
+  }
+};
+
+/**
+ * Throw if the request was sent from an untrusted origin
+ * @param {Object} req - Express request object
+ */
+const assertTrustedOrigin = (req) => {
+  const origin = getRequestOrigin(req);
+  const trusted = config.csrf.trustedOrigins.map(
+    (value) => new URL(value).origin
+  );
+
+  if (origin !== null && !trusted.includes(origin)) {
+    throw errors.createCodedError(
+      errors.CSRF_ERRORS.INVALID_ORIGIN,
+      "Request origin is not allowed",
+      403,
+      { origin }
+    );
+  }
+};
+
+/**
+ * Throw if the request does not carry the session's CSRF token
+ * @param {Object} req - Express request object
+ */
+const assertValidToken = (req) => {
+  const expected = req.session.csrfToken;
+  const actual = req.get("x-csrf-token") || (req.body && req.body._csrf);
+  // Compare byte lengths: a multibyte token can match the length in
+  // characters, and timingSafeEqual throws on buffers of unequal length
+  const actualBuffer = Buffer.from(typeof actual === "string" ? actual : "");
+  const expectedBuffer = Buffer.from(expected || "");
+
+  if (
+    !expected ||
+    actualBuffer.length !== expectedBuffer.length ||
+    !crypto.timingSafeEqual(actualBuffer, expectedBuffer)
+  ) {
+    throw errors.createCodedError(
+      errors.CSRF_ERRORS.INVALID_TOKEN,
+      "Missing or invalid CSRF token",
+      403
+    );
+  }
+};
+
+/**
+ * Check whether a request is authenticated by the session cookie
+ * @param {Object} req - Express request object
+ * @returns {boolean} Whether the session has a logged in user
+ */
+const hasLoggedInSession = (req) => {
+  return !!(req.session && req.session.auth);
+};
+
+/**
+ * Create middleware rejecting forged state-changing requests
+ * @param {Object} options - Options
+ * @param {boolean} options.originOnly - Only check Origin/Referer (for
+ *   deprecated GET routes, which cannot carry a token)
+ * @returns {Function} Express middleware
+ */
+const protect =
+  ({ originOnly = false } = {}) =>
+  (req, res, next) => {
+    if (!config.csrf.enabled || !hasLoggedInSession(req)) {
+      return next();
+    }
+
+    try {
+      assertTrustedOrigin(req);
+      if (!originOnly && !SAFE_METHODS.includes(req.method)) {
+        assertValidToken(req);
+      }
+    } catch (err) {
+      return next(err);
+    }
+    next();
+  };
+
+module.exports = {
+  getToken,
+  protect,
+};
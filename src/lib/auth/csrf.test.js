@@ -0,0 +1,164 @@
+const express = require("express");
+const session = require("express-session");
+const request = require("supertest");
+const config = require("../../config");
+const csrf = require("./csrf");
+const errors = require("./errors");
+
+const FRONTEND = "https://app.example.com";
+
+describe("CSRF protection", () => {
+  let app;
+  let settings;
+
+  /**
+   * Log an agent in and fetch its CSRF token
+   * @returns {Promise<Object>} { agent, token }
+   */
+  const login = async () => {
+    const agent = request.agent(app);
+    await agent.post("/login").expect(200);
+    const res = await agent.get("/csrf-token").expect(200);
+    return { agent, token: res.body.csrfToken };
+  };
+
+  beforeAll(() => {
+    settings = { ...config.csrf };
+    app = express();
+    app.use(express.urlencoded({ extended: false }));
+    app.use(
+      session({ secret: "test-secret", resave: false, saveUninitialized: true })
+    );
+    app.post("/login", (req, res) => {
+      req.session.auth = { user: "user-1" };
+      res.json({ ok: true });
+    });
+    app.get("/csrf-token", (req, res) =>
+      res.json({ csrfToken: csrf.getToken(req) })
+    );
+    app.post("/change", csrf.protect(), (req, res) => res.json({ ok: true }));
+    app.get("/legacy-change", csrf.protect({ originOnly: true }), (req, res) =>
+      res.json({ ok: true })
+    );
+    app.use((err, req, res, next) => errors.handleAuthError(err, res));
+  });
+
+  beforeEach(() => {
+    Object.assign(config.csrf, { enabled: true, trustedOrigins: [FRONTEND] });
+  });
+
+  afterAll(() => {
+    Object.assign(config.csrf, settings);
+  });
+
+  it("accepts a request with the session's token from a trusted origin", async () => {
+    const { agent, token } = await login();
+
+    await agent
+      .post("/change")
+      .set("Origin", FRONTEND)
+      .set("X-CSRF-Token", token)
+      .expect(200);
+  });
+
+  it("accepts the token in a form field", async () => {
+    const { agent, token } = await login();
+
+    await agent.post("/change").type("form").send({ _csrf: token }).expect(200);
+  });
+
+  it("keeps the token for the whole session", async () => {
+    const { agent, token } = await login();
+
+    const res = await agent.get("/csrf-token").expect(200);
+
+    expect(res.body.csrfToken).toBe(token);
+  });
+
+  it("rejects a request without a token", async () => {
+    const { agent } = await login();
+
+    const res = await agent.post("/change").expect(403);
+
+    expect(res.body.code).toBe("csrf_token_invalid");
+  });
+
+  it.each([
+    ["a token of another length", () => "short"],
+    ["another session's token", async () => (await login()).token],
+  ])("rejects a request with %s", async (name, getToken) => {
+    const { agent } = await login();
+
+    const res = await agent
+      .post("/change")
+      .set("X-CSRF-Token", await getToken())
+      .expect(403);
+
+    expect(res.body.code).toBe("csrf_token_invalid");
+  });
+
+  it("rejects a non-ASCII token as long as the session's", async () => {
+    const { agent, token } = await login();
+
+    // As many characters as the token, but twice as many bytes
+    const res = await agent
+      .post("/change")
+      .type("form")
+      .send({ _csrf: "é".repeat(token.length) })
+      .expect(403);
+
+    expect(res.body.code).toBe("csrf_token_invalid");
+  });
+
+  it("rejects a request from an untrusted origin", async () => {
+    const { agent, token } = await login();
+
+    const res = await agent
+      .post("/change")
+      .set("Origin", "https://evil.example.com")
+      .set("X-CSRF-Token", token)
+      .expect(403);
+
+    expect(res.body.code).toBe("csrf_origin_invalid");
+  });
+
+  it("falls back to the Referer without an Origin", async () => {
+    const { agent, token } = await login();
+
+    await agent
+      .post("/change")
+      .set("Referer", `${FRONTEND}/settings`)
+      .set("X-CSRF-Token", token)
+      .expect(200);
+    const res = await agent
+      .post("/change")
+      .set("Referer", "https://evil.example.com/page")
+      .set("X-CSRF-Token", token)
+      .expect(403);
+    expect(res.body.code).toBe("csrf_origin_invalid");
+  });
+
+  it("only checks the origin of routes that cannot carry a token", async () => {
+    const { agent } = await login();
+
+    await agent.get("/legacy-change").set("Origin", FRONTEND).expect(200);
+    await agent
+      .get("/legacy-change")
+      .set("Origin", "https://evil.example.com")
+      .expect(403);
+  });
+
+  it("does not check requests without a logged in session", async () => {
+    await request(app)
+      .post("/change")
+      .set("Origin", "https://evil.example.com")
+      .expect(200);
+  });
+
+  it("does nothing when disabled", async () => {
+    config.csrf.enabled = false;
+    const { agent } = await login();
+
+    await agent.post("/change").expect(200);
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * OpenID Connect discovery utilities
+ *
+ * Fetches and caches OpenID Provider metadata
+ * (/.well-known/openid-configuration) and JSON Web Key Sets
+ * so providers can be configured from an issuer URL alone.
+ */
+
+const axios = require("axios");
+const errors = require("./errors");
+
+// Discovery documents rarely change, keys rotate more often
+const DISCOVERY_TTL_MS = 24 * 60 * 60 * 1000; // 24 hours
+const JWKS_TTL_MS = 60 * 60 * 1000; // 1 hour
+// Tokens with made-up key IDs must not make us refetch on every request
+const JWKS_FORCED_REFRESH_INTERVAL_MS = 60 * 1000; // 1 minute
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+const jwksForcedRefreshes = new Map();
+
+/**
+ * Build the discovery document URL for an issuer
+ * @param {string} issuer - Issuer URL
+ * @returns {string} Discovery document URL
+ */
+const getDiscoveryUrl = (issuer) => {
+  return `${issuer.replace(/\/+$/, "")}/.well-known/openid-configuration`;
+};
+
+/**
+ * Read a value from a cache if it has not expired
+ * @param {Map} cache - Cache to read from
+ * @param {string} key - Cache key
+ * @returns {*} Cached value or null
+ */
+const readCache = (cache, key) => {
+  const entry = cache.get(key);
+  if (entry && entry.expiresAt > Date.now()) {
+    return entry.value;
+  }
+  return null;
+};
+
+/**
+ * Fetch the OpenID Provider metadata for an issuer
+ * @param {string} issuer - Issuer URL
+ * @param {Object} options - Options
+ * @param {boolean} options.force - Bypass the cache
+ * @returns {Promise<Object>} Discovery document
+ */
+const getDiscoveryDocument = async (issuer, options = {}) => {
+  if (!issuer) {
+    throw errors.createError(
+      "OpenID Connect issuer is not configured",
+      null,
+      500
+    );
+  }
+
+  const cached = !options.force && readCache(discoveryCache, issuer);
+  if (cached) {
+    return cached;
+  }
+
+  try {
+    const response = await axios.get(getDiscoveryUrl(issuer), {
+      headers: { Accept: "application/json" },
+    });
+    const document = response.data;
+
+    // The issuer in the document must match the configured issuer exactly
+    const normalizedIssuer = issuer.replace(/\/+$/, "");
+    if (
+      !document.issuer ||
+      document.issuer.replace(/\/+$/, "") !== normalizedIssuer
+    ) {
+      throw errors.createError(
+        "Discovery document issuer does not match configured issuer",
+        null,
+        500,
+        { expected: issuer, received: document.issuer }
+      );
+    }
+
+    ["authorization_endpoint", "token_endpoint", "jwks_uri"].forEach(
+      (field) => {
+        if (!document[field]) {
+          throw errors.createError(
+            `Discovery document is missing ${field}`,
+            null,
+            500,
+            { issuer }
+          );
+        }
+      }
+    );
+
+    discoveryCache.set(issuer, {
+      value: document,
+      expiresAt: Date.now() + DISCOVERY_TTL_MS,
+    });
+
+    return document;
+  } catch (err) {
+    // Pass on errors raised above; axios errors carry a status too
+    if (err.status && !axios.isAxiosError(err)) {
+      throw err;
+    }
+    throw errors.createError(
+      `Failed to fetch OpenID Connect discovery document for ${issuer}`,
+      err,
+      502
+    );
+  }
+};
+
+/**
+ * Fetch the JSON Web Key Set published at a URL
+ * @param {string} jwksUri - JWKS URL
+ * @param {Object} options - Options
+ * @param {boolean} options.force - Bypass the cache (e.g. on unknown key ID)
+ * @returns {Promise<Array<Object>>} List of JWKs
+ */
+const getJwks = async (jwksUri, options = {}) => {
+  const cached = !options.force && readCache(jwksCache, jwksUri);
+  if (cached) {
+    return cached;
+  }
+
+  try {
+    const response = await axios.get(jwksUri, {
+      headers: { Accept: "application/json" },
+    });
+    const keys = Array.isArray(response.data.keys) ? response.data.keys : [];
+
+    jwksCache.set(jwksUri, {
+      value: keys,
+      expiresAt: Date.now() + JWKS_TTL_MS,
+    });
+
+    return keys;
+  } catch (err) {
+    throw errors.createError(
+      `Failed to fetch signing keys from ${jwksUri}`,
+      err,
+      502
+    );
+  }
+};
+
+/**
+ * Find a signing key by key ID, refreshing the key set if unknown. Forced
+ * refreshes of a key set happen at most once per minute
+ * @param {string} jwksUri - JWKS URL
+ * @param {string} kid - Key ID from the JWT header
+ * @returns {Promise<Object|null>} Matching JWK or null
+ */
+const getSigningKey = async (jwksUri, kid) => {
+  const findKey = (keys) =>
+    keys.find((key) => (kid ? key.kid === kid : key.use !== "enc")) || null;
+
+  const key = findKey(await getJwks(jwksUri));
+  if (key) {
+    return key;
+  }
+
+  const lastRefresh = jwksForcedRefreshes.get(jwksUri) || 0;
+  if (Date.now() - lastRefresh < JWKS_FORCED_REFRESH_INTERVAL_MS) {
+    return null;
+  }
+  jwksForcedRefreshes.set(jwksUri, Date.now());
+
+  // The provider may have rotated its keys since we cached them
+  return findKey(await getJwks(jwksUri, { force: true }));
+};
+
+/**
+ * Clear cached discovery documents and key sets
+ */
+const clearCache = () => {
+  discoveryCache.clear();
+  jwksCache.clear();
+  jwksForcedRefreshes.clear();
+};
+
+module.exports = {
+  getDiscoveryUrl,
+  getDiscoveryDocument,
+  getJwks,
+  getSigningKey,
+  clearCache,
+};
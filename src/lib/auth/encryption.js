@@ -0,0 +1,217 @@
+/**
+ * Field-level encryption for secrets stored at rest
+ *
+ * Encrypts provider tokens with AES-256-GCM. Encrypted values carry the
+ * ID of the key that produced them ("enc:v1:<keyId>:<iv>:<tag>:<data>"),
+ * so several keys can be configured at once: new values always use the
+ * active key and older values keep decrypting until they are
+ * re-encrypted. Values without the prefix are treated as legacy
+ * plaintext and returned unchanged.
+ */
+
+const crypto = require("crypto");
+const config = require("../../config");
+const errors = require("./errors");
+const logger = require("./logger");
+
+const PREFIX = "enc:v1:";
+const ALGORITHM = "aes-256-gcm";
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+
+let keyring = null;
+let warnedUnconfigured = false;
+
+/**
+ * Parse configured keys ("keyId:base64Key" pairs)
+ * @param {string} value - Comma separated key list
+ * @returns {Map<string, Buffer>} Keys by ID
+ */
+const parseKeys = (value) => {
+  const keys = new Map();
+
+  (value || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .forEach((entry) => {
+      const separator = entry.indexOf(":");
+      const keyId = entry.slice(0, separator);
+      const key = Buffer.from(entry.slice(separator + 1), "base64");
+
+      if (separator < 1 || key.length !== KEY_LENGTH) {
+        throw errors.createError(
+          `Invalid token encryption key "${
+            keyId || entry
+          }"; expected keyId:base64 with a ${KEY_LENGTH}-byte key`,
+          null,
+          500
+        );
+      }
+      keys.set(keyId, key);
+    });
+
+  return keys;
+};
+
+/**
+ * Get the configured keyring, parsed again whenever the keys in the config
+ * change
+ * @returns {Object} { keys, activeKeyId }
+ */
+const getKeyring = () => {
+  const source = `${config.encryption.keys}|${config.encryption.activeKeyId}`;
+
+  if (!keyring || keyring.source !== source) {
+    const keys = parseKeys(config.encryption.keys);
+    const activeKeyId =
+      config.encryption.activeKeyId || Array.from(keys.keys())[0];
+
+    if (keys.size > 0 && !keys.has(activeKeyId)) {
+      throw errors.createError(
+        `Active token encryption key "${activeKeyId}" is not configured`,
+        null,
+        500
+      );
+    }
+
+    keyring = { keys, activeKeyId, source };
+  }
+  return keyring;
+};
+
+/**
+ * Check whether encryption keys are configured
+ * @returns {boolean} Whether values will be encrypted
+ */
+const isEnabled = () => {
+  return getKeyring().keys.size > 0;
+};
+
+/**
+ * Check whether a value is in the encrypted format
+ * @param {*} value - Stored value
+ * @returns {boolean} Whether the value is encrypted
+ */
+const isEncrypted = (value) => {
+  return typeof value === "string" && value.startsWith(PREFIX);
+};
+
+/**
+ * Get the ID of the key an encrypted value was produced with
+ * @param {string} value - Encrypted value
+ * @returns {string|null} Key ID, or null for plaintext
+ */
+const getKeyId = (value) => {
+  return isEncrypted(value) ? value.slice(PREFIX.length).split(":")[0] : null;
+};
+
+/**
+ * Check whether a stored value should be (re-)encrypted with the active key
+ * @param {*} value - Stored value
+ * @returns {boolean} Whether the value is plaintext or uses an old key
+ */
+const needsReEncryption = (value) => {
+  if (value === null || value === undefined || value === "") {
+    return false;
+  }
+  return isEnabled() && getKeyId(value) !== getKeyring().activeKeyId;
+};
+
+/**
+ * Encrypt a value with the active key
+ * @param {string} value - Plaintext value
+ * @returns {string} Encrypted value (unchanged if empty or already encrypted)
+ */
+const encrypt = (value) => {
+  if (value === null || value === undefined || value === "") {
+    return value;
+  }
+  if (isEncrypted(value)) {
+    return value;
+  }
+
+  const { keys, activeKeyId } = getKeyring();
+  if (keys.size === 0) {
+    if (!warnedUnconfigured) {
+      logger.warn(
+        "TOKEN_ENCRYPTION_KEYS is not set; provider tokens are stored unencrypted"
+      );
+      warnedUnconfigured = true;
+    }
+    return value;
+  }
+
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, keys.get(activeKeyId), iv);
+  const data = Buffer.concat([
+    cipher.update(String(value), "utf8"),
+    cipher.final(),
+  ]);
+
+  return [
+    `${PREFIX}${activeKeyId}`,
+    iv.toString("base64url"),
+    cipher.getAuthTag().toString("base64url"),
+    data.toString("base64url"),
+  ].join(":");
+};
+
+/**
+ * Decrypt a value produced by encrypt()
+ * @param {string} value - Stored value
+ * @returns {string} Plaintext value (legacy plaintext is returned unchanged)
+ */
+const decrypt = (value) => {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+
+  const [keyId, iv, tag, data] = value.slice(PREFIX.length).split(":");
+  const key = getKeyring().keys.get(keyId);
+  if (!key) {
+    throw errors.createError(
+      `Token encryption key "${keyId}" is not configured`,
+      null,
+      500,
+      { keyId }
+    );
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv(
+      ALGORITHM,
+      key,
+      Buffer.from(iv, "base64url")
+    );
+    decipher.setAuthTag(Buffer.from(tag, "base64url"));
+
+    return Buffer.concat([
+      decipher.update(Buffer.from(data, "base64url")),
+      decipher.final(),
+    ]).toString("utf8");
+  } catch (err) {
+    throw errors.createError("Failed to decrypt stored token", err, 500, {
+      keyId,
+    });
+  }
+};
+
+/**
+ * Re-encrypt a stored value with the active key
+ * @param {string} value - Stored value (plaintext or encrypted)
+ * @returns {string} Value encrypted with the active key
+ */
+const reEncrypt = (value) => {
+  return encrypt(decrypt(value));
+};
+
+module.exports = {
+  isEnabled,
+  isEncrypted,
+  getKeyId,
+  needsReEncryption,
+  encrypt,
+  decrypt,
+  reEncrypt,
+};
@@ -0,0 +1,138 @@
+const crypto = require("crypto");
+const config = require("../../config");
+const encryption = require("./encryption");
+const logger = require("./logger");
+
+/**
+ * Build a "keyId:base64Key" entry with a random key
+ * @param {string} keyId - Key ID
+ * @returns {string} Key list entry
+ */
+const createKey = (keyId) =>
+  `${keyId}:${crypto.randomBytes(32).toString("base64")}`;
+
+const KEY_1 = createKey("k1");
+const KEY_2 = createKey("k2");
+
+describe("token encryption", () => {
+  /**
+   * Configure the encryption keys
+   * @param {string} keys - Key list
+   * @param {string} activeKeyId - Active key ID
+   */
+  const setKeys = (keys, activeKeyId) => {
+    config.encryption.keys = keys;
+    config.encryption.activeKeyId = activeKeyId;
+  };
+
+  beforeEach(() => setKeys(KEY_1));
+
+  afterAll(() => setKeys(""));
+
+  it("encrypts with the active key and decrypts again", () => {
+    const value = encryption.encrypt("access-token");
+
+    expect(value).toMatch(/^enc:v1:k1:/);
+    expect(value).not.toContain("access-token");
+    expect(encryption.getKeyId(value)).toBe("k1");
+    expect(encryption.decrypt(value)).toBe("access-token");
+  });
+
+  it("uses a new IV for every value", () => {
+    expect(encryption.encrypt("access-token")).not.toBe(
+      encryption.encrypt("access-token")
+    );
+  });
+
+  it("leaves empty, encrypted and legacy plaintext values alone", () => {
+    const value = encryption.encrypt("access-token");
+
+    expect(encryption.encrypt(value)).toBe(value);
+    expect(encryption.encrypt(null)).toBeNull();
+    expect(encryption.decrypt("plain-token")).toBe("plain-token");
+    expect(encryption.getKeyId("plain-token")).toBeNull();
+  });
+
+  it("rejects a tampered value", () => {
+    const value = encryption.encrypt("access-token");
+    const tampered = `${value.slice(0, -2)}${
+      value.endsWith("AA") ? "BB" : "AA"
+    }`;
+
+    expect(() => encryption.decrypt(tampered)).toThrow(
+      "Failed to decrypt stored token"
+    );
+  });
+
+  it("stores values in plaintext without keys", () => {
+    jest.spyOn(logger, "warn").mockImplementation(() => {});
+    setKeys("");
+
+    expect(encryption.isEnabled()).toBe(false);
+    expect(encryption.encrypt("access-token")).toBe("access-token");
+    expect(encryption.needsReEncryption("access-token")).toBe(false);
+  });
+
+  it("rotates to a new active key while old values keep decrypting", () => {
+    const old = encryption.encrypt("access-token");
+
+    setKeys(`${KEY_1},${KEY_2}`, "k2");
+
+    expect(encryption.decrypt(old)).toBe("access-token");
+    expect(encryption.getKeyId(encryption.encrypt("new-token"))).toBe("k2");
+    expect(encryption.needsReEncryption(old)).toBe(true);
+
+    const rotated = encryption.reEncrypt(old);
+    expect(encryption.getKeyId(rotated)).toBe("k2");
+    expect(encryption.needsReEncryption(rotated)).toBe(false);
+
+    // Once the old key is removed only re-encrypted values can be read
+    setKeys(KEY_2);
+    expect(encryption.decrypt(rotated)).toBe("access-token");
+    expect(() => encryption.decrypt(old)).toThrow(
+      'Token encryption key "k1" is not configured'
+    );
+  });
+
+  it("marks plaintext values for encryption", () => {
+    expect(encryption.needsReEncryption("plain-token")).toBe(true);
+    expect(encryption.getKeyId(encryption.reEncrypt("plain-token"))).toBe("k1");
+  });
+
+  it("rejects an invalid key", () => {
+    setKeys("k1:c2hvcnQ=");
+
+    expect(() => encryption.encrypt("access-token")).toThrow(
+      'Invalid token encryption key "k1"'
+    );
+  });
+
+  it("rejects an active key that is not configured", () => {
+    setKeys(KEY_1, "k3");
+
+    expect(() => encryption.encrypt("access-token")).toThrow(
+      'Active token encryption key "k3" is not configured'
+    );
+  });
+
+  it("encrypts the provider tokens of users", () => {
+    const User = require("../../models/User");
+    const user = new User({
+      name: "Ada",
+      email: "ada@example.com",
+      providers: [
+        {
+          provider: "github",
+          providerId: "gh-1",
+          accessToken: "access-token",
+          refreshToken: "refresh-token",
+        },
+      ],
+    });
+    const stored = user.toObject({ getters: false }).providers[0];
+
+    expect(encryption.getKeyId(stored.accessToken)).toBe("k1");
+    expect(encryption.getKeyId(stored.refreshToken)).toBe("k1");
+    expect(user.providers[0].accessToken).toBe("access-token");
+  });
+});
@@ -2,66 +2,115 @@
  * Authentication error handling utilities
  *
  * Provides a consistent way to create, format, and handle
- * authentication-related errors across the application.
+ * authentication-related errors across the application. Every error a
+ * client can act on carries a stable, machine-readable code from the
+ * taxonomy below, and every code maps to one HTTP status.
  */
 
+const logger = require("./logger");
+
 /**
  * Create a standardized error object
  * @param {string} message - Main error message
  * @param {Error} originalError - Original error (if any)
- * @param {number} status - HTTP status code
+ * @param {number} status - HTTP status code (defaults to the original
+ *   error's status, then 500)
  * @param {Object} details - Additional error details
  * @returns {Error} Formatted error object
  */
 const createError = (
   message,
   originalError = null,
-  status = 500,
+  status = null,
   details = {}
 ) => {
   const error = new Error(message);
-  error.status = status;
+  error.status = status || (originalError && originalError.status) || 500;
   error.details = details;
 
   if (originalError) {
     error.originalError = originalError;
     error.stack = originalError.stack;
 
-    // If original error has status/details, use those if not provided
-    if (!status && originalError.status) {
-      error.status = originalError.status;
-    }
-
+    // If original error has details, use those if not provided
     if (Object.keys(details).length === 0 && originalError.details) {
       error.details = originalError.details;
     }
+
+    // Keep the machine-readable code when wrapping a coded error
+    if (ERROR_STATUSES[originalError.code]) {
+      error.code = originalError.code;
+    }
   }
 
   return error;
 };
 
 /**
- * Handle authentication errors in routes
- * @param {Error} err - Error to handle
- * @param {Object} res - Express response object
- * @param {boolean} isDevelopment - Whether app is in development mode
+ * Create an error carrying a machine-readable error code
+ * @param {string} code - Stable error code clients can act on
+ * @param {string} message - Main error message
+ * @param {number} status - HTTP status code (defaults to the code's status)
+ * @param {Object} details - Additional error details
+ * @param {Error} originalError - Original error (if any)
+ * @returns {Error} Formatted error object with a `code` property
+ */
+const createCodedError = (
+  code,
+  message,
+  status = getErrorStatus(code),
+  details = {},
+  originalError = null
+) => {
+  const error = createError(message, originalError, status, details);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Create an ID token validation error
+ * @param {string} code - One of ID_TOKEN_ERRORS
+ * @param {string} message - Main error message
+ * @param {Error} originalError - Original error (if any)
+ * @param {Object} details - Additional error details
+ * @returns {Error} Error with name "IdTokenError" and a `code` property
  */
-const handleAuthError = (
-  err,
-  res,
-  isDevelopment = process.env.NODE_ENV === "development"
+const createIdTokenError = (
+  code,
+  message,
+  originalError = null,
+  details = {}
 ) => {
-  console.error("Auth Error:", err);
+  const error = createError(message, originalError, 401, details);
+  error.name = "IdTokenError";
+  error.code = code;
+  return error;
+};
 
+/**
+ * Handle authentication errors in routes. The stack trace is only logged,
+ * never sent to the client
+ * @param {Error} err - Error to handle
+ * @param {Object} res - Express response object
+ */
+const handleAuthError = (err, res) => {
   const statusCode = err.status || 500;
+
+  logger[statusCode >= 500 ? "error" : "warn"]("Auth request failed", {
+    req: res.req,
+    err,
+  });
+
   const message = err.message || "Internal server error";
-  const details = err.details || {};
+  // The message and details of server errors may describe internals,
+  // e.g. a provider's response, so they are not sent
+  const details = statusCode < 500 && err.details ? err.details : {};
 
-  // Only include stack trace in development
   const errorResponse = {
-    error: statusCode === 500 ? "Internal server error" : message,
+    error: statusCode >= 500 ? "Internal server error" : message,
+    code: getErrorCode(err),
+    correlationId: res.req && res.req.correlationId,
     details: Object.keys(details).length > 0 ? details : undefined,
-    message: isDevelopment ? err.stack : undefined,
   };
 
   res.status(statusCode).json(errorResponse);
@@ -78,54 +127,272 @@ const OAUTH_ERRORS = {
   INVALID_SCOPE: "invalid_scope",
   SERVER_ERROR: "server_error",
   TEMPORARILY_UNAVAILABLE: "temporarily_unavailable",
+  INVALID_GRANT: "invalid_grant",
+  INVALID_CLIENT: "invalid_client",
+};
+
+/**
+ * General authentication and account errors
+ */
+const AUTH_ERRORS = {
+  NOT_AUTHENTICATED: "not_authenticated",
+  FORBIDDEN: "forbidden",
+  PROVIDER_NOT_FOUND: "provider_not_found",
+  PROVIDER_NOT_CONFIGURED: "provider_not_configured",
+  PROVIDER_UNAVAILABLE: "provider_unavailable",
+  PROVIDER_ERROR: "provider_error",
+  ACCOUNT_LINKED_TO_OTHER_USER: "account_linked_to_other_user",
+  LAST_LOGIN_METHOD: "last_login_method",
+  USER_NOT_FOUND: "user_not_found",
+  SESSION_NOT_FOUND: "session_not_found",
+  ACTION_REJECTED: "action_rejected",
+  RATE_LIMITED: "rate_limited",
+  LOCKED_OUT: "locked_out",
+  INTERNAL_ERROR: "internal_error",
+};
+
+/**
+ * OAuth state verification errors
+ */
+const STATE_ERRORS = {
+  MISSING: "state_missing",
+  INVALID: "state_invalid",
+  EXPIRED: "state_expired",
+  REPLAYED: "state_replayed",
+};
+
+/**
+ * ID token validation errors
+ */
+const ID_TOKEN_ERRORS = {
+  MISSING: "id_token_missing",
+  MALFORMED: "id_token_malformed",
+  UNSUPPORTED_ALGORITHM: "id_token_unsupported_algorithm",
+  UNKNOWN_KEY: "id_token_unknown_key",
+  INVALID_SIGNATURE: "id_token_invalid_signature",
+  INVALID_ISSUER: "id_token_invalid_issuer",
+  INVALID_AUDIENCE: "id_token_invalid_audience",
+  EXPIRED: "id_token_expired",
+  INVALID_ISSUED_AT: "id_token_invalid_iat",
+  INVALID_NONCE: "id_token_invalid_nonce",
+  SUBJECT_MISMATCH: "id_token_subject_mismatch",
+};
+
+/**
+ * Linked provider token errors
+ */
+const TOKEN_ERRORS = {
+  NOT_LINKED: "provider_not_linked",
+  RECONSENT_REQUIRED: "provider_reconsent_required",
+  REFRESH_FAILED: "token_refresh_failed",
 };
 
 /**
- * Provider error handling with provider-specific logic
+ * First-party access and refresh token errors
+ */
+const AUTH_TOKEN_ERRORS = {
+  DISABLED: "token_mode_disabled",
+  INVALID: "access_token_invalid",
+  EXPIRED: "access_token_expired",
+  INVALID_REFRESH_TOKEN: "refresh_token_invalid",
+  REFRESH_TOKEN_REUSED: "refresh_token_reused",
+  INVALID_CODE: "login_code_invalid",
+};
+
+/**
+ * Native/mobile app login errors
+ */
+const MOBILE_ERRORS = {
+  UNKNOWN_CLIENT: "mobile_client_unknown",
+  INVALID_REDIRECT_URI: "mobile_redirect_uri_invalid",
+  CODE_CHALLENGE_REQUIRED: "mobile_code_challenge_required",
+  INVALID_CODE: "mobile_code_invalid",
+  INVALID_CODE_VERIFIER: "mobile_code_verifier_invalid",
+};
+
+/**
+ * Redirect target errors
+ */
+const REDIRECT_ERRORS = {
+  INVALID_RETURN_TO: "return_to_invalid",
+};
+
+/**
+ * Cross-site request forgery protection errors
+ */
+const CSRF_ERRORS = {
+  INVALID_TOKEN: "csrf_token_invalid",
+  INVALID_ORIGIN: "csrf_origin_invalid",
+};
+
+/**
+ * Map every code of an error group to the same HTTP status
+ * @param {Object} group - Error code group
+ * @param {number} status - HTTP status code
+ * @returns {Object} Status keyed by code
+ */
+const withStatus = (group, status) => {
+  return Object.values(group).reduce(
+    (statuses, code) => ({ ...statuses, [code]: status }),
+    {}
+  );
+};
+
+/**
+ * HTTP status of every error code
+ */
+const ERROR_STATUSES = {
+  ...withStatus(STATE_ERRORS, 400),
+  ...withStatus(ID_TOKEN_ERRORS, 401),
+  ...withStatus(MOBILE_ERRORS, 400),
+  ...withStatus(REDIRECT_ERRORS, 400),
+  ...withStatus(CSRF_ERRORS, 403),
+  [OAUTH_ERRORS.ACCESS_DENIED]: 401,
+  [OAUTH_ERRORS.INVALID_REQUEST]: 400,
+  [OAUTH_ERRORS.UNAUTHORIZED_CLIENT]: 500,
+  [OAUTH_ERRORS.UNSUPPORTED_RESPONSE_TYPE]: 500,
+  [OAUTH_ERRORS.INVALID_SCOPE]: 400,
+  [OAUTH_ERRORS.SERVER_ERROR]: 502,
+  [OAUTH_ERRORS.TEMPORARILY_UNAVAILABLE]: 503,
+  [OAUTH_ERRORS.INVALID_GRANT]: 400,
+  [OAUTH_ERRORS.INVALID_CLIENT]: 500,
+  [AUTH_ERRORS.NOT_AUTHENTICATED]: 401,
+  [AUTH_ERRORS.FORBIDDEN]: 403,
+  [AUTH_ERRORS.PROVIDER_NOT_FOUND]: 404,
+  [AUTH_ERRORS.PROVIDER_NOT_CONFIGURED]: 404,
+  [AUTH_ERRORS.PROVIDER_UNAVAILABLE]: 502,
+  [AUTH_ERRORS.PROVIDER_ERROR]: 400,
+  [AUTH_ERRORS.ACCOUNT_LINKED_TO_OTHER_USER]: 409,
+  [AUTH_ERRORS.LAST_LOGIN_METHOD]: 400,
+  [AUTH_ERRORS.USER_NOT_FOUND]: 404,
+  [AUTH_ERRORS.SESSION_NOT_FOUND]: 404,
+  [AUTH_ERRORS.ACTION_REJECTED]: 403,
+  [AUTH_ERRORS.RATE_LIMITED]: 429,
+  [AUTH_ERRORS.LOCKED_OUT]: 429,
+  [AUTH_ERRORS.INTERNAL_ERROR]: 500,
+  [TOKEN_ERRORS.NOT_LINKED]: 404,
+  [TOKEN_ERRORS.RECONSENT_REQUIRED]: 401,
+  [TOKEN_ERRORS.REFRESH_FAILED]: 502,
+  [AUTH_TOKEN_ERRORS.DISABLED]: 404,
+  [AUTH_TOKEN_ERRORS.INVALID]: 401,
+  [AUTH_TOKEN_ERRORS.EXPIRED]: 401,
+  [AUTH_TOKEN_ERRORS.INVALID_REFRESH_TOKEN]: 401,
+  [AUTH_TOKEN_ERRORS.REFRESH_TOKEN_REUSED]: 401,
+  [AUTH_TOKEN_ERRORS.INVALID_CODE]: 400,
+};
+
+// Provider specific error values meaning the user cancelled the login
+const CANCELLED_ERRORS = ["user_cancelled_login", "user_cancelled_authorize"];
+
+/**
+ * Get the HTTP status of an error code
+ * @param {string} code - Error code
+ * @returns {number} HTTP status code
+ */
+const getErrorStatus = (code) => {
+  return ERROR_STATUSES[code] || 400;
+};
+
+/**
+ * Get the machine-readable code to report for any error
+ * @param {Error} err - Error
+ * @returns {string} Error code from the taxonomy
+ */
+const getErrorCode = (err) => {
+  if (err && ERROR_STATUSES[err.code]) {
+    return err.code;
+  }
+
+  const status = (err && err.status) || 500;
+  if (status === 401) {
+    return AUTH_ERRORS.NOT_AUTHENTICATED;
+  }
+  return status < 500
+    ? OAUTH_ERRORS.INVALID_REQUEST
+    : AUTH_ERRORS.INTERNAL_ERROR;
+};
+
+/**
+ * Map an error value returned by a provider onto the taxonomy
+ * @param {string} error - "error" value from the provider
+ * @returns {string} Error code
+ */
+const normalizeProviderErrorCode = (error) => {
+  if (CANCELLED_ERRORS.includes(error)) {
+    return OAUTH_ERRORS.ACCESS_DENIED;
+  }
+  return Object.values(OAUTH_ERRORS).includes(error)
+    ? error
+    : AUTH_ERRORS.PROVIDER_ERROR;
+};
+
+/**
+ * Convert a failed provider API or token request into a coded error
  * @param {Error} err - Error to handle
  * @param {string} provider - OAuth provider name
  * @returns {Error} Standardized error
  */
 const handleProviderError = (err, provider) => {
-  // LinkedIn specific error handling
-  if (provider === "linkedin") {
-    // Handle LinkedIn specific errors
-    if (err.response && err.response.data) {
-      const data = err.response.data;
-      if (data.error === "invalid_request" && data.error_description) {
-        return createError(data.error_description, err, 400);
-      }
-    }
-  }
+  const response = err.response;
 
-  // Microsoft specific error handling
-  if (provider === "microsoft") {
-    // Handle Microsoft specific errors
-    if (err.response && err.response.data) {
-      const data = err.response.data;
-      if (data.error_description) {
-        return createError(data.error_description, err, 400);
-      }
-    }
+  // Not an HTTP error at all, e.g. a bug in profile normalization
+  if (!response && !err.request) {
+    return createCodedError(
+      AUTH_ERRORS.INTERNAL_ERROR,
+      `Error during ${provider} authentication`,
+      500,
+      { provider },
+      err
+    );
   }
 
-  // Default error handling for all providers
-  if (err.response && err.response.data) {
-    const data = err.response.data;
-    if (data.error_description) {
-      return createError(data.error_description, err, 400);
-    } else if (data.error) {
-      return createError(`${provider} OAuth error: ${data.error}`, err, 400);
-    }
+  // Network failures and provider outages
+  if (!response || response.status >= 500) {
+    return createCodedError(
+      AUTH_ERRORS.PROVIDER_UNAVAILABLE,
+      `${provider} is unavailable`,
+      502,
+      { provider },
+      err
+    );
   }
 
-  // Generic error
-  return createError(`Error during ${provider} authentication`, err, 500);
+  // The provider rejected the request; Graph-style APIs nest the error
+  const data = response.data || {};
+  const error = typeof data.error === "string" ? data.error : undefined;
+  const description =
+    data.error_description ||
+    (data.error && data.error.message) ||
+    (error
+      ? `${provider} OAuth error: ${error}`
+      : `${provider} rejected the request`);
+
+  return createCodedError(
+    normalizeProviderErrorCode(error),
+    description,
+    400,
+    { provider, providerError: error },
+    err
+  );
 };
 
 module.exports = {
   createError,
+  createCodedError,
+  createIdTokenError,
   handleAuthError,
   handleProviderError,
+  getErrorStatus,
+  getErrorCode,
+  normalizeProviderErrorCode,
+  ERROR_STATUSES,
   OAUTH_ERRORS,
+  AUTH_ERRORS,
+  STATE_ERRORS,
+  ID_TOKEN_ERRORS,
+  TOKEN_ERRORS,
+  AUTH_TOKEN_ERRORS,
+  MOBILE_ERRORS,
+  REDIRECT_ERRORS,
+  CSRF_ERRORS,
 };
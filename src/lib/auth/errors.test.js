@@ -0,0 +1,277 @@
+const request = require("supertest");
+const { mockModels } = require("../../../test/memoryModels");
+const { startStubIssuer } = require("../../../test/stubIssuer");
+const { useStubIssuer, createApp } = require("../../../test/app");
+
+/**
+ * Build a response stand-in recording what is sent
+ * @returns {Object} Response
+ */
+const createResponse = () => {
+  const res = { req: { correlationId: "corr-1" } };
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe("errors", () => {
+  let issuer;
+  let errors;
+  let logger;
+
+  beforeAll(async () => {
+    issuer = await startStubIssuer();
+    useStubIssuer(issuer);
+    errors = require("./errors");
+    logger = require("./logger");
+  });
+
+  afterAll(() => issuer.close());
+
+  describe("taxonomy", () => {
+    it.each([
+      ["not_authenticated", 401],
+      ["provider_not_found", 404],
+      ["account_linked_to_other_user", 409],
+      ["provider_unavailable", 502],
+      ["state_invalid", 400],
+      ["id_token_expired", 401],
+      ["login_code_invalid", 400],
+      ["an_unknown_code", 400],
+    ])("maps %s to %i", (code, status) => {
+      expect(errors.getErrorStatus(code)).toBe(status);
+    });
+
+    it("reports a code for errors created without one", () => {
+      expect(errors.getErrorCode(errors.createError("x", null, 401))).toBe(
+        "not_authenticated"
+      );
+      expect(errors.getErrorCode(errors.createError("x", null, 404))).toBe(
+        "invalid_request"
+      );
+      expect(errors.getErrorCode(new Error("boom"))).toBe("internal_error");
+      expect(
+        errors.getErrorCode(
+          Object.assign(new Error("x"), { code: "ECONNRESET" })
+        )
+      ).toBe("internal_error");
+    });
+
+    it("normalizes provider error values", () => {
+      expect(errors.normalizeProviderErrorCode("access_denied")).toBe(
+        "access_denied"
+      );
+      expect(errors.normalizeProviderErrorCode("user_cancelled_login")).toBe(
+        "access_denied"
+      );
+      expect(errors.normalizeProviderErrorCode("something_else")).toBe(
+        "provider_error"
+      );
+    });
+  });
+
+  describe("createError", () => {
+    it("takes the status and code of the error it wraps", () => {
+      const original = errors.createCodedError(
+        errors.AUTH_ERRORS.SESSION_NOT_FOUND,
+        "Session not found"
+      );
+
+      const wrapped = errors.createError("Session update failed", original);
+
+      expect(wrapped).toMatchObject({
+        status: 404,
+        code: "session_not_found",
+        originalError: original,
+      });
+    });
+
+    it("defaults to 500, and an explicit status wins", () => {
+      expect(errors.createError("boom").status).toBe(500);
+      expect(errors.createError("boom", new Error("cause")).status).toBe(500);
+      expect(
+        errors.createError("bad", errors.createError("x", null, 404), 400)
+          .status
+      ).toBe(400);
+    });
+
+    it("defaults a coded error's status from the taxonomy", () => {
+      expect(
+        errors.createCodedError(errors.AUTH_ERRORS.LAST_LOGIN_METHOD, "x")
+      ).toMatchObject({ status: 400, code: "last_login_method" });
+    });
+  });
+
+  describe("handleProviderError", () => {
+    it.each([
+      [
+        "a provider rejection",
+        { response: { status: 400, data: { error: "invalid_grant" } } },
+        { code: "invalid_grant", status: 400 },
+      ],
+      [
+        "a Graph style error",
+        {
+          response: {
+            status: 401,
+            data: { error: { code: "InvalidAuthenticationToken" } },
+          },
+        },
+        { code: "provider_error", status: 400 },
+      ],
+      [
+        "a provider outage",
+        { response: { status: 503, data: {} } },
+        { code: "provider_unavailable", status: 502 },
+      ],
+      [
+        "a network failure",
+        { request: {} },
+        { code: "provider_unavailable", status: 502 },
+      ],
+      ["a bug", {}, { code: "internal_error", status: 500 }],
+    ])("maps %s", (name, fields, expected) => {
+      const err = Object.assign(new Error("request failed"), fields);
+
+      expect(errors.handleProviderError(err, "google")).toMatchObject(expected);
+    });
+  });
+
+  describe("handleAuthError", () => {
+    beforeEach(() => {
+      jest.spyOn(logger, "error").mockImplementation(() => {});
+      jest.spyOn(logger, "warn").mockImplementation(() => {});
+    });
+
+    it("sends the code, message, details and correlation ID", () => {
+      const res = createResponse();
+
+      errors.handleAuthError(
+        errors.createCodedError(
+          errors.REDIRECT_ERRORS.INVALID_RETURN_TO,
+          "returnTo origin is not allowed",
+          400,
+          { returnTo: "https://evil.example.com" }
+        ),
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        error: "returnTo origin is not allowed",
+        code: "return_to_invalid",
+        correlationId: "corr-1",
+        details: { returnTo: "https://evil.example.com" },
+      });
+    });
+
+    it.each([500, 502])(
+      "keeps the message and details of a %i out of the response",
+      (status) => {
+        const res = createResponse();
+
+        errors.handleAuthError(
+          errors.createCodedError(
+            errors.AUTH_ERRORS.PROVIDER_UNAVAILABLE,
+            "google is unavailable",
+            status,
+            { providerError: "upstream said something internal" }
+          ),
+          res
+        );
+
+        expect(res.status).toHaveBeenCalledWith(status);
+        expect(res.json).toHaveBeenCalledWith({
+          error: "Internal server error",
+          code: "provider_unavailable",
+          correlationId: "corr-1",
+          details: undefined,
+        });
+      }
+    );
+
+    it("logs the error with its stack but never sends the stack", () => {
+      const res = createResponse();
+      const err = new Error("database down");
+
+      errors.handleAuthError(err, res);
+
+      expect(logger.error).toHaveBeenCalledWith("Auth request failed", {
+        req: res.req,
+        err,
+      });
+      expect(res.json).toHaveBeenCalledWith({
+        error: "Internal server error",
+        code: "internal_error",
+        correlationId: "corr-1",
+        details: undefined,
+      });
+    });
+  });
+
+  describe("through the routes", () => {
+    let app;
+
+    beforeAll(() => {
+      app = createApp();
+    });
+
+    beforeEach(() => {
+      mockModels();
+      jest.spyOn(logger, "error").mockImplementation(() => {});
+      jest.spyOn(logger, "warn").mockImplementation(() => {});
+    });
+
+    it("reports API errors with a code and the correlation ID", async () => {
+      const res = await request(app).get("/auth/user").expect(401);
+
+      expect(res.body).toMatchObject({
+        code: "not_authenticated",
+        correlationId: res.headers["x-correlation-id"],
+      });
+      expect(res.headers["x-correlation-id"]).toEqual(expect.any(String));
+    });
+
+    it("reports an unknown provider with its code", async () => {
+      const res = await request(app).get("/auth/nope").expect(404);
+
+      expect(res.body.code).toBe("provider_not_found");
+    });
+
+    it("adds the error code to the failure redirect", async () => {
+      const agent = request.agent(app);
+      const start = await agent.get("/auth/oidc").expect(302);
+      const { state } = issuer.authorize(start.headers.location);
+
+      const res = await agent
+        .get("/auth/oidc/callback")
+        .query({ error: "user_cancelled_login", state })
+        .expect(302);
+      const location = new URL(res.headers.location);
+
+      expect(location.pathname).toBe("/auth/failure");
+      expect(location.searchParams.get("error")).toBe("access_denied");
+      expect(location.searchParams.get("correlation_id")).toBe(
+        res.headers["x-correlation-id"]
+      );
+    });
+
+    it("sends a failed returnTo flow back there, before its fragment", async () => {
+      const agent = request.agent(app);
+      const start = await agent
+        .get("/auth/oidc")
+        .query({ returnTo: "/projects/42#files" })
+        .expect(302);
+      const { state } = issuer.authorize(start.headers.location);
+
+      const res = await agent
+        .get("/auth/oidc/callback")
+        .query({ code: "not-issued", state })
+        .expect(302);
+
+      expect(res.headers.location).toMatch(
+        /\/projects\/42\?error=invalid_grant&correlation_id=[\w-]+#files$/
+      );
+    });
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Session fingerprinting
+ *
+ * Optionally binds a logged in session to a hash of properties of the
+ * client that created it (by default its user agent). A session cookie
+ * replayed from a different client no longer matches, and the mismatch
+ * is handled according to the configured policy.
+ */
+
+const crypto = require("crypto");
+const config = require("../../config");
+const logger = require("./logger");
+
+const POLICIES = ["off", "log", "logout"];
+
+/**
+ * Read a fingerprint field from the request
+ * @param {Object} req - Express request object
+ * @param {string} field - Header name or "ip"
+ * @returns {string} Field value
+ */
+const getFieldValue = (req, field) => {
+  if (field === "ip") {
+    return req.ip || "";
+  }
+  return req.get(field) || "";
+};
+
+/**
+ * Compute the fingerprint of the client making a request
+ * @param {Object} req - Express request object
+ * @param {Array<string>} fields - Fields to include
+ * @returns {string} SHA-256 hash of the fields
+ */
+const compute = (req, fields = config.session.fingerprintFields) => {
+  const material = fields
+    .map((field) => `${field}=${getFieldValue(req, field)}`)
+    .join("\n");
+
+  return crypto.createHash("sha256").update(material).digest("base64url");
+};
+
+/**
+ * Check whether fingerprinting is enabled
+ * @returns {boolean} Whether sessions are bound to a fingerprint
+ */
+const isEnabled = () => {
+  return config.session.fingerprintPolicy !== "off";
+};
+
+/**
+ * Check the request against the fingerprint stored with the session
+ * @param {Object} req - Express request object with an authenticated session
+ * @returns {boolean} Whether the session may still be used
+ */
+const check = (req) => {
+  if (!isEnabled()) {
+    return true;
+  }
+
+  const current = compute(req);
+
+  // Sessions created before fingerprinting was enabled are bound on first use
+  if (!req.session.auth.fingerprint) {
+    req.session.auth.fingerprint = current;
+    return true;
+  }
+
+  if (req.session.auth.fingerprint === current) {
+    return true;
+  }
+
+  logger.warn("Session fingerprint mismatch", {
+    req,
+    policy: config.session.fingerprintPolicy,
+  });
+  return config.session.fingerprintPolicy !== "logout";
+};
+
+module.exports = {
+  POLICIES,
+  compute,
+  isEnabled,
+  check,
+};
@@ -0,0 +1,257 @@
+/**
+ * Liveness, readiness and draining
+ *
+ * Liveness only says the process is up. Readiness runs named checks
+ * (MongoDB, the session store, provider configuration and any registered
+ * with `registerCheck`) and fails while the server is shutting down, so
+ * load balancers stop sending it new logins. Only the readiness itself is
+ * public; the result of each check names the app's dependencies and
+ * providers, so it is shown with the debug flag or the readiness token
+ * only. OAuth callbacks in progress are counted so shutdown can wait for
+ * them to finish.
+ */
+
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const config = require("../../config");
+const errors = require("./errors");
+const logger = require("./logger");
+const registry = require("./registry");
+const sessionStore = require("./sessionStore");
+
+const checks = new Map();
+const drainWaiters = [];
+let inFlight = 0;
+let shuttingDown = false;
+
+/**
+ * Register a readiness check
+ * @param {string} name - Check name reported by /readyz
+ * @param {Function} check - async () => details; throws when not ready
+ */
+const registerCheck = (name, check) => {
+  if (typeof check !== "function") {
+    throw errors.createError(
+      `Readiness check "${name}" must be a function`,
+      null,
+      500
+    );
+  }
+  checks.set(name, check);
+};
+
+// The database every model uses
+registerCheck("mongo", async () => {
+  if (mongoose.connection.readyState !== 1) {
+    throw errors.createError("MongoDB is not connected", null, 503);
+  }
+  await mongoose.connection.db.admin().ping();
+});
+
+// Any express-session store can be asked for a session that does not exist
+registerCheck("sessionStore", async () => {
+  const store = sessionStore.getActiveStore();
+  if (!store) {
+    throw errors.createError("Session store is not created", null, 503);
+  }
+
+  await new Promise((resolve, reject) => {
+    store.get("readiness-check", (err) => (err ? reject(err) : resolve()));
+  });
+});
+
+// At least one provider must be usable, and none may fail its own check
+registerCheck("providers", async () => {
+  const configured = [];
+  const invalid = [];
+
+  await Promise.all(
+    registry.getNames().map(async (name) => {
+      try {
+        if (await registry.getEntry(name).isConfigured()) {
+          configured.push(name);
+        }
+      } catch (err) {
+        logger.warn(`Invalid ${name} provider configuration`, { err });
+        invalid.push(name);
+      }
+    })
+  );
+
+  if (configured.length === 0 || invalid.length > 0) {
+    throw errors.createError("Provider configuration is invalid", null, 503, {
+      configured,
+      invalid,
+    });
+  }
+  return { configured };
+});
+
+/**
+ * Run a check, failing it if it takes too long
+ * @param {string} name - Check name
+ * @param {Function} check - Check function
+ * @returns {Promise<Object>} { status: "ok" | "fail", ...details }
+ */
+const runCheck = async (name, check) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(
+      () => reject(errors.createError(`${name} check timed out`, null, 503)),
+      config.server.healthCheckTimeout
+    );
+  });
+
+  try {
+    const details = await Promise.race([check(), timeout]);
+    return { status: "ok", ...details };
+  } catch (err) {
+    logger.warn(`Readiness check ${name} failed`, { err });
+    return { status: "fail", ...err.details };
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+/**
+ * Run every readiness check
+ * @returns {Promise<Object>} { ready, checks } with each check's result
+ */
+const checkReadiness = async () => {
+  const names = Array.from(checks.keys());
+  const results = await Promise.all(
+    names.map((name) => runCheck(name, checks.get(name)))
+  );
+
+  return {
+    ready: results.every((result) => result.status === "ok"),
+    checks: names.reduce((byName, name, index) => {
+      byName[name] = results[index];
+      return byName;
+    }, {}),
+  };
+};
+
+/**
+ * Check whether a request may see the result of each readiness check
+ * @param {Object} req - Express request object
+ * @returns {boolean} Whether READINESS_DETAILS is on or the request sends
+ *   the readiness token
+ */
+const canSeeChecks = (req) => {
+  if (config.server.readinessDetails) {
+    return true;
+  }
+  if (!config.server.readinessToken) {
+    return false;
+  }
+
+  const expected = Buffer.from(`Bearer ${config.server.readinessToken}`);
+  const actual = Buffer.from(req.get("authorization") || "");
+  return (
+    actual.length === expected.length &&
+    crypto.timingSafeEqual(actual, expected)
+  );
+};
+
+/**
+ * Create the liveness route handler
+ * @returns {Function} Express middleware
+ */
+const liveness = () => (req, res) => {
+  res.set("Cache-Control", "no-store");
+  res.json({ status: "ok" });
+};
+
+/**
+ * Create the readiness route handler
+ * @returns {Function} Express middleware
+ */
+const readiness = () => async (req, res, next) => {
+  try {
+    res.set("Cache-Control", "no-store");
+    if (shuttingDown) {
+      return res.status(503).json({ ready: false, shuttingDown: true });
+    }
+
+    const result = await checkReadiness();
+    res
+      .status(result.ready ? 200 : 503)
+      .json(canSeeChecks(req) ? result : { ready: result.ready });
+  } catch (err) {
+    next(errors.createError("Readiness check failed", err, 500));
+  }
+};
+
+/**
+ * Resolve the drain waiters once nothing is in flight
+ */
+const notifyDrained = () => {
+  if (inFlight === 0) {
+    drainWaiters.splice(0).forEach((resolve) => resolve(true));
+  }
+};
+
+/**
+ * Create middleware counting a request as in flight until its response
+ * is sent or the client goes away
+ * @returns {Function} Express middleware
+ */
+const trackInFlight = () => (req, res, next) => {
+  inFlight += 1;
+
+  let done = false;
+  const finish = () => {
+    if (!done) {
+      done = true;
+      inFlight -= 1;
+      notifyDrained();
+    }
+  };
+  res.on("finish", finish);
+  res.on("close", finish);
+
+  next();
+};
+
+/**
+ * Fail readiness from now on; called when the server starts shutting down
+ */
+const markShuttingDown = () => {
+  shuttingDown = true;
+};
+
+/**
+ * Wait for the tracked requests to finish
+ * @param {number} timeout - Milliseconds to wait at most
+ * @returns {Promise<boolean>} Whether every request finished in time
+ */
+const drain = (timeout) => {
+  if (inFlight === 0) {
+    return Promise.resolve(true);
+  }
+
+  return new Promise((resolve) => {
+    let timer;
+    const waiter = (drained) => {
+      clearTimeout(timer);
+      resolve(drained);
+    };
+
+    timer = setTimeout(() => {
+      drainWaiters.splice(drainWaiters.indexOf(waiter), 1);
+      resolve(false);
+    }, timeout);
+    drainWaiters.push(waiter);
+  });
+};
+
+module.exports = {
+  registerCheck,
+  checkReadiness,
+  liveness,
+  readiness,
+  trackInFlight,
+  markShuttingDown,
+  drain,
+};
@@ -0,0 +1,170 @@
+const express = require("express");
+const request = require("supertest");
+const { startStubIssuer } = require("../../../test/stubIssuer");
+const { useStubIssuer, createApp } = require("../../../test/app");
+
+describe("health", () => {
+  let issuer;
+  let config;
+  let logger;
+  let health;
+  let app;
+  let settings;
+
+  beforeAll(async () => {
+    issuer = await startStubIssuer();
+    useStubIssuer(issuer);
+    config = require("../../config");
+    logger = require("./logger");
+    health = require("./health");
+    settings = { ...config.server };
+    // Creates the session store the sessionStore check asks
+    createApp();
+    app = express();
+    app.get("/readyz", health.readiness());
+  });
+
+  afterAll(() => issuer.close());
+
+  beforeEach(() => {
+    jest.spyOn(logger, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    Object.assign(config.server, settings);
+  });
+
+  describe("readiness", () => {
+    it("fails while MongoDB is not connected", async () => {
+      const result = await health.checkReadiness();
+
+      expect(result).toEqual({
+        ready: false,
+        checks: {
+          mongo: { status: "fail" },
+          sessionStore: { status: "ok" },
+          providers: { status: "ok", configured: ["oidc"] },
+        },
+      });
+    });
+
+    it("answers only whether the server is ready", async () => {
+      const notReady = await request(app).get("/readyz").expect(503);
+      expect(notReady.body).toEqual({ ready: false });
+      expect(notReady.headers["cache-control"]).toBe("no-store");
+
+      health.registerCheck("mongo", async () => {});
+      const ready = await request(app).get("/readyz").expect(200);
+      expect(ready.body).toEqual({ ready: true });
+    });
+
+    it("adds each check's result with the debug flag", async () => {
+      config.server.readinessDetails = true;
+      health.registerCheck("cache", async () => ({ hits: 3 }));
+
+      const res = await request(app).get("/readyz").expect(200);
+
+      expect(res.body.checks).toMatchObject({
+        providers: { status: "ok", configured: ["oidc"] },
+        cache: { status: "ok", hits: 3 },
+      });
+    });
+
+    it("adds each check's result for the readiness token", async () => {
+      config.server.readinessToken = "probe-token";
+
+      const wrong = await request(app)
+        .get("/readyz")
+        .set("Authorization", "Bearer wrong-token");
+      expect(wrong.body.checks).toBeUndefined();
+
+      const res = await request(app)
+        .get("/readyz")
+        .set("Authorization", "Bearer probe-token");
+      expect(Object.keys(res.body.checks)).toEqual(
+        expect.arrayContaining(["mongo", "sessionStore", "providers"])
+      );
+    });
+
+    it("fails checks that take too long", async () => {
+      config.server.healthCheckTimeout = 20;
+      health.registerCheck("slow", () => new Promise(() => {}));
+
+      const result = await health.checkReadiness();
+
+      expect(result.ready).toBe(false);
+      expect(result.checks.slow).toEqual({ status: "fail" });
+      health.registerCheck("slow", async () => {});
+    });
+
+    it("rejects checks that are not functions", () => {
+      expect(() => health.registerCheck("broken", "ok")).toThrow(
+        'Readiness check "broken" must be a function'
+      );
+    });
+  });
+
+  describe("shutdown", () => {
+    let server;
+    let release;
+
+    beforeAll((done) => {
+      const slow = express();
+      slow.get("/callback", health.trackInFlight(), (req, res) => {
+        release = () => res.json({ ok: true });
+      });
+      server = slow.listen(0, () => done());
+    });
+
+    afterAll((done) => {
+      server.close(done);
+    });
+
+    /**
+     * Start a tracked request and wait until its handler runs
+     * @returns {Promise<Object>} { pending }: the response to come
+     */
+    const startCallback = async () => {
+      release = null;
+      const pending = request(server)
+        .get("/callback")
+        .then((res) => res);
+      while (!release) {
+        await new Promise((resolve) => setImmediate(resolve));
+      }
+      return { pending };
+    };
+
+    it("drains at once with nothing in flight", async () => {
+      await expect(health.drain(1000)).resolves.toBe(true);
+    });
+
+    it("waits for tracked requests to finish", async () => {
+      const { pending } = await startCallback();
+
+      const drained = health.drain(5000);
+      release();
+
+      await expect(drained).resolves.toBe(true);
+      expect((await pending).body).toEqual({ ok: true });
+    });
+
+    it("gives up on requests still in flight at the timeout", async () => {
+      const { pending } = await startCallback();
+
+      await expect(health.drain(20)).resolves.toBe(false);
+
+      release();
+      await pending;
+      await expect(health.drain(1000)).resolves.toBe(true);
+    });
+
+    it("fails readiness once shutting down", async () => {
+      health.markShuttingDown();
+
+      const res = await request(app).get("/readyz").expect(503);
+
+      expect(res.body).toEqual({ ready: false, shuttingDown: true });
+    });
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Lifecycle hooks
+ *
+ * Host applications can run their own code around account events that
+ * happen in every provider's flows:
+ *
+ *   customAuth.before("login", ({ user }) => {
+ *     if (user.blocked) throw new Error("Account is blocked");
+ *   });
+ *   customAuth.on("user.created", async ({ user }) => sendWelcome(user));
+ *
+ * "Before" hooks run in order and are awaited. They can change the event
+ * payload (e.g. set fields on a new user before it is saved) or veto the
+ * action by throwing or returning false. "After" hooks run once the
+ * action is done, without delaying the response; their errors are logged
+ * and never affect the action or other hooks.
+ */
+
+const errors = require("./errors");
+const logger = require("./logger");
+
+const EVENTS = [
+  "user.created",
+  "login",
+  "provider.linked",
+  "provider.unlinked",
+  "logout",
+];
+
+/**
+ * Create an empty hook list per event
+ * @returns {Object} Hook lists keyed by event
+ */
+const createHookLists = () => {
+  return EVENTS.reduce((lists, event) => ({ ...lists, [event]: [] }), {});
+};
+
+let beforeHooks = createHookLists();
+let afterHooks = createHookLists();
+
+/**
+ * Throw if a hook registration is invalid
+ * @param {string} event - Event name
+ * @param {Function} fn - Hook
+ */
+const assertValidHook = (event, fn) => {
+  if (!EVENTS.includes(event)) {
+    throw errors.createError(
+      `Unknown hook event "${event}" (expected one of: ${EVENTS.join(", ")})`,
+      null,
+      500
+    );
+  }
+
+  if (typeof fn !== "function") {
+    throw errors.createError("A hook must be a function", null, 500);
+  }
+};
+
+/**
+ * Register a hook that runs before an action and can change or veto it
+ * @param {string} event - Event name
+ * @param {Function} fn - (payload) => void|false, may return a promise
+ */
+const before = (event, fn) => {
+  assertValidHook(event, fn);
+  beforeHooks[event].push(fn);
+};
+
+/**
+ * Register a hook that runs after an action
+ * @param {string} event - Event name
+ * @param {Function} fn - (payload) => void, may return a promise
+ */
+const on = (event, fn) => {
+  assertValidHook(event, fn);
+  afterHooks[event].push(fn);
+};
+
+/**
+ * Remove a hook registered with before() or on()
+ * @param {string} event - Event name
+ * @param {Function} fn - Hook
+ */
+const off = (event, fn) => {
+  [beforeHooks, afterHooks].forEach((lists) => {
+    if (lists[event]) {
+      lists[event] = lists[event].filter((hook) => hook !== fn);
+    }
+  });
+};
+
+/**
+ * Run the "before" hooks of an event
+ * @param {string} event - Event name
+ * @param {Object} payload - Event payload; hooks may change it
+ * @returns {Promise<Object>} The payload, as changed by the hooks
+ */
+const runBefore = async (event, payload) => {
+  for (const fn of beforeHooks[event]) {
+    let result;
+    try {
+      result = await fn(payload);
+    } catch (err) {
+      // Errors with a status are the hook's own response to the client
+      throw err.status
+        ? err
+        : errors.createCodedError(
+            errors.AUTH_ERRORS.ACTION_REJECTED,
+            err.message || `${event} was rejected`,
+            403,
+            { event },
+            err
+          );
+    }
+
+    if (result === false) {
+      throw errors.createCodedError(
+        errors.AUTH_ERRORS.ACTION_REJECTED,
+        `${event} was rejected`,
+        403,
+        { event }
+      );
+    }
+  }
+
+  return payload;
+};
+
+/**
+ * Run the "after" hooks of an event in the background
+ * @param {string} event - Event name
+ * @param {Object} payload - Event payload
+ */
+const emit = (event, payload) => {
+  const hooks = afterHooks[event];
+  if (hooks.length === 0) {
+    return;
+  }
+
+  setImmediate(() => {
+    hooks.forEach((fn) => {
+      Promise.resolve()
+        .then(() => fn(payload))
+        .catch((err) => logger.error(`Error in ${event} hook`, { err }));
+    });
+  });
+};
+
+/**
+ * Remove every registered hook
+ */
+const reset = () => {
+  beforeHooks = createHookLists();
+  afterHooks = createHookLists();
+};
+
+module.exports = {
+  EVENTS,
+  before,
+  on,
+  off,
+  runBefore,
+  emit,
+  reset,
+};
@@ -0,0 +1,233 @@
+const request = require("supertest");
+const { mockModels } = require("../../../test/memoryModels");
+const { startStubIssuer } = require("../../../test/stubIssuer");
+const {
+  useStubIssuer,
+  createApp,
+  login,
+  csrfHeaders,
+} = require("../../../test/app");
+
+/**
+ * Wait until hooks emitted in the background have run
+ * @returns {Promise<void>}
+ */
+const flushHooks = () => new Promise((resolve) => setImmediate(resolve));
+
+describe("lifecycle hooks", () => {
+  let issuer;
+  let hooks;
+  let logger;
+
+  beforeAll(async () => {
+    issuer = await startStubIssuer();
+    useStubIssuer(issuer);
+    hooks = require("./hooks");
+    logger = require("./logger");
+  });
+
+  afterAll(() => issuer.close());
+
+  afterEach(() => hooks.reset());
+
+  describe("before hooks", () => {
+    it("run in order and can change the payload", async () => {
+      const calls = [];
+      hooks.before("user.created", ({ user }) => {
+        calls.push("first");
+        user.name = "Changed";
+      });
+      hooks.before("user.created", async ({ user }) => {
+        calls.push(`second saw ${user.name}`);
+      });
+
+      const payload = await hooks.runBefore("user.created", {
+        user: { name: "Ada" },
+      });
+
+      expect(calls).toEqual(["first", "second saw Changed"]);
+      expect(payload.user.name).toBe("Changed");
+    });
+
+    it("veto by returning false, skipping later hooks", async () => {
+      const later = jest.fn();
+      hooks.before("login", () => false);
+      hooks.before("login", later);
+
+      await expect(hooks.runBefore("login", {})).rejects.toMatchObject({
+        code: "action_rejected",
+        status: 403,
+        details: { event: "login" },
+      });
+      expect(later).not.toHaveBeenCalled();
+    });
+
+    it("veto by throwing, keeping the status of a thrown error", async () => {
+      hooks.before("login", () => {
+        throw new Error("This account is blocked");
+      });
+
+      await expect(hooks.runBefore("login", {})).rejects.toMatchObject({
+        code: "action_rejected",
+        status: 403,
+        message: "This account is blocked",
+      });
+
+      hooks.reset();
+      hooks.before("login", () => {
+        throw Object.assign(new Error("Pay first"), { status: 402 });
+      });
+
+      await expect(hooks.runBefore("login", {})).rejects.toMatchObject({
+        status: 402,
+        message: "Pay first",
+      });
+    });
+
+    it("can be removed", async () => {
+      const veto = () => false;
+      hooks.before("logout", veto);
+      hooks.off("logout", veto);
+
+      await expect(hooks.runBefore("logout", {})).resolves.toEqual({});
+    });
+  });
+
+  describe("after hooks", () => {
+    it("run after the response, and their errors do not spread", async () => {
+      jest.spyOn(logger, "error").mockImplementation(() => {});
+      const seen = [];
+      hooks.on("logout", () => {
+        throw new Error("mailer down");
+      });
+      hooks.on("logout", (payload) => seen.push(payload));
+
+      hooks.emit("logout", { user: "ada" });
+      expect(seen).toEqual([]);
+
+      await flushHooks();
+      await flushHooks();
+      expect(seen).toEqual([{ user: "ada" }]);
+      expect(logger.error).toHaveBeenCalledWith("Error in logout hook", {
+        err: expect.any(Error),
+      });
+    });
+  });
+
+  it("rejects unknown events and non-function hooks", () => {
+    expect(() => hooks.on("user.renamed", () => {})).toThrow(
+      /Unknown hook event "user.renamed"/
+    );
+    expect(() => hooks.before("login", "not a function")).toThrow(
+      "A hook must be a function"
+    );
+  });
+
+  describe("in login flows", () => {
+    let app;
+    let stores;
+
+    beforeAll(() => {
+      app = createApp();
+    });
+
+    beforeEach(() => {
+      stores = mockModels();
+      jest.spyOn(logger, "error").mockImplementation(() => {});
+    });
+
+    it("creates no user when the first login is vetoed", async () => {
+      const created = jest.fn();
+      const loggedIn = jest.fn();
+      hooks.on("user.created", created);
+      hooks.on("login", loggedIn);
+      hooks.before("login", ({ user }) => user.email !== "ada@example.com");
+
+      const res = await login(request.agent(app), issuer);
+      await flushHooks();
+
+      expect(new URL(res.headers.location).searchParams.get("error")).toBe(
+        "action_rejected"
+      );
+      expect(stores.User).toHaveLength(0);
+      expect(created).not.toHaveBeenCalled();
+      expect(loggedIn).not.toHaveBeenCalled();
+    });
+
+    it("lets user.created hooks change the user before it is saved", async () => {
+      hooks.before("user.created", ({ user }) => {
+        user.name = "Countess of Lovelace";
+      });
+
+      await login(request.agent(app), issuer);
+
+      expect(stores.User).toHaveLength(1);
+      expect(stores.User[0].name).toBe("Countess of Lovelace");
+    });
+
+    it("runs the account hooks before the login hooks", async () => {
+      const calls = [];
+      hooks.before("user.created", () => calls.push("before user.created"));
+      // The login checks see the user before it is saved
+      hooks.before("login", () =>
+        calls.push(`before login (${stores.User.length} saved)`)
+      );
+      hooks.on("user.created", () => calls.push("user.created"));
+      hooks.on("login", ({ mode }) => calls.push(`login (${mode})`));
+
+      await login(request.agent(app), issuer);
+      await flushHooks();
+
+      expect(calls).toEqual([
+        "before user.created",
+        "before login (0 saved)",
+        "user.created",
+        "login (session)",
+      ]);
+    });
+
+    it("fires no user.created hooks for a returning user", async () => {
+      await login(request.agent(app), issuer);
+      const created = jest.fn();
+      hooks.on("user.created", created);
+
+      await login(request.agent(app), issuer);
+      await flushHooks();
+
+      expect(created).not.toHaveBeenCalled();
+      expect(stores.User).toHaveLength(1);
+    });
+
+    it("runs the logout hooks", async () => {
+      const agent = request.agent(app);
+      await login(agent, issuer);
+      const loggedOut = jest.fn();
+      hooks.on("logout", loggedOut);
+
+      await agent
+        .post("/auth/logout")
+        .set(await csrfHeaders(agent))
+        .expect(200);
+      await flushHooks();
+
+      expect(loggedOut).toHaveBeenCalledWith(
+        expect.objectContaining({
+          user: expect.objectContaining({ email: "ada@example.com" }),
+        })
+      );
+    });
+
+    it("keeps the session when a logout is vetoed", async () => {
+      const agent = request.agent(app);
+      await login(agent, issuer);
+      hooks.before("logout", () => false);
+
+      const res = await agent
+        .post("/auth/logout")
+        .set(await csrfHeaders(agent));
+
+      expect(res.status).toBe(403);
+      await agent.get("/auth/user").expect(200);
+    });
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * OpenID Connect ID token validation
+ *
+ * Verifies ID token signatures against the provider's cached JWKS and
+ * validates the iss, aud, exp, iat and nonce claims so verified claims
+ * can be trusted as a profile source.
+ */
+
+const crypto = require("crypto");
+const errors = require("./errors");
+const jwt = require("./jwt");
+const discovery = require("./discovery");
+
+const DEFAULT_CLOCK_TOLERANCE_SEC = 60;
+const DEFAULT_MAX_TOKEN_AGE_SEC = 24 * 60 * 60; // Reject tokens issued > 1 day ago
+
+/**
+ * Generate a nonce to bind an ID token to an authorization request
+ * @returns {string} Random nonce
+ */
+const generateNonce = () => {
+  return crypto.randomBytes(16).toString("base64url");
+};
+
+/**
+ * Verify an ID token and return its claims
+ * @param {string} idToken - Compact serialized ID token
+ * @param {Object} options - Validation options
+ * @param {string|Array<string>} options.issuer - Accepted issuer(s)
+ * @param {string} options.audience - Expected audience (client ID)
+ * @param {string} options.jwksUri - URL of the provider's JWKS
+ * @param {string} options.nonce - Nonce sent in the authorization request
+ * @param {number} options.clockTolerance - Allowed clock skew in seconds
+ * @returns {Promise<Object>} Verified ID token claims
+ */
+const verifyIdToken = async (idToken, options = {}) => {
+  const {
+    issuer,
+    audience,
+    jwksUri,
+    nonce,
+    clockTolerance = DEFAULT_CLOCK_TOLERANCE_SEC,
+  } = options;
+
+  if (!idToken) {
+    throw errors.createIdTokenError(
+      errors.ID_TOKEN_ERRORS.MISSING,
+      "Provider did not return an ID token"
+    );
+  }
+
+  const decoded = jwt.decode(idToken);
+  const { header, payload: claims } = decoded;
+
+  // Never accept unsigned or symmetric tokens from a provider
+  if (!jwt.ALGORITHMS[header.alg]) {
+    throw errors.createIdTokenError(
+      errors.ID_TOKEN_ERRORS.UNSUPPORTED_ALGORITHM,
+      `Unsupported ID token signing algorithm: ${header.alg}`
+    );
+  }
+
+  const key = await discovery.getSigningKey(jwksUri, header.kid);
+  if (!key) {
+    throw errors.createIdTokenError(
+      errors.ID_TOKEN_ERRORS.UNKNOWN_KEY,
+      "ID token was signed with an unknown key",
+      null,
+      { kid: header.kid }
+    );
+  }
+
+  let signatureValid = false;
+  try {
+    signatureValid = jwt.verifySignature(decoded, key);
+  } catch (err) {
+    if (err.code) {
+      throw err;
+    }
+    throw errors.createIdTokenError(
+      errors.ID_TOKEN_ERRORS.INVALID_SIGNATURE,
+      "ID token signature could not be verified",
+      err
+    );
+  }
+  if (!signatureValid) {
+    throw errors.createIdTokenError(
+      errors.ID_TOKEN_ERRORS.INVALID_SIGNATURE,
+      "ID token signature is invalid"
+    );
+  }
+
+  const issuers = Array.isArray(issuer) ? issuer : [issuer];
+  if (!issuers.includes(claims.iss)) {
+    throw errors.createIdTokenError(
+      errors.ID_TOKEN_ERRORS.INVALID_ISSUER,
+      "ID token issuer is not trusted",
+      null,
+      { iss: claims.iss }
+    );
+  }
+
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (!audience || !audiences.includes(audience)) {
+    throw errors.createIdTokenError(
+      errors.ID_TOKEN_ERRORS.INVALID_AUDIENCE,
+      "ID token was not issued for this client"
+    );
+  }
+  if (audiences.length > 1 && claims.azp && claims.azp !== audience) {
+    throw errors.createIdTokenError(
+      errors.ID_TOKEN_ERRORS.INVALID_AUDIENCE,
+      "ID token authorized party does not match this client"
+    );
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (typeof claims.exp !== "number" || claims.exp + clockTolerance <= now) {
+    throw errors.createIdTokenError(
+      errors.ID_TOKEN_ERRORS.EXPIRED,
+      "ID token has expired"
+    );
+  }
+  if (
+    typeof claims.iat !== "number" ||
+    claims.iat - clockTolerance > now ||
+    claims.iat + DEFAULT_MAX_TOKEN_AGE_SEC < now
+  ) {
+    throw errors.createIdTokenError(
+      errors.ID_TOKEN_ERRORS.INVALID_ISSUED_AT,
+      "ID token issue time is not acceptable"
+    );
+  }
+
+  // A nonce sent in the request must come back unchanged
+  if ((nonce || claims.nonce) && claims.nonce !== nonce) {
+    throw errors.createIdTokenError(
+      errors.ID_TOKEN_ERRORS.INVALID_NONCE,
+      "ID token nonce does not match this authorization request"
+    );
+  }
+
+  return claims;
+};
+
+module.exports = {
+  generateNonce,
+  verifyIdToken,
+};
@@ -0,0 +1,160 @@
+const crypto = require("crypto");
+const discovery = require("./discovery");
+const { verifyIdToken } = require("./idToken");
+const { startStubIssuer } = require("../../../test/stubIssuer");
+
+const CLIENT_ID = "passportlink-test";
+const NONCE = "nonce-123";
+
+describe("ID token validation", () => {
+  let issuer;
+
+  /**
+   * Sign claims with the issuer's key and verify them
+   * @param {Object} overrides - Claims to change
+   * @param {Object} signOptions - signIdToken() options
+   * @returns {Promise<Object>} Verified claims
+   */
+  const verify = (overrides = {}, signOptions) => {
+    const token = issuer.signIdToken(
+      issuer.buildClaims(CLIENT_ID, { nonce: NONCE, ...overrides }),
+      signOptions
+    );
+    return verifyIdToken(token, {
+      issuer: issuer.issuer,
+      audience: CLIENT_ID,
+      jwksUri: `${issuer.issuer}/jwks`,
+      nonce: NONCE,
+    });
+  };
+
+  beforeAll(async () => {
+    issuer = await startStubIssuer();
+  });
+
+  afterAll(() => issuer.close());
+
+  beforeEach(() => {
+    discovery.clearCache();
+    issuer.requests.jwks = 0;
+  });
+
+  it("returns the claims of a valid token", async () => {
+    await expect(verify()).resolves.toMatchObject({
+      iss: issuer.issuer,
+      aud: CLIENT_ID,
+      sub: "user-1",
+      nonce: NONCE,
+    });
+  });
+
+  it("accepts a token with several audiences authorized for this client", async () => {
+    await expect(
+      verify({ aud: [CLIENT_ID, "api"], azp: CLIENT_ID })
+    ).resolves.toBeTruthy();
+  });
+
+  it.each([
+    [
+      "an untrusted issuer",
+      { iss: "https://evil.example.com" },
+      "id_token_invalid_issuer",
+    ],
+    [
+      "another audience",
+      { aud: "another-client" },
+      "id_token_invalid_audience",
+    ],
+    [
+      "another authorized party",
+      { aud: [CLIENT_ID, "api"], azp: "api" },
+      "id_token_invalid_audience",
+    ],
+    ["another nonce", { nonce: "replayed" }, "id_token_invalid_nonce"],
+    ["no nonce", { nonce: undefined }, "id_token_invalid_nonce"],
+    [
+      "an expired token",
+      { exp: Math.floor(Date.now() / 1000) - 120 },
+      "id_token_expired",
+    ],
+    [
+      "an issue time in the future",
+      { iat: Date.now() / 1000 + 600 },
+      "id_token_invalid_iat",
+    ],
+    [
+      "an old issue time",
+      { iat: Date.now() / 1000 - 2 * 86400 },
+      "id_token_invalid_iat",
+    ],
+  ])("rejects %s", async (name, overrides, code) => {
+    await expect(verify(overrides)).rejects.toMatchObject({
+      code,
+      status: 401,
+    });
+  });
+
+  it("accepts a token expired within the clock tolerance", async () => {
+    await expect(
+      verify({ exp: Math.floor(Date.now() / 1000) - 30 })
+    ).resolves.toBeTruthy();
+  });
+
+  it("rejects a token signed with another key", async () => {
+    const { privateKey } = crypto.generateKeyPairSync("rsa", {
+      modulusLength: 2048,
+    });
+
+    await expect(verify({}, { privateKey })).rejects.toMatchObject({
+      code: "id_token_invalid_signature",
+    });
+  });
+
+  it("rejects an unsigned token", async () => {
+    const encode = (value) =>
+      Buffer.from(JSON.stringify(value)).toString("base64url");
+    const token = `${encode({ alg: "none" })}.${encode(
+      issuer.buildClaims(CLIENT_ID)
+    )}.`;
+
+    await expect(
+      verifyIdToken(token, {
+        issuer: issuer.issuer,
+        audience: CLIENT_ID,
+        jwksUri: `${issuer.issuer}/jwks`,
+      })
+    ).rejects.toMatchObject({ code: "id_token_unsupported_algorithm" });
+  });
+
+  it("rejects a missing token", async () => {
+    await expect(verifyIdToken(undefined, {})).rejects.toMatchObject({
+      code: "id_token_missing",
+    });
+  });
+
+  it("caches the key set", async () => {
+    await verify();
+    await verify();
+
+    expect(issuer.requests.jwks).toBe(1);
+  });
+
+  it("refetches the key set for an unknown key ID at most once a minute", async () => {
+    const now = Date.now();
+    jest.spyOn(Date, "now").mockReturnValue(now);
+
+    await expect(verify({}, { kid: "rotated-key" })).rejects.toMatchObject({
+      code: "id_token_unknown_key",
+    });
+    await expect(verify({}, { kid: "rotated-key" })).rejects.toMatchObject({
+      code: "id_token_unknown_key",
+    });
+    expect(issuer.requests.jwks).toBe(2);
+
+    Date.now.mockReturnValue(now + 61 * 1000);
+    await expect(verify({}, { kid: "rotated-key" })).rejects.toMatchObject({
+      code: "id_token_unknown_key",
+    });
+    expect(issuer.requests.jwks).toBe(3);
+  });
+});
@@ -5,30 +5,105 @@
  * to replace Passport.js while maintaining the same API endpoints.
  */
 
+const crypto = require("crypto");
+const configLoader = require("../../config/loader");
 const sessions = require("./sessions");
+const sessionStore = require("./sessionStore");
+const userSessions = require("./userSessions");
+const serializer = require("./serializer");
+const fingerprint = require("./fingerprint");
 const providers = require("./providers");
+const registry = require("./registry");
+const providerTokens = require("./providerTokens");
+const authTokens = require("./authTokens");
+const mobile = require("./mobile");
+const redirects = require("./redirects");
+const hooks = require("./hooks");
+const auditLog = require("./auditLog");
+const webhooks = require("./webhooks");
+const rateLimit = require("./rateLimit");
+const csrf = require("./csrf");
+const logger = require("./logger");
+const metrics = require("./metrics");
+const health = require("./health");
+const { createOAuth2Provider } = require("./providers/oauth2");
 const errors = require("./errors");
 
+// Correlation IDs accepted from upstream proxies (X-Correlation-ID)
+const CORRELATION_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Remove the logged in user and their data from the session
+ * @param {Object} req - Express request object
+ */
+const clearSessionAuth = (req) => {
+  delete req.session.auth;
+  delete req.session.tokens;
+  delete req.session.sessionRecordId;
+};
+
 /**
  * Authentication framework initialization middleware
- * Sets up user session and authentication helpers
+ * Sets up user session and authentication helpers. Throws when the
+ * configuration is invalid, so a misconfigured app fails on startup
  */
-const initialize = () => (req, res, next) => {
-  try {
-    // Set authentication helpers on request object
-    req.isAuthenticated = () => {
-      return !!req.session.user;
-    };
-
-    // Add user to request if authenticated
-    if (req.session.user) {
-      req.user = req.session.user;
-    }
+const initialize = () => {
+  configLoader.assertValid();
 
-    next();
-  } catch (err) {
-    next(errors.createError("Authentication initialization failed", err, 500));
-  }
+  return async (req, res, next) => {
+    try {
+      // Reported with errors and logged with every entry of the request, so a
+      // failure can be traced to its logs. An ID from an upstream proxy is
+      // kept
+      const upstreamId = req.get("x-correlation-id");
+      req.correlationId =
+        req.correlationId ||
+        (CORRELATION_ID_PATTERN.test(upstreamId || "")
+          ? upstreamId
+          : crypto.randomUUID());
+      res.set("X-Correlation-ID", req.correlationId);
+
+      // Set authentication helpers on request object
+      req.isAuthenticated = () => {
+        return !!req.user;
+      };
+
+      // Sessions created before serialization hold the whole user document
+      if (req.session.user) {
+        if (!req.session.auth) {
+          req.session.auth = {
+            user: await serializer.serialize(req.session.user),
+          };
+        }
+        delete req.session.user;
+      }
+
+      // A session used from another client may have been hijacked; under the
+      // "logout" fingerprint policy it is ended for good
+      if (req.session.auth && !fingerprint.check(req)) {
+        await userSessions.endSession(req);
+        clearSessionAuth(req);
+      }
+
+      // Load a fresh user for every request
+      if (req.session.auth) {
+        const user = await serializer.deserialize(req.session.auth.user);
+
+        // Deleted users and sessions revoked from another device are logged out
+        if (user && (await userSessions.validateSession(req, user))) {
+          req.user = user;
+        } else {
+          clearSessionAuth(req);
+        }
+      }
+
+      next();
+    } catch (err) {
+      next(
+        errors.createError("Authentication initialization failed", err, 500)
+      );
+    }
+  };
 };
 
 /**
@@ -40,15 +115,15 @@ const authenticate =
   (provider, options = {}) =>
   async (req, res, next) => {
     try {
-      if (!providers[provider]) {
-        throw errors.createError(
+      if (!registry.has(provider)) {
+        throw errors.createCodedError(
+          errors.AUTH_ERRORS.PROVIDER_NOT_FOUND,
           `Provider ${provider} not implemented`,
-          null,
           404
         );
       }
 
-      return providers[provider].authenticate(req, res, next, options);
+      return registry.get(provider).authenticate(req, res, next, options);
     } catch (err) {
       next(
         errors.createError(
@@ -69,23 +144,23 @@ const authorize =
   (provider, options = {}) =>
   async (req, res, next) => {
     try {
-      if (!providers[provider]) {
-        throw errors.createError(
+      if (!registry.has(provider)) {
+        throw errors.createCodedError(
+          errors.AUTH_ERRORS.PROVIDER_NOT_FOUND,
           `Provider ${provider} not implemented`,
-          null,
           404
         );
       }
 
       if (!req.isAuthenticated()) {
-        throw errors.createError(
+        throw errors.createCodedError(
+          errors.AUTH_ERRORS.NOT_AUTHENTICATED,
           "User must be authenticated to link accounts",
-          null,
           401
         );
       }
 
-      return providers[provider].authorize(req, res, next, options);
+      return registry.get(provider).authorize(req, res, next, options);
     } catch (err) {
       next(
         errors.createError(
@@ -97,41 +172,104 @@ const authorize =
     }
   };
 
+/**
+ * Require a logged in user, from the session cookie or a Bearer access
+ * token issued in token mode
+ * @returns {Function} Express middleware
+ */
+const requireAuth = () => async (req, res, next) => {
+  try {
+    if (req.isAuthenticated && req.isAuthenticated()) {
+      return next();
+    }
+
+    const bearer = await authTokens.authenticateBearer(req);
+    if (!bearer) {
+      throw errors.createCodedError(
+        errors.AUTH_ERRORS.NOT_AUTHENTICATED,
+        "Not authenticated",
+        401
+      );
+    }
+
+    req.user = bearer.user;
+    req.authInfo = { type: "bearer", claims: bearer.claims };
+    next();
+  } catch (err) {
+    next(err.status ? err : errors.createError("Authentication failed", err));
+  }
+};
+
+/**
+ * Register an authentication provider
+ * @param {string} name - Provider name used in routes and storage
+ * @param {Object} provider - Provider implementing the provider interface
+ * @param {Object} options - Registration options (label, scope,
+ *   isConfigured, formPostCallback)
+ * @returns {Object} The auth framework, for chaining
+ */
+const use = (name, provider, options = {}) => {
+  registry.register(name, provider, options);
+  return module.exports;
+};
+
+/**
+ * Set configuration in code, on top of the environment and CONFIG_FILE.
+ * Call before creating the session middleware and `initialize()`
+ * @param {Object} options - Settings shaped like the config object, e.g.
+ *   { session: { secret }, oauth: { google: { scope: [...] } } }
+ * @returns {Object} The auth framework, for chaining
+ */
+const configure = (options) => {
+  configLoader.configure(options);
+  return module.exports;
+};
+
 /**
  * Log in a user (create a session)
  * @param {Object} req - Express request object
- * @param {Object} user - User object to store in session
+ * @param {Object} user - User to log in
  * @param {Function} cb - Optional callback
  */
 const login = (req, user, cb = () => {}) => {
-  try {
-    // Store user in session
-    req.session.user = user;
-    req.user = user;
+  sessions
+    .createSession(req, null, user)
+    .then(() => cb())
+    .catch((err) => cb(errors.createError("Login failed", err, 500)));
+};
 
-    // Run callback when done
-    cb();
-  } catch (err) {
-    cb(errors.createError("Login failed", err, 500));
-  }
+/**
+ * Move the current session to a new session ID, keeping its data. Call
+ * after changing a user's privileges (e.g. granting a role)
+ * @param {Object} req - Express request object
+ * @returns {Promise<void>}
+ */
+const regenerate = (req) => {
+  return sessions.regenerateSession(req);
 };
 
 /**
- * Log out a user (destroy session)
+ * End the session of the logged in user
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object (required to clear cookies)
- * @param {Function} cb - Optional callback
+ * @param {Function} cb - Callback
  */
-const logout = (req, res, cb = () => {}) => {
+const destroyLogin = (req, res, cb) => {
   try {
-    // Remove user from session first (fallback for old sessions)
-    delete req.session.user;
+    // Mark the tracked session as ended; this must not block logout
+    userSessions
+      .endSession(req)
+      .catch((err) =>
+        logger.error("Error ending session record", { req, err })
+      );
+
+    // Remove user from session first
+    delete req.session.auth;
     delete req.user;
 
     // Now actually destroy the session
     req.session.destroy((err) => {
       if (err) {
-        console.error("Error destroying session:", err);
         return cb(
           errors.createError(
             "Logout failed - session destruction error",
@@ -143,7 +281,7 @@ const logout = (req, res, cb = () => {}) => {
 
       // Clear the cookie if we have a response object
       if (res && typeof res.clearCookie === "function") {
-        res.clearCookie("connect.sid", { path: "/" });
+        sessionStore.clearSessionCookie(res);
       }
 
       // Run callback when done
@@ -154,11 +292,65 @@ const logout = (req, res, cb = () => {}) => {
   }
 };
 
+/**
+ * Log out a user (destroy session)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object (required to clear cookies)
+ * @param {Function} cb - Optional callback
+ */
+const logout = (req, res, cb = () => {}) => {
+  const provider = req.session.auth && req.session.auth.provider;
+
+  hooks.runBefore("logout", { req, user: req.user }).then(
+    (payload) =>
+      destroyLogin(req, res, (err) => {
+        if (!err) {
+          auditLog.record(req, {
+            type: auditLog.EVENT_TYPES.LOGOUT,
+            user: payload.user,
+            provider,
+          });
+          hooks.emit("logout", payload);
+        }
+        cb(err);
+      }),
+    (err) => cb(err)
+  );
+};
+
 module.exports = {
+  configure,
   initialize,
+  use,
+  serializeUser: serializer.serializeUser,
+  deserializeUser: serializer.deserializeUser,
+  before: hooks.before,
+  on: hooks.on,
+  off: hooks.off,
   authenticate,
   authorize,
   login,
   logout,
+  regenerate,
+  requireAuth,
   providers,
+  registry,
+  createOAuth2Provider,
+  getValidAccessToken: providerTokens.getValidAccessToken,
+  userSessions,
+  authTokens,
+  mobile,
+  validateReturnTo: redirects.validateReturnTo,
+  redirects,
+  hooks,
+  auditLog,
+  webhooks,
+  rateLimit,
+  csrf,
+  csrfProtection: csrf.protect,
+  metrics,
+  health,
+  logger,
+  setLogger: logger.setLogger,
+  errors,
 };
@@ -0,0 +1,167 @@
+/**
+ * JSON Web Token utilities
+ *
+ * Minimal JWT decoding and signature verification against JSON Web
+ * Keys, plus HS256 signing for the tokens PassportLink issues itself,
+ * using Node's built-in crypto module.
+ */
+
+const crypto = require("crypto");
+const errors = require("./errors");
+
+/**
+ * Supported JWS algorithms mapped to their Node crypto parameters
+ */
+const ALGORITHMS = {
+  RS256: { hash: "sha256", kty: "RSA" },
+  RS384: { hash: "sha384", kty: "RSA" },
+  RS512: { hash: "sha512", kty: "RSA" },
+  PS256: { hash: "sha256", kty: "RSA", pss: true },
+  PS384: { hash: "sha384", kty: "RSA", pss: true },
+  PS512: { hash: "sha512", kty: "RSA", pss: true },
+  ES256: { hash: "sha256", kty: "EC" },
+  ES384: { hash: "sha384", kty: "EC" },
+  ES512: { hash: "sha512", kty: "EC" },
+};
+
+/**
+ * Decode a base64url encoded JSON segment
+ * @param {string} segment - Encoded segment
+ * @returns {Object} Parsed JSON
+ */
+const decodeSegment = (segment) => {
+  return JSON.parse(Buffer.from(segment, "base64url").toString("utf8"));
+};
+
+/**
+ * Encode a JSON object as a base64url segment
+ * @param {Object} value - JSON value
+ * @returns {string} Encoded segment
+ */
+const encodeSegment = (value) => {
+  return Buffer.from(JSON.stringify(value)).toString("base64url");
+};
+
+/**
+ * Decode a compact JWT without verifying it
+ * @param {string} token - Compact serialized JWT
+ * @returns {Object} { header, payload, signature, signingInput }
+ */
+const decode = (token) => {
+  const parts = typeof token === "string" ? token.split(".") : [];
+  if (parts.length !== 3) {
+    throw errors.createIdTokenError(
+      errors.ID_TOKEN_ERRORS.MALFORMED,
+      "Token is not a valid compact JWT"
+    );
+  }
+
+  try {
+    return {
+      header: decodeSegment(parts[0]),
+      payload: decodeSegment(parts[1]),
+      signature: Buffer.from(parts[2], "base64url"),
+      signingInput: `${parts[0]}.${parts[1]}`,
+    };
+  } catch (err) {
+    throw errors.createIdTokenError(
+      errors.ID_TOKEN_ERRORS.MALFORMED,
+      "Token header or payload is not valid JSON",
+      err
+    );
+  }
+};
+
+/**
+ * Verify a decoded JWT's signature with a JSON Web Key
+ * @param {Object} decoded - Result of decode()
+ * @param {Object} jwk - Public JSON Web Key
+ * @returns {boolean} Whether the signature is valid
+ */
+const verifySignature = (decoded, jwk) => {
+  const algorithm = ALGORITHMS[decoded.header.alg];
+  if (!algorithm || (jwk.alg && jwk.alg !== decoded.header.alg)) {
+    throw errors.createIdTokenError(
+      errors.ID_TOKEN_ERRORS.UNSUPPORTED_ALGORITHM,
+      `Unsupported token signing algorithm: ${decoded.header.alg}`
+    );
+  }
+
+  if (jwk.kty !== algorithm.kty) {
+    throw errors.createIdTokenError(
+      errors.ID_TOKEN_ERRORS.UNKNOWN_KEY,
+      "Signing key type does not match the token algorithm"
+    );
+  }
+
+  const key = crypto.createPublicKey({ key: jwk, format: "jwk" });
+  const verifyKey = { key };
+
+  if (algorithm.kty === "EC") {
+    // JWS uses raw r||s signatures rather than DER
+    verifyKey.dsaEncoding = "ieee-p1363";
+  } else if (algorithm.pss) {
+    verifyKey.padding = crypto.constants.RSA_PKCS1_PSS_PADDING;
+    verifyKey.saltLength = crypto.constants.RSA_PSS_SALTLEN_DIGEST;
+  }
+
+  return crypto.verify(
+    algorithm.hash,
+    Buffer.from(decoded.signingInput),
+    verifyKey,
+    decoded.signature
+  );
+};
+
+/**
+ * Compute an HS256 signature
+ * @param {string} signingInput - "<header>.<payload>"
+ * @param {string} secret - Shared secret
+ * @returns {Buffer} Signature
+ */
+const hmacSha256 = (signingInput, secret) => {
+  return crypto.createHmac("sha256", secret).update(signingInput).digest();
+};
+
+/**
+ * Sign a payload as an HS256 JWT
+ * @param {Object} payload - Claims
+ * @param {string} secret - Shared secret
+ * @returns {string} Compact serialized JWT
+ */
+const signHs256 = (payload, secret) => {
+  const signingInput = `${encodeSegment({
+    alg: "HS256",
+    typ: "JWT",
+  })}.${encodeSegment(payload)}`;
+
+  return `${signingInput}.${hmacSha256(signingInput, secret).toString(
+    "base64url"
+  )}`;
+};
+
+/**
+ * Verify a decoded HS256 JWT's signature
+ * @param {Object} decoded - Result of decode()
+ * @param {string} secret - Shared secret
+ * @returns {boolean} Whether the token is HS256 signed with the secret
+ */
+const verifyHs256 = (decoded, secret) => {
+  if (decoded.header.alg !== "HS256") {
+    return false;
+  }
+
+  const expected = hmacSha256(decoded.signingInput, secret);
+  return (
+    expected.length === decoded.signature.length &&
+    crypto.timingSafeEqual(expected, decoded.signature)
+  );
+};
+
+module.exports = {
+  ALGORITHMS,
+  decode,
+  verifySignature,
+  signHs256,
+  verifyHs256,
+};
@@ -0,0 +1,256 @@
+/**
+ * Structured logging
+ *
+ * Every entry has a level, a message and fields. Before an entry is
+ * written, fields that hold credentials (tokens, authorization codes,
+ * secrets, cookies, session IDs, ...) are replaced with "[REDACTED]", as
+ * are Bearer tokens, JWTs and credential query parameters inside strings.
+ * Entries logged for a request carry its correlation ID, which the OAuth
+ * flows keep from the start of a login to its callback. Entries are
+ * written to stdout/stderr as JSON lines or readable lines, unless the
+ * host app routes them to its own logger with `setLogger`.
+ */
+
+const config = require("../../config");
+
+const LEVELS = ["error", "warn", "info", "debug"];
+
+const REDACTED = "[REDACTED]";
+
+// Field names (lowercase, without "_" and "-") whose values are never logged
+const SENSITIVE_KEYS = [
+  "authorization",
+  "code",
+  "codeverifier",
+  "cookie",
+  "cookies",
+  "csrf",
+  "csrftoken",
+  "nonce",
+  "password",
+  "secret",
+  "sessionid",
+  "setcookie",
+  "sid",
+  "state",
+];
+
+// Field names ending like this are never logged either (accessToken,
+// clientSecret, ...)
+const SENSITIVE_SUFFIXES = ["token", "secret", "password", "key"];
+
+// Credentials that may be embedded in strings (messages, URLs, stacks)
+const SENSITIVE_PATTERNS = [
+  [/\b(Bearer|Basic)\s+[\w.~+/-]+=*/gi, `$1 ${REDACTED}`],
+  [/\beyJ[\w-]*\.[\w-]+\.[\w-]*/g, REDACTED],
+  [
+    /([?&#](?:code|state|nonce|access_token|id_token|refresh_token|client_secret)=)[^&#\s"']*/gi,
+    `$1${REDACTED}`,
+  ],
+];
+
+// Nested fields deeper than this are not logged
+const MAX_DEPTH = 5;
+
+let hostLogger = null;
+
+/**
+ * Check whether a field name holds a credential
+ * @param {string} key - Field name
+ * @returns {boolean} Whether the value must be redacted
+ */
+const isSensitiveKey = (key) => {
+  const normalized = key.toLowerCase().replace(/[-_]/g, "");
+  return (
+    SENSITIVE_KEYS.includes(normalized) ||
+    SENSITIVE_SUFFIXES.some((suffix) => normalized.endsWith(suffix))
+  );
+};
+
+/**
+ * Redact credentials embedded in a string
+ * @param {string} value - String to redact
+ * @returns {string} Redacted string
+ */
+const redactString = (value) => {
+  return SENSITIVE_PATTERNS.reduce(
+    (redacted, [pattern, replacement]) =>
+      redacted.replace(pattern, replacement),
+    value
+  );
+};
+
+/**
+ * Serialize an error for logging. Only known properties are kept; e.g. an
+ * HTTP client error's request config (with its headers) is left out
+ * @param {Error} err - Error to serialize
+ * @returns {Object} Serialized error
+ */
+const serializeError = (err) => {
+  const details = redact(err.details, 1);
+
+  return {
+    name: err.name,
+    message: redactString(String(err.message)),
+    code: err.code,
+    status: err.status || (err.response && err.response.status),
+    details: details && Object.keys(details).length > 0 ? details : undefined,
+    cause: err.originalError
+      ? redactString(String(err.originalError.message))
+      : undefined,
+    stack: err.stack ? redactString(err.stack) : undefined,
+  };
+};
+
+/**
+ * Redact credentials from a value to be logged
+ * @param {*} value - Value to redact
+ * @param {number} depth - Nesting depth of the value
+ * @returns {*} Redacted copy of the value
+ */
+const redact = (value, depth = 0) => {
+  if (typeof value === "string") {
+    return redactString(value);
+  }
+  if (value === null || typeof value !== "object") {
+    return value;
+  }
+  if (value instanceof Error) {
+    return serializeError(value);
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (Buffer.isBuffer(value)) {
+    return "[Buffer]";
+  }
+  if (depth >= MAX_DEPTH) {
+    return "[Object]";
+  }
+  if (typeof value.toJSON === "function") {
+    return redact(value.toJSON(), depth);
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, depth + 1));
+  }
+
+  return Object.keys(value).reduce((redacted, key) => {
+    redacted[key] = isSensitiveKey(key)
+      ? REDACTED
+      : redact(value[key], depth + 1);
+    return redacted;
+  }, {});
+};
+
+/**
+ * Check whether entries of a level are logged
+ * @param {string} level - Log level
+ * @returns {boolean} Whether the level is enabled
+ */
+const isLevelEnabled = (level) => {
+  return LEVELS.indexOf(level) <= LEVELS.indexOf(config.logging.level);
+};
+
+/**
+ * Format an entry as a readable line
+ * @param {Object} entry - Log entry
+ * @returns {string} Formatted entry
+ */
+const formatPretty = (entry) => {
+  const { time, level, msg, correlationId, err, ...fields } = entry;
+  const parts = [time, level.toUpperCase().padEnd(5)];
+
+  if (correlationId) {
+    parts.push(`[${correlationId}]`);
+  }
+  parts.push(msg);
+  if (err && err.code) {
+    parts.push(`code=${err.code}`);
+  }
+
+  Object.keys(fields).forEach((key) => {
+    if (fields[key] !== undefined) {
+      parts.push(`${key}=${JSON.stringify(fields[key])}`);
+    }
+  });
+
+  const line = parts.join(" ");
+  return err && err.stack ? `${line}\n${err.stack}` : line;
+};
+
+/**
+ * Write an entry to stdout (debug, info) or stderr (warn, error)
+ * @param {Object} entry - Log entry
+ */
+const write = (entry) => {
+  const line =
+    config.logging.format === "pretty"
+      ? formatPretty(entry)
+      : JSON.stringify(entry);
+  const stream =
+    entry.level === "error" || entry.level === "warn"
+      ? process.stderr
+      : process.stdout;
+
+  stream.write(`${line}\n`);
+};
+
+/**
+ * Log an entry
+ * @param {string} level - Log level
+ * @param {string} message - Message
+ * @param {Object} fields - Fields to log with the message. A `req` field
+ *   is replaced by the request's correlation ID and an `err` field is
+ *   serialized
+ */
+const log = (level, message, fields = {}) => {
+  if (!isLevelEnabled(level)) {
+    return;
+  }
+
+  try {
+    const { req, ...rest } = fields;
+    const entryFields = {
+      correlationId: req ? req.correlationId : undefined,
+      ...redact(rest),
+    };
+
+    if (hostLogger) {
+      hostLogger[level](redactString(message), entryFields);
+      return;
+    }
+
+    write({
+      time: new Date().toISOString(),
+      level,
+      msg: redactString(message),
+      ...entryFields,
+    });
+  } catch (err) {
+    // Logging must never fail the code that logs
+  }
+};
+
+/**
+ * Route log entries to the host app's logger instead of stdout/stderr.
+ * The logger's `error`, `warn`, `info` and `debug` methods are called with
+ * the message and the redacted fields (winston style; wrap pino-style
+ * loggers, which take the fields first). LOG_LEVEL still applies
+ * @param {Object|null} logger - Logger, or null to restore the default
+ */
+const setLogger = (logger) => {
+  if (logger && LEVELS.some((level) => typeof logger[level] !== "function")) {
+    throw new TypeError(`Logger must implement ${LEVELS.join(", ")} methods`);
+  }
+  hostLogger = logger || null;
+};
+
+module.exports = {
+  LEVELS,
+  setLogger,
+  redact,
+  error: (message, fields) => log("error", message, fields),
+  warn: (message, fields) => log("warn", message, fields),
+  info: (message, fields) => log("info", message, fields),
+  debug: (message, fields) => log("debug", message, fields),
+};
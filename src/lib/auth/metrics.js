@@ -0,0 +1,382 @@
+/**
+ * Prometheus metrics for the authentication flows
+ *
+ * Counts flow starts and completions per provider and outcome, callback
+ * error codes, sign-ups, links and unlinks, and times the token exchange
+ * and profile fetch of every callback. Metrics are kept in process and
+ * rendered in the Prometheus text exposition format by `handler`, usually
+ * mounted at /metrics; the active session count is read when scraped.
+ */
+
+const crypto = require("crypto");
+const config = require("../../config");
+const errors = require("./errors");
+const logger = require("./logger");
+const userSessions = require("./userSessions");
+
+const PREFIX = "passportlink_";
+
+// Latency histogram buckets, in seconds
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const metrics = [];
+
+/**
+ * Escape a label value for the exposition format
+ * @param {string} value - Label value
+ * @returns {string} Escaped value
+ */
+const escapeLabelValue = (value) => {
+  return String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/\n/g, "\\n")
+    .replace(/"/g, '\\"');
+};
+
+/**
+ * Format a label set
+ * @param {Object} labels - Label values keyed by name
+ * @returns {string} e.g. {provider="google"}, or "" without labels
+ */
+const formatLabels = (labels) => {
+  const pairs = Object.keys(labels).map(
+    (key) => `${key}="${escapeLabelValue(labels[key])}"`
+  );
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+};
+
+/**
+ * Get the values of a metric's labels in their declared order
+ * @param {Array<string>} labelNames - Label names
+ * @param {Object} labels - Label values keyed by name
+ * @returns {Object} Label values, missing ones empty
+ */
+const pickLabels = (labelNames, labels = {}) => {
+  return labelNames.reduce((picked, key) => {
+    picked[key] = labels[key] === undefined ? "" : String(labels[key]);
+    return picked;
+  }, {});
+};
+
+/**
+ * Create a counter
+ * @param {string} name - Metric name, without the prefix and "_total"
+ * @param {string} help - Description
+ * @param {Array<string>} labelNames - Label names
+ * @returns {Object} Counter with inc(labels, value)
+ */
+const createCounter = (name, help, labelNames = []) => {
+  const series = new Map();
+  const counter = {
+    inc: (labels, value = 1) => {
+      const picked = pickLabels(labelNames, labels);
+      const key = JSON.stringify(picked);
+      const current = series.get(key) || { labels: picked, value: 0 };
+      current.value += value;
+      series.set(key, current);
+    },
+    render: async () => {
+      const lines = [
+        `# HELP ${PREFIX}${name}_total ${help}`,
+        `# TYPE ${PREFIX}${name}_total counter`,
+      ];
+      series.forEach(({ labels, value }) => {
+        lines.push(`${PREFIX}${name}_total${formatLabels(labels)} ${value}`);
+      });
+      return lines;
+    },
+  };
+
+  metrics.push(counter);
+  return counter;
+};
+
+/**
+ * Create a histogram
+ * @param {string} name - Metric name, without the prefix
+ * @param {string} help - Description
+ * @param {Array<string>} labelNames - Label names
+ * @param {Array<number>} buckets - Upper bounds of the buckets, ascending
+ * @returns {Object} Histogram with observe(labels, value)
+ */
+const createHistogram = (name, help, labelNames = [], buckets) => {
+  const series = new Map();
+  const histogram = {
+    observe: (labels, value) => {
+      const picked = pickLabels(labelNames, labels);
+      const key = JSON.stringify(picked);
+      const current = series.get(key) || {
+        labels: picked,
+        counts: buckets.map(() => 0),
+        sum: 0,
+        count: 0,
+      };
+
+      buckets.forEach((bound, index) => {
+        if (value <= bound) {
+          current.counts[index] += 1;
+        }
+      });
+      current.sum += value;
+      current.count += 1;
+      series.set(key, current);
+    },
+    render: async () => {
+      const lines = [
+        `# HELP ${PREFIX}${name} ${help}`,
+        `# TYPE ${PREFIX}${name} histogram`,
+      ];
+      series.forEach(({ labels, counts, sum, count }) => {
+        buckets.forEach((bound, index) => {
+          lines.push(
+            `${PREFIX}${name}_bucket${formatLabels({
+              ...labels,
+              le: bound,
+            })} ${counts[index]}`
+          );
+        });
+        lines.push(
+          `${PREFIX}${name}_bucket${formatLabels({
+            ...labels,
+            le: "+Inf",
+          })} ${count}`
+        );
+        lines.push(`${PREFIX}${name}_sum${formatLabels(labels)} ${sum}`);
+        lines.push(`${PREFIX}${name}_count${formatLabels(labels)} ${count}`);
+      });
+      return lines;
+    },
+  };
+
+  metrics.push(histogram);
+  return histogram;
+};
+
+/**
+ * Create a gauge whose value is read when the metrics are scraped
+ * @param {string} name - Metric name, without the prefix
+ * @param {string} help - Description
+ * @param {Function} collect - async () => number
+ * @returns {Object} Gauge
+ */
+const createGauge = (name, help, collect) => {
+  const gauge = {
+    render: async () => {
+      const lines = [
+        `# HELP ${PREFIX}${name} ${help}`,
+        `# TYPE ${PREFIX}${name} gauge`,
+      ];
+      try {
+        lines.push(`${PREFIX}${name} ${await collect()}`);
+      } catch (err) {
+        // Leave the sample out rather than fail the whole scrape
+        logger.warn(`Failed to collect the ${name} metric`, { err });
+      }
+      return lines;
+    },
+  };
+
+  metrics.push(gauge);
+  return gauge;
+};
+
+const flowStarts = createCounter(
+  "auth_flow_starts",
+  "OAuth flows started, by provider and flow (login or link)",
+  ["provider", "flow"]
+);
+const flowCompletions = createCounter(
+  "auth_flow_completions",
+  "OAuth callbacks handled, by provider, flow and outcome",
+  ["provider", "flow", "outcome"]
+);
+const callbackErrors = createCounter(
+  "auth_callback_errors",
+  "Failed OAuth callbacks, by provider and error code",
+  ["provider", "code"]
+);
+const tokenExchangeDuration = createHistogram(
+  "auth_token_exchange_duration_seconds",
+  "Time taken to exchange authorization codes for tokens",
+  ["provider", "outcome"],
+  DURATION_BUCKETS
+);
+const profileFetchDuration = createHistogram(
+  "auth_profile_fetch_duration_seconds",
+  "Time taken to load and verify user profiles",
+  ["provider", "outcome"],
+  DURATION_BUCKETS
+);
+const usersCreated = createCounter(
+  "auth_users_created",
+  "Users signed up, by provider",
+  ["provider"]
+);
+const providersLinked = createCounter(
+  "auth_provider_links",
+  "Provider accounts linked to users, by provider",
+  ["provider"]
+);
+const providersUnlinked = createCounter(
+  "auth_provider_unlinks",
+  "Provider accounts unlinked from users, by provider",
+  ["provider"]
+);
+createGauge(
+  "auth_active_sessions",
+  "Logged in sessions that are neither revoked nor expired",
+  userSessions.countActiveSessions
+);
+
+/**
+ * Count a flow redirected to the provider
+ * @param {string} provider - Provider name
+ * @param {string} flow - "login" or "link"
+ */
+const recordFlowStart = (provider, flow) => {
+  flowStarts.inc({ provider, flow });
+};
+
+/**
+ * Count a handled provider callback
+ * @param {string} provider - Provider name
+ * @param {string} flow - "login" or "link"
+ * @param {Error} err - Error that failed the callback, if it failed
+ */
+const recordFlowCompletion = (provider, flow, err) => {
+  flowCompletions.inc({
+    provider,
+    flow,
+    outcome: err ? "failure" : "success",
+  });
+  if (err) {
+    callbackErrors.inc({ provider, code: errors.getErrorCode(err) });
+  }
+};
+
+/**
+ * Run a provider request and observe its duration
+ * @param {Object} histogram - Histogram to observe
+ * @param {string} provider - Provider name
+ * @param {Function} fn - async () => result
+ * @returns {Promise<*>} Result of fn
+ */
+const observeDuration = async (histogram, provider, fn) => {
+  const start = process.hrtime.bigint();
+  let outcome = "failure";
+
+  try {
+    const result = await fn();
+    outcome = "success";
+    return result;
+  } finally {
+    histogram.observe(
+      { provider, outcome },
+      Number(process.hrtime.bigint() - start) / 1e9
+    );
+  }
+};
+
+/**
+ * Time an authorization code exchange
+ * @param {string} provider - Provider name
+ * @param {Function} fn - async () => token response
+ * @returns {Promise<Object>} Token response
+ */
+const timeTokenExchange = (provider, fn) => {
+  return observeDuration(tokenExchangeDuration, provider, fn);
+};
+
+/**
+ * Time a profile fetch
+ * @param {string} provider - Provider name
+ * @param {Function} fn - async () => profile
+ * @returns {Promise<Object>} Profile
+ */
+const timeProfileFetch = (provider, fn) => {
+  return observeDuration(profileFetchDuration, provider, fn);
+};
+
+/**
+ * Count a sign-up
+ * @param {string} provider - Provider the user signed up with
+ */
+const recordUserCreated = (provider) => {
+  usersCreated.inc({ provider });
+};
+
+/**
+ * Count a linked provider account
+ * @param {string} provider - Provider name
+ */
+const recordProviderLinked = (provider) => {
+  providersLinked.inc({ provider });
+};
+
+/**
+ * Count an unlinked provider account
+ * @param {string} provider - Provider name
+ */
+const recordProviderUnlinked = (provider) => {
+  providersUnlinked.inc({ provider });
+};
+
+/**
+ * Render every metric in the Prometheus text exposition format
+ * @returns {Promise<string>} Metrics
+ */
+const render = async () => {
+  const rendered = await Promise.all(metrics.map((metric) => metric.render()));
+  return `${rendered.flat().join("\n")}\n`;
+};
+
+/**
+ * Check the scrape token, if one is configured
+ * @param {Object} req - Express request object
+ * @returns {boolean} Whether the request may read the metrics
+ */
+const isAuthorized = (req) => {
+  if (!config.metrics.token) {
+    return true;
+  }
+
+  const expected = Buffer.from(`Bearer ${config.metrics.token}`);
+  const actual = Buffer.from(req.get("authorization") || "");
+  return (
+    actual.length === expected.length &&
+    crypto.timingSafeEqual(actual, expected)
+  );
+};
+
+/**
+ * Create the route handler serving the metrics
+ * @returns {Function} Express middleware
+ */
+const handler = () => async (req, res, next) => {
+  try {
+    if (!isAuthorized(req)) {
+      throw errors.createCodedError(
+        errors.AUTH_ERRORS.NOT_AUTHENTICATED,
+        "A valid metrics token is required",
+        401
+      );
+    }
+
+    res.set("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+    res.send(await render());
+  } catch (err) {
+    next(err.status ? err : errors.createError("Metrics failed", err, 500));
+  }
+};
+
+module.exports = {
+  recordFlowStart,
+  recordFlowCompletion,
+  timeTokenExchange,
+  timeProfileFetch,
+  recordUserCreated,
+  recordProviderLinked,
+  recordProviderUnlinked,
+  render,
+  handler,
+};
@@ -0,0 +1,215 @@
+const express = require("express");
+const request = require("supertest");
+const { mockModels } = require("../../../test/memoryModels");
+const { startStubIssuer } = require("../../../test/stubIssuer");
+const { useStubIssuer, createApp, login } = require("../../../test/app");
+
+describe("metrics", () => {
+  let issuer;
+  let config;
+  let errors;
+  let logger;
+  let metrics;
+
+  beforeAll(async () => {
+    issuer = await startStubIssuer();
+    useStubIssuer(issuer);
+    config = require("../../config");
+    errors = require("./errors");
+    logger = require("./logger");
+    metrics = require("./metrics");
+  });
+
+  afterAll(() => issuer.close());
+
+  beforeEach(() => {
+    mockModels();
+  });
+
+  /**
+   * Read one sample from the rendered metrics. Counters live for the whole
+   * file, so tests use provider names no other test uses
+   * @param {string} name - Sample name, without the prefix
+   * @param {string} labels - Formatted labels, e.g. {provider="github"}
+   * @returns {Promise<number|undefined>} Sample value, if rendered
+   */
+  const sample = async (name, labels = "") => {
+    const line = (await metrics.render())
+      .split("\n")
+      .find((candidate) =>
+        candidate.startsWith(`passportlink_${name}${labels} `)
+      );
+    return line === undefined ? undefined : Number(line.split(" ").pop());
+  };
+
+  it("counts flow starts and completions per provider and flow", async () => {
+    metrics.recordFlowStart("github", "login");
+    metrics.recordFlowStart("github", "login");
+    metrics.recordFlowStart("github", "link");
+    metrics.recordFlowCompletion("github", "login");
+    metrics.recordFlowCompletion(
+      "github",
+      "login",
+      errors.createCodedError(errors.OAUTH_ERRORS.INVALID_GRANT, "x", 400)
+    );
+
+    expect(
+      await sample("auth_flow_starts_total", '{provider="github",flow="login"}')
+    ).toBe(2);
+    expect(
+      await sample("auth_flow_starts_total", '{provider="github",flow="link"}')
+    ).toBe(1);
+    expect(
+      await sample(
+        "auth_flow_completions_total",
+        '{provider="github",flow="login",outcome="failure"}'
+      )
+    ).toBe(1);
+    expect(
+      await sample(
+        "auth_callback_errors_total",
+        '{provider="github",code="invalid_grant"}'
+      )
+    ).toBe(1);
+  });
+
+  it("counts sign-ups, links and unlinks", async () => {
+    metrics.recordUserCreated("facebook");
+    metrics.recordProviderLinked("facebook");
+    metrics.recordProviderLinked("facebook");
+    metrics.recordProviderUnlinked("facebook");
+
+    expect(
+      await sample("auth_users_created_total", '{provider="facebook"}')
+    ).toBe(1);
+    expect(
+      await sample("auth_provider_links_total", '{provider="facebook"}')
+    ).toBe(2);
+    expect(
+      await sample("auth_provider_unlinks_total", '{provider="facebook"}')
+    ).toBe(1);
+  });
+
+  it("times provider requests, including failed ones", async () => {
+    await expect(
+      metrics.timeTokenExchange("linkedin", async () => "tokens")
+    ).resolves.toBe("tokens");
+    await expect(
+      metrics.timeProfileFetch("linkedin", async () => {
+        throw new Error("timeout");
+      })
+    ).rejects.toThrow("timeout");
+
+    const success = '{provider="linkedin",outcome="success"}';
+    expect(
+      await sample("auth_token_exchange_duration_seconds_count", success)
+    ).toBe(1);
+    expect(
+      await sample(
+        "auth_token_exchange_duration_seconds_bucket",
+        '{provider="linkedin",outcome="success",le="+Inf"}'
+      )
+    ).toBe(1);
+    expect(
+      await sample(
+        "auth_profile_fetch_duration_seconds_count",
+        '{provider="linkedin",outcome="failure"}'
+      )
+    ).toBe(1);
+  });
+
+  it("escapes label values", async () => {
+    metrics.recordUserCreated('a"b\\c');
+
+    expect(
+      await sample("auth_users_created_total", '{provider="a\\"b\\\\c"}')
+    ).toBe(1);
+  });
+
+  it("reads the active sessions when scraped", async () => {
+    const UserSession = require("../../models/UserSession");
+    const future = new Date(Date.now() + 60 * 1000);
+    await UserSession.create({ sessionId: "s1", expiresAt: future });
+    await UserSession.create({
+      sessionId: "s2",
+      expiresAt: future,
+      revokedAt: new Date(),
+    });
+    await UserSession.create({
+      sessionId: "s3",
+      expiresAt: new Date(Date.now() - 1000),
+    });
+
+    expect(await sample("auth_active_sessions")).toBe(1);
+
+    jest.spyOn(logger, "warn").mockImplementation(() => {});
+    UserSession.countDocuments.mockRejectedValueOnce(new Error("db down"));
+    expect(await sample("auth_active_sessions")).toBeUndefined();
+  });
+
+  describe("handler", () => {
+    let app;
+    let token;
+
+    beforeAll(() => {
+      token = config.metrics.token;
+      app = express();
+      app.get("/metrics", metrics.handler());
+      app.use((err, req, res, next) => errors.handleAuthError(err, res));
+    });
+
+    afterEach(() => {
+      config.metrics.token = token;
+    });
+
+    it("serves the exposition format", async () => {
+      const res = await request(app).get("/metrics").expect(200);
+
+      expect(res.headers["content-type"]).toMatch(
+        /^text\/plain;.*version=0\.0\.4/
+      );
+      expect(res.text).toContain(
+        "# TYPE passportlink_auth_flow_starts_total counter"
+      );
+    });
+
+    it("requires the scrape token when one is set", async () => {
+      config.metrics.token = "scrape-token";
+      jest.spyOn(logger, "warn").mockImplementation(() => {});
+
+      const res = await request(app)
+        .get("/metrics")
+        .set("Authorization", "Bearer wrong")
+        .expect(401);
+      expect(res.body.code).toBe("not_authenticated");
+
+      await request(app)
+        .get("/metrics")
+        .set("Authorization", "Bearer scrape-token")
+        .expect(200);
+    });
+  });
+
+  it("counts logins through the routes", async () => {
+    await login(request.agent(createApp()), issuer);
+
+    expect(
+      await sample("auth_flow_starts_total", '{provider="oidc",flow="login"}')
+    ).toBe(1);
+    expect(
+      await sample(
+        "auth_flow_completions_total",
+        '{provider="oidc",flow="login",outcome="success"}'
+      )
+    ).toBe(1);
+    expect(await sample("auth_users_created_total", '{provider="oidc"}')).toBe(
+      1
+    );
+    expect(
+      await sample(
+        "auth_token_exchange_duration_seconds_count",
+        '{provider="oidc",outcome="success"}'
+      )
+    ).toBe(1);
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * Native/mobile app login
+ *
+ * A native app opens /auth/:provider?client=<id> in the system browser
+ * with its own PKCE challenge. After the provider login the user is
+ * redirected to one of the app's registered redirect URIs (usually a
+ * custom URI scheme) with a short-lived, single-use code, which the app
+ * exchanges together with its code verifier for a session or tokens.
+ */
+
+const crypto = require("crypto");
+const User = require("../../models/User");
+const AuthCode = require("../../models/AuthCode");
+const config = require("../../config");
+const errors = require("./errors");
+const pkce = require("./pkce");
+const sessions = require("./sessions");
+const authTokens = require("./authTokens");
+const redirects = require("./redirects");
+
+/**
+ * Hash a one-time code for storage and lookup
+ * @param {string} code - One-time code
+ * @returns {string} SHA-256 hash of the code
+ */
+const hashCode = (code) => {
+  return crypto.createHash("sha256").update(code).digest("base64url");
+};
+
+/**
+ * Validate the mobile parameters of a flow start request
+ * @param {Object} query - Query parameters (client, redirect_uri,
+ *   code_challenge, code_challenge_method, state)
+ * @returns {Object} Flow data { client, redirectUri, codeChallenge, state }
+ */
+const validateRequest = (query) => {
+  const allowedUris = config.mobile.clients[query.client];
+  if (!allowedUris) {
+    throw errors.createCodedError(
+      errors.MOBILE_ERRORS.UNKNOWN_CLIENT,
+      `Unknown client "${query.client}"`,
+      400
+    );
+  }
+
+  // Only exact matches; the first registered URI is the default
+  const redirectUri = query.redirect_uri || allowedUris[0];
+  if (!allowedUris.includes(redirectUri)) {
+    throw errors.createCodedError(
+      errors.MOBILE_ERRORS.INVALID_REDIRECT_URI,
+      "redirect_uri is not registered for this client",
+      400,
+      { client: query.client }
+    );
+  }
+
+  if (
+    !query.code_challenge ||
+    (query.code_challenge_method || "S256") !== "S256"
+  ) {
+    throw errors.createCodedError(
+      errors.MOBILE_ERRORS.CODE_CHALLENGE_REQUIRED,
+      "An S256 code_challenge is required for app logins",
+      400,
+      { client: query.client }
+    );
+  }
+
+  return {
+    client: query.client,
+    redirectUri,
+    codeChallenge: query.code_challenge,
+    state: query.state,
+  };
+};
+
+/**
+ * Build the app redirect for a completed or failed flow
+ * @param {Object} mobile - Mobile flow data from validateRequest()
+ * @param {Object} params - Parameters to send (code or error)
+ * @returns {string} Redirect URL
+ */
+const buildRedirectUrl = (mobile, params) => {
+  return redirects.appendParams(mobile.redirectUri, {
+    ...params,
+    state: mobile.state,
+  });
+};
+
+/**
+ * Create a one-time code for a logged in user
+ * @param {Object} user - User document
+ * @param {string} provider - Provider used to log in
+ * @param {Object} flow - Flow data restored from the OAuth state
+ * @returns {Promise<string>} One-time code
+ */
+const createAuthCode = async (user, provider, flow) => {
+  const code = crypto.randomBytes(32).toString("base64url");
+
+  await AuthCode.create({
+    codeHash: hashCode(code),
+    user: user._id || user.id,
+    provider,
+    client: flow.mobile.client,
+    redirectUri: flow.mobile.redirectUri,
+    codeChallenge: flow.mobile.codeChallenge,
+    mode: flow.mode,
+    expiresAt: new Date(Date.now() + config.mobile.codeTtl * 1000),
+  });
+
+  return code;
+};
+
+/**
+ * Exchange a one-time code for a session or tokens
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} params - { code, code_verifier, client, redirect_uri }
+ * @returns {Promise<Object>} Response body: a token response in token
+ *   mode, otherwise the logged in user's ID (the session cookie is set)
+ */
+const exchangeCode = async (req, res, params) => {
+  if (!params.code || typeof params.code !== "string") {
+    throw errors.createCodedError(
+      errors.MOBILE_ERRORS.INVALID_CODE,
+      "code is required",
+      400
+    );
+  }
+
+  // Consume the code whatever the outcome so it can never be retried
+  const now = new Date();
+  const record = await AuthCode.findOneAndUpdate(
+    { codeHash: hashCode(params.code), usedAt: null, expiresAt: { $gt: now } },
+    { usedAt: now }
+  );
+
+  // Browser token mode codes have no client and are exchanged at
+  // /auth/token/exchange instead
+  if (
+    !record ||
+    !record.client ||
+    record.client !== params.client ||
+    record.redirectUri !== params.redirect_uri
+  ) {
+    throw errors.createCodedError(
+      errors.MOBILE_ERRORS.INVALID_CODE,
+      "Code is invalid, expired or was issued to another client",
+      400
+    );
+  }
+
+  if (
+    typeof params.code_verifier !== "string" ||
+    pkce.createCodeChallenge(params.code_verifier) !== record.codeChallenge
+  ) {
+    throw errors.createCodedError(
+      errors.MOBILE_ERRORS.INVALID_CODE_VERIFIER,
+      "code_verifier does not match the code challenge",
+      400
+    );
+  }
+
+  const user = await User.findById(record.user);
+  if (!user) {
+    throw errors.createCodedError(
+      errors.MOBILE_ERRORS.INVALID_CODE,
+      "Code is invalid, expired or was issued to another client",
+      400
+    );
+  }
+
+  if (record.mode === "token") {
+    return authTokens.issueTokens(req, user, record.provider);
+  }
+
+  await sessions.createSession(req, res, user, record.provider);
+  return { message: "Logged in", user: { id: user.id } };
+};
+
+module.exports = {
+  validateRequest,
+  buildRedirectUrl,
+  createAuthCode,
+  exchangeCode,
+};
@@ -0,0 +1,318 @@
+const request = require("supertest");
+const { mockModels } = require("../../../test/memoryModels");
+const { startStubIssuer } = require("../../../test/stubIssuer");
+const { useStubIssuer, createApp } = require("../../../test/app");
+
+const CLIENT = "ios-app";
+const REDIRECT_URI = "com.example.app:/oauth/callback";
+
+/**
+ * Build a request stand-in
+ * @returns {Object} Request
+ */
+const createRequest = () => ({ ip: "127.0.0.1", get: () => undefined });
+
+describe("mobile login", () => {
+  let issuer;
+  let config;
+  let mobile;
+  let pkce;
+  let sessions;
+  let authTokens;
+  let User;
+  let stores;
+  let user;
+  let verifier;
+  // What the app sends with its one-time code
+  let appParams;
+
+  beforeAll(async () => {
+    issuer = await startStubIssuer();
+    useStubIssuer(issuer);
+    config = require("../../config");
+    mobile = require("./mobile");
+    pkce = require("./pkce");
+    sessions = require("./sessions");
+    authTokens = require("./authTokens");
+    User = require("../../models/User");
+
+    config.mobile.clients = {
+      [CLIENT]: [REDIRECT_URI, "https://app.example"],
+    };
+    config.tokens.secret = "test-token-secret-0123456789abcdefghij";
+    verifier = pkce.generateCodeVerifier();
+    appParams = {
+      client: CLIENT,
+      redirect_uri: REDIRECT_URI,
+      code_verifier: verifier,
+    };
+  });
+
+  afterAll(() => {
+    config.mobile.clients = {};
+    config.tokens.secret = undefined;
+    return issuer.close();
+  });
+
+  beforeEach(async () => {
+    stores = mockModels();
+    user = await User.create({ name: "Ada Lovelace" });
+  });
+
+  describe("validateRequest", () => {
+    /**
+     * Build a flow start query
+     * @param {Object} overrides - Parameters to change
+     * @returns {Object} Query parameters
+     */
+    const createQuery = (overrides = {}) => ({
+      client: CLIENT,
+      code_challenge: pkce.createCodeChallenge(verifier),
+      state: "app-state",
+      ...overrides,
+    });
+
+    it("defaults to the first registered redirect URI", () => {
+      expect(mobile.validateRequest(createQuery())).toEqual({
+        client: CLIENT,
+        redirectUri: REDIRECT_URI,
+        codeChallenge: pkce.createCodeChallenge(verifier),
+        state: "app-state",
+      });
+    });
+
+    it.each([
+      ["an unknown client", { client: "android-app" }, "mobile_client_unknown"],
+      [
+        "an unregistered redirect URI",
+        { redirect_uri: "com.evil.app:/callback" },
+        "mobile_redirect_uri_invalid",
+      ],
+      [
+        "a redirect URI only matching a prefix",
+        { redirect_uri: `${REDIRECT_URI}/more` },
+        "mobile_redirect_uri_invalid",
+      ],
+      [
+        "a missing code challenge",
+        { code_challenge: undefined },
+        "mobile_code_challenge_required",
+      ],
+      [
+        "a plain code challenge",
+        { code_challenge_method: "plain" },
+        "mobile_code_challenge_required",
+      ],
+    ])("rejects %s", (name, overrides, code) => {
+      expect(() => mobile.validateRequest(createQuery(overrides))).toThrow(
+        expect.objectContaining({ code, status: 400 })
+      );
+    });
+
+    it("returns the code and state to the app", () => {
+      const flow = mobile.validateRequest(createQuery());
+
+      expect(mobile.buildRedirectUrl(flow, { code: "abc" })).toBe(
+        `${REDIRECT_URI}?code=abc&state=app-state`
+      );
+    });
+  });
+
+  describe("exchangeCode", () => {
+    /**
+     * Build the flow of an app login
+     * @param {string} mode - "session" or "token"
+     * @returns {Object} Flow data
+     */
+    const createAppFlow = (mode = "token") => ({
+      mode,
+      mobile: {
+        client: CLIENT,
+        redirectUri: REDIRECT_URI,
+        codeChallenge: pkce.createCodeChallenge(verifier),
+      },
+    });
+
+    /**
+     * Exchange a code
+     * @param {Object} params - Exchange parameters
+     * @returns {Promise<Object>} Response body
+     */
+    const exchange = (params) =>
+      mobile.exchangeCode(createRequest(), {}, params);
+
+    it("exchanges an app code for tokens in token mode", async () => {
+      const code = await mobile.createAuthCode(user, "google", createAppFlow());
+
+      const body = await exchange({ ...appParams, code });
+
+      expect(body).toMatchObject({
+        token_type: "Bearer",
+        access_token: expect.any(String),
+        refresh_token: expect.any(String),
+      });
+      expect(stores.AuthCode[0].codeHash).not.toBe(code);
+    });
+
+    it("accepts a code only once", async () => {
+      const code = await mobile.createAuthCode(user, "google", createAppFlow());
+      await exchange({ ...appParams, code });
+
+      await expect(exchange({ ...appParams, code })).rejects.toMatchObject({
+        code: "mobile_code_invalid",
+        status: 400,
+      });
+    });
+
+    it("rejects an expired code", async () => {
+      const code = await mobile.createAuthCode(user, "google", createAppFlow());
+      stores.AuthCode[0].expiresAt = new Date(Date.now() - 1000);
+
+      await expect(exchange({ ...appParams, code })).rejects.toMatchObject({
+        code: "mobile_code_invalid",
+      });
+    });
+
+    it.each([
+      ["another client", { client: "android-app" }, "mobile_code_invalid"],
+      [
+        "another redirect URI",
+        { redirect_uri: "https://app.example" },
+        "mobile_code_invalid",
+      ],
+      [
+        "a wrong verifier",
+        { code_verifier: "wrong-verifier-0123456789abcdefghijklmnopqrs" },
+        "mobile_code_verifier_invalid",
+      ],
+      [
+        "no verifier",
+        { code_verifier: undefined },
+        "mobile_code_verifier_invalid",
+      ],
+    ])(
+      "rejects a code presented with %s and consumes it",
+      async (name, overrides, expectedCode) => {
+        const code = await mobile.createAuthCode(
+          user,
+          "google",
+          createAppFlow()
+        );
+
+        await expect(
+          exchange({ ...appParams, ...overrides, code })
+        ).rejects.toMatchObject({ code: expectedCode });
+        await expect(exchange({ ...appParams, code })).rejects.toMatchObject({
+          code: "mobile_code_invalid",
+        });
+      }
+    );
+
+    it("rejects a missing code", async () => {
+      await expect(exchange(appParams)).rejects.toMatchObject({
+        code: "mobile_code_invalid",
+      });
+    });
+
+    it("keeps browser and app codes apart", async () => {
+      const browserCode = await authTokens.createLoginCode(user, "google");
+      const appCode = await mobile.createAuthCode(
+        user,
+        "google",
+        createAppFlow()
+      );
+
+      await expect(exchange({ code: browserCode })).rejects.toMatchObject({
+        code: "mobile_code_invalid",
+      });
+      // An app code cannot skip its PKCE check at /auth/token/exchange
+      await expect(
+        authTokens.exchangeLoginCode(createRequest(), appCode)
+      ).rejects.toMatchObject({ code: "login_code_invalid" });
+    });
+
+    it("creates a session in session mode", async () => {
+      const createSession = jest
+        .spyOn(sessions, "createSession")
+        .mockResolvedValue();
+      const code = await mobile.createAuthCode(
+        user,
+        "google",
+        createAppFlow("session")
+      );
+
+      const body = await exchange({ ...appParams, code });
+
+      expect(body).toEqual({ message: "Logged in", user: { id: user.id } });
+      expect(createSession).toHaveBeenCalledWith(
+        expect.anything(),
+        expect.anything(),
+        expect.objectContaining({ id: user.id }),
+        "google"
+      );
+    });
+  });
+
+  describe("app login through the routes", () => {
+    let app;
+
+    /**
+     * Start an app login at the stub issuer
+     * @param {Object} agent - supertest agent
+     * @param {Object} query - Extra start parameters
+     * @returns {Promise<Object>} The stub issuer's code and state
+     */
+    const startAppLogin = async (agent, query = {}) => {
+      const start = await agent
+        .get("/auth/oidc")
+        .query({
+          client: CLIENT,
+          code_challenge: pkce.createCodeChallenge(verifier),
+          state: "app-state",
+          ...query,
+        })
+        .expect(302);
+      return issuer.authorize(start.headers.location);
+    };
+
+    beforeAll(() => {
+      app = createApp();
+    });
+
+    it("redirects the app with a code it exchanges for tokens", async () => {
+      const agent = request.agent(app);
+      const { code, state } = await startAppLogin(agent, { mode: "token" });
+
+      const callback = await agent
+        .get("/auth/oidc/callback")
+        .query({ code, state })
+        .expect(302);
+      const redirect = new URL(callback.headers.location);
+
+      expect(`${redirect.protocol}${redirect.pathname}`).toBe(REDIRECT_URI);
+      expect(redirect.searchParams.get("state")).toBe("app-state");
+
+      const tokens = await request(app)
+        .post("/auth/mobile/token")
+        .send({ ...appParams, code: redirect.searchParams.get("code") })
+        .expect(200);
+      expect(tokens.body).toHaveProperty("refresh_token");
+      expect(tokens.headers["cache-control"]).toBe("no-store");
+    });
+
+    it("sends a cancelled login back to the app", async () => {
+      const agent = request.agent(app);
+      const { state } = await startAppLogin(agent);
+
+      const callback = await agent
+        .get("/auth/oidc/callback")
+        .query({ error: "access_denied", state })
+        .expect(302);
+      const redirect = new URL(callback.headers.location);
+
+      expect(redirect.protocol).toBe("com.example.app:");
+      expect(redirect.searchParams.get("error")).toBe("access_denied");
+      expect(redirect.searchParams.get("state")).toBe("app-state");
+    });
+  });
+});
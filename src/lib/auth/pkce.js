@@ -0,0 +1,98 @@
+/**
+ * Proof Key for Code Exchange (PKCE, RFC 7636) utilities
+ *
+ * Generates a code verifier per authorization-code flow and derives
+ * its S256 challenge. The verifier is kept with the OAuth state and
+ * sent back at token exchange.
+ */
+
+const crypto = require("crypto");
+const config = require("../../config");
+const errors = require("./errors");
+
+const PKCE_MODES = {
+  OFF: "off",
+  ON: "on",
+  REQUIRED: "required",
+};
+
+/**
+ * Generate a high-entropy code verifier
+ * @returns {string} Code verifier (43 characters, base64url)
+ */
+const generateCodeVerifier = () => {
+  return crypto.randomBytes(32).toString("base64url");
+};
+
+/**
+ * Derive the S256 code challenge for a verifier
+ * @param {string} codeVerifier - Code verifier
+ * @returns {string} Code challenge
+ */
+const createCodeChallenge = (codeVerifier) => {
+  return crypto.createHash("sha256").update(codeVerifier).digest("base64url");
+};
+
+/**
+ * Get the configured PKCE mode for a provider
+ * @param {string} provider - Provider name
+ * @returns {string} One of PKCE_MODES
+ */
+const getPkceMode = (provider) => {
+  const mode = (config.pkce && config.pkce[provider]) || PKCE_MODES.ON;
+  return Object.values(PKCE_MODES).includes(mode) ? mode : PKCE_MODES.ON;
+};
+
+/**
+ * Whether a provider is deployed as a public client (PKCE required)
+ * @param {string} provider - Provider name
+ * @returns {boolean} True when PKCE is required
+ */
+const isPkceRequired = (provider) => {
+  return getPkceMode(provider) === PKCE_MODES.REQUIRED;
+};
+
+/**
+ * Create the PKCE parameters for a new flow
+ * @param {string} provider - Provider name
+ * @returns {Object} { codeVerifier, codeChallenge, codeChallengeMethod },
+ *   or an empty object when PKCE is disabled for the provider
+ */
+const createPkcePair = (provider) => {
+  if (getPkceMode(provider) === PKCE_MODES.OFF) {
+    return {};
+  }
+
+  const codeVerifier = generateCodeVerifier();
+  return {
+    codeVerifier,
+    codeChallenge: createCodeChallenge(codeVerifier),
+    codeChallengeMethod: "S256",
+  };
+};
+
+/**
+ * Ensure a verifier is available when the provider requires PKCE
+ * @param {string} provider - Provider name
+ * @param {string} codeVerifier - Verifier restored from the OAuth state
+ */
+const assertVerifier = (provider, codeVerifier) => {
+  if (!codeVerifier && isPkceRequired(provider)) {
+    throw errors.createCodedError(
+      errors.OAUTH_ERRORS.INVALID_REQUEST,
+      "PKCE code verifier is missing for this flow",
+      400,
+      { provider }
+    );
+  }
+};
+
+module.exports = {
+  PKCE_MODES,
+  generateCodeVerifier,
+  createCodeChallenge,
+  getPkceMode,
+  isPkceRequired,
+  createPkcePair,
+  assertVerifier,
+};
@@ -0,0 +1,82 @@
+const crypto = require("crypto");
+const { configure } = require("../../config/loader");
+const {
+  assertVerifier,
+  createCodeChallenge,
+  createPkcePair,
+  getPkceMode,
+  isPkceRequired,
+} = require("./pkce");
+
+describe("PKCE", () => {
+  /**
+   * Set the PKCE mode of the google provider
+   * @param {string} mode - "on", "off" or "required"
+   */
+  const setMode = (mode) => configure({ pkce: { google: mode } });
+
+  afterAll(() => setMode("on"));
+
+  it("derives the S256 challenge of RFC 7636", () => {
+    // Example verifier and challenge of RFC 7636, appendix B
+    expect(
+      createCodeChallenge("dBjftJeZ4CVP-mB92K27uhbUJU1p1r_wW1gFWFOEjXk")
+    ).toBe("E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM");
+  });
+
+  describe("on", () => {
+    beforeEach(() => setMode("on"));
+
+    it("creates a verifier and its challenge for every flow", () => {
+      const pair = createPkcePair("google");
+
+      expect(pair.codeVerifier).toMatch(/^[A-Za-z0-9_-]{43}$/);
+      expect(pair.codeChallenge).toBe(
+        crypto
+          .createHash("sha256")
+          .update(pair.codeVerifier)
+          .digest("base64url")
+      );
+      expect(pair.codeChallengeMethod).toBe("S256");
+      expect(createPkcePair("google").codeVerifier).not.toBe(pair.codeVerifier);
+    });
+
+    it("accepts a flow without a verifier", () => {
+      expect(isPkceRequired("google")).toBe(false);
+      expect(() => assertVerifier("google", undefined)).not.toThrow();
+    });
+  });
+
+  describe("off", () => {
+    beforeEach(() => setMode("off"));
+
+    it("creates no PKCE parameters", () => {
+      expect(getPkceMode("google")).toBe("off");
+      expect(createPkcePair("google")).toEqual({});
+    });
+
+    it("accepts a flow without a verifier", () => {
+      expect(() => assertVerifier("google", undefined)).not.toThrow();
+    });
+  });
+
+  describe("required", () => {
+    beforeEach(() => setMode("required"));
+
+    it("creates PKCE parameters", () => {
+      expect(isPkceRequired("google")).toBe(true);
+      expect(createPkcePair("google").codeChallengeMethod).toBe("S256");
+    });
+
+    it("rejects a flow without a verifier", () => {
+      expect(() => assertVerifier("google", undefined)).toThrow(
+        expect.objectContaining({ code: "invalid_request", status: 400 })
+      );
+      expect(() => assertVerifier("google", "verifier")).not.toThrow();
+    });
+  });
+
+  it("rejects an unknown mode in the config", () => {
+    expect(() => setMode("sometimes")).toThrow(/pkce\.google: /);
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * Linked provider access tokens
+ *
+ * Lets backend code call provider APIs on behalf of a user. Stored
+ * access tokens are returned while they are valid and refreshed with
+ * the provider's refresh token when they are about to expire. Rotated
+ * tokens are persisted; a rejected refresh marks the link as needing
+ * re-consent so the user can be asked to link the provider again.
+ */
+
+const User = require("../../models/User");
+const errors = require("./errors");
+const registry = require("./registry");
+
+// Refresh tokens this long before they expire
+const EXPIRY_MARGIN_MS = 60 * 1000;
+
+// Refreshes in progress, keyed by user and provider
+const pendingRefreshes = new Map();
+
+/**
+ * Check whether a stored access token can still be used
+ * @param {Object} providerEntry - Linked provider subdocument
+ * @returns {boolean} Whether the access token is valid
+ */
+const isAccessTokenValid = (providerEntry) => {
+  if (!providerEntry.accessToken) {
+    return false;
+  }
+
+  // Tokens without a stored expiry (e.g. GitHub OAuth apps) do not expire
+  if (!providerEntry.accessTokenExpiresAt) {
+    return true;
+  }
+
+  return (
+    new Date(providerEntry.accessTokenExpiresAt).getTime() - EXPIRY_MARGIN_MS >
+    Date.now()
+  );
+};
+
+/**
+ * Load the user as a Mongoose document
+ * @param {Object|string} user - User document, session user or user ID
+ * @returns {Promise<Object>} User document
+ */
+const loadUser = async (user) => {
+  if (user && typeof user.save === "function") {
+    return user;
+  }
+
+  const userId = user && typeof user === "object" ? user._id || user.id : user;
+  const userDoc = userId ? await User.findById(userId) : null;
+  if (!userDoc) {
+    throw errors.createError("User not found in database", null, 404);
+  }
+  return userDoc;
+};
+
+/**
+ * Mark a provider link as needing re-consent
+ * @param {Object} user - User document
+ * @param {Object} providerEntry - Linked provider subdocument
+ * @param {string} reason - Why the link can no longer be used
+ * @returns {Promise<Error>} Error to throw to the caller
+ */
+const requireReconsent = async (user, providerEntry, reason) => {
+  providerEntry.needsReconsent = true;
+  await user.save();
+
+  return errors.createCodedError(
+    errors.TOKEN_ERRORS.RECONSENT_REQUIRED,
+    `${providerEntry.provider} access must be granted again: ${reason}`,
+    401,
+    { provider: providerEntry.provider }
+  );
+};
+
+/**
+ * Refresh the access token of a linked provider and persist the result
+ * @param {Object} user - User document
+ * @param {Object} providerEntry - Linked provider subdocument
+ * @returns {Promise<string>} New access token
+ */
+const refreshProviderToken = async (user, providerEntry) => {
+  const provider = registry.get(providerEntry.provider);
+  if (!provider || typeof provider.refreshAccessToken !== "function") {
+    throw await requireReconsent(
+      user,
+      providerEntry,
+      "provider does not support token refresh"
+    );
+  }
+
+  if (!providerEntry.refreshToken) {
+    throw await requireReconsent(
+      user,
+      providerEntry,
+      "no refresh token was issued"
+    );
+  }
+
+  let tokens;
+  try {
+    tokens = await provider.refreshAccessToken(providerEntry.refreshToken);
+  } catch (err) {
+    // Provider rejected the grant (revoked, expired or rotated refresh token)
+    if (err.status && err.status < 500) {
+      throw await requireReconsent(user, providerEntry, err.message);
+    }
+
+    throw errors.createCodedError(
+      errors.TOKEN_ERRORS.REFRESH_FAILED,
+      `Failed to refresh ${providerEntry.provider} access token`,
+      502,
+      { provider: providerEntry.provider }
+    );
+  }
+
+  providerEntry.accessToken = tokens.access_token;
+  // Providers that rotate refresh tokens invalidate the old one
+  if (tokens.refresh_token) {
+    providerEntry.refreshToken = tokens.refresh_token;
+  }
+  providerEntry.accessTokenExpiresAt =
+    Number(tokens.expires_in) > 0
+      ? new Date(Date.now() + Number(tokens.expires_in) * 1000)
+      : null;
+  providerEntry.needsReconsent = false;
+
+  await user.save();
+  return providerEntry.accessToken;
+};
+
+/**
+ * Get a usable access token for a linked provider, refreshing it if needed
+ * @param {Object|string} user - User document, session user or user ID
+ * @param {string} providerName - Provider name
+ * @returns {Promise<string>} Access token
+ */
+const getValidAccessToken = async (user, providerName) => {
+  const userDoc = await loadUser(user);
+  const providerEntry = userDoc.providers.find(
+    (p) => p.provider === providerName
+  );
+
+  if (!providerEntry) {
+    throw errors.createCodedError(
+      errors.TOKEN_ERRORS.NOT_LINKED,
+      `${providerName} is not linked to this account`,
+      404,
+      { provider: providerName }
+    );
+  }
+
+  if (providerEntry.needsReconsent) {
+    throw errors.createCodedError(
+      errors.TOKEN_ERRORS.RECONSENT_REQUIRED,
+      `${providerName} access must be granted again`,
+      401,
+      { provider: providerName }
+    );
+  }
+
+  if (isAccessTokenValid(providerEntry)) {
+    return providerEntry.accessToken;
+  }
+
+  // Share one refresh between concurrent callers so a rotated refresh
+  // token is only redeemed once
+  const key = `${userDoc._id}:${providerName}`;
+  if (!pendingRefreshes.has(key)) {
+    pendingRefreshes.set(
+      key,
+      refreshProviderToken(userDoc, providerEntry).finally(() =>
+        pendingRefreshes.delete(key)
+      )
+    );
+  }
+
+  return pendingRefreshes.get(key);
+};
+
+module.exports = {
+  EXPIRY_MARGIN_MS,
+  isAccessTokenValid,
+  getValidAccessToken,
+};
@@ -0,0 +1,162 @@
+const User = require("../../models/User");
+const providers = require("./providers");
+const { EXPIRY_MARGIN_MS, getValidAccessToken } = require("./providerTokens");
+const { mockModels } = require("../../../test/memoryModels");
+
+describe("linked provider access tokens", () => {
+  let stores;
+  let refreshAccessToken;
+
+  /**
+   * Create a user with GitHub linked
+   * @param {Object} link - Provider entry fields to set
+   * @returns {Promise<Object>} User document
+   */
+  const createUser = (link = {}) =>
+    User.create({
+      name: "Ada",
+      email: "ada@example.com",
+      providers: [
+        {
+          provider: "github",
+          providerId: "gh-1",
+          accessToken: "old-access",
+          refreshToken: "old-refresh",
+          accessTokenExpiresAt: new Date(Date.now() + EXPIRY_MARGIN_MS / 2),
+          ...link,
+        },
+      ],
+    });
+
+  /**
+   * Call getValidAccessToken and return the error it rejects with
+   * @param {Object|string} user - User document or ID
+   * @param {string} provider - Provider name
+   * @returns {Promise<Error>} The error
+   */
+  const tokenError = (user, provider = "github") =>
+    getValidAccessToken(user, provider).then(
+      () => {
+        throw new Error("getValidAccessToken did not reject");
+      },
+      (error) => error
+    );
+
+  beforeEach(() => {
+    stores = mockModels();
+    refreshAccessToken = jest
+      .spyOn(providers.github, "refreshAccessToken")
+      .mockResolvedValue({
+        access_token: "new-access",
+        refresh_token: "new-refresh",
+        expires_in: 3600,
+      });
+  });
+
+  it("returns a stored token that is still valid", async () => {
+    const user = await createUser({
+      accessTokenExpiresAt: new Date(Date.now() + 3600 * 1000),
+    });
+
+    await expect(getValidAccessToken(user, "github")).resolves.toBe(
+      "old-access"
+    );
+    expect(refreshAccessToken).not.toHaveBeenCalled();
+  });
+
+  it("returns a token without an expiry", async () => {
+    const user = await createUser({ accessTokenExpiresAt: null });
+
+    await expect(getValidAccessToken(user, "github")).resolves.toBe(
+      "old-access"
+    );
+  });
+
+  it("refreshes a token about to expire and stores the rotated tokens", async () => {
+    const user = await createUser();
+
+    await expect(getValidAccessToken(user.id, "github")).resolves.toBe(
+      "new-access"
+    );
+
+    expect(refreshAccessToken).toHaveBeenCalledWith("old-refresh");
+    const link = stores.User[0].providers[0];
+    expect(link.refreshToken).toBe("new-refresh");
+    expect(link.accessTokenExpiresAt.getTime()).toBeGreaterThan(
+      Date.now() + 3500 * 1000
+    );
+  });
+
+  it("keeps the refresh token when the provider does not rotate it", async () => {
+    const user = await createUser();
+    refreshAccessToken.mockResolvedValue({ access_token: "new-access" });
+
+    await getValidAccessToken(user, "github");
+
+    expect(user.providers[0].refreshToken).toBe("old-refresh");
+    expect(user.providers[0].accessTokenExpiresAt).toBeNull();
+  });
+
+  it("redeems the refresh token once for concurrent callers", async () => {
+    const user = await createUser();
+
+    const tokens = await Promise.all([
+      getValidAccessToken(user, "github"),
+      getValidAccessToken(user, "github"),
+    ]);
+
+    expect(tokens).toEqual(["new-access", "new-access"]);
+    expect(refreshAccessToken).toHaveBeenCalledTimes(1);
+  });
+
+  it("marks the link for re-consent when the provider rejects the refresh", async () => {
+    const user = await createUser();
+    refreshAccessToken.mockRejectedValue(
+      Object.assign(new Error("invalid_grant"), { status: 400 })
+    );
+
+    expect(await tokenError(user)).toMatchObject({
+      code: "provider_reconsent_required",
+      status: 401,
+    });
+    expect(stores.User[0].providers[0].needsReconsent).toBe(true);
+
+    // Later calls fail without asking the provider again
+    expect(await tokenError(user)).toMatchObject({
+      code: "provider_reconsent_required",
+    });
+    expect(refreshAccessToken).toHaveBeenCalledTimes(1);
+  });
+
+  it("marks the link for re-consent when there is no refresh token", async () => {
+    const user = await createUser({ refreshToken: null });
+
+    expect(await tokenError(user)).toMatchObject({
+      code: "provider_reconsent_required",
+    });
+    expect(user.providers[0].needsReconsent).toBe(true);
+    expect(refreshAccessToken).not.toHaveBeenCalled();
+  });
+
+  it("reports a provider outage without asking for re-consent", async () => {
+    const user = await createUser();
+    refreshAccessToken.mockRejectedValue(
+      Object.assign(new Error("unavailable"), { status: 503 })
+    );
+
+    expect(await tokenError(user)).toMatchObject({
+      code: "token_refresh_failed",
+      status: 502,
+    });
+    expect(user.providers[0].needsReconsent).toBe(false);
+  });
+
+  it("rejects a provider that is not linked", async () => {
+    const user = await createUser();
+
+    expect(await tokenError(user, "google")).toMatchObject({
+      code: "provider_not_linked",
+      status: 404,
+    });
+  });
+});
@@ -1,105 +1,49 @@
 /**
- * OAuth Provider Registry
+ * Built-in OAuth Providers
  *
- * Centralizes access to all supported OAuth providers.
- * Each provider implements a standard interface for
- * authentication and authorization.
+ * Registers the providers that ship with PassportLink in the provider
+ * registry. Each provider implements a standard interface for
+ * authentication and authorization; additional providers are added
+ * with `customAuth.use()`.
  */
 
-// Import providers as they're implemented
+const config = require("../../../config");
+const registry = require("../registry");
 const linkedin = require("./linkedin");
 const microsoft = require("./microsoft");
 const google = require("./google");
 const github = require("./github");
 const facebook = require("./facebook");
+const oidc = require("./oidc");
 
-/**
- * Check if the environment variables for a provider are configured
- * @param {string} provider - Provider name
- * @returns {boolean} Whether the provider is configured
- */
-const isProviderConfigured = (provider) => {
-  const upperProvider = provider.toUpperCase();
-  return !!(
-    process.env[`${upperProvider}_CLIENT_ID`] &&
-    process.env[`${upperProvider}_CLIENT_SECRET`]
-  );
-};
-
-/**
- * Get all configured providers
- * @returns {Array<string>} List of provider names that are configured
- */
-const getConfiguredProviders = () => {
-  const allProviders = [
-    "linkedin",
-    "microsoft",
-    "google",
-    "github",
-    "facebook",
-  ];
-  return allProviders.filter((provider) => isProviderConfigured(provider));
-};
-
-/**
- * Standard provider interface that each provider must implement
- */
-const providerInterface = {
-  /**
-   * Authenticate a user with this provider
-   * @param {Object} req - Express request object
-   * @param {Object} res - Express response object
-   * @param {Function} next - Express next function
-   * @param {Object} options - Authentication options
-   */
-  authenticate: async (req, res, next, options) => {
-    throw new Error("Provider authentication not implemented");
-  },
-
-  /**
-   * Authorize a user (link a new provider to an existing account)
-   * @param {Object} req - Express request object
-   * @param {Object} res - Express response object
-   * @param {Function} next - Express next function
-   * @param {Object} options - Authorization options
-   */
-  authorize: async (req, res, next, options) => {
-    throw new Error("Provider authorization not implemented");
-  },
-
-  /**
-   * Get the appropriate scope for this provider
-   * @returns {Array<string>} List of scopes to request
-   */
-  getDefaultScopes: () => {
-    return ["profile", "email"];
-  },
-
-  /**
-   * Build a standardized user profile from provider-specific data
-   * @param {Object} rawProfile - Raw profile data from provider
-   * @param {Object} tokens - Token information
-   * @returns {Object} Normalized user profile
-   */
-  normalizeProfile: (rawProfile, tokens) => {
-    throw new Error("Profile normalization not implemented");
-  },
-};
-
-// Initialize provider registry
-// As providers are implemented, add them to this object
 const providers = {
   linkedin,
   microsoft,
   google,
   github,
   facebook,
+  oidc,
 };
 
-// Export provider registry and helper functions
+registry.register("google", google, { label: "Google" });
+registry.register("github", github, { label: "GitHub" });
+registry.register("facebook", facebook, { label: "Facebook" });
+registry.register("microsoft", microsoft, {
+  label: "Microsoft",
+  // Microsoft might use the form_post response mode
+  formPostCallback: true,
+});
+registry.register("linkedin", linkedin, { label: "LinkedIn" });
+registry.register("oidc", oidc, {
+  // Generic OpenID Connect also needs an issuer to discover endpoints from
+  isConfigured: () =>
+    !!config.oauth.oidc.issuer && registry.hasCredentials("oidc"),
+});
+
+// Export the built-in providers and registry helpers
 module.exports = {
   ...providers,
-  isProviderConfigured,
-  getConfiguredProviders,
-  providerInterface,
+  isProviderConfigured: registry.isConfigured,
+  getConfiguredProviders: registry.getConfiguredProviders,
+  providerInterface: registry.providerInterface,
 };
@@ -0,0 +1,96 @@
+const axios = require("axios");
+const request = require("supertest");
+const { mockModels } = require("../../../../test/memoryModels");
+const { createApp } = require("../../../../test/app");
+
+describe("Microsoft provider", () => {
+  let app;
+  let config;
+  let idToken;
+  let User;
+  let stores;
+
+  /**
+   * Log in with Microsoft, answering the token and Graph requests
+   * @param {Object} profile - Graph profile or verified ID token claims
+   * @returns {Promise<URL>} Where the callback redirected to
+   */
+  const login = async (profile) => {
+    jest.spyOn(axios, "post").mockResolvedValue({
+      data: { access_token: "access-token", id_token: "id-token" },
+    });
+    jest.spyOn(axios, "get").mockResolvedValue({ data: profile });
+    jest.spyOn(idToken, "verifyIdToken").mockResolvedValue(profile);
+
+    const agent = request.agent(app);
+    const start = await agent.get("/auth/microsoft").expect(302);
+    const res = await agent
+      .get("/auth/microsoft/callback")
+      .query({
+        code: "code",
+        state: new URL(start.headers.location).searchParams.get("state"),
+      })
+      .expect(302);
+    return new URL(res.headers.location);
+  };
+
+  beforeAll(() => {
+    process.env.MICROSOFT_CLIENT_ID = "microsoft-client";
+    process.env.MICROSOFT_CLIENT_SECRET = "microsoft-secret";
+    app = createApp();
+    config = require("../../../config");
+    idToken = require("../idToken");
+    User = require("../../../models/User");
+  });
+
+  beforeEach(async () => {
+    stores = mockModels();
+    await User.create({ name: "Ada", email: "ada@example.com" });
+  });
+
+  afterEach(() => {
+    config.profileSource.microsoft = "userinfo";
+  });
+
+  it("does not link an existing account by its Graph email", async () => {
+    const location = await login({ id: "ms-1", mail: "ada@example.com" });
+
+    expect(location.pathname).toBe("/auth/success");
+    expect(stores.User).toHaveLength(2);
+    expect(stores.User[0].providers).toHaveLength(0);
+    expect(stores.User[1].emailVerified).toBe(false);
+  });
+
+  it("never takes the email from the user principal name", async () => {
+    await login({ id: "ms-1", userPrincipalName: "ada@example.com" });
+
+    expect(stores.User[0].providers).toHaveLength(0);
+    expect(stores.User[1].email).toBe("user-ms-1@microsoft.account");
+  });
+
+  it("does not link by an ID token email without xms_edov", async () => {
+    config.profileSource.microsoft = "id_token";
+
+    await login({ sub: "ms-1", oid: "oid-1", email: "ada@example.com" });
+
+    expect(stores.User).toHaveLength(2);
+    expect(stores.User[0].providers).toHaveLength(0);
+  });
+
+  it("links by an email its domain owner verified", async () => {
+    config.profileSource.microsoft = "id_token";
+
+    await login({
+      sub: "ms-1",
+      oid: "oid-1",
+      email: "ada@example.com",
+      xms_edov: true,
+    });
+
+    expect(stores.User).toHaveLength(1);
+    expect(stores.User[0].providers[0]).toMatchObject({
+      provider: "microsoft",
+      providerId: "oid-1",
+    });
+  });
+});
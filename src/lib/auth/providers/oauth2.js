@@ -0,0 +1,1077 @@
+/**
+ * Shared OAuth 2.0 Provider Implementation
+ *
+ * Implements the authorization-code flow once for every provider:
+ * redirecting to the provider, state and PKCE handling, token exchange,
+ * ID token validation, user lookup and creation, account linking and
+ * token persistence. A provider only supplies its endpoints, scopes, a
+ * profile fetcher and a profile normalizer.
+ */
+
+const axios = require("axios");
+const qs = require("querystring");
+const config = require("../../../config");
+const User = require("../../../models/User");
+const errors = require("../errors");
+const sessions = require("../sessions");
+const authTokens = require("../authTokens");
+const mobile = require("../mobile");
+const redirects = require("../redirects");
+const oauthState = require("../state");
+const pkce = require("../pkce");
+const idToken = require("../idToken");
+const hooks = require("../hooks");
+const auditLog = require("../auditLog");
+const webhooks = require("../webhooks");
+const rateLimit = require("../rateLimit");
+const logger = require("../logger");
+const metrics = require("../metrics");
+
+/**
+ * Resolve a definition value that may be a (possibly async) function
+ * @param {*} value - Static value or function returning the value
+ * @returns {Promise<*>} Resolved value
+ */
+const resolveValue = async (value) => {
+  return typeof value === "function" ? value() : value;
+};
+
+/**
+ * Create a provider implementing the standard provider interface
+ * @param {Object} definition - Provider definition
+ * @param {string} definition.name - Provider name used in routes and storage
+ * @param {string} definition.label - Human readable provider name
+ *   (oauth.<name>.label takes precedence where the provider has one)
+ * @param {string|Function} definition.authorizationUrl - Authorization endpoint
+ * @param {string|Function} definition.tokenUrl - Token endpoint
+ * @param {string|Function} definition.userInfoUrl - Profile endpoint, passed
+ *   to fetchUserProfile
+ * @param {string|Function} definition.clientID - Client ID
+ *   (defaults to oauth.<name>.clientID, e.g. <NAME>_CLIENT_ID)
+ * @param {string|Function} definition.clientSecret - Client secret
+ *   (defaults to oauth.<name>.clientSecret, e.g. <NAME>_CLIENT_SECRET)
+ * @param {string} definition.callbackUrl - Callback URL (defaults to
+ *   <BASE_URL>/auth/<name>/callback)
+ * @param {Array<string>} definition.defaultScopes - Scopes requested by default
+ * @param {Array<string>} definition.requiredScopes - Scopes always requested
+ * @param {string} definition.scopeSeparator - Scope separator (default " ")
+ * @param {Object} definition.authorizationParams - Extra authorization params
+ * @param {string} definition.tokenRequestFormat - "form" (default), "json"
+ *   or "query" (GET request)
+ * @param {string|Function} definition.clientAuthentication -
+ *   "client_secret_post" (default) or "client_secret_basic"
+ * @param {boolean} definition.pkce - Whether the provider supports PKCE
+ * @param {boolean} definition.refreshable - Whether the provider supports the
+ *   refresh_token grant (default true)
+ * @param {Object} definition.idToken - ID token validation settings
+ *   ({ issuer, jwksUri, profileFromClaims, matchUserinfoSubject })
+ * @param {string|Function} definition.profileSource - "userinfo" or
+ *   "id_token" (defaults to profileSource.<name>)
+ * @param {Function} definition.fetchUserProfile - (accessToken,
+ *   { userInfoUrl }) => profile
+ * @param {Function} definition.normalizeProfile - (profile, tokens) =>
+ *   normalized profile
+ * @returns {Object} Provider implementation. Endpoints, scopes, the
+ *   callback URL and authorization params can be overridden per deployment
+ *   in the provider's config (oauth.<name>)
+ */
+const createOAuth2Provider = (definition) => {
+  const { name } = definition;
+
+  /**
+   * Get the provider's config (credentials and overrides)
+   * @returns {Object} oauth.<name> settings, empty if there are none
+   */
+  const getSettings = () => {
+    return config.oauth[name] || {};
+  };
+
+  /**
+   * Get the human readable provider name
+   * @returns {string} Label
+   */
+  const getLabel = () => {
+    return getSettings().label || definition.label || name;
+  };
+
+  /**
+   * Get an endpoint, preferring the configured override
+   * @param {string} key - "authorizationUrl", "tokenUrl" or "userInfoUrl"
+   * @returns {Promise<string|undefined>} Endpoint URL
+   */
+  const getEndpoint = async (key) => {
+    return getSettings()[key] || resolveValue(definition[key]);
+  };
+
+  /**
+   * Get the OAuth client ID
+   * @returns {string} Client ID
+   */
+  const getClientId = () => {
+    const clientID =
+      typeof definition.clientID === "function"
+        ? definition.clientID()
+        : definition.clientID;
+    return clientID || getSettings().clientID;
+  };
+
+  /**
+   * Get the OAuth client secret (absent for public clients)
+   * @returns {string|undefined} Client secret
+   */
+  const getClientSecret = () => {
+    const clientSecret =
+      typeof definition.clientSecret === "function"
+        ? definition.clientSecret()
+        : definition.clientSecret;
+    return clientSecret || getSettings().clientSecret;
+  };
+
+  /**
+   * Get the callback URL registered with the provider
+   * @returns {string} Callback URL
+   */
+  const getCallbackUrl = () => {
+    return (
+      getSettings().callbackUrl ||
+      definition.callbackUrl ||
+      `${config.urls.base}/auth/${name}/callback`
+    );
+  };
+
+  /**
+   * Get the default scopes for this provider
+   * @returns {Array<string>} Array of default scopes
+   */
+  const getDefaultScopes = () => {
+    return (
+      getSettings().scope || definition.defaultScopes || ["profile", "email"]
+    );
+  };
+
+  /**
+   * Build the provider authorization URL
+   * @param {Object} options - Options for authorization
+   * @param {Array<string>|string} options.scope - Scopes to request
+   * @param {string} options.state - OAuth state
+   * @param {string} options.codeChallenge - PKCE S256 challenge
+   * @param {string} options.nonce - OpenID Connect nonce
+   * @returns {Promise<string>} Authorization URL
+   */
+  const buildAuthorizationUrl = async (options = {}) => {
+    const endpoint = await getEndpoint("authorizationUrl");
+    const separator = definition.scopeSeparator || " ";
+
+    const params = {
+      client_id: getClientId(),
+      response_type: "code",
+      redirect_uri: getCallbackUrl(),
+      ...(definition.authorizationParams || {}),
+      ...(getSettings().authParams || {}),
+    };
+
+    // Accept scopes as an array or a separated string
+    let scopes = options.scope || getDefaultScopes();
+    if (!Array.isArray(scopes)) {
+      scopes = scopes.split(/[\s,]+/).filter(Boolean);
+    }
+    (definition.requiredScopes || []).forEach((scope) => {
+      if (!scopes.includes(scope)) {
+        scopes = [scope, ...scopes];
+      }
+    });
+    params.scope = scopes.join(separator);
+
+    if (options.state) {
+      params.state = options.state;
+    }
+
+    // Add nonce to bind the ID token to this request
+    if (options.nonce) {
+      params.nonce = options.nonce;
+    }
+
+    // Add PKCE challenge if provided
+    if (options.codeChallenge) {
+      params.code_challenge = options.codeChallenge;
+      params.code_challenge_method = "S256";
+    }
+
+    const joiner = endpoint.includes("?") ? "&" : "?";
+    return `${endpoint}${joiner}${qs.stringify(params)}`;
+  };
+
+  /**
+   * Send a request to the token endpoint
+   * @param {Object} params - Grant parameters
+   * @returns {Promise<Object>} Token response
+   */
+  const requestToken = async (params) => {
+    try {
+      const tokenUrl = await getEndpoint("tokenUrl");
+      const body = { ...params, client_id: getClientId() };
+      const headers = { Accept: "application/json" };
+
+      // Public clients prove possession with the PKCE verifier instead
+      const clientSecret = getClientSecret();
+      const authMethod = await resolveValue(
+        definition.clientAuthentication || "client_secret_post"
+      );
+      if (clientSecret && authMethod === "client_secret_basic") {
+        const credentials = Buffer.from(
+          `${encodeURIComponent(body.client_id)}:${encodeURIComponent(
+            clientSecret
+          )}`
+        ).toString("base64");
+        headers.Authorization = `Basic ${credentials}`;
+      } else if (clientSecret) {
+        body.client_secret = clientSecret;
+      }
+
+      let response;
+      if (definition.tokenRequestFormat === "query") {
+        response = await axios.get(`${tokenUrl}?${qs.stringify(body)}`, {
+          headers,
+        });
+      } else if (definition.tokenRequestFormat === "json") {
+        response = await axios.post(tokenUrl, body, { headers });
+      } else {
+        response = await axios.post(tokenUrl, qs.stringify(body), {
+          headers: {
+            ...headers,
+            "Content-Type": "application/x-www-form-urlencoded",
+          },
+        });
+      }
+
+      // Some providers (e.g. GitHub) report errors with a 200 response
+      if (response.data && response.data.error && !response.data.access_token) {
+        throw errors.createCodedError(
+          errors.normalizeProviderErrorCode(response.data.error),
+          response.data.error_description ||
+            `${getLabel()} OAuth error: ${response.data.error}`,
+          400,
+          { provider: name, providerError: response.data.error }
+        );
+      }
+
+      return response.data;
+    } catch (err) {
+      // Pass on errors raised above; axios errors carry a status too
+      if (err.status && !axios.isAxiosError(err)) {
+        throw err;
+      }
+
+      logger.error(`${getLabel()} token request failed`, {
+        provider: name,
+        err,
+      });
+
+      throw errors.handleProviderError(err, name);
+    }
+  };
+
+  /**
+   * Exchange authorization code for tokens
+   * @param {string} code - Authorization code
+   * @param {string} codeVerifier - PKCE code verifier for this flow
+   * @returns {Promise<Object>} Token response
+   */
+  const exchangeCodeForToken = async (code, codeVerifier) => {
+    const params = {
+      grant_type: "authorization_code",
+      code,
+      redirect_uri: getCallbackUrl(),
+    };
+    if (codeVerifier) {
+      params.code_verifier = codeVerifier;
+    }
+
+    return requestToken(params);
+  };
+
+  /**
+   * Get a new access token using a refresh token
+   * @param {string} refreshToken - Stored refresh token
+   * @returns {Promise<Object>} Token response
+   */
+  const refreshAccessToken = async (refreshToken) => {
+    if (definition.refreshable === false) {
+      throw errors.createCodedError(
+        errors.TOKEN_ERRORS.RECONSENT_REQUIRED,
+        `${getLabel()} does not support refreshing access tokens`,
+        401,
+        { provider: name }
+      );
+    }
+
+    return requestToken({
+      grant_type: "refresh_token",
+      refresh_token: refreshToken,
+    });
+  };
+
+  /**
+   * Fetch the user profile from the provider API
+   * @param {string} accessToken - OAuth access token
+   * @returns {Promise<Object>} Raw profile data
+   */
+  const fetchUserProfile = async (accessToken) => {
+    try {
+      return await definition.fetchUserProfile(accessToken, {
+        userInfoUrl: await getEndpoint("userInfoUrl"),
+      });
+    } catch (err) {
+      if (err.status && !axios.isAxiosError(err)) {
+        throw err;
+      }
+      throw errors.handleProviderError(err, name);
+    }
+  };
+
+  /**
+   * Verify the ID token returned in the token response
+   * @param {Object} tokens - Token data
+   * @param {string} nonce - Nonce sent with the authorization request
+   * @returns {Promise<Object|null>} Verified claims, or null if absent
+   */
+  const verifyIdToken = async (tokens, nonce) => {
+    if (!definition.idToken || !tokens.id_token) {
+      return null;
+    }
+
+    return idToken.verifyIdToken(tokens.id_token, {
+      issuer: await resolveValue(definition.idToken.issuer),
+      audience: getClientId(),
+      jwksUri: await resolveValue(definition.idToken.jwksUri),
+      nonce,
+    });
+  };
+
+  /**
+   * Get the profile from verified ID token claims or the provider API
+   * @param {Object} tokens - Token data
+   * @param {string} nonce - Nonce sent with the authorization request
+   * @returns {Promise<Object>} Raw profile data
+   */
+  const getUserProfile = async (tokens, nonce) => {
+    const claims = await verifyIdToken(tokens, nonce);
+    const profileSource =
+      (await resolveValue(definition.profileSource)) ||
+      (config.profileSource && config.profileSource[name]) ||
+      "userinfo";
+
+    if (definition.idToken && profileSource === "id_token") {
+      if (!claims) {
+        throw errors.createIdTokenError(
+          errors.ID_TOKEN_ERRORS.MISSING,
+          `${getLabel()} did not return an ID token`
+        );
+      }
+      const { profileFromClaims } = definition.idToken;
+      return profileFromClaims ? profileFromClaims(claims) : claims;
+    }
+
+    const profile = await fetchUserProfile(tokens.access_token);
+
+    // The userinfo response must describe the same user as the ID token
+    if (
+      claims &&
+      definition.idToken.matchUserinfoSubject &&
+      profile.sub !== claims.sub
+    ) {
+      throw errors.createIdTokenError(
+        errors.ID_TOKEN_ERRORS.SUBJECT_MISMATCH,
+        `${getLabel()} userinfo subject does not match the ID token`
+      );
+    }
+
+    return profile;
+  };
+
+  /**
+   * Convert a token lifetime into an expiry date
+   * @param {number} expiresIn - Lifetime in seconds
+   * @returns {Date|null} Expiry date, or null if the token does not expire
+   */
+  const getExpiryDate = (expiresIn) => {
+    const seconds = Number(expiresIn);
+    return seconds > 0 ? new Date(Date.now() + seconds * 1000) : null;
+  };
+
+  /**
+   * Copy profile data and tokens onto a linked provider entry
+   * @param {Object} providerEntry - Provider subdocument
+   * @param {Object} normalizedProfile - Normalized profile data
+   */
+  const updateProviderEntry = (providerEntry, normalizedProfile) => {
+    providerEntry.accessToken = normalizedProfile.accessToken;
+    // Providers only return a refresh token on first consent; keep the old one
+    if (normalizedProfile.refreshToken) {
+      providerEntry.refreshToken = normalizedProfile.refreshToken;
+    }
+    providerEntry.accessTokenExpiresAt = getExpiryDate(
+      normalizedProfile.expiresIn
+    );
+    providerEntry.needsReconsent = false;
+    providerEntry.profilePhoto = normalizedProfile.profilePhoto;
+    providerEntry.displayName = normalizedProfile.displayName;
+  };
+
+  /**
+   * Build a new linked provider entry
+   * @param {Object} normalizedProfile - Normalized profile data
+   * @returns {Object} Provider subdocument data
+   */
+  const createProviderEntry = (normalizedProfile) => {
+    return {
+      provider: name,
+      providerId: normalizedProfile.providerId,
+      displayName: normalizedProfile.displayName,
+      email: normalizedProfile.email,
+      profilePhoto: normalizedProfile.profilePhoto,
+      accessToken: normalizedProfile.accessToken,
+      refreshToken: normalizedProfile.refreshToken,
+      accessTokenExpiresAt: getExpiryDate(normalizedProfile.expiresIn),
+      linkedAt: new Date(),
+    };
+  };
+
+  /**
+   * Find the provider entry for a profile on a user
+   * @param {Object} user - User document
+   * @param {Object} normalizedProfile - Normalized profile data
+   * @returns {Object|undefined} Provider subdocument
+   */
+  const findProviderEntry = (user, normalizedProfile) => {
+    return user.providers.find(
+      (p) =>
+        p.provider === name && p.providerId === normalizedProfile.providerId
+    );
+  };
+
+  /**
+   * Add the provider profile to a user, running the provider.linked hooks
+   * @param {Object} req - Express request object
+   * @param {Object} user - User document
+   * @param {Object} normalizedProfile - Normalized profile data
+   * @returns {Promise<Object>} Updated user document
+   */
+  const addProviderEntry = async (req, user, normalizedProfile) => {
+    const payload = await hooks.runBefore("provider.linked", {
+      req,
+      user,
+      provider: name,
+      profile: normalizedProfile,
+    });
+
+    user.providers.push(createProviderEntry(normalizedProfile));
+    await user.save();
+
+    metrics.recordProviderLinked(name);
+    auditLog.record(req, {
+      type: auditLog.EVENT_TYPES.PROVIDER_LINKED,
+      user,
+      provider: name,
+    });
+    webhooks.publish("provider.linked", {
+      user,
+      provider: name,
+      providerId: normalizedProfile.providerId,
+    });
+    hooks.emit("provider.linked", payload);
+    return user;
+  };
+
+  /**
+   * Find the user of a provider profile, or build a new one, without
+   * saving anything
+   * @param {Object} normalizedProfile - Normalized profile data
+   * @returns {Promise<Object>} { user, event }: event is "user.created"
+   *   for a new user, "provider.linked" when the profile is linked to a
+   *   user by email, otherwise null
+   */
+  const resolveUser = async (normalizedProfile) => {
+    // First, try to find an existing user with this provider account
+    let user = await User.findOne({
+      "providers.provider": name,
+      "providers.providerId": normalizedProfile.providerId,
+    });
+
+    // If user found, update their tokens
+    if (user) {
+      const providerEntry = findProviderEntry(user, normalizedProfile);
+      if (providerEntry) {
+        updateProviderEntry(providerEntry, normalizedProfile);
+      }
+
+      return { user, event: null };
+    }
+
+    // If no user found but we have a verified email, link by email
+    if (normalizedProfile.email && normalizedProfile.emailVerified) {
+      user = await User.findOne({ email: normalizedProfile.email });
+
+      if (user) {
+        user.providers.push(createProviderEntry(normalizedProfile));
+        return { user, event: "provider.linked" };
+      }
+    }
+
+    // No existing user found, build a new one
+    user = new User({
+      name: normalizedProfile.displayName,
+      email:
+        normalizedProfile.email ||
+        `user-${normalizedProfile.providerId}@${name}.account`,
+      emailVerified: normalizedProfile.emailVerified,
+      providers: [createProviderEntry(normalizedProfile)],
+    });
+    return { user, event: "user.created" };
+  };
+
+  /**
+   * Find or create a user based on the provider profile. The user.created
+   * or provider.linked hooks, then `check`, run before anything is saved,
+   * so a veto leaves no user, link or after hook behind
+   * @param {Object} normalizedProfile - Normalized profile data
+   * @param {Object} req - Express request object, passed to hooks
+   * @param {Function} check - Optional (user) => Promise run last before
+   *   saving, e.g. the login hooks
+   * @returns {Object} User document
+   */
+  const findOrCreateUser = async (normalizedProfile, req, check) => {
+    try {
+      const { user, event } = await resolveUser(normalizedProfile);
+
+      // Hooks may change a new or newly linked user before it is saved
+      const payload = event
+        ? await hooks.runBefore(event, {
+            req,
+            user,
+            provider: name,
+            profile: normalizedProfile,
+          })
+        : { user };
+
+      if (check) {
+        await check(payload.user);
+      }
+
+      await payload.user.save();
+      if (event) {
+        if (event === "user.created") {
+          metrics.recordUserCreated(name);
+        } else {
+          metrics.recordProviderLinked(name);
+        }
+        auditLog.record(req, {
+          type: event,
+          user: payload.user,
+          provider: name,
+        });
+        webhooks.publish(event, {
+          user: payload.user,
+          provider: name,
+          providerId: normalizedProfile.providerId,
+        });
+        hooks.emit(event, payload);
+      }
+      return payload.user;
+    } catch (err) {
+      // Coded errors (e.g. a hook veto) are reported as they are
+      if (err.status) {
+        throw err;
+      }
+      throw errors.createError("Failed to find or create user", err, 500);
+    }
+  };
+
+  /**
+   * Link the provider profile to an existing user
+   * @param {Object} req - Express request object, passed to hooks
+   * @param {Object} user - User document
+   * @param {Object} normalizedProfile - Normalized profile data
+   * @returns {Promise<Object>} Updated user document
+   */
+  const linkToUser = async (req, user, normalizedProfile) => {
+    // Check if this account is already linked to another user
+    const existingUser = await User.findOne({
+      "providers.provider": name,
+      "providers.providerId": normalizedProfile.providerId,
+    });
+
+    if (existingUser && existingUser._id.toString() !== user._id.toString()) {
+      throw errors.createCodedError(
+        errors.AUTH_ERRORS.ACCOUNT_LINKED_TO_OTHER_USER,
+        `This ${getLabel()} account is already linked to another user`,
+        409,
+        { provider: name }
+      );
+    }
+
+    const providerEntry = findProviderEntry(user, normalizedProfile);
+    if (!providerEntry) {
+      return addProviderEntry(req, user, normalizedProfile);
+    }
+
+    logger.debug(`This ${getLabel()} account is already linked to the user`, {
+      req,
+      provider: name,
+    });
+    updateProviderEntry(providerEntry, normalizedProfile);
+    await user.save();
+    return user;
+  };
+
+  /**
+   * Run the login hooks' checks for a user about to be logged in
+   * @param {Object} req - Express request object
+   * @param {Object} user - User document
+   * @param {Object} flow - Flow data restored from the OAuth state
+   * @returns {Promise<Object>} Login hook payload
+   */
+  const beforeLogin = (req, user, flow) => {
+    return hooks.runBefore("login", {
+      req,
+      user,
+      provider: name,
+      mode: flow.mobile ? "mobile" : flow.mode || "session",
+    });
+  };
+
+  /**
+   * Find or create the user of a provider profile for a login. The login
+   * hooks run before the user is saved, so a vetoed first login creates
+   * no account
+   * @param {Object} req - Express request object
+   * @param {Object} normalizedProfile - Normalized profile data
+   * @param {Object} flow - Flow data restored from the OAuth state
+   * @returns {Promise<Object>} Login hook payload
+   */
+  const findLoginUser = async (req, normalizedProfile, flow) => {
+    let login;
+    await findOrCreateUser(normalizedProfile, req, async (user) => {
+      login = await beforeLogin(req, user, flow);
+    });
+    return login;
+  };
+
+  /**
+   * Record a completed login and run the after login hooks
+   * @param {Object} req - Express request object
+   * @param {Object} login - Login hook payload
+   */
+  const afterLogin = (req, login) => {
+    auditLog.record(req, {
+      type: auditLog.EVENT_TYPES.LOGIN,
+      user: login.user,
+      provider: name,
+    });
+    hooks.emit("login", login);
+  };
+
+  /**
+   * Read the callback parameters (query, or body for form_post)
+   * @param {Object} req - Express request object
+   * @returns {Object} Callback parameters
+   */
+  const getCallbackParams = (req) => {
+    if (req.method === "POST" && req.body) {
+      return { ...req.query, ...req.body };
+    }
+    return req.query;
+  };
+
+  /**
+   * Check whether a request is a provider callback rather than a flow start
+   * @param {Object} req - Express request object
+   * @returns {boolean} Whether the request is a callback
+   */
+  const isCallback = (req) => {
+    const params = getCallbackParams(req);
+    return !!(params.code || params.error || params.state);
+  };
+
+  /**
+   * Start a flow: issue state, PKCE and nonce, and build the redirect URL
+   * @param {Object} req - Express request object
+   * @param {Object} options - Flow options
+   * @returns {Promise<string>} Authorization URL
+   */
+  const startFlow = async (req, options) => {
+    const { codeVerifier, codeChallenge } = definition.pkce
+      ? pkce.createPkcePair(name)
+      : {};
+    const nonce = definition.idToken ? idToken.generateNonce() : undefined;
+
+    return buildAuthorizationUrl({
+      scope: options.scope,
+      state: oauthState.issueState(req, name, {
+        codeVerifier,
+        nonce,
+        mode: options.mode,
+        mobile: options.mobile,
+        returnTo: options.returnTo,
+        // Lets the callback's logs be traced back to this request
+        correlationId: req.correlationId,
+      }),
+      codeChallenge,
+      nonce,
+    });
+  };
+
+  /**
+   * Verify and consume the callback's state, and restore the flow it was
+   * issued for
+   * @param {Object} req - Express request object
+   * @param {Object} params - Callback parameters
+   * @returns {Object} Flow data restored from the OAuth state
+   */
+  const restoreFlow = (req, params) => {
+    // Verify the state parameter to prevent CSRF
+    const flow = oauthState.verifyState(req, name, params.state);
+
+    // The callback continues the request that started the flow
+    if (flow.correlationId) {
+      req.correlationId = flow.correlationId;
+      req.res.set("X-Correlation-ID", flow.correlationId);
+    }
+
+    // Kept so failures from here on can be reported to the right client
+    req.oauthFlow = flow;
+    return flow;
+  };
+
+  /**
+   * Complete a flow: verify state, exchange the code and load the profile
+   * @param {Object} req - Express request object
+   * @param {Object} params - Callback parameters
+   * @returns {Promise<Object>} { tokens, normalizedProfile, flow }
+   */
+  const completeFlow = async (req, params) => {
+    const flow = restoreFlow(req, params);
+    const { codeVerifier, nonce } = flow;
+
+    pkce.assertVerifier(name, codeVerifier);
+
+    const tokens = await metrics.timeTokenExchange(name, () =>
+      exchangeCodeForToken(params.code, codeVerifier)
+    );
+    const profile = await metrics.timeProfileFetch(name, () =>
+      getUserProfile(tokens, nonce)
+    );
+
+    return {
+      tokens,
+      normalizedProfile: definition.normalizeProfile(profile, tokens),
+      flow,
+    };
+  };
+
+  /**
+   * Check whether a flow logs a client in without a browser session
+   * (token mode or a mobile app login)
+   * @param {Object} flow - Flow data restored from the OAuth state
+   * @returns {boolean} Whether the flow is a client login
+   */
+  const isClientLogin = (flow) => {
+    return flow.mode === "token" || !!flow.mobile;
+  };
+
+  /**
+   * Finish a client login instead of creating a session: send a mobile
+   * app or the token mode success redirect a one-time code, or issue the
+   * tokens to the next handler when there is no redirect
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   * @param {Object} options - Authentication options
+   * @param {Object} flow - Flow data restored from the OAuth state
+   * @param {Object} user - Logged in user
+   */
+  const completeClientLogin = async (req, res, next, options, flow, user) => {
+    if (flow.mobile) {
+      const code = await mobile.createAuthCode(user, name, flow);
+      return res.redirect(mobile.buildRedirectUrl(flow.mobile, { code }));
+    }
+
+    const successRedirect = flow.returnTo || options.successRedirect;
+
+    if (successRedirect) {
+      // Tokens never go in a URL; the client exchanges the code for them.
+      // The URL fragment is never sent to servers or in Referer headers.
+      // The code is appended to a fragment the redirect already has, e.g.
+      // the route of a hash-routed SPA, which is kept as it is
+      const url = new URL(successRedirect, config.urls.base);
+      const code = new URLSearchParams({
+        code: await authTokens.createLoginCode(user, name),
+      });
+      const fragment = url.hash.slice(1);
+      url.hash = fragment ? `${fragment}&${code}` : code.toString();
+      return res.redirect(url.toString());
+    }
+
+    req.authTokens = await authTokens.issueTokens(req, user, name);
+    next();
+  };
+
+  /**
+   * Get where to send the user after a failed flow, carrying the error
+   * code and the request's correlation ID. Once the state has identified
+   * the flow, mobile app logins return to the app and flows started with
+   * returnTo return there
+   * @param {Object} req - Express request object
+   * @param {Object} options - Authentication options
+   * @param {Error} err - Error that ended the flow
+   * @returns {string|undefined} Failure redirect URL
+   */
+  const getFailureRedirect = (req, options, err) => {
+    const params = {
+      error: errors.getErrorCode(err),
+      correlation_id: req.correlationId,
+    };
+
+    if (req.oauthFlow && req.oauthFlow.mobile) {
+      return mobile.buildRedirectUrl(req.oauthFlow.mobile, params);
+    }
+    if (req.oauthFlow && req.oauthFlow.returnTo) {
+      return redirects.appendParams(req.oauthFlow.returnTo, params);
+    }
+    return (
+      options.failureRedirect &&
+      redirects.appendParams(options.failureRedirect, params)
+    );
+  };
+
+  /**
+   * Throw if the provider redirected back with an OAuth error (e.g. the
+   * user cancelled). The state is consumed first so the failure goes to
+   * where the flow came from
+   * @param {Object} req - Express request object
+   * @param {Object} params - Callback parameters
+   */
+  const assertNoCallbackError = (req, params) => {
+    if (params.error) {
+      try {
+        restoreFlow(req, params);
+      } catch (err) {
+        // Without a usable state the provider error still goes to the
+        // default failure page
+      }
+
+      const code = errors.normalizeProviderErrorCode(params.error);
+      throw errors.createCodedError(
+        code,
+        `${getLabel()} OAuth error: ${
+          params.error_description || params.error
+        }`,
+        errors.getErrorStatus(code),
+        { provider: name, providerError: params.error }
+      );
+    }
+  };
+
+  /**
+   * Handle authentication (log in or sign up)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   * @param {Object} options - Authentication options
+   */
+  const authenticate = async (req, res, next, options = {}) => {
+    try {
+      const params = getCallbackParams(req);
+      assertNoCallbackError(req, params);
+
+      // If no code, redirect to the provider for authorization
+      if (!params.code) {
+        if (options.mode === "token") {
+          authTokens.assertEnabled();
+        }
+
+        const authUrl = await startFlow(req, options);
+        logger.debug(`Redirecting to ${getLabel()} authorization URL`, {
+          req,
+          provider: name,
+        });
+        metrics.recordFlowStart(name, "login");
+        return res.redirect(authUrl);
+      }
+
+      const { tokens, normalizedProfile, flow } = await completeFlow(
+        req,
+        params
+      );
+      // Login hooks may veto the login or replace the user
+      const login = await findLoginUser(req, normalizedProfile, flow);
+      const { user } = login;
+
+      if (isClientLogin(flow)) {
+        await completeClientLogin(req, res, next, options, flow, user);
+        metrics.recordFlowCompletion(name, "login");
+        return afterLogin(req, login);
+      }
+
+      // Log the user in (on a new session) and store tokens in it
+      await sessions.createSession(req, res, user, name);
+      sessions.storeTokens(req, name, tokens);
+      metrics.recordFlowCompletion(name, "login");
+      afterLogin(req, login);
+
+      // Return to where the flow was started from, if it said so
+      const successRedirect = flow.returnTo || options.successRedirect;
+      if (successRedirect) {
+        return res.redirect(successRedirect);
+      }
+      next();
+    } catch (err) {
+      logger[(err.status || 500) >= 500 ? "error" : "warn"](
+        `${getLabel()} authentication failed`,
+        { req, provider: name, err }
+      );
+      if (isCallback(req)) {
+        rateLimit.recordFailure(req, name, err);
+        metrics.recordFlowCompletion(name, "login", err);
+      }
+      auditLog.record(req, {
+        type: auditLog.EVENT_TYPES.LOGIN,
+        provider: name,
+        error: err,
+      });
+
+      // Redirect to failure page or pass error to next middleware
+      const failureRedirect = getFailureRedirect(req, options, err);
+      if (failureRedirect) {
+        return res.redirect(failureRedirect);
+      }
+      next(err);
+    }
+  };
+
+  /**
+   * Handle authorization (link this provider to the logged in user)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   * @param {Object} options - Authorization options
+   */
+  const authorize = async (req, res, next, options = {}) => {
+    try {
+      if (!req.isAuthenticated()) {
+        throw errors.createCodedError(
+          errors.AUTH_ERRORS.NOT_AUTHENTICATED,
+          "User must be authenticated to link accounts",
+          401
+        );
+      }
+
+      const params = getCallbackParams(req);
+      assertNoCallbackError(req, params);
+
+      // If no code, redirect to the provider for authorization
+      if (!params.code) {
+        const authUrl = await startFlow(req, options);
+        metrics.recordFlowStart(name, "link");
+        return res.redirect(authUrl);
+      }
+
+      const { tokens, normalizedProfile, flow } = await completeFlow(
+        req,
+        params
+      );
+
+      // Client logins never link, even from a browser with a session
+      if (isClientLogin(flow)) {
+        const login = await findLoginUser(req, normalizedProfile, flow);
+        await completeClientLogin(req, res, next, options, flow, login.user);
+        metrics.recordFlowCompletion(name, "login");
+        return afterLogin(req, login);
+      }
+
+      // Get the current user ID from the session
+      const userId = req.user._id || req.user.id;
+      if (!userId) {
+        throw errors.createCodedError(
+          errors.AUTH_ERRORS.NOT_AUTHENTICATED,
+          "User ID not found in session",
+          401
+        );
+      }
+
+      // Fetch the user from the database to ensure we have a Mongoose document
+      const user = await User.findById(userId);
+      if (!user) {
+        throw errors.createCodedError(
+          errors.AUTH_ERRORS.USER_NOT_FOUND,
+          "User not found in database",
+          404
+        );
+      }
+
+      await linkToUser(req, user, normalizedProfile);
+
+      // Linking changes what the session can access; move it to a new ID
+      await sessions.regenerateSession(req);
+
+      // Store tokens in session and refresh the session user
+      sessions.storeTokens(req, name, tokens);
+      sessions.updateSession(req, user);
+      metrics.recordFlowCompletion(name, "link");
+
+      // Return to where the flow was started from, if it said so
+      const successRedirect = flow.returnTo || options.successRedirect;
+      if (successRedirect) {
+        return res.redirect(successRedirect);
+      }
+      next();
+    } catch (err) {
+      logger[(err.status || 500) >= 500 ? "error" : "warn"](
+        `${getLabel()} authorization failed`,
+        { req, provider: name, err }
+      );
+      const clientLogin = !!req.oauthFlow && isClientLogin(req.oauthFlow);
+      if (isCallback(req)) {
+        rateLimit.recordFailure(req, name, err);
+        metrics.recordFlowCompletion(name, clientLogin ? "login" : "link", err);
+      }
+      auditLog.record(req, {
+        type: clientLogin
+          ? auditLog.EVENT_TYPES.LOGIN
+          : auditLog.EVENT_TYPES.PROVIDER_LINKED,
+        provider: name,
+        error: err,
+      });
+
+      // Redirect to failure page or pass error to next middleware
+      const failureRedirect = getFailureRedirect(req, options, err);
+      if (failureRedirect) {
+        return res.redirect(failureRedirect);
+      }
+      next(err);
+    }
+  };
+
+  return {
+    name,
+    // Read when used, as the label may be configured
+    get label() {
+      return getLabel();
+    },
+    authenticate,
+    authorize,
+    getDefaultScopes,
+    normalizeProfile: definition.normalizeProfile,
+    buildAuthorizationUrl,
+    exchangeCodeForToken,
+    refreshAccessToken,
+    fetchUserProfile,
+    verifyIdToken,
+    getUserProfile,
+    findOrCreateUser,
+  };
+};
+
+module.exports = {
+  createOAuth2Provider,
+};
@@ -0,0 +1,193 @@
+const request = require("supertest");
+const { mockModels } = require("../../../../test/memoryModels");
+const { startStubIssuer } = require("../../../../test/stubIssuer");
+const { createApp } = require("../../../../test/app");
+
+const CLIENT_ID = "passportlink-test";
+
+describe("generic OpenID Connect provider", () => {
+  let issuer;
+  let app;
+  let discovery;
+  let stores;
+
+  /**
+   * Start a login and play the user at the stub issuer
+   * @param {Object} agent - supertest agent keeping the session cookie
+   * @param {Object} options - authorize() options
+   * @returns {Promise<Object>} { authorizationUrl, code, state }
+   */
+  const authorize = async (agent, options) => {
+    const res = await agent.get("/auth/oidc").expect(302);
+    return {
+      authorizationUrl: new URL(res.headers.location),
+      ...issuer.authorize(res.headers.location, options),
+    };
+  };
+
+  /**
+   * Send the provider callback
+   * @param {Object} agent - supertest agent
+   * @param {Object} params - Callback query parameters
+   * @returns {Promise<URL>} Where the callback redirected to
+   */
+  const callback = async (agent, params) => {
+    const res = await agent
+      .get("/auth/oidc/callback")
+      .query(params)
+      .expect(302);
+    return new URL(res.headers.location);
+  };
+
+  beforeAll(async () => {
+    issuer = await startStubIssuer();
+    process.env.OIDC_ISSUER = issuer.issuer;
+    process.env.OIDC_CLIENT_ID = CLIENT_ID;
+    process.env.OIDC_CLIENT_SECRET = "stub-secret";
+    app = createApp();
+    discovery = require("../discovery");
+  });
+
+  afterAll(() => issuer.close());
+
+  beforeEach(() => {
+    stores = mockModels();
+    discovery.clearCache();
+  });
+
+  it("sends the user to the discovered authorization endpoint", async () => {
+    const { authorizationUrl } = await authorize(request.agent(app));
+
+    expect(authorizationUrl.origin + authorizationUrl.pathname).toBe(
+      `${issuer.issuer}/authorize`
+    );
+    const params = authorizationUrl.searchParams;
+    expect(params.get("client_id")).toBe(CLIENT_ID);
+    expect(params.get("response_type")).toBe("code");
+    expect(params.get("redirect_uri")).toBe(
+      "http://localhost:3000/auth/oidc/callback"
+    );
+    expect(params.get("scope").split(" ")).toContain("openid");
+    expect(params.get("state")).toBeTruthy();
+    expect(params.get("nonce")).toBeTruthy();
+    expect(params.get("code_challenge_method")).toBe("S256");
+  });
+
+  it("logs a new user in and creates the account", async () => {
+    const agent = request.agent(app);
+    const { code, state } = await authorize(agent);
+
+    const location = await callback(agent, { code, state });
+
+    expect(location.href).toBe("http://localhost:8080/auth/success");
+    expect(stores.User).toHaveLength(1);
+    expect(stores.User[0].email).toBe("ada@example.com");
+    expect(stores.User[0].providers[0]).toMatchObject({
+      provider: "oidc",
+      providerId: "user-1",
+    });
+
+    const user = await agent.get("/auth/user").expect(200);
+    expect(user.body).toMatchObject({ name: "Ada Lovelace" });
+  });
+
+  it("links a verified email to the existing account", async () => {
+    const agent = request.agent(app);
+    const { code, state } = await authorize(agent);
+    const User = require("../../../models/User");
+    await User.create({ name: "Ada", email: "ada@example.com" });
+
+    await callback(agent, { code, state });
+
+    expect(stores.User).toHaveLength(1);
+    expect(stores.User[0].providers).toHaveLength(1);
+  });
+
+  it("does not link an unverified email", async () => {
+    const agent = request.agent(app);
+    const { code, state } = await authorize(agent, {
+      userinfo: { email_verified: false },
+    });
+    const User = require("../../../models/User");
+    await User.create({ name: "Ada", email: "ada@example.com" });
+
+    await callback(agent, { code, state });
+
+    expect(stores.User).toHaveLength(2);
+    expect(stores.User[0].providers).toHaveLength(0);
+  });
+
+  it("sends the client credentials and PKCE verifier to the token endpoint", async () => {
+    const agent = request.agent(app);
+    const { code, state } = await authorize(agent);
+
+    await callback(agent, { code, state });
+
+    expect(issuer.requests.token.pop()).toMatchObject({
+      grant_type: "authorization_code",
+      code,
+      client_id: CLIENT_ID,
+      client_secret: "stub-secret",
+      code_verifier: expect.any(String),
+    });
+  });
+
+  it.each([
+    ["issuer", { iss: "https://evil.example.com" }],
+    ["audience", { aud: "another-client" }],
+    ["nonce", { nonce: "another-nonce" }],
+    ["expiry", { exp: Math.floor(Date.now() / 1000) - 3600 }],
+  ])("rejects an ID token with a wrong %s", async (name, claims) => {
+    const agent = request.agent(app);
+    const { code, state } = await authorize(agent, { claims });
+
+    const location = await callback(agent, { code, state });
+
+    expect(location.pathname).toBe("/auth/failure");
+    expect(stores.User).toHaveLength(0);
+  });
+
+  it("rejects a userinfo response for another subject", async () => {
+    const agent = request.agent(app);
+    const { code, state } = await authorize(agent, {
+      userinfo: { sub: "someone-else" },
+    });
+
+    const location = await callback(agent, { code, state });
+
+    expect(location.pathname).toBe("/auth/failure");
+    expect(stores.User).toHaveLength(0);
+  });
+
+  it("rejects a callback replaying a used state", async () => {
+    const agent = request.agent(app);
+    const { code, state } = await authorize(agent);
+    await callback(agent, { code, state });
+    const tokenRequests = issuer.requests.token.length;
+
+    const location = await callback(agent, { code, state });
+
+    expect(location.pathname).toBe("/auth/failure");
+    expect(issuer.requests.token).toHaveLength(tokenRequests);
+  });
+
+  it("rejects a callback without the state it issued", async () => {
+    const agent = request.agent(app);
+    const { code } = await authorize(agent);
+
+    const location = await callback(agent, { code, state: "forged" });
+
+    expect(location.pathname).toBe("/auth/failure");
+    expect(stores.User).toHaveLength(0);
+  });
+
+  it("reports a cancelled login to the failure page", async () => {
+    const agent = request.agent(app);
+    const { state } = await authorize(agent);
+
+    const location = await callback(agent, { error: "access_denied", state });
+
+    expect(location.pathname).toBe("/auth/failure");
+    expect(stores.User).toHaveLength(0);
+  });
+});
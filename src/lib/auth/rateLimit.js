@@ -0,0 +1,366 @@
+/**
+ * Rate limiting for the /auth routes
+ *
+ * Requests are counted in fixed windows per client IP and, for logged in
+ * users, per user, with separate limits for starting flows, provider
+ * callbacks and account management. Counters live in a pluggable store
+ * ("memory", "mongo" or an adapter registered with `registerStore`).
+ * Clients whose code exchanges or ID tokens keep failing at a provider's
+ * callback are locked out of that provider's login flows for a while.
+ * Responses carry RateLimit-* headers, and Retry-After when a request is
+ * refused.
+ */
+
+const config = require("../../config");
+const errors = require("./errors");
+const authTokens = require("./authTokens");
+const logger = require("./logger");
+
+const GROUPS = ["start", "callback", "account"];
+
+// Groups refused to locked out clients
+const LOCKOUT_GROUPS = ["start", "callback"];
+
+// Callback failures counted towards a lockout: rejected authorization
+// codes and invalid ID tokens. Cancelled logins and expired or missing
+// state are what ordinary users run into, so they are not counted
+const LOCKOUT_ERRORS = new Set([
+  errors.OAUTH_ERRORS.INVALID_GRANT,
+  ...Object.values(errors.ID_TOKEN_ERRORS),
+]);
+
+// Memory store entries are pruned once there are this many
+const MEMORY_STORE_PRUNE_SIZE = 10000;
+
+const storeAdapters = new Map();
+let store = null;
+
+/**
+ * Register a counter store adapter. A store implements
+ * increment(key, windowMs) => { count, resetAt }, get(key) =>
+ * { count, resetAt } | null and reset(key), all returning promises
+ * @param {string} name - Adapter name selected with RATE_LIMIT_STORE
+ * @param {Function} factory - () => counter store
+ */
+const registerStore = (name, factory) => {
+  if (typeof factory !== "function") {
+    throw errors.createError(
+      `Rate limit store adapter "${name}" must be a factory function`,
+      null,
+      500
+    );
+  }
+  storeAdapters.set(name, factory);
+};
+
+// In-process counters; not shared between instances
+registerStore("memory", () => {
+  const counters = new Map();
+
+  const prune = (now) => {
+    counters.forEach((counter, key) => {
+      if (counter.resetAt <= now) {
+        counters.delete(key);
+      }
+    });
+  };
+
+  return {
+    increment: async (key, windowMs) => {
+      const now = Date.now();
+      let counter = counters.get(key);
+
+      if (!counter || counter.resetAt <= now) {
+        if (counters.size >= MEMORY_STORE_PRUNE_SIZE) {
+          prune(now);
+        }
+        counter = { count: 0, resetAt: now + windowMs };
+        counters.set(key, counter);
+      }
+
+      counter.count += 1;
+      return { ...counter };
+    },
+    get: async (key) => {
+      const counter = counters.get(key);
+      return counter && counter.resetAt > Date.now() ? { ...counter } : null;
+    },
+    reset: async (key) => {
+      counters.delete(key);
+    },
+  };
+});
+
+// Counters shared by every instance through MongoDB
+registerStore("mongo", () => {
+  // Required lazily so deployments using another store do not need it
+  const RateLimitCounter = require("../../models/RateLimitCounter");
+
+  return {
+    increment: async (key, windowMs) => {
+      const now = new Date();
+      const active = { $gt: ["$expiresAt", now] };
+
+      // One atomic update: count up in the current window, or start a new one
+      const counter = await RateLimitCounter.findOneAndUpdate(
+        { key },
+        [
+          {
+            $set: {
+              count: { $cond: [active, { $add: ["$count", 1] }, 1] },
+              expiresAt: {
+                $cond: [
+                  active,
+                  "$expiresAt",
+                  new Date(now.getTime() + windowMs),
+                ],
+              },
+            },
+          },
+        ],
+        { upsert: true, new: true }
+      );
+
+      return { count: counter.count, resetAt: counter.expiresAt.getTime() };
+    },
+    get: async (key) => {
+      const counter = await RateLimitCounter.findOne({
+        key,
+        expiresAt: { $gt: new Date() },
+      });
+      return counter
+        ? { count: counter.count, resetAt: counter.expiresAt.getTime() }
+        : null;
+    },
+    reset: async (key) => {
+      await RateLimitCounter.deleteOne({ key });
+    },
+  };
+});
+
+/**
+ * Get the configured counter store
+ * @returns {Object} Counter store
+ */
+const getStore = () => {
+  if (!store) {
+    const factory = storeAdapters.get(config.rateLimit.store);
+    if (!factory) {
+      throw errors.createError(
+        `Unknown rate limit store "${
+          config.rateLimit.store
+        }"; available: ${Array.from(storeAdapters.keys()).join(", ")}`,
+        null,
+        500
+      );
+    }
+    store = factory();
+  }
+  return store;
+};
+
+/**
+ * Get the ID of the logged in user, from the session or a Bearer access
+ * token. Limits run before requireAuth(), so the token is verified here;
+ * requests with an invalid one are only counted per IP
+ * @param {Object} req - Express request object
+ * @returns {string|undefined} User ID
+ */
+const getUserId = (req) => {
+  if (req.user) {
+    return String(req.user._id || req.user.id);
+  }
+
+  try {
+    const claims = authTokens.getBearerClaims(req);
+    return claims ? String(claims.sub) : undefined;
+  } catch (err) {
+    return undefined;
+  }
+};
+
+/**
+ * Get the counter keys of a client's failures and lockout at a provider
+ * @param {string} ip - Client IP address
+ * @param {string} provider - Provider name
+ * @returns {Object} { failures, lockout } keys
+ */
+const getLockoutKeys = (ip, provider) => {
+  return {
+    failures: `failures:${provider}:ip:${ip}`,
+    lockout: `lockout:${provider}:ip:${ip}`,
+  };
+};
+
+/**
+ * Get the seconds until a time
+ * @param {number} time - Time in milliseconds
+ * @returns {number} Whole seconds, at least 0
+ */
+const secondsUntil = (time) => {
+  return Math.max(0, Math.ceil((time - Date.now()) / 1000));
+};
+
+/**
+ * Refuse the request if the client is locked out of the route's provider
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const assertNotLockedOut = async (req, res) => {
+  const { lockout } = getLockoutKeys(req.ip, req.params.provider);
+  const lock = await getStore().get(lockout);
+  if (!lock) {
+    return;
+  }
+
+  const retryAfter = secondsUntil(lock.resetAt);
+  res.set("Retry-After", String(retryAfter));
+  throw errors.createCodedError(
+    errors.AUTH_ERRORS.LOCKED_OUT,
+    "Too many failed logins; try again later",
+    429,
+    { retryAfter }
+  );
+};
+
+/**
+ * Create middleware counting requests against a group's limits
+ * @param {string} group - Limit group: "start", "callback" or "account"
+ * @returns {Function} Express middleware
+ */
+const limit = (group) => {
+  if (!GROUPS.includes(group)) {
+    throw errors.createError(
+      `Unknown rate limit group "${group}"; expected one of: ${GROUPS.join(
+        ", "
+      )}`,
+      null,
+      500
+    );
+  }
+
+  return async (req, res, next) => {
+    if (!config.rateLimit.enabled) {
+      return next();
+    }
+
+    const limits = config.rateLimit.limits[group];
+    const windowSeconds = config.rateLimit.window;
+    let refusal;
+
+    try {
+      const counterStore = getStore();
+      if (LOCKOUT_GROUPS.includes(group)) {
+        await assertNotLockedOut(req, res);
+      }
+
+      const buckets = [{ key: `${group}:ip:${req.ip}`, max: limits.ip }];
+      const userId = getUserId(req);
+      if (userId) {
+        buckets.push({ key: `${group}:user:${userId}`, max: limits.user });
+      }
+
+      const counts = await Promise.all(
+        buckets.map(async (bucket) => ({
+          ...bucket,
+          ...(await counterStore.increment(bucket.key, windowSeconds * 1000)),
+        }))
+      );
+
+      // Report the bucket closest to its limit
+      const bucket = counts.reduce((tightest, current) =>
+        current.max - current.count < tightest.max - tightest.count
+          ? current
+          : tightest
+      );
+      const reset = secondsUntil(bucket.resetAt);
+
+      res.set({
+        "RateLimit-Limit": String(bucket.max),
+        "RateLimit-Remaining": String(Math.max(0, bucket.max - bucket.count)),
+        "RateLimit-Reset": String(reset),
+        "RateLimit-Policy": `${bucket.max};w=${windowSeconds}`,
+      });
+
+      if (bucket.count > bucket.max) {
+        res.set("Retry-After", String(reset));
+        refusal = errors.createCodedError(
+          errors.AUTH_ERRORS.RATE_LIMITED,
+          "Too many requests; try again later",
+          429,
+          { retryAfter: reset }
+        );
+      }
+    } catch (err) {
+      if (err.status) {
+        refusal = err;
+      } else {
+        // An unavailable counter store must not take logins down
+        logger.error("Rate limiter error", { req, err });
+      }
+    }
+
+    next(refusal);
+  };
+};
+
+/**
+ * Count a failed provider callback, locking the client out of the
+ * provider's login flows once it has failed too often. Only rejected
+ * codes and invalid ID tokens are counted (see LOCKOUT_ERRORS)
+ * @param {Object} req - Express request object
+ * @param {string} provider - Provider name
+ * @param {Error} err - Error that failed the callback
+ * @returns {Promise<void>}
+ */
+const recordFailure = async (req, provider, err) => {
+  if (
+    !config.rateLimit.enabled ||
+    !LOCKOUT_ERRORS.has(errors.getErrorCode(err))
+  ) {
+    return;
+  }
+
+  try {
+    const { lockout } = config.rateLimit;
+    const keys = getLockoutKeys(req.ip, provider);
+    const failures = await getStore().increment(
+      keys.failures,
+      lockout.window * 1000
+    );
+
+    if (failures.count >= lockout.failures) {
+      await getStore().increment(keys.lockout, lockout.duration * 1000);
+      await getStore().reset(keys.failures);
+      logger.warn("Client locked out after failed callbacks", {
+        req,
+        ip: req.ip,
+        provider,
+        failures: failures.count,
+        duration: lockout.duration,
+      });
+    }
+  } catch (storeErr) {
+    logger.error("Failed to record failed callback", { req, err: storeErr });
+  }
+};
+
+/**
+ * Lift the lockout of a client at a provider and forget its failures
+ * @param {string} ip - Client IP address
+ * @param {string} provider - Provider name
+ * @returns {Promise<void>}
+ */
+const unlock = async (ip, provider) => {
+  const keys = getLockoutKeys(ip, provider);
+  await getStore().reset(keys.lockout);
+  await getStore().reset(keys.failures);
+};
+
+module.exports = {
+  GROUPS,
+  registerStore,
+  limit,
+  recordFailure,
+  unlock,
+};
@@ -0,0 +1,241 @@
+const express = require("express");
+const request = require("supertest");
+const { mockModels } = require("../../../test/memoryModels");
+const { startStubIssuer } = require("../../../test/stubIssuer");
+const { useStubIssuer, createApp } = require("../../../test/app");
+
+describe("rate limiting", () => {
+  let issuer;
+  let config;
+  let errors;
+  let rateLimit;
+  let logger;
+  let app;
+  let settings;
+  let ipCount = 0;
+
+  /**
+   * Get an IP address no earlier test has used, as the memory store
+   * keeps its counters for the whole file
+   * @returns {string} Client IP address
+   */
+  const nextIp = () => {
+    ipCount += 1;
+    return `203.0.113.${ipCount}`;
+  };
+
+  /**
+   * Send requests to a route and return the last response
+   * @param {string} path - Route path
+   * @param {string} ip - Client IP address
+   * @param {number} times - Number of requests
+   * @param {Object} headers - Extra request headers
+   * @returns {Promise<Object>} Last response
+   */
+  const send = async (path, ip, times = 1, headers = {}) => {
+    let res;
+    for (let i = 0; i < times; i += 1) {
+      res = await request(app)
+        .get(path)
+        .set("X-Forwarded-For", ip)
+        .set(headers);
+    }
+    return res;
+  };
+
+  beforeAll(async () => {
+    issuer = await startStubIssuer();
+    useStubIssuer(issuer);
+    config = require("../../config");
+    errors = require("./errors");
+    rateLimit = require("./rateLimit");
+    logger = require("./logger");
+    settings = JSON.parse(JSON.stringify(config.rateLimit));
+    app = express();
+    app.set("trust proxy", true);
+    app.get("/:provider/start", rateLimit.limit("start"), (req, res) =>
+      res.json({ ok: true })
+    );
+    app.get("/account", rateLimit.limit("account"), (req, res) =>
+      res.json({ ok: true })
+    );
+    app.get("/:provider/fail", async (req, res) => {
+      await rateLimit.recordFailure(
+        req,
+        req.params.provider,
+        errors.createCodedError(req.query.code, "Callback failed", 400)
+      );
+      res.json({ recorded: true });
+    });
+    app.use((err, req, res, next) => errors.handleAuthError(err, res));
+  });
+
+  beforeEach(() => {
+    jest.spyOn(logger, "error").mockImplementation(() => {});
+    jest.spyOn(logger, "warn").mockImplementation(() => {});
+    Object.assign(config.rateLimit, {
+      enabled: true,
+      window: 60,
+      limits: {
+        start: { ip: 3, user: 3 },
+        callback: { ip: 3, user: 3 },
+        account: { ip: 5, user: 2 },
+      },
+      lockout: { failures: 3, window: 900, duration: 600 },
+    });
+  });
+
+  afterAll(() => {
+    Object.assign(config.rateLimit, settings);
+    return issuer.close();
+  });
+
+  it("reports the remaining requests of the window", async () => {
+    const res = await send("/github/start", nextIp());
+
+    expect(res.status).toBe(200);
+    expect(res.headers["ratelimit-limit"]).toBe("3");
+    expect(res.headers["ratelimit-remaining"]).toBe("2");
+    expect(res.headers["ratelimit-policy"]).toBe("3;w=60");
+  });
+
+  it("refuses requests over the limit of the window", async () => {
+    const ip = nextIp();
+
+    const res = await send("/github/start", ip, 4);
+
+    expect(res.status).toBe(429);
+    expect(res.body.code).toBe("rate_limited");
+    expect(Number(res.headers["retry-after"])).toBeGreaterThan(0);
+    // Other clients and groups have their own counters
+    expect((await send("/github/start", nextIp())).status).toBe(200);
+    expect((await send("/account", ip)).status).toBe(200);
+  });
+
+  it("starts counting again in the next window", async () => {
+    const ip = nextIp();
+    const now = Date.now();
+    jest.spyOn(Date, "now").mockReturnValue(now);
+    await send("/github/start", ip, 4);
+
+    Date.now.mockReturnValue(now + 61 * 1000);
+
+    expect((await send("/github/start", ip)).status).toBe(200);
+  });
+
+  it("counts Bearer token users per user", async () => {
+    const User = require("../../models/User");
+    const authTokens = require("./authTokens");
+    mockModels();
+    config.tokens.secret = "test-token-secret-0123456789abcdefghij";
+    try {
+      const user = await User.create({ name: "Ada Lovelace" });
+      const { access_token: token } = await authTokens.issueTokens(
+        { ip: "127.0.0.1", get: () => undefined },
+        user,
+        "github"
+      );
+      const bearer = { Authorization: `Bearer ${token}` };
+
+      await send("/account", nextIp(), 2, bearer);
+      const res = await send("/account", nextIp(), 1, bearer);
+
+      expect(res.status).toBe(429);
+      // An invalid token is only counted per IP
+      const invalid = { Authorization: "Bearer not-a-token" };
+      await send("/account", nextIp(), 2, invalid);
+      expect((await send("/account", nextIp(), 1, invalid)).status).toBe(200);
+    } finally {
+      config.tokens.secret = undefined;
+    }
+  });
+
+  it("locks a client out of a provider after rejected codes", async () => {
+    const ip = nextIp();
+
+    await send("/github/fail?code=invalid_grant", ip, 3);
+    const res = await send("/github/start", ip);
+
+    expect(res.status).toBe(429);
+    expect(res.body.code).toBe("locked_out");
+    expect(Number(res.headers["retry-after"])).toBeGreaterThan(500);
+    // Other providers and account management stay available
+    expect((await send("/google/start", ip)).status).toBe(200);
+    expect((await send("/account", ip)).status).toBe(200);
+  });
+
+  it("counts invalid ID tokens", async () => {
+    const ip = nextIp();
+
+    await send("/google/fail?code=id_token_invalid_signature", ip, 2);
+    await send("/google/fail?code=id_token_expired", ip);
+
+    expect((await send("/google/start", ip)).body.code).toBe("locked_out");
+  });
+
+  it("does not count cancelled logins or state errors", async () => {
+    const ip = nextIp();
+
+    await send("/github/fail?code=access_denied", ip, 3);
+    await send("/github/fail?code=state_invalid", ip, 3);
+    await send("/github/fail?code=state_expired", ip, 3);
+
+    expect((await send("/github/start", ip)).status).toBe(200);
+  });
+
+  it("lifts the lockout after its duration", async () => {
+    const ip = nextIp();
+    const now = Date.now();
+    jest.spyOn(Date, "now").mockReturnValue(now);
+    await send("/github/fail?code=invalid_grant", ip, 3);
+
+    Date.now.mockReturnValue(now + 601 * 1000);
+
+    expect((await send("/github/start", ip)).status).toBe(200);
+  });
+
+  it("lifts the lockout on unlock()", async () => {
+    const ip = nextIp();
+    await send("/github/fail?code=invalid_grant", ip, 3);
+
+    await rateLimit.unlock(ip, "github");
+
+    expect((await send("/github/start", ip)).status).toBe(200);
+  });
+
+  it("does nothing when disabled", async () => {
+    config.rateLimit.enabled = false;
+    const ip = nextIp();
+
+    await send("/github/fail?code=invalid_grant", ip, 3);
+    const res = await send("/github/start", ip, 4);
+
+    expect(res.status).toBe(200);
+    expect(res.headers["ratelimit-limit"]).toBeUndefined();
+  });
+
+  it("locks out clients whose callbacks bring forged codes", async () => {
+    const authApp = createApp();
+    mockModels();
+    const agent = request.agent(authApp);
+
+    for (let i = 0; i < 3; i += 1) {
+      const start = await agent.get("/auth/oidc").expect(302);
+      const state = new URL(start.headers.location).searchParams.get("state");
+      const res = await agent
+        .get("/auth/oidc/callback")
+        .query({ code: "forged", state })
+        .expect(302);
+      expect(new URL(res.headers.location).searchParams.get("error")).toBe(
+        "invalid_grant"
+      );
+    }
+
+    const res = await agent.get("/auth/oidc").expect(429);
+    expect(res.body.code).toBe("locked_out");
+  });
+
+  it("rejects unknown groups", () => {
+    expect(() => rateLimit.limit("login")).toThrow(/Unknown rate limit group/);
+  });
+});
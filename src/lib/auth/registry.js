@@ -0,0 +1,271 @@
+/**
+ * Provider plugin registry
+ *
+ * Single source of truth for the OAuth providers PassportLink knows
+ * about. Routes, user model validation, the providers endpoint and the
+ * OpenAPI spec all read from this registry, so adding a provider is a
+ * single `customAuth.use(name, provider, options)` call.
+ */
+
+const config = require("../../config");
+const errors = require("./errors");
+const pkce = require("./pkce");
+const logger = require("./logger");
+
+// Provider names become route segments under /auth
+const PROVIDER_NAME_PATTERN = /^[a-z][a-z0-9-]*$/;
+const RESERVED_NAMES = [
+  "user",
+  "logout",
+  "providers",
+  "link",
+  "unlink",
+  "sessions",
+  "token",
+  "mobile",
+  "activity",
+  "admin",
+  "csrf-token",
+];
+
+const registeredProviders = new Map();
+
+/**
+ * Standard provider interface that each provider must implement
+ */
+const providerInterface = {
+  /**
+   * Authenticate a user with this provider
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   * @param {Object} options - Authentication options
+   */
+  authenticate: async (req, res, next, options) => {
+    throw new Error("Provider authentication not implemented");
+  },
+
+  /**
+   * Authorize a user (link a new provider to an existing account)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function
+   * @param {Object} options - Authorization options
+   */
+  authorize: async (req, res, next, options) => {
+    throw new Error("Provider authorization not implemented");
+  },
+
+  /**
+   * Get the appropriate scope for this provider
+   * @returns {Array<string>} List of scopes to request
+   */
+  getDefaultScopes: () => {
+    return ["profile", "email"];
+  },
+
+  /**
+   * Build a standardized user profile from provider-specific data
+   * @param {Object} rawProfile - Raw profile data from provider
+   * @param {Object} tokens - Token information
+   * @returns {Object} Normalized user profile
+   */
+  normalizeProfile: (rawProfile, tokens) => {
+    throw new Error("Profile normalization not implemented");
+  },
+};
+
+/**
+ * Check if a provider's credentials are configured (oauth.<name>, e.g.
+ * <NAME>_CLIENT_ID and <NAME>_CLIENT_SECRET)
+ * @param {string} name - Provider name
+ * @returns {boolean} Whether the provider has credentials
+ */
+const hasCredentials = (name) => {
+  const settings = config.oauth[name] || {};
+
+  // Public clients that require PKCE are deployed without a client secret
+  return !!(
+    settings.clientID &&
+    (settings.clientSecret || pkce.isPkceRequired(name))
+  );
+};
+
+/**
+ * Check whether a provider is switched off in its config
+ * @param {string} name - Provider name
+ * @returns {boolean} Whether oauth.<name>.enabled is false
+ */
+const isDisabled = (name) => {
+  return !!config.oauth[name] && config.oauth[name].enabled === false;
+};
+
+/**
+ * Register a provider
+ * @param {string} name - Provider name used in routes and storage
+ * @param {Object} provider - Provider implementing providerInterface
+ * @param {Object} options - Registration options
+ * @param {string} options.label - Human readable provider name (defaults
+ *   to the provider's label)
+ * @param {Array<string>|string} options.scope - Scopes requested by routes
+ * @param {Function} options.isConfigured - Returns whether the provider
+ *   can be used (defaults to checking its configured credentials). A
+ *   provider disabled in its config is never usable
+ * @param {boolean} options.formPostCallback - Also accept POST callbacks
+ * @returns {Object} The registered provider entry
+ */
+const register = (name, provider, options = {}) => {
+  if (typeof name !== "string" || !PROVIDER_NAME_PATTERN.test(name)) {
+    throw errors.createError(
+      `Invalid provider name "${name}"; use lowercase letters, digits and dashes`,
+      null,
+      500
+    );
+  }
+
+  if (RESERVED_NAMES.includes(name)) {
+    throw errors.createError(
+      `Provider name "${name}" is reserved by the auth routes`,
+      null,
+      500
+    );
+  }
+
+  if (!provider || typeof provider !== "object") {
+    throw errors.createError(
+      `Provider "${name}" must be an object implementing the provider interface`,
+      null,
+      500
+    );
+  }
+
+  const missing = Object.keys(providerInterface).filter(
+    (method) => typeof provider[method] !== "function"
+  );
+  if (missing.length > 0) {
+    throw errors.createError(
+      `Provider "${name}" does not implement: ${missing.join(", ")}`,
+      null,
+      500,
+      { provider: name, missing }
+    );
+  }
+
+  const isUsable = options.isConfigured || (() => hasCredentials(name));
+  const entry = {
+    name,
+    provider,
+    // Read when used, as a provider's own label may be configured
+    get label() {
+      return options.label || provider.label || name;
+    },
+    scope: options.scope,
+    isConfigured: () => !isDisabled(name) && isUsable(),
+    formPostCallback: !!options.formPostCallback,
+  };
+
+  registeredProviders.set(name, entry);
+  return entry;
+};
+
+/**
+ * Remove a provider from the registry
+ * @param {string} name - Provider name
+ * @returns {boolean} Whether a provider was removed
+ */
+const unregister = (name) => {
+  return registeredProviders.delete(name);
+};
+
+/**
+ * Check whether a provider is registered
+ * @param {string} name - Provider name
+ * @returns {boolean} Whether the provider is registered
+ */
+const has = (name) => {
+  return registeredProviders.has(name);
+};
+
+/**
+ * Get a registered provider implementation
+ * @param {string} name - Provider name
+ * @returns {Object|null} Provider implementation or null
+ */
+const get = (name) => {
+  const entry = registeredProviders.get(name);
+  return entry ? entry.provider : null;
+};
+
+/**
+ * Get a registry entry including its registration options
+ * @param {string} name - Provider name
+ * @returns {Object|null} Registry entry or null
+ */
+const getEntry = (name) => {
+  return registeredProviders.get(name) || null;
+};
+
+/**
+ * Get the names of all registered providers
+ * @returns {Array<string>} Provider names in registration order
+ */
+const getNames = () => {
+  return Array.from(registeredProviders.keys());
+};
+
+/**
+ * Check if a registered provider is configured and usable
+ * @param {string} name - Provider name
+ * @returns {boolean} Whether the provider is configured
+ */
+const isConfigured = (name) => {
+  const entry = registeredProviders.get(name);
+  if (!entry) {
+    return false;
+  }
+
+  try {
+    return !!entry.isConfigured();
+  } catch (err) {
+    logger.error(`Error checking ${name} configuration`, { err });
+    return false;
+  }
+};
+
+/**
+ * Get all configured providers
+ * @returns {Array<string>} List of provider names that are configured
+ */
+const getConfiguredProviders = () => {
+  return getNames().filter((name) => isConfigured(name));
+};
+
+/**
+ * Get the scopes routes should request for a provider; configured scopes
+ * (oauth.<name>.scope) take precedence over the registration option
+ * @param {string} name - Provider name
+ * @returns {Array<string>|string} Scopes
+ */
+const getScope = (name) => {
+  const entry = registeredProviders.get(name);
+  if (!entry) {
+    return ["profile", "email"];
+  }
+
+  const settings = config.oauth[name] || {};
+  return settings.scope || entry.scope || entry.provider.getDefaultScopes();
+};
+
+module.exports = {
+  providerInterface,
+  hasCredentials,
+  register,
+  unregister,
+  has,
+  get,
+  getEntry,
+  getNames,
+  isConfigured,
+  getConfiguredProviders,
+  getScope,
+};
@@ -0,0 +1,117 @@
+/**
+ * User serialization for sessions
+ *
+ * The session only stores what the serializer returns for a user (by
+ * default the user ID); the user is loaded again on every request by
+ * the deserializer. Host applications can replace either step, e.g. to
+ * load users through their own cache, with Passport-style hooks:
+ *
+ *   customAuth.serializeUser((user, done) => done(null, user.id));
+ *   customAuth.deserializeUser(async (id) => cache.getUser(id));
+ */
+
+const User = require("../../models/User");
+const errors = require("./errors");
+
+/**
+ * Default serializer: store the user ID
+ * @param {Object} user - User document
+ * @returns {string} User ID
+ */
+const defaultSerializer = (user) => {
+  return String(user._id || user.id);
+};
+
+/**
+ * Default deserializer: load the user document by ID
+ * @param {string} id - Serialized user ID
+ * @returns {Promise<Object|null>} User document, or null if deleted
+ */
+const defaultDeserializer = (id) => {
+  return User.findById(id);
+};
+
+let serializer = defaultSerializer;
+let deserializer = defaultDeserializer;
+
+/**
+ * Call a hook that either takes a node-style callback or returns a value
+ * or promise
+ * @param {Function} fn - Hook
+ * @param {*} value - Hook argument
+ * @returns {Promise<*>} Hook result
+ */
+const callHook = (fn, value) => {
+  if (fn.length < 2) {
+    return Promise.resolve(fn(value));
+  }
+
+  return new Promise((resolve, reject) => {
+    fn(value, (err, result) => (err ? reject(err) : resolve(result)));
+  });
+};
+
+/**
+ * Register the function that turns a user into its session value
+ * @param {Function} fn - (user) => value, or (user, done) => void
+ */
+const serializeUser = (fn) => {
+  if (typeof fn !== "function") {
+    throw errors.createError("serializeUser expects a function", null, 500);
+  }
+  serializer = fn;
+};
+
+/**
+ * Register the function that loads a user from its session value
+ * @param {Function} fn - (value) => user, or (value, done) => void;
+ *   return null when the user no longer exists
+ */
+const deserializeUser = (fn) => {
+  if (typeof fn !== "function") {
+    throw errors.createError("deserializeUser expects a function", null, 500);
+  }
+  deserializer = fn;
+};
+
+/**
+ * Serialize a user for storage in the session
+ * @param {Object} user - User document
+ * @returns {Promise<*>} Session value
+ */
+const serialize = async (user) => {
+  const value = await callHook(serializer, user);
+  if (value === undefined || value === null) {
+    throw errors.createError("Failed to serialize user into session", null);
+  }
+  return value;
+};
+
+/**
+ * Load a user from its session value
+ * @param {*} value - Session value
+ * @returns {Promise<Object|null>} User, or null if it no longer exists
+ */
+const deserialize = async (value) => {
+  try {
+    return (await callHook(deserializer, value)) || null;
+  } catch (err) {
+    throw errors.createError("Failed to deserialize user from session", err);
+  }
+};
+
+/**
+ * Restore the default serializer and deserializer
+ */
+const reset = () => {
+  serializer = defaultSerializer;
+  deserializer = defaultDeserializer;
+};
+
+module.exports = {
+  serializeUser,
+  deserializeUser,
+  serialize,
+  deserialize,
+  reset,
+};
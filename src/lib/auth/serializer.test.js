@@ -0,0 +1,112 @@
+const request = require("supertest");
+const { mockModels } = require("../../../test/memoryModels");
+const { startStubIssuer } = require("../../../test/stubIssuer");
+const { useStubIssuer, createApp, login } = require("../../../test/app");
+
+describe("user serialization", () => {
+  let issuer;
+  let app;
+  let customAuth;
+  let serializer;
+  let stores;
+
+  /**
+   * Log a new agent in as the stub issuer's user
+   * @returns {Promise<Object>} supertest agent
+   */
+  const loginAgent = async () => {
+    const agent = request.agent(app);
+    await login(agent, issuer);
+    return agent;
+  };
+
+  beforeAll(async () => {
+    issuer = await startStubIssuer();
+    useStubIssuer(issuer);
+    app = createApp();
+    customAuth = require(".");
+    serializer = require("./serializer");
+  });
+
+  afterAll(() => issuer.close());
+
+  beforeEach(() => {
+    stores = mockModels();
+  });
+
+  afterEach(() => serializer.reset());
+
+  it("loads the user again on every request", async () => {
+    const agent = await loginAgent();
+
+    stores.User[0].name = "Ada King";
+    const res = await agent.get("/auth/user").expect(200);
+
+    expect(res.body.name).toBe("Ada King");
+  });
+
+  it("logs out a session whose user was deleted", async () => {
+    const agent = await loginAgent();
+
+    stores.User.splice(0, 1);
+
+    await agent.get("/auth/user").expect(401);
+  });
+
+  it("stores what the serializer returns and passes it to the deserializer", async () => {
+    const deserialize = jest.fn(async (value) =>
+      stores.User.find((user) => user.id === value.id)
+    );
+    customAuth.serializeUser((user, done) =>
+      done(null, { id: user.id, tenant: "acme" })
+    );
+    customAuth.deserializeUser(deserialize);
+    const agent = await loginAgent();
+
+    await agent.get("/auth/user").expect(200);
+
+    expect(deserialize).toHaveBeenLastCalledWith({
+      id: stores.User[0].id,
+      tenant: "acme",
+    });
+  });
+
+  it("accepts a callback-style deserializer", async () => {
+    customAuth.deserializeUser((id, done) => {
+      setImmediate(() =>
+        done(null, { _id: id, name: "Cached Ada", providers: [] })
+      );
+    });
+    const agent = await loginAgent();
+
+    const res = await agent.get("/auth/user").expect(200);
+
+    expect(res.body.name).toBe("Cached Ada");
+  });
+
+  it("fails the request when the deserializer fails", async () => {
+    const agent = await loginAgent();
+    customAuth.deserializeUser(async () => {
+      throw new Error("cache unavailable");
+    });
+
+    await agent.get("/auth/user").expect(500);
+  });
+
+  it("rejects a serializer that returns nothing", async () => {
+    customAuth.serializeUser(() => undefined);
+
+    await expect(serializer.serialize({ id: "user-1" })).rejects.toThrow(
+      "Failed to serialize user into session"
+    );
+  });
+
+  it("rejects hooks that are not functions", () => {
+    expect(() => customAuth.serializeUser("id")).toThrow(
+      "serializeUser expects a function"
+    );
+    expect(() => customAuth.deserializeUser(null)).toThrow(
+      "deserializeUser expects a function"
+    );
+  });
+});
@@ -0,0 +1,210 @@
+/**
+ * Session store and cookie configuration
+ *
+ * Builds the express-session middleware from configuration. The store
+ * is selected by name ("memory", "mongo" or an adapter registered with
+ * `register`), cookie options come from config.session, and insecure
+ * cookie settings stop the server from starting in production.
+ */
+
+const session = require("express-session");
+const mongoose = require("mongoose");
+const config = require("../../config");
+const errors = require("./errors");
+const fingerprint = require("./fingerprint");
+const logger = require("./logger");
+
+const storeAdapters = new Map();
+
+// Store of the session middleware, checked for readiness
+let activeStore = null;
+
+/**
+ * Register a session store adapter
+ * @param {string} name - Adapter name selected with SESSION_STORE
+ * @param {Function} factory - (session, options) => express-session Store
+ */
+const register = (name, factory) => {
+  if (typeof factory !== "function") {
+    throw errors.createError(
+      `Session store adapter "${name}" must be a factory function`,
+      null,
+      500
+    );
+  }
+  storeAdapters.set(name, factory);
+};
+
+// In-process store; sessions are lost on restart and not shared between
+// instances
+register("memory", (expressSession) => new expressSession.MemoryStore());
+
+// MongoDB store reusing the application's mongoose connection
+register("mongo", (expressSession, options) => {
+  // Required lazily so deployments using another store do not need it
+  const MongoStore = require("connect-mongo");
+
+  // The session middleware is created before mongoose finishes connecting
+  const clientPromise = new Promise((resolve) => {
+    if (mongoose.connection.readyState === 1) {
+      resolve(mongoose.connection.getClient());
+    } else {
+      mongoose.connection.once("connected", () =>
+        resolve(mongoose.connection.getClient())
+      );
+    }
+  });
+
+  return MongoStore.create({
+    clientPromise,
+    collectionName: options.collectionName,
+    ttl: Math.ceil(options.cookieMaxAge / 1000),
+  });
+});
+
+/**
+ * Create the configured session store
+ * @param {Object} options - Session settings (defaults to config.session)
+ * @returns {Object} express-session Store
+ */
+const createStore = (options = config.session) => {
+  const factory = storeAdapters.get(options.store);
+  if (!factory) {
+    throw errors.createError(
+      `Unknown session store "${options.store}"; available: ${Array.from(
+        storeAdapters.keys()
+      ).join(", ")}`,
+      null,
+      500
+    );
+  }
+
+  return factory(session, options);
+};
+
+/**
+ * Get the session cookie options from configuration
+ * @param {Object} options - Session settings (defaults to config.session)
+ * @returns {Object} Cookie options for express-session and res.clearCookie
+ */
+const getCookieOptions = (options = config.session) => {
+  return {
+    secure: options.cookieSecure,
+    sameSite: options.cookieSameSite,
+    httpOnly: options.cookieHttpOnly,
+    domain: options.cookieDomain,
+    path: options.cookiePath,
+    maxAge: options.cookieMaxAge,
+  };
+};
+
+/**
+ * Validate session settings, failing fast on insecure production cookies
+ * @param {Object} options - Session settings (defaults to config.session)
+ * @param {string} env - Environment name (defaults to config.server.env)
+ */
+const validateSessionConfig = (
+  options = config.session,
+  env = config.server.env
+) => {
+  if (!fingerprint.POLICIES.includes(options.fingerprintPolicy)) {
+    throw errors.createError(
+      `Unknown SESSION_FINGERPRINT policy "${
+        options.fingerprintPolicy
+      }"; expected one of: ${fingerprint.POLICIES.join(", ")}`,
+      null,
+      500
+    );
+  }
+
+  const problems = [];
+
+  if (!options.cookieSecure) {
+    problems.push("SESSION_COOKIE_SECURE must be true");
+  }
+  if (!options.cookieHttpOnly) {
+    problems.push("SESSION_COOKIE_HTTP_ONLY must not be false");
+  }
+  if (
+    String(options.cookieSameSite).toLowerCase() === "none" &&
+    !options.cookieSecure
+  ) {
+    problems.push("SESSION_COOKIE_SAMESITE=none requires a secure cookie");
+  }
+
+  if (env === "production") {
+    if (problems.length > 0) {
+      throw errors.createError(
+        `Insecure session cookie configuration: ${problems.join("; ")}`,
+        null,
+        500,
+        { problems }
+      );
+    }
+
+    if (options.store === "memory") {
+      logger.warn(
+        "SESSION_STORE=memory loses sessions on restart and cannot be shared between instances"
+      );
+    }
+  } else if (
+    String(options.cookieSameSite).toLowerCase() === "none" &&
+    !options.cookieSecure
+  ) {
+    // Browsers drop SameSite=None cookies that are not Secure
+    logger.warn("SESSION_COOKIE_SAMESITE=none requires a secure cookie");
+  }
+};
+
+/**
+ * Create the express-session middleware from configuration
+ * @param {Object} options - Session settings (defaults to config.session)
+ * @returns {Function} Express middleware
+ */
+const createSessionMiddleware = (options = config.session) => {
+  validateSessionConfig(options);
+  activeStore = createStore(options);
+
+  return session({
+    secret: options.secret,
+    name: options.cookieName,
+    store: activeStore,
+    cookie: getCookieOptions(options),
+    resave: false, // Don't save session if unmodified
+    saveUninitialized: false, // Only store sessions once they hold data (e.g. OAuth state)
+    rolling: true, // Reset expiration countdown on each response
+  });
+};
+
+/**
+ * Get the store of the session middleware created last
+ * @returns {Object|null} express-session Store
+ */
+const getActiveStore = () => {
+  return activeStore;
+};
+
+/**
+ * Clear the session cookie with the options it was set with
+ * @param {Object} res - Express response object
+ */
+const clearSessionCookie = (res) => {
+  const { secure, sameSite, httpOnly, domain, path } = getCookieOptions();
+  res.clearCookie(config.session.cookieName, {
+    secure,
+    sameSite,
+    httpOnly,
+    domain,
+    path,
+  });
+};
+
+module.exports = {
+  register,
+  createStore,
+  getCookieOptions,
+  validateSessionConfig,
+  createSessionMiddleware,
+  getActiveStore,
+  clearSessionCookie,
+};
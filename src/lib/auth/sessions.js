@@ -6,41 +6,96 @@
  */
 
 const errors = require("./errors");
+const encryption = require("./encryption");
+const sessionStore = require("./sessionStore");
+const userSessions = require("./userSessions");
+const serializer = require("./serializer");
+const fingerprint = require("./fingerprint");
+const logger = require("./logger");
+const config = require("../../config");
+
+// Session data belonging to OAuth flows in progress rather than to a user
+const FLOW_KEYS = ["oauthStates", "consumedOauthStates"];
+
+/**
+ * Move the session to a new session ID, carrying over selected data.
+ * Called whenever the session gains privileges, so a session ID known
+ * before (e.g. planted by an attacker) cannot be used afterwards
+ * @param {Object} req - Express request object
+ * @param {Array<string>} keys - Session keys to keep (defaults to all)
+ * @returns {Promise<void>}
+ */
+const regenerateSession = (req, keys) => {
+  const previous = req.session;
+  const kept = {};
+
+  (keys || Object.keys(previous).filter((key) => key !== "cookie")).forEach(
+    (key) => {
+      if (previous[key] !== undefined) {
+        kept[key] = previous[key];
+      }
+    }
+  );
+
+  return new Promise((resolve, reject) => {
+    previous.regenerate((err) => {
+      if (err) {
+        return reject(
+          errors.createError("Session regeneration failed", err, 500)
+        );
+      }
+
+      Object.assign(req.session, kept);
+      resolve();
+    });
+  });
+};
 
 /**
  * Create a new user session
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
- * @param {Object} user - User object to store in session
+ * @param {Object} user - Logged in user
+ * @param {string} provider - Provider used to log in
  */
-const createSession = (req, res, user) => {
+const createSession = async (req, res, user, provider) => {
   try {
-    // Store user in session
-    req.session.user = user;
+    // Never reuse the anonymous visitor's session ID for the logged in user;
+    // only data of other OAuth flows in progress is carried over
+    await regenerateSession(req, FLOW_KEYS);
+
+    // Store only a reference to the user and login metadata in the session
+    req.session.auth = {
+      user: await serializer.serialize(user),
+      provider,
+      loginAt: new Date().toISOString(),
+    };
+    if (fingerprint.isEnabled()) {
+      req.session.auth.fingerprint = fingerprint.compute(req);
+    }
+    req.user = user;
+
+    // Track the session so the user can list and revoke it
+    await userSessions.recordSession(req, user, provider);
 
     // Set session cookie options
-    req.session.cookie.maxAge = 24 * 60 * 60 * 1000; // 24 hours
+    req.session.cookie.maxAge = config.session.cookieMaxAge;
 
-    console.log(
-      `Session created for user ${user.id || user._id}. Session ID: ${
-        req.session.id
-      }`
-    );
-    console.log(
-      `Session cookie options: ${JSON.stringify(req.session.cookie)}`
-    );
+    logger.info("Session created", {
+      req,
+      user: String(user.id || user._id),
+      provider,
+    });
 
     // Force save session
     req.session.save((err) => {
       if (err) {
-        console.error(`Error saving session: ${err.message}`);
-      } else {
-        console.log(`Session saved after creation`);
+        logger.error("Error saving session", { req, err });
       }
     });
   } catch (error) {
-    console.error("Failed to create session:", error);
-    throw new Error("Session creation failed");
+    logger.error("Failed to create session", { req, err: error });
+    throw errors.createError("Session creation failed", error);
   }
 };
 
@@ -51,26 +106,23 @@ const createSession = (req, res, user) => {
  */
 const destroySession = (req, res) => {
   try {
-    const sessionId = req.session.id;
-    console.log(`Destroying session ${sessionId}`);
-
     // Remove user from session
-    req.session.user = null;
+    delete req.session.auth;
 
     // Destroy session
     req.session.destroy((err) => {
       if (err) {
-        console.error(`Error destroying session: ${err.message}`);
+        logger.error("Error destroying session", { req, err });
       } else {
-        console.log(`Session ${sessionId} destroyed successfully`);
+        logger.info("Session destroyed", { req });
       }
 
       // Clear session cookie
-      res.clearCookie("connect.sid");
+      sessionStore.clearSessionCookie(res);
     });
   } catch (error) {
-    console.error("Failed to destroy session:", error);
-    throw new Error("Session destruction failed");
+    logger.error("Failed to destroy session", { req, err: error });
+    throw errors.createError("Session destruction failed", error);
   }
 };
 
@@ -82,14 +134,13 @@ const destroySession = (req, res) => {
  */
 const updateSession = (req, user, callback = () => {}) => {
   try {
-    if (!req.session.user) {
+    if (!req.session.auth) {
       return callback(
         errors.createError("No active session to update", null, 400)
       );
     }
 
-    // Update user in session
-    req.session.user = user;
+    // The session only references the user; refresh the request copy
     req.user = user;
 
     callback();
@@ -109,20 +160,18 @@ const storeTokens = (req, provider, tokens) => {
     req.session.tokens = {};
   }
 
+  // Session stores are not trusted with raw provider tokens
   req.session.tokens[provider] = {
-    ...tokens,
+    data: encryption.encrypt(JSON.stringify(tokens)),
     createdAt: new Date().toISOString(),
   };
 
-  console.log(`Tokens stored for ${provider}. Session ID: ${req.session.id}`);
-  console.log(`Session cookie: ${JSON.stringify(req.cookies)}`);
+  logger.debug("Provider tokens stored in session", { req, provider });
 
   // Force save session
   req.session.save((err) => {
     if (err) {
-      console.error(`Error saving session: ${err.message}`);
-    } else {
-      console.log(`Session saved after storing ${provider} tokens`);
+      logger.error("Error saving session", { req, err, provider });
     }
   });
 };
@@ -135,16 +184,21 @@ const storeTokens = (req, provider, tokens) => {
  */
 const getTokens = (req, provider) => {
   if (!req.session.tokens || !req.session.tokens[provider]) {
-    console.log(
-      `No tokens found for ${provider}. Session ID: ${req.session.id}`
-    );
+    logger.debug("No provider tokens in session", { req, provider });
     return null;
   }
 
-  console.log(
-    `Retrieved tokens for ${provider}. Session ID: ${req.session.id}`
-  );
-  return req.session.tokens[provider];
+  const { data, createdAt } = req.session.tokens[provider];
+
+  // Sessions created before token encryption hold the raw token response
+  if (data === undefined) {
+    return req.session.tokens[provider];
+  }
+
+  return {
+    ...JSON.parse(encryption.decrypt(data)),
+    createdAt,
+  };
 };
 
 /**
@@ -159,6 +213,7 @@ const removeTokens = (req, provider) => {
 };
 
 module.exports = {
+  regenerateSession,
   createSession,
   destroySession,
   updateSession,
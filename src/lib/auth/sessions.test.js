@@ -0,0 +1,141 @@
+const request = require("supertest");
+const { mockModels } = require("../../../test/memoryModels");
+const { startStubIssuer } = require("../../../test/stubIssuer");
+const { useStubIssuer, createApp, login } = require("../../../test/app");
+
+describe("login sessions", () => {
+  let issuer;
+  let app;
+  let config;
+  let sessions;
+  let logger;
+
+  /**
+   * Read the session cookie a response set
+   * @param {Object} res - supertest response
+   * @returns {string|undefined} "name=value" of the session cookie
+   */
+  const getSessionCookie = (res) =>
+    (res.headers["set-cookie"] || [])
+      .map((cookie) => cookie.split(";")[0])
+      .find((cookie) => cookie.startsWith(`${config.session.cookieName}=`));
+
+  beforeAll(async () => {
+    issuer = await startStubIssuer();
+    useStubIssuer(issuer);
+    app = createApp();
+    config = require("../../config");
+    sessions = require("./sessions");
+    logger = require("./logger");
+  });
+
+  afterAll(() => issuer.close());
+
+  beforeEach(() => {
+    mockModels();
+  });
+
+  afterEach(() => {
+    config.session.fingerprintPolicy = "off";
+  });
+
+  it("moves the session to a new ID on login", async () => {
+    const agent = request.agent(app);
+    const start = await agent.get("/auth/oidc").expect(302);
+    const { code, state } = issuer.authorize(start.headers.location);
+
+    const res = await agent
+      .get("/auth/oidc/callback")
+      .query({ code, state })
+      .expect(302);
+
+    const before = getSessionCookie(start);
+    const after = getSessionCookie(res);
+    expect(after).toBeDefined();
+    expect(after).not.toBe(before);
+    await agent.get("/auth/user").expect(200);
+  });
+
+  it("does not log in a session ID planted before the login", async () => {
+    const attacker = await request(app).get("/auth/oidc").expect(302);
+    const planted = getSessionCookie(attacker);
+
+    // The victim logs in with the attacker's session cookie
+    const start = await request(app)
+      .get("/auth/oidc")
+      .set("Cookie", planted)
+      .expect(302);
+    const { code, state } = issuer.authorize(start.headers.location);
+    const res = await request(app)
+      .get("/auth/oidc/callback")
+      .query({ code, state })
+      .set("Cookie", planted)
+      .expect(302);
+
+    expect(new URL(res.headers.location).pathname).toBe("/auth/success");
+    await request(app).get("/auth/user").set("Cookie", planted).expect(401);
+    await request(app)
+      .get("/auth/user")
+      .set("Cookie", getSessionCookie(res))
+      .expect(200);
+  });
+
+  it("moves the session to a new ID when linking a provider", async () => {
+    const agent = request.agent(app);
+    const loggedIn = getSessionCookie(await login(agent, issuer));
+
+    const linked = await login(agent, issuer);
+
+    expect(getSessionCookie(linked)).not.toBe(loggedIn);
+    await request(app).get("/auth/user").set("Cookie", loggedIn).expect(401);
+  });
+
+  it("logs out a session replayed from another client", async () => {
+    config.session.fingerprintPolicy = "logout";
+    const agent = request.agent(app);
+    const start = await agent
+      .get("/auth/oidc")
+      .set("User-Agent", "laptop")
+      .expect(302);
+    const { code, state } = issuer.authorize(start.headers.location);
+    await agent
+      .get("/auth/oidc/callback")
+      .query({ code, state })
+      .set("User-Agent", "laptop")
+      .expect(302);
+
+    await agent.get("/auth/user").set("User-Agent", "laptop").expect(200);
+    await agent.get("/auth/user").set("User-Agent", "stolen").expect(401);
+  });
+
+  it("only logs a fingerprint mismatch with the log policy", async () => {
+    config.session.fingerprintPolicy = "log";
+    const warn = jest.spyOn(logger, "warn").mockImplementation(() => {});
+    const agent = request.agent(app);
+    await login(agent, issuer);
+
+    await agent.get("/auth/user").set("User-Agent", "stolen").expect(200);
+
+    expect(warn).toHaveBeenCalledWith("Session fingerprint mismatch", {
+      req: expect.any(Object),
+      policy: "log",
+    });
+  });
+
+  it("keeps the underlying error when the session cannot be created", async () => {
+    const storeError = new Error("store unavailable");
+    const req = {
+      session: { regenerate: (callback) => callback(storeError) },
+    };
+
+    await expect(
+      sessions.createSession(req, null, { id: "user-1" }, "oidc")
+    ).rejects.toMatchObject({
+      message: "Session creation failed",
+      status: 500,
+      originalError: expect.objectContaining({
+        originalError: storeError,
+      }),
+    });
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * OAuth state management
+ *
+ * Issues cryptographically random, single-use state values bound to
+ * the user's session and verifies them when the provider redirects
+ * back, protecting every authorization-code flow against CSRF and
+ * replayed callbacks.
+ */
+
+const crypto = require("crypto");
+const errors = require("./errors");
+
+const STATE_TTL_MS = 10 * 60 * 1000; // 10 minutes
+const MAX_PENDING_STATES = 10; // Concurrent flows allowed per session
+
+/**
+ * Hash a state value so consumed values are not kept in the session
+ * @param {string} state - State value
+ * @returns {string} SHA-256 hash of the state
+ */
+const hashState = (state) => {
+  return crypto.createHash("sha256").update(state).digest("base64url");
+};
+
+/**
+ * Remove expired pending and consumed states from the session
+ * @param {Object} session - Express session
+ */
+const pruneStates = (session) => {
+  const now = Date.now();
+
+  Object.keys(session.oauthStates || {}).forEach((key) => {
+    if (session.oauthStates[key].expiresAt <= now) {
+      delete session.oauthStates[key];
+    }
+  });
+
+  Object.keys(session.consumedOauthStates || {}).forEach((key) => {
+    if (session.consumedOauthStates[key] <= now) {
+      delete session.consumedOauthStates[key];
+    }
+  });
+};
+
+/**
+ * Issue a new state value for an OAuth flow
+ * @param {Object} req - Express request object
+ * @param {string} provider - Provider name the flow is started for
+ * @param {Object} data - Extra flow data to keep with the state
+ * @returns {string} State value to send to the provider
+ */
+const issueState = (req, provider, data = {}) => {
+  if (!req.session) {
+    throw errors.createError(
+      "A session is required to start an OAuth flow",
+      null,
+      500
+    );
+  }
+
+  req.session.oauthStates = req.session.oauthStates || {};
+  pruneStates(req.session);
+
+  // Drop the oldest pending flows so the session cannot grow unbounded
+  const pending = Object.keys(req.session.oauthStates).sort(
+    (a, b) =>
+      req.session.oauthStates[a].createdAt -
+      req.session.oauthStates[b].createdAt
+  );
+  while (pending.length >= MAX_PENDING_STATES) {
+    delete req.session.oauthStates[pending.shift()];
+  }
+
+  const state = crypto.randomBytes(32).toString("base64url");
+  const now = Date.now();
+
+  req.session.oauthStates[hashState(state)] = {
+    ...data,
+    provider,
+    createdAt: now,
+    expiresAt: now + STATE_TTL_MS,
+  };
+
+  return state;
+};
+
+/**
+ * Verify and consume the state returned by a provider callback
+ * @param {Object} req - Express request object
+ * @param {string} provider - Provider name handling the callback
+ * @param {string} state - State value from the callback
+ * @returns {Object} Flow data stored when the state was issued
+ */
+const verifyState = (req, provider, state) => {
+  if (!state || typeof state !== "string") {
+    throw errors.createCodedError(
+      errors.STATE_ERRORS.MISSING,
+      "OAuth state parameter is missing",
+      400,
+      { provider }
+    );
+  }
+
+  const session = req.session || {};
+  const key = hashState(state);
+  const now = Date.now();
+
+  if (session.consumedOauthStates && session.consumedOauthStates[key] > now) {
+    throw errors.createCodedError(
+      errors.STATE_ERRORS.REPLAYED,
+      "OAuth state parameter has already been used",
+      400,
+      { provider }
+    );
+  }
+
+  const record = session.oauthStates && session.oauthStates[key];
+  if (!record || record.provider !== provider) {
+    throw errors.createCodedError(
+      errors.STATE_ERRORS.INVALID,
+      "OAuth state parameter does not match this session",
+      400,
+      { provider }
+    );
+  }
+
+  // Consume the state whatever the outcome so it can never be reused
+  delete session.oauthStates[key];
+  session.consumedOauthStates = session.consumedOauthStates || {};
+  session.consumedOauthStates[key] = record.createdAt + STATE_TTL_MS;
+  pruneStates(session);
+
+  if (record.expiresAt <= now) {
+    throw errors.createCodedError(
+      errors.STATE_ERRORS.EXPIRED,
+      "OAuth state parameter has expired",
+      400,
+      { provider }
+    );
+  }
+
+  const { createdAt, expiresAt, ...data } = record;
+  return data;
+};
+
+module.exports = {
+  STATE_TTL_MS,
+  issueState,
+  verifyState,
+};
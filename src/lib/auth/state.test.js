@@ -0,0 +1,111 @@
+const { STATE_TTL_MS, issueState, verifyState } = require("./state");
+
+describe("OAuth state", () => {
+  let req;
+
+  /**
+   * Call verifyState and return the error it throws
+   * @param {string} provider - Provider handling the callback
+   * @param {string} state - State value from the callback
+   * @returns {Error} The error thrown
+   */
+  const verifyError = (provider, state) => {
+    try {
+      verifyState(req, provider, state);
+    } catch (error) {
+      return error;
+    }
+    throw new Error("verifyState did not throw");
+  };
+
+  beforeEach(() => {
+    req = { session: {} };
+  });
+
+  it("returns the flow data for the state it issued", () => {
+    const state = issueState(req, "google", { returnTo: "/settings" });
+
+    expect(verifyState(req, "google", state)).toEqual({
+      provider: "google",
+      returnTo: "/settings",
+    });
+  });
+
+  it("issues a different random state for every flow", () => {
+    const first = issueState(req, "google");
+    const second = issueState(req, "google");
+
+    expect(first).not.toBe(second);
+    expect(first.length).toBeGreaterThanOrEqual(43);
+  });
+
+  it("does not keep the raw state in the session", () => {
+    const state = issueState(req, "google");
+
+    expect(JSON.stringify(req.session)).not.toContain(state);
+  });
+
+  it("rejects a replayed state", () => {
+    const state = issueState(req, "google");
+    verifyState(req, "google", state);
+
+    expect(verifyError("google", state)).toMatchObject({
+      code: "state_replayed",
+      status: 400,
+    });
+  });
+
+  it("rejects an expired state and consumes it", () => {
+    const now = Date.now();
+    jest.spyOn(Date, "now").mockReturnValue(now);
+    const state = issueState(req, "google");
+
+    Date.now.mockReturnValue(now + STATE_TTL_MS + 1);
+
+    expect(verifyError("google", state)).toMatchObject({
+      code: "state_expired",
+    });
+    expect(req.session.oauthStates).toEqual({});
+  });
+
+  it("rejects a state issued for another provider", () => {
+    const state = issueState(req, "github");
+
+    expect(verifyError("google", state)).toMatchObject({
+      code: "state_invalid",
+    });
+  });
+
+  it("rejects a state issued to another session", () => {
+    const state = issueState({ session: {} }, "google");
+
+    expect(verifyError("google", state)).toMatchObject({
+      code: "state_invalid",
+    });
+  });
+
+  it("rejects a missing state", () => {
+    expect(verifyError("google", undefined)).toMatchObject({
+      code: "state_missing",
+    });
+    expect(verifyError("google", ["a", "b"])).toMatchObject({
+      code: "state_missing",
+    });
+  });
+
+  it("keeps only the most recent pending flows", () => {
+    const first = issueState(req, "google");
+    for (let i = 0; i < 10; i += 1) {
+      issueState(req, "google");
+    }
+
+    expect(Object.keys(req.session.oauthStates)).toHaveLength(10);
+    expect(verifyError("google", first)).toMatchObject({
+      code: "state_invalid",
+    });
+  });
+
+  it("requires a session to start a flow", () => {
+    expect(() => issueState({}, "google")).toThrow(/session is required/);
+  });
+});
@@ -0,0 +1,223 @@
+/**
+ * Per-user session tracking
+ *
+ * Records every logged in session (device, user agent, IP, login
+ * provider, created and last-seen times) so users can list their
+ * sessions and revoke them remotely. Revocation is stored with the
+ * record rather than in the session store, so a revoked session is
+ * rejected on its next request whichever store is configured.
+ */
+
+const mongoose = require("mongoose");
+const UserSession = require("../../models/UserSession");
+const config = require("../../config");
+const errors = require("./errors");
+
+// Only write last-seen updates this often per session
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Describe the device from a user agent string
+ * @param {string} userAgent - User-Agent header
+ * @returns {string} Short description such as "Chrome on macOS"
+ */
+const describeDevice = (userAgent = "") => {
+  const browsers = [
+    ["Edge", /Edg\//],
+    ["Opera", /OPR\//],
+    ["Chrome", /Chrome\//],
+    ["Firefox", /Firefox\//],
+    ["Safari", /Safari\//],
+  ];
+  const systems = [
+    ["iOS", /iPhone|iPad|iPod/],
+    ["Android", /Android/],
+    ["Windows", /Windows/],
+    ["macOS", /Mac OS X|Macintosh/],
+    ["Linux", /Linux/],
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) {
+    return "Unknown device";
+  }
+  if (!system) {
+    return browser[0];
+  }
+  return browser ? `${browser[0]} on ${system[0]}` : system[0];
+};
+
+/**
+ * Get the expiry date for a session seen now
+ * @returns {Date} Expiry date
+ */
+const getExpiry = () => {
+  return new Date(Date.now() + config.session.cookieMaxAge);
+};
+
+/**
+ * Record a new logged in session
+ * @param {Object} req - Express request object
+ * @param {Object} user - Logged in user
+ * @param {string} provider - Provider used to log in
+ * @returns {Promise<Object>} Session record
+ */
+const recordSession = async (req, user, provider) => {
+  const userAgent = req.get("user-agent") || "";
+
+  const record = await UserSession.create({
+    user: user._id || user.id,
+    provider,
+    device: describeDevice(userAgent),
+    userAgent,
+    ip: req.ip,
+    expiresAt: getExpiry(),
+  });
+
+  req.session.sessionRecordId = record.id;
+  return record;
+};
+
+/**
+ * Check that the current session has not been revoked and update its
+ * last-seen time
+ * @param {Object} req - Express request object
+ * @param {Object} user - User the session belongs to
+ * @returns {Promise<boolean>} Whether the session may be used
+ */
+const validateSession = async (req, user) => {
+  // Sessions created before tracking was enabled are recorded on first use
+  if (!req.session.sessionRecordId) {
+    await recordSession(req, user, req.session.auth.provider);
+    return true;
+  }
+
+  const record = await UserSession.findById(req.session.sessionRecordId);
+  if (!record || record.revokedAt) {
+    return false;
+  }
+
+  if (Date.now() - record.lastSeenAt.getTime() > LAST_SEEN_INTERVAL_MS) {
+    await UserSession.updateOne(
+      { _id: record._id },
+      { lastSeenAt: new Date(), ip: req.ip, expiresAt: getExpiry() }
+    );
+  }
+
+  return true;
+};
+
+/**
+ * Mark the current session as ended (on logout)
+ * @param {Object} req - Express request object
+ */
+const endSession = async (req) => {
+  if (req.session && req.session.sessionRecordId) {
+    await UserSession.updateOne(
+      { _id: req.session.sessionRecordId, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+  }
+};
+
+/**
+ * List a user's active sessions
+ * @param {string} userId - User ID
+ * @param {string} currentId - ID of the requesting session's record
+ * @returns {Promise<Array<Object>>} Sessions, most recently seen first
+ */
+const listSessions = async (userId, currentId) => {
+  const records = await UserSession.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastSeenAt: -1 });
+
+  return records.map((record) => ({
+    id: record.id,
+    current: record.id === currentId,
+    provider: record.provider,
+    device: record.device,
+    userAgent: record.userAgent,
+    ip: record.ip,
+    createdAt: record.createdAt,
+    lastSeenAt: record.lastSeenAt,
+  }));
+};
+
+/**
+ * Revoke one of a user's sessions
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session record ID
+ */
+const revokeSession = async (userId, sessionId) => {
+  if (!mongoose.isValidObjectId(sessionId)) {
+    throw errors.createCodedError(
+      errors.AUTH_ERRORS.SESSION_NOT_FOUND,
+      "Session not found",
+      404
+    );
+  }
+
+  const result = await UserSession.updateOne(
+    { _id: sessionId, user: userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+
+  if (result.matchedCount === 0) {
+    throw errors.createCodedError(
+      errors.AUTH_ERRORS.SESSION_NOT_FOUND,
+      "Session not found",
+      404
+    );
+  }
+};
+
+/**
+ * Revoke all of a user's sessions except the current one
+ * @param {string} userId - User ID
+ * @param {string} currentId - ID of the session record to keep
+ * @returns {Promise<number>} Number of revoked sessions
+ */
+const revokeOtherSessions = async (userId, currentId) => {
+  // Bearer requests have no session record; without one every session
+  // would count as "other"
+  if (!currentId) {
+    throw errors.createCodedError(
+      errors.OAUTH_ERRORS.INVALID_REQUEST,
+      "There is no current session to keep; revoke sessions one by one",
+      400
+    );
+  }
+
+  const result = await UserSession.updateMany(
+    { user: userId, _id: { $ne: currentId }, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+
+  return result.modifiedCount;
+};
+
+/**
+ * Count the active sessions of all users
+ * @returns {Promise<number>} Number of sessions neither revoked nor expired
+ */
+const countActiveSessions = () => {
+  return UserSession.countDocuments({
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+module.exports = {
+  describeDevice,
+  recordSession,
+  validateSession,
+  endSession,
+  listSessions,
+  revokeSession,
+  revokeOtherSessions,
+  countActiveSessions,
+};
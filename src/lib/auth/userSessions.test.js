@@ -0,0 +1,123 @@
+const request = require("supertest");
+const { mockModels } = require("../../../test/memoryModels");
+const { startStubIssuer } = require("../../../test/stubIssuer");
+const {
+  useStubIssuer,
+  createApp,
+  login,
+  csrfHeaders,
+} = require("../../../test/app");
+
+describe("per-user sessions", () => {
+  let issuer;
+  let app;
+  let userSessions;
+  let stores;
+
+  /**
+   * Log a new agent in as the stub issuer's user
+   * @returns {Promise<Object>} supertest agent
+   */
+  const loginAgent = async () => {
+    const agent = request.agent(app);
+    await login(agent, issuer);
+    return agent;
+  };
+
+  beforeAll(async () => {
+    issuer = await startStubIssuer();
+    useStubIssuer(issuer);
+    app = createApp();
+    userSessions = require("./userSessions");
+  });
+
+  afterAll(() => issuer.close());
+
+  beforeEach(() => {
+    stores = mockModels();
+  });
+
+  it("describes the device from the user agent", () => {
+    expect(
+      userSessions.describeDevice(
+        "Mozilla/5.0 (Macintosh; Intel Mac OS X 14_0) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Safari/605.1.15"
+      )
+    ).toBe("Safari on macOS");
+    expect(userSessions.describeDevice("curl/8.0")).toBe("Unknown device");
+  });
+
+  it("lists the user's sessions and marks the current one", async () => {
+    const laptop = await loginAgent();
+    await loginAgent();
+
+    const res = await laptop.get("/auth/sessions").expect(200);
+
+    expect(res.body.sessions).toHaveLength(2);
+    expect(res.body.sessions.filter((s) => s.current)).toHaveLength(1);
+    expect(res.body.sessions[0]).toMatchObject({ provider: "oidc" });
+  });
+
+  it("rejects a revoked session on its next request", async () => {
+    const laptop = await loginAgent();
+    const phone = await loginAgent();
+    const { body } = await laptop.get("/auth/sessions").expect(200);
+    const other = body.sessions.find((s) => !s.current);
+
+    await laptop
+      .delete(`/auth/sessions/${other.id}`)
+      .set(await csrfHeaders(laptop))
+      .expect(200);
+
+    await phone.get("/auth/user").expect(401);
+    await laptop.get("/auth/user").expect(200);
+  });
+
+  it("logs out every other session", async () => {
+    const laptop = await loginAgent();
+    const phone = await loginAgent();
+    const tablet = await loginAgent();
+
+    const res = await laptop
+      .delete("/auth/sessions")
+      .set(await csrfHeaders(laptop))
+      .expect(200);
+
+    expect(res.body.revoked).toBe(2);
+    await phone.get("/auth/user").expect(401);
+    await tablet.get("/auth/user").expect(401);
+    await laptop.get("/auth/user").expect(200);
+  });
+
+  it("ends the session record on logout", async () => {
+    const laptop = await loginAgent();
+
+    await laptop
+      .post("/auth/logout")
+      .set(await csrfHeaders(laptop))
+      .expect(200);
+
+    expect(stores.UserSession[0].revokedAt).toBeInstanceOf(Date);
+  });
+
+  it("does not revoke another user's session", async () => {
+    const laptop = await loginAgent();
+    const mallory = request.agent(app);
+    await login(mallory, issuer, {
+      claims: { sub: "user-2" },
+      userinfo: { email: "mallory@example.com" },
+    });
+    const { body } = await laptop.get("/auth/sessions").expect(200);
+
+    await mallory
+      .delete(`/auth/sessions/${body.sessions[0].id}`)
+      .set(await csrfHeaders(mallory))
+      .expect(404);
+    await laptop.get("/auth/user").expect(200);
+  });
+
+  it("refuses to revoke other sessions without a current session", async () => {
+    await expect(
+      userSessions.revokeOtherSessions("user-id", undefined)
+    ).rejects.toMatchObject({ code: "invalid_request", status: 400 });
+  });
+});
@@ -0,0 +1,516 @@
+/**
+ * Signed outbound webhooks
+ *
+ * Account events are written to a persistent outbox (the WebhookDelivery
+ * collection), one delivery per matching subscription, and sent by a
+ * background worker as JSON POST requests signed with the subscription's
+ * secret:
+ *
+ *   X-PassportLink-Signature: t=<unix time>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+ *
+ * Failed attempts are retried with exponential backoff; deliveries that
+ * still fail after the configured number of attempts are dead-lettered
+ * and can be replayed.
+ */
+
+const crypto = require("crypto");
+const axios = require("axios");
+const mongoose = require("mongoose");
+const WebhookDelivery = require("../../models/WebhookDelivery");
+const WebhookSubscription = require("../../models/WebhookSubscription");
+const config = require("../../config");
+const errors = require("./errors");
+const logger = require("./logger");
+
+const EVENTS = ["user.created", "provider.linked", "provider.unlinked"];
+
+const CONFIG_SUBSCRIPTION = "config";
+
+// Longest wait between two attempts
+const MAX_RETRY_DELAY_MS = 24 * 60 * 60 * 1000;
+
+let workerTimer = null;
+// Run of processDue in progress, if any
+let processing = null;
+
+/**
+ * Compute the signature header value for a payload
+ * @param {string} payload - JSON body
+ * @param {string} secret - Subscription secret
+ * @param {number} timestamp - Unix time in seconds
+ * @returns {string} Signature header value
+ */
+const sign = (payload, secret, timestamp) => {
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${payload}`)
+    .digest("hex");
+
+  return `t=${timestamp},v1=${signature}`;
+};
+
+/**
+ * Check whether a subscription wants an event
+ * @param {Array<string>} events - Subscribed events
+ * @param {string} event - Event name
+ * @returns {boolean} Whether the event is subscribed
+ */
+const isSubscribed = (events, event) => {
+  return events.includes("*") || events.includes(event);
+};
+
+/**
+ * Get the subscriptions that want an event
+ * @param {string} event - Event name
+ * @returns {Promise<Array<Object>>} Subscriptions ({ id, url })
+ */
+const getSubscriptions = async (event) => {
+  const subscriptions = [];
+
+  if (config.webhooks.url && isSubscribed(config.webhooks.events, event)) {
+    subscriptions.push({ id: CONFIG_SUBSCRIPTION, url: config.webhooks.url });
+  }
+
+  const stored = await WebhookSubscription.find({ active: true });
+  stored
+    .filter((subscription) => isSubscribed(subscription.events, event))
+    .forEach((subscription) =>
+      subscriptions.push({ id: subscription.id, url: subscription.url })
+    );
+
+  return subscriptions;
+};
+
+/**
+ * Get the signing secret of a subscription
+ * @param {string} subscriptionId - Subscription ID, or "config"
+ * @returns {Promise<string|null>} Secret, or null if the subscription is
+ *   gone or inactive
+ */
+const getSecret = async (subscriptionId) => {
+  if (subscriptionId === CONFIG_SUBSCRIPTION) {
+    return config.webhooks.url ? config.webhooks.secret : null;
+  }
+
+  const subscription = await WebhookSubscription.findById(subscriptionId);
+  return subscription && subscription.active ? subscription.secret : null;
+};
+
+/**
+ * Describe a user in webhook payloads
+ * @param {Object} user - User document
+ * @returns {Object} User data
+ */
+const describeUser = (user) => {
+  return {
+    id: String(user._id || user.id),
+    name: user.name,
+    email: user.email,
+    emailVerified: user.emailVerified,
+  };
+};
+
+/**
+ * Queue an event for delivery to every subscription that wants it.
+ * Publishing never fails the action it describes; errors are logged
+ * @param {string} event - Event name (one of EVENTS)
+ * @param {Object} data - Event data
+ * @param {Object} data.user - User document
+ * @param {string} data.provider - Provider involved
+ * @param {string} data.providerId - User ID at the provider
+ * @returns {Promise<void>}
+ */
+const publish = async (event, { user, provider, providerId } = {}) => {
+  try {
+    const subscriptions = await getSubscriptions(event);
+    if (subscriptions.length === 0) {
+      return;
+    }
+
+    const eventId = crypto.randomUUID();
+    const payload = JSON.stringify({
+      id: eventId,
+      event,
+      createdAt: new Date().toISOString(),
+      data: {
+        user: user && describeUser(user),
+        provider,
+        providerId,
+      },
+    });
+
+    await WebhookDelivery.insertMany(
+      subscriptions.map((subscription) => ({
+        subscription: subscription.id,
+        url: subscription.url,
+        event,
+        eventId,
+        payload,
+      }))
+    );
+
+    // Send right away instead of waiting for the next poll
+    if (workerTimer) {
+      setImmediate(processDue);
+    }
+  } catch (err) {
+    logger.error(`Failed to queue ${event} webhook`, { err });
+  }
+};
+
+/**
+ * Get the delay before the next attempt
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+const getRetryDelay = (attempts) => {
+  return Math.min(
+    config.webhooks.retryDelay * 1000 * 2 ** (attempts - 1),
+    MAX_RETRY_DELAY_MS
+  );
+};
+
+/**
+ * Claim the next due delivery, so no other worker sends it at the same
+ * time. Deliveries whose attempt never finished (e.g. the process
+ * stopped) are claimed again once their lock expires
+ * @returns {Promise<Object|null>} Delivery, or null if none is due
+ */
+const claimNext = () => {
+  const now = new Date();
+
+  return WebhookDelivery.findOneAndUpdate(
+    {
+      $or: [
+        { status: "pending", nextAttemptAt: { $lte: now } },
+        { status: "delivering", lockedUntil: { $lt: now } },
+      ],
+    },
+    {
+      $set: {
+        status: "delivering",
+        lockedUntil: new Date(now.getTime() + config.webhooks.timeout * 2),
+      },
+      $inc: { attempts: 1 },
+    },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
+/**
+ * Record a failed attempt, scheduling a retry or dead-lettering the
+ * delivery
+ * @param {Object} delivery - Delivery
+ * @param {string} message - Failure description
+ * @param {number} statusCode - Response status, if any
+ */
+const recordFailure = async (delivery, message, statusCode) => {
+  const dead = delivery.attempts >= config.webhooks.maxAttempts;
+
+  await WebhookDelivery.updateOne(
+    { _id: delivery._id },
+    {
+      status: dead ? "dead" : "pending",
+      nextAttemptAt: new Date(Date.now() + getRetryDelay(delivery.attempts)),
+      lockedUntil: null,
+      lastStatusCode: statusCode,
+      lastError: message,
+    }
+  );
+
+  if (dead) {
+    logger.error("Webhook delivery dead-lettered", {
+      delivery: delivery.id,
+      event: delivery.event,
+      url: delivery.url,
+      attempts: delivery.attempts,
+    });
+  }
+};
+
+/**
+ * Make one delivery attempt
+ * @param {Object} delivery - Claimed delivery
+ */
+const deliver = async (delivery) => {
+  const secret = await getSecret(delivery.subscription);
+  if (!secret) {
+    await WebhookDelivery.updateOne(
+      { _id: delivery._id },
+      {
+        status: "dead",
+        lockedUntil: null,
+        lastError: "Subscription no longer exists or is inactive",
+      }
+    );
+    return;
+  }
+
+  let response;
+  try {
+    response = await axios.post(delivery.url, delivery.payload, {
+      headers: {
+        "Content-Type": "application/json",
+        "User-Agent": "PassportLink-Webhooks",
+        "X-PassportLink-Event": delivery.event,
+        "X-PassportLink-Delivery": delivery.id,
+        "X-PassportLink-Signature": sign(
+          delivery.payload,
+          secret,
+          Math.floor(Date.now() / 1000)
+        ),
+      },
+      timeout: config.webhooks.timeout,
+      maxRedirects: 0,
+      validateStatus: () => true,
+    });
+  } catch (err) {
+    return recordFailure(delivery, err.message);
+  }
+
+  if (response.status < 200 || response.status >= 300) {
+    return recordFailure(
+      delivery,
+      `Endpoint responded with ${response.status}`,
+      response.status
+    );
+  }
+
+  await WebhookDelivery.updateOne(
+    { _id: delivery._id },
+    {
+      status: "delivered",
+      deliveredAt: new Date(),
+      lockedUntil: null,
+      lastStatusCode: response.status,
+      lastError: null,
+    }
+  );
+};
+
+/**
+ * Send every due delivery
+ * @returns {Promise<number>} Number of attempts made
+ */
+const processDue = async () => {
+  if (processing) {
+    return 0;
+  }
+
+  processing = (async () => {
+    let count = 0;
+    try {
+      let delivery = await claimNext();
+      while (delivery) {
+        await deliver(delivery);
+        count += 1;
+        delivery = await claimNext();
+      }
+    } catch (err) {
+      logger.error("Webhook delivery error", { err });
+    }
+    return count;
+  })();
+
+  try {
+    return await processing;
+  } finally {
+    processing = null;
+  }
+};
+
+/**
+ * Start sending deliveries in the background
+ */
+const startWorker = () => {
+  if (workerTimer) {
+    return;
+  }
+
+  workerTimer = setInterval(processDue, config.webhooks.pollInterval);
+  workerTimer.unref();
+  setImmediate(processDue);
+};
+
+/**
+ * Stop the background worker
+ * @returns {Promise<void>} Resolves once the deliveries being sent are done
+ */
+const stopWorker = async () => {
+  clearInterval(workerTimer);
+  workerTimer = null;
+
+  if (processing) {
+    await processing;
+  }
+};
+
+/**
+ * Format a delivery for API responses
+ * @param {Object} delivery - Delivery document
+ * @returns {Object} Delivery
+ */
+const formatDelivery = (delivery) => {
+  return {
+    id: delivery.id,
+    subscription: delivery.subscription,
+    url: delivery.url,
+    event: delivery.event,
+    eventId: delivery.eventId,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    nextAttemptAt: delivery.nextAttemptAt,
+    lastStatusCode: delivery.lastStatusCode,
+    lastError: delivery.lastError,
+    deliveredAt: delivery.deliveredAt,
+    createdAt: delivery.createdAt,
+  };
+};
+
+/**
+ * List deliveries, newest first
+ * @param {Object} query - Query parameters (status, event, limit)
+ * @returns {Promise<Array<Object>>} Deliveries
+ */
+const listDeliveries = async (query = {}) => {
+  const filter = {};
+  ["status", "event"].forEach((name) => {
+    if (query[name] !== undefined) {
+      filter[name] = String(query[name]);
+    }
+  });
+
+  const limit = query.limit === undefined ? 20 : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+    throw errors.createCodedError(
+      errors.OAUTH_ERRORS.INVALID_REQUEST,
+      "Invalid limit parameter",
+      400,
+      { parameter: "limit" }
+    );
+  }
+
+  const deliveries = await WebhookDelivery.find(filter)
+    .sort({ createdAt: -1 })
+    .limit(limit);
+
+  return deliveries.map(formatDelivery);
+};
+
+/**
+ * Queue deliveries to be sent again
+ * @param {Array<string>} ids - Delivery IDs; dead or delivered deliveries
+ *   are replayed. Without IDs every dead delivery is replayed
+ * @returns {Promise<number>} Number of deliveries queued
+ */
+const replayDeliveries = async (ids) => {
+  let filter = { status: "dead" };
+
+  if (ids !== undefined) {
+    if (!Array.isArray(ids) || !ids.every(mongoose.isValidObjectId)) {
+      throw errors.createCodedError(
+        errors.OAUTH_ERRORS.INVALID_REQUEST,
+        "ids must be an array of delivery IDs",
+        400
+      );
+    }
+    filter = { _id: { $in: ids }, status: { $in: ["dead", "delivered"] } };
+  }
+
+  const result = await WebhookDelivery.updateMany(filter, {
+    status: "pending",
+    attempts: 0,
+    nextAttemptAt: new Date(),
+    lockedUntil: null,
+    lastError: null,
+  });
+
+  if (workerTimer) {
+    setImmediate(processDue);
+  }
+  return result.modifiedCount;
+};
+
+/**
+ * Store a webhook subscription
+ * @param {Object} options - Subscription options
+ * @param {string} options.url - Endpoint URL
+ * @param {Array<string>} options.events - Events, or ["*"] (default)
+ * @param {string} options.secret - Signing secret (generated if omitted)
+ * @returns {Promise<Object>} { id, url, events, secret }
+ */
+const addSubscription = async ({ url, events = ["*"], secret } = {}) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (err) {
+    parsed = null;
+  }
+
+  if (!parsed || !["http:", "https:"].includes(parsed.protocol)) {
+    throw errors.createError("Webhook URL must be an http(s) URL", null, 400);
+  }
+
+  const unknown = events.filter(
+    (event) => event !== "*" && !EVENTS.includes(event)
+  );
+  if (unknown.length > 0) {
+    throw errors.createError(
+      `Unknown webhook events: ${unknown.join(", ")}`,
+      null,
+      400
+    );
+  }
+
+  const subscription = await WebhookSubscription.create({
+    url,
+    events,
+    secret: secret || crypto.randomBytes(32).toString("base64url"),
+  });
+
+  return {
+    id: subscription.id,
+    url: subscription.url,
+    events: subscription.events,
+    secret: subscription.secret,
+  };
+};
+
+/**
+ * Delete a stored webhook subscription. Its queued deliveries are
+ * dead-lettered when next attempted
+ * @param {string} id - Subscription ID
+ */
+const removeSubscription = async (id) => {
+  await WebhookSubscription.deleteOne({ _id: id });
+};
+
+/**
+ * List stored webhook subscriptions (without their secrets)
+ * @returns {Promise<Array<Object>>} Subscriptions
+ */
+const listSubscriptions = async () => {
+  const subscriptions = await WebhookSubscription.find();
+
+  return subscriptions.map((subscription) => ({
+    id: subscription.id,
+    url: subscription.url,
+    events: subscription.events,
+    active: subscription.active,
+    createdAt: subscription.createdAt,
+  }));
+};
+
+module.exports = {
+  EVENTS,
+  sign,
+  publish,
+  processDue,
+  startWorker,
+  stopWorker,
+  listDeliveries,
+  replayDeliveries,
+  addSubscription,
+  removeSubscription,
+  listSubscriptions,
+};
@@ -0,0 +1,310 @@
+const crypto = require("crypto");
+const axios = require("axios");
+const request = require("supertest");
+const { mockModels } = require("../../../test/memoryModels");
+const { startStubIssuer } = require("../../../test/stubIssuer");
+const {
+  useStubIssuer,
+  createApp,
+  login,
+  csrfHeaders,
+} = require("../../../test/app");
+
+const ENDPOINT = "https://hooks.example.com/passportlink";
+const SECRET = "webhook-test-secret";
+
+/**
+ * Wait until events published in the background are queued
+ * @returns {Promise<void>}
+ */
+const flushEvents = () => new Promise((resolve) => setImmediate(resolve));
+
+describe("webhooks", () => {
+  let issuer;
+  let config;
+  let webhooks;
+  let logger;
+  let stores;
+  let settings;
+
+  beforeAll(async () => {
+    issuer = await startStubIssuer();
+    useStubIssuer(issuer);
+    config = require("../../config");
+    webhooks = require("./webhooks");
+    logger = require("./logger");
+    settings = { ...config.webhooks };
+  });
+
+  afterAll(() => issuer.close());
+
+  beforeEach(() => {
+    stores = mockModels();
+    Object.assign(config.webhooks, {
+      url: ENDPOINT,
+      secret: SECRET,
+      events: ["*"],
+    });
+    jest.spyOn(logger, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    Object.assign(config.webhooks, settings);
+  });
+
+  /**
+   * Make every delivery due, as if its retry delay had passed
+   */
+  const makeDue = () => {
+    stores.WebhookDelivery.forEach((delivery) =>
+      delivery.set("nextAttemptAt", new Date(Date.now() - 1000))
+    );
+  };
+
+  it("signs the timestamp and body with HMAC-SHA256", () => {
+    const expected = crypto
+      .createHmac("sha256", SECRET)
+      .update('1700000000.{"a":1}')
+      .digest("hex");
+
+    expect(webhooks.sign('{"a":1}', SECRET, 1700000000)).toBe(
+      `t=1700000000,v1=${expected}`
+    );
+  });
+
+  describe("publish", () => {
+    it("queues one delivery per subscription that wants the event", async () => {
+      await webhooks.addSubscription({
+        url: "https://crm.example.com/hooks",
+        events: ["provider.unlinked"],
+      });
+      const billing = await webhooks.addSubscription({
+        url: "https://billing.example.com/hooks",
+        events: ["user.created"],
+      });
+
+      await webhooks.publish("user.created", {
+        user: { _id: "u1", name: "Ada", email: "ada@example.com" },
+        provider: "github",
+        providerId: "42",
+      });
+
+      expect(stores.WebhookDelivery.map((d) => d.subscription)).toEqual([
+        "config",
+        billing.id,
+      ]);
+      const [delivery] = stores.WebhookDelivery;
+      expect(JSON.parse(delivery.payload)).toMatchObject({
+        id: delivery.eventId,
+        event: "user.created",
+        data: {
+          user: { id: "u1", name: "Ada", email: "ada@example.com" },
+          provider: "github",
+          providerId: "42",
+        },
+      });
+    });
+
+    it("rejects subscriptions to unknown events", async () => {
+      await expect(
+        webhooks.addSubscription({ url: ENDPOINT, events: ["user.deleted"] })
+      ).rejects.toMatchObject({
+        status: 400,
+        message: "Unknown webhook events: user.deleted",
+      });
+    });
+  });
+
+  describe("delivery", () => {
+    beforeEach(async () => {
+      await webhooks.publish("provider.linked", {
+        user: { _id: "u1", name: "Ada" },
+        provider: "github",
+        providerId: "42",
+      });
+    });
+
+    it("POSTs the payload with a signature the receiver can verify", async () => {
+      jest.spyOn(axios, "post").mockResolvedValue({ status: 204 });
+
+      await webhooks.processDue();
+
+      const [url, body, options] = axios.post.mock.calls[0];
+      const [t, v1] = options.headers["X-PassportLink-Signature"]
+        .split(",")
+        .map((part) => part.split("=")[1]);
+      const expected = crypto
+        .createHmac("sha256", SECRET)
+        .update(`${t}.${body}`)
+        .digest("hex");
+      expect(url).toBe(ENDPOINT);
+      expect(v1).toBe(expected);
+      expect(options.headers["X-PassportLink-Event"]).toBe("provider.linked");
+      expect(stores.WebhookDelivery[0]).toMatchObject({
+        status: "delivered",
+        attempts: 1,
+        lastStatusCode: 204,
+      });
+    });
+
+    it("retries failures with exponential backoff, then dead-letters", async () => {
+      config.webhooks.maxAttempts = 3;
+      config.webhooks.retryDelay = 30;
+      jest
+        .spyOn(axios, "post")
+        .mockResolvedValueOnce({ status: 500 })
+        .mockRejectedValueOnce(new Error("timeout of 10000ms exceeded"))
+        .mockResolvedValueOnce({ status: 502 });
+      const [delivery] = stores.WebhookDelivery;
+      const delays = [];
+
+      for (let i = 0; i < 2; i += 1) {
+        const before = Date.now();
+        await webhooks.processDue();
+        delays.push(delivery.nextAttemptAt.getTime() - before);
+        expect(delivery.status).toBe("pending");
+        makeDue();
+      }
+      await webhooks.processDue();
+
+      expect(delays[0]).toBeGreaterThanOrEqual(30 * 1000);
+      expect(delays[0]).toBeLessThan(31 * 1000);
+      expect(delays[1]).toBeGreaterThanOrEqual(60 * 1000);
+      expect(delays[1]).toBeLessThan(61 * 1000);
+      expect(delivery).toMatchObject({
+        status: "dead",
+        attempts: 3,
+        lastStatusCode: 502,
+        lastError: "Endpoint responded with 502",
+      });
+      expect(axios.post).toHaveBeenCalledTimes(3);
+    });
+
+    it("does not send again before the retry delay", async () => {
+      jest.spyOn(axios, "post").mockResolvedValue({ status: 500 });
+
+      await webhooks.processDue();
+      await webhooks.processDue();
+
+      expect(axios.post).toHaveBeenCalledTimes(1);
+    });
+
+    it("dead-letters deliveries of removed subscriptions", async () => {
+      config.webhooks.url = undefined;
+      jest.spyOn(axios, "post");
+
+      await webhooks.processDue();
+
+      expect(axios.post).not.toHaveBeenCalled();
+      expect(stores.WebhookDelivery[0].status).toBe("dead");
+    });
+
+    it("replays dead deliveries", async () => {
+      config.webhooks.maxAttempts = 1;
+      jest
+        .spyOn(axios, "post")
+        .mockResolvedValueOnce({ status: 500 })
+        .mockResolvedValueOnce({ status: 200 });
+      await webhooks.processDue();
+      expect(stores.WebhookDelivery[0].status).toBe("dead");
+
+      await expect(webhooks.replayDeliveries()).resolves.toBe(1);
+      expect(stores.WebhookDelivery[0]).toMatchObject({
+        status: "pending",
+        attempts: 0,
+      });
+
+      await webhooks.processDue();
+      expect(stores.WebhookDelivery[0].status).toBe("delivered");
+    });
+
+    it("replays chosen deliveries by ID", async () => {
+      jest.spyOn(axios, "post").mockResolvedValue({ status: 200 });
+      await webhooks.processDue();
+      const [delivery] = stores.WebhookDelivery;
+
+      await expect(webhooks.replayDeliveries([delivery.id])).resolves.toBe(1);
+      expect(delivery.status).toBe("pending");
+
+      await expect(webhooks.replayDeliveries(["nope"])).rejects.toMatchObject({
+        code: "invalid_request",
+        status: 400,
+      });
+    });
+  });
+
+  describe("routes", () => {
+    let app;
+    let adminUserIds;
+
+    beforeAll(() => {
+      app = createApp();
+      adminUserIds = config.audit.adminUserIds;
+    });
+
+    afterEach(() => {
+      config.audit.adminUserIds = adminUserIds;
+    });
+
+    it("publish user.created on the first login only", async () => {
+      await login(request.agent(app), issuer);
+      await login(request.agent(app), issuer);
+      await flushEvents();
+
+      expect(stores.WebhookDelivery.map((d) => d.event)).toEqual([
+        "user.created",
+      ]);
+    });
+
+    it("publish provider.unlinked when a provider is unlinked", async () => {
+      const agent = request.agent(app);
+      await login(agent, issuer);
+      stores.User[0].providers.push({ provider: "github", providerId: "42" });
+
+      await agent
+        .delete("/auth/providers/github")
+        .set(await csrfHeaders(agent))
+        .expect(200);
+      await flushEvents();
+
+      const delivery = stores.WebhookDelivery.find(
+        (d) => d.event === "provider.unlinked"
+      );
+      expect(JSON.parse(delivery.payload).data).toMatchObject({
+        provider: "github",
+        providerId: "42",
+      });
+    });
+
+    it("let only admins list and replay deliveries", async () => {
+      const agent = request.agent(app);
+      await login(agent, issuer);
+      await flushEvents();
+
+      await agent.get("/auth/admin/webhooks/deliveries").expect(403);
+      await agent
+        .post("/auth/admin/webhooks/replay")
+        .set(await csrfHeaders(agent))
+        .expect(403);
+
+      config.audit.adminUserIds = [String(stores.User[0]._id)];
+      stores.WebhookDelivery[0].set("status", "dead");
+
+      const list = await agent
+        .get("/auth/admin/webhooks/deliveries")
+        .query({ status: "dead" })
+        .expect(200);
+      expect(list.body.deliveries).toEqual([
+        expect.objectContaining({ event: "user.created", status: "dead" }),
+      ]);
+
+      const replay = await agent
+        .post("/auth/admin/webhooks/replay")
+        .set(await csrfHeaders(agent))
+        .send({})
+        .expect(200);
+      expect(replay.body).toEqual({ replayed: 1 });
+      expect(stores.WebhookDelivery[0].status).toBe("pending");
+    });
+  });
+});
@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+
+const authCodeSchema = new mongoose.Schema({
+  // SHA-256 hash; the code itself is only sent in the login's redirect
+  codeHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  // Provider used to log in
+  provider: String,
+  // App logins only; browser token mode codes have no client binding
+  client: String,
+  redirectUri: String,
+  // The app's PKCE (S256) challenge, checked at code exchange
+  codeChallenge: String,
+  // What an app code is exchanged for: "session" or "token"
+  mode: {
+    type: String,
+    default: "session",
+  },
+  usedAt: Date,
+  // MongoDB removes expired codes
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+authCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AuthCode = mongoose.model("AuthCode", authCodeSchema);
+
+module.exports = AuthCode;
@@ -0,0 +1,42 @@
+const mongoose = require("mongoose");
+
+const authEventSchema = new mongoose.Schema({
+  // Event type, e.g. "login" or "provider.unlinked"
+  type: {
+    type: String,
+    required: true,
+  },
+  // Unset for failures before the user is known
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  provider: String,
+  ip: String,
+  userAgent: String,
+  outcome: {
+    type: String,
+    enum: ["success", "failure"],
+    required: true,
+  },
+  // Error code of a failure
+  errorCode: String,
+  correlationId: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Set from the configured retention; MongoDB removes expired events
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+authEventSchema.index({ user: 1, createdAt: -1 });
+authEventSchema.index({ createdAt: -1 });
+authEventSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const AuthEvent = mongoose.model("AuthEvent", authEventSchema);
+
+module.exports = AuthEvent;
@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+
+const rateLimitCounterSchema = new mongoose.Schema({
+  // Bucket, e.g. "callback:ip:203.0.113.7"
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  // End of the current window; MongoDB removes expired counters
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+rateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimitCounter = mongoose.model(
+  "RateLimitCounter",
+  rateLimitCounterSchema
+);
+
+module.exports = RateLimitCounter;
@@ -0,0 +1,44 @@
+const mongoose = require("mongoose");
+
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  // SHA-256 hash; the token itself is only ever held by the client
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // Tokens rotated from the same login share a family, so reuse of an
+  // already rotated token revokes every token of that login
+  family: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  // Provider used to log in
+  provider: String,
+  userAgent: String,
+  ip: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  usedAt: Date,
+  revokedAt: Date,
+  // MongoDB removes expired tokens
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RefreshToken = mongoose.model("RefreshToken", refreshTokenSchema);
+
+module.exports = RefreshToken;
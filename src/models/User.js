@@ -1,10 +1,16 @@
 const mongoose = require("mongoose");
+const registry = require("../lib/auth/registry");
+const encryption = require("../lib/auth/encryption");
 
 const providerSchema = new mongoose.Schema({
   provider: {
     type: String,
     required: true,
-    enum: ["google", "github", "facebook", "microsoft", "linkedin"],
+    // Accept any provider registered with the auth framework
+    validate: {
+      validator: (value) => registry.has(value),
+      message: (props) => `${props.value} is not a registered provider`,
+    },
   },
   providerId: {
     type: String,
@@ -13,8 +19,23 @@ const providerSchema = new mongoose.Schema({
   displayName: String,
   email: String,
   profilePhoto: String,
-  accessToken: String,
-  refreshToken: String,
+  // Tokens are encrypted on assignment and decrypted when read
+  accessToken: {
+    type: String,
+    set: encryption.encrypt,
+    get: encryption.decrypt,
+  },
+  refreshToken: {
+    type: String,
+    set: encryption.encrypt,
+    get: encryption.decrypt,
+  },
+  accessTokenExpiresAt: Date,
+  // Set when a token refresh is rejected; the user must link the provider again
+  needsReconsent: {
+    type: Boolean,
+    default: false,
+  },
   linkedAt: {
     type: Date,
     default: Date.now,
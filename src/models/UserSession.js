@@ -0,0 +1,35 @@
+const mongoose = require("mongoose");
+
+const userSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  // Provider used to log in
+  provider: String,
+  device: String,
+  userAgent: String,
+  ip: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now,
+  },
+  revokedAt: Date,
+  // Matches the session cookie lifetime; MongoDB removes expired records
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+userSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const UserSession = mongoose.model("UserSession", userSessionSchema);
+
+module.exports = UserSession;
@@ -0,0 +1,58 @@
+const mongoose = require("mongoose");
+
+const webhookDeliverySchema = new mongoose.Schema({
+  // WebhookSubscription ID, or "config" for the configured subscription
+  subscription: {
+    type: String,
+    required: true,
+  },
+  url: {
+    type: String,
+    required: true,
+  },
+  event: {
+    type: String,
+    required: true,
+  },
+  // Shared by the deliveries of one event to every subscription
+  eventId: {
+    type: String,
+    required: true,
+  },
+  // JSON body, signed and sent as is on every attempt
+  payload: {
+    type: String,
+    required: true,
+  },
+  // "pending", "delivering", "delivered" or "dead" (retries exhausted)
+  status: {
+    type: String,
+    default: "pending",
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Set while an attempt is in progress; expired locks are retried
+  lockedUntil: Date,
+  lastStatusCode: Number,
+  lastError: String,
+  deliveredAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+const WebhookDelivery = mongoose.model(
+  "WebhookDelivery",
+  webhookDeliverySchema
+);
+
+module.exports = WebhookDelivery;
@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+const encryption = require("../lib/auth/encryption");
+
+const webhookSubscriptionSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
+  },
+  // Signing secret; encrypted on assignment and decrypted when read
+  secret: {
+    type: String,
+    required: true,
+    set: encryption.encrypt,
+    get: encryption.decrypt,
+  },
+  // Event names, or "*" for every event
+  events: {
+    type: [String],
+    default: ["*"],
+  },
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+const WebhookSubscription = mongoose.model(
+  "WebhookSubscription",
+  webhookSubscriptionSchema
+);
+
+module.exports = WebhookSubscription;
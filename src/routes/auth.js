@@ -1,241 +1,134 @@
 const express = require("express");
-// Remove Passport.js import as we're using custom auth
 const config = require("../config");
-// Add our custom auth framework
 const customAuth = require("../lib/auth");
+const errors = require("../lib/auth/errors");
+const logger = require("../lib/auth/logger");
 
 const router = express.Router();
 
 /**
- * Error handler middleware for auth routes
+ * Resolve the provider named in the route and check it is configured
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
  */
-const handleError = (err, res) => {
-  console.error("Auth Error:", err);
-  const statusCode = err.status || 500;
-  const message = err.message || "Internal server error";
-
-  res.status(statusCode).json({
-    error: statusCode === 500 ? "Internal server error" : message,
-    message: config.server.env === "development" ? err.stack : undefined,
-  });
-};
+const checkProviderEnabled = (req, res, next) => {
+  try {
+    const { provider } = req.params;
 
-/**
- * Check if a strategy is configured
- * @param {string} provider - Name of the OAuth provider
- * @returns {function} - Middleware that checks if the provider is configured
- */
-const checkProviderEnabled = (provider) => {
-  return (req, res, next) => {
-    try {
-      if (
-        !process.env[`${provider.toUpperCase()}_CLIENT_ID`] ||
-        !process.env[`${provider.toUpperCase()}_CLIENT_SECRET`]
-      ) {
-        const error = new Error(
-          `The ${provider} authentication provider is not configured.`
-        );
-        error.status = 404;
-        throw error;
-      }
-      next();
-    } catch (err) {
-      handleError(err, res);
+    if (!customAuth.registry.has(provider)) {
+      throw errors.createCodedError(
+        errors.AUTH_ERRORS.PROVIDER_NOT_FOUND,
+        "Provider not found",
+        404
+      );
     }
-  };
+
+    if (!customAuth.registry.isConfigured(provider)) {
+      throw errors.createCodedError(
+        errors.AUTH_ERRORS.PROVIDER_NOT_CONFIGURED,
+        `The ${provider} authentication provider is not configured.`,
+        404
+      );
+    }
+    next();
+  } catch (err) {
+    errors.handleAuthError(err, res);
+  }
 };
 
 /**
- * @swagger
- * tags:
- *   - name: Authentication
- *     description: Authentication endpoints for OAuth providers
- *   - name: User
- *     description: User management endpoints
+ * Validate the returnTo query parameter of a flow start request
+ * @param {Object} req - Express request object
+ * @returns {string|undefined} Absolute URL to return to after the flow
  */
+const getReturnTo = (req) => {
+  return req.query.returnTo === undefined
+    ? undefined
+    : customAuth.validateReturnTo(req.query.returnTo);
+};
 
 /**
- * @swagger
- * /auth/{provider}:
- *   get:
- *     tags: [Authentication]
- *     summary: Initiate OAuth authentication with a provider
- *     description: Redirects the user to the provider's authorization page
- *     parameters:
- *       - in: path
- *         name: provider
- *         required: true
- *         schema:
- *           type: string
- *           enum: [google, github, facebook, microsoft, linkedin]
- *     responses:
- *       302:
- *         description: Redirect to provider's authorization page
- *       404:
- *         description: Provider not configured or not found
+ * Reject requests without a logged in user (session cookie or Bearer
+ * access token)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
  */
-const supportedProviders = [
-  "google",
-  "github",
-  "facebook",
-  "microsoft",
-  "linkedin",
-];
-supportedProviders.forEach((provider) => {
-  router.get(
-    `/${provider}`,
-    checkProviderEnabled(provider),
-    (req, res, next) => {
-      try {
-        const authOptions = {
-          scope: getProviderScope(provider),
-          state: true,
-        };
-
-        if (req.isAuthenticated()) {
-          console.log(`Using custom framework for ${provider} authorization`);
-          customAuth.authorize(provider, authOptions)(req, res, next);
-        } else {
-          console.log(`Using custom framework for ${provider} authentication`);
-          customAuth.authenticate(provider, authOptions)(req, res, next);
-        }
-      } catch (err) {
-        handleError(err, res);
-      }
-    }
+const requireAuthenticated = (req, res, next) => {
+  customAuth.requireAuth()(req, res, (err) =>
+    err ? errors.handleAuthError(err, res) : next()
   );
-});
+};
 
 /**
- * Get the appropriate scope for each provider
+ * Reject requests from users who are not admins (AUDIT_ADMIN_USER_IDS).
+ * Use after requireAuthenticated
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
  */
-function getProviderScope(provider) {
-  try {
-    switch (provider) {
-      case "google":
-        return ["profile", "email"];
-      case "github":
-        return ["user:email"];
-      case "facebook":
-        return ["email", "public_profile"];
-      case "microsoft":
-        return "profile email openid User.Read"; // Return as space-separated string
-      case "linkedin":
-        return ["openid", "profile", "email"];
-      default:
-        return ["profile", "email"];
-    }
-  } catch (err) {
-    console.error("Error getting provider scope:", err);
-    return ["profile", "email"]; // Default scope
+const requireAdmin = (req, res, next) => {
+  if (!customAuth.auditLog.isAdmin(req.user)) {
+    return errors.handleAuthError(
+      errors.createCodedError(
+        errors.AUTH_ERRORS.FORBIDDEN,
+        "Admin access required",
+        403
+      ),
+      res
+    );
   }
-}
+  next();
+};
 
 /**
- * @swagger
- * /auth/{provider}/callback:
- *   get:
- *     tags: [Authentication]
- *     summary: OAuth callback from provider
- *     description: Handles the callback from the OAuth provider after authorization
- *     parameters:
- *       - in: path
- *         name: provider
- *         required: true
- *         schema:
- *           type: string
- *           enum: [google, github, facebook, microsoft, linkedin]
- *     responses:
- *       302:
- *         description: Redirect to frontend success/failure URL
+ * Reject forged state-changing requests of logged in sessions
+ * @param {Object} options - Options passed to csrf.protect()
+ * @returns {Function} Express middleware
  */
-supportedProviders.forEach((provider) => {
-  router.get(
-    `/${provider}/callback`,
-    checkProviderEnabled(provider),
-    (req, res, next) => {
-      try {
-        const authOptions = {
-          successRedirect: config.urls.frontend + "/auth/success",
-          failureRedirect: config.urls.frontend + "/auth/failure",
-        };
-
-        // Log session information for debugging
-        console.log(
-          `Callback received for ${provider}. Session ID: ${req.session.id}`
-        );
-        console.log(`Session cookie: ${JSON.stringify(req.cookies)}`);
-        console.log(`Authenticated: ${req.isAuthenticated()}`);
-
-        if (req.isAuthenticated()) {
-          console.log(
-            `Using custom framework for ${provider} auth callback (account linking)`
-          );
-          customAuth.authorize(provider, authOptions)(req, res, next);
-        } else {
-          console.log(
-            `Using custom framework for ${provider} auth callback (authentication)`
-          );
-          customAuth.authenticate(provider, authOptions)(req, res, next);
-        }
-      } catch (err) {
-        console.error(`${provider} callback error:`, err);
-
-        // For critical security errors only, log out the user
-        if (err.status === 401) {
-          // Unauthorized
-          customAuth.logout(req, res, () => {
-            return res.redirect(
-              authOptions.failureRedirect ||
-                "/auth/failure?error=session_invalid"
-            );
-          });
-        } else {
-          // For other errors, keep user logged in but show error
-          return res.redirect(
-            authOptions.failureRedirect || `/auth/failure?error=${err.message}`
-          );
-        }
-      }
-    }
-  );
-});
+const csrfProtected = (options) => {
+  const protect = customAuth.csrf.protect(options);
 
-// Special case for Microsoft which might use form_post response mode
-router.post(
-  "/microsoft/callback",
-  checkProviderEnabled("microsoft"),
-  (req, res, next) => {
-    try {
-      const authOptions = {
-        successRedirect: config.urls.frontend + "/auth/success",
-        failureRedirect: config.urls.frontend + "/auth/failure",
-      };
+  return (req, res, next) =>
+    protect(req, res, (err) =>
+      err ? errors.handleAuthError(err, res) : next()
+    );
+};
 
-      // Log session information for debugging
-      console.log(
-        `POST callback received for Microsoft. Session ID: ${req.session.id}`
-      );
-      console.log(`Session cookie: ${JSON.stringify(req.cookies)}`);
-      console.log(`Authenticated: ${req.isAuthenticated()}`);
-      console.log(`Request body: ${JSON.stringify(req.body)}`);
+/**
+ * Count requests against a rate limit group. Refused callbacks are sent
+ * to the failure page, as they arrive from the provider in a browser
+ * @param {string} group - Limit group: "start", "callback" or "account"
+ * @returns {Function} Express middleware
+ */
+const rateLimited = (group) => {
+  const limit = customAuth.rateLimit.limit(group);
 
-      if (req.isAuthenticated()) {
-        console.log(
-          "Using custom framework for Microsoft auth callback (POST)"
-        );
-        customAuth.authorize("microsoft", authOptions)(req, res, next);
-      } else {
-        console.log(
-          "Using custom framework for Microsoft auth callback (POST)"
-        );
-        customAuth.authenticate("microsoft", authOptions)(req, res, next);
+  return (req, res, next) =>
+    limit(req, res, (err) => {
+      if (!err) {
+        return next();
       }
-    } catch (err) {
-      handleError(err, res);
-    }
-  }
-);
+      if (group === "callback") {
+        const { failureRedirect } = getFlowRedirects(req.isAuthenticated());
+        return res.redirect(getFailureRedirect(req, failureRedirect, err));
+      }
+      errors.handleAuthError(err, res);
+    });
+};
+
+// Callbacks in progress are finished before the server shuts down
+const trackCallback = customAuth.health.trackInFlight();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Authentication
+ *     description: Authentication endpoints for OAuth providers
+ *   - name: User
+ *     description: User management endpoints
+ */
 
 /**
  * @swagger
@@ -258,14 +151,8 @@ router.post(
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get("/user", (req, res) => {
+router.get("/user", requireAuthenticated, (req, res) => {
   try {
-    if (!req.isAuthenticated()) {
-      const error = new Error("Not authenticated");
-      error.status = 401;
-      throw error;
-    }
-
     // Don't send sensitive information like tokens
     const safeUser = {
       id: req.user._id,
@@ -278,6 +165,7 @@ router.get("/user", (req, res) => {
         email: p.email,
         profilePhoto: p.profilePhoto,
         linkedAt: p.linkedAt,
+        needsReconsent: p.needsReconsent || false,
       })),
       createdAt: req.user.createdAt,
       updatedAt: req.user.updatedAt,
@@ -285,17 +173,40 @@ router.get("/user", (req, res) => {
 
     res.json(safeUser);
   } catch (err) {
-    handleError(err, res);
+    errors.handleAuthError(err, res);
   }
 });
 
+/**
+ * @swagger
+ * /auth/csrf-token:
+ *   get:
+ *     tags: [Authentication]
+ *     summary: Get the session's CSRF token
+ *     description: State-changing requests of a logged in session (POST /auth/logout, DELETE routes, admin POST routes) must send this token in the X-CSRF-Token header. Logging in starts a new session, so fetch the token again after a login
+ *     responses:
+ *       200:
+ *         description: CSRF token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 csrfToken:
+ *                   type: string
+ */
+router.get("/csrf-token", (req, res) => {
+  res.set("Cache-Control", "no-store");
+  res.json({ csrfToken: customAuth.csrf.getToken(req) });
+});
+
 /**
  * @swagger
  * /auth/logout:
  *   post:
  *     tags: [Authentication]
  *     summary: Logout the current user
- *     description: Destroys the current session
+ *     description: Destroys the current session. Requires the X-CSRF-Token header when logged in
  *     responses:
  *       200:
  *         description: Successfully logged out
@@ -306,6 +217,12 @@ router.get("/user", (req, res) => {
  *               properties:
  *                 message:
  *                   type: string
+ *       403:
+ *         description: Missing or invalid CSRF token, or untrusted origin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Error during logout
  *         content:
@@ -313,8 +230,7 @@ router.get("/user", (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post("/logout", (req, res) => {
-  console.log("Logging out");
+router.post("/logout", csrfProtected(), (req, res) => {
   try {
     if (!req.isAuthenticated()) {
       return res.status(200).json({ message: "Not logged in" });
@@ -323,139 +239,137 @@ router.post("/logout", (req, res) => {
     // Use our custom auth framework for logout
     customAuth.logout(req, res, (err) => {
       if (err) {
-        console.error("Logout error:", err);
-        return res
-          .status(500)
-          .json({ error: "Logout error", message: err.message });
+        return errors.handleAuthError(err, res);
       }
 
       return res.status(200).json({ message: "Logged out successfully" });
     });
   } catch (err) {
-    console.error("Unhandled logout error:", err);
-    return res.status(500).json({
-      error: "Internal server error during logout",
-      message: err.message,
-    });
+    return errors.handleAuthError(err, res);
   }
 });
 
 /**
  * @swagger
- * /auth/unlink/{provider}:
+ * /auth/sessions:
  *   get:
  *     tags: [User]
- *     summary: Unlink a provider from the current user
- *     description: Removes the specified provider from the user's account
- *     parameters:
- *       - in: path
- *         name: provider
- *         required: true
- *         schema:
- *           type: string
- *           enum: [google, github, facebook, microsoft, linkedin]
+ *     summary: List the current user's sessions
+ *     description: Returns the active sessions of the user on all devices
  *     responses:
  *       200:
- *         description: Provider successfully unlinked
+ *         description: Active sessions
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 message:
- *                   type: string
- *                 providers:
+ *                 sessions:
  *                   type: array
  *                   items:
- *                     $ref: '#/components/schemas/User/properties/providers/items'
- *       400:
- *         description: Cannot unlink the last provider
+ *                     $ref: '#/components/schemas/Session'
+ *       401:
+ *         description: Not authenticated
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *       401:
- *         description: Not authenticated
+ */
+router.get(
+  "/sessions",
+  rateLimited("account"),
+  requireAuthenticated,
+  async (req, res) => {
+    try {
+      const sessions = await customAuth.userSessions.listSessions(
+        req.user._id,
+        req.session.sessionRecordId
+      );
+
+      res.json({ sessions });
+    } catch (err) {
+      errors.handleAuthError(err, res);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /auth/sessions:
+ *   delete:
+ *     tags: [User]
+ *     summary: Log out everywhere else
+ *     description: Revokes all of the user's sessions except the current one
+ *     responses:
+ *       200:
+ *         description: Other sessions revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 revoked:
+ *                   type: integer
+ *       400:
+ *         description: No current session (e.g. a Bearer token request)
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
- *       404:
- *         description: Provider not found
+ *       401:
+ *         description: Not authenticated
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get("/unlink/:provider", async (req, res) => {
-  try {
-    if (!req.isAuthenticated()) {
-      const error = new Error("Not authenticated");
-      error.status = 401;
-      throw error;
-    }
-
-    const { provider } = req.params;
-
-    if (!supportedProviders.includes(provider)) {
-      const error = new Error("Provider not found");
-      error.status = 404;
-      throw error;
-    }
-
-    const providerIndex = req.user.providers.findIndex(
-      (p) => p.provider === provider
-    );
-
-    if (providerIndex === -1) {
-      const error = new Error(`No ${provider} account linked to this user`);
-      error.status = 404;
-      throw error;
-    }
+router.delete(
+  "/sessions",
+  rateLimited("account"),
+  requireAuthenticated,
+  csrfProtected(),
+  async (req, res) => {
+    try {
+      const revoked = await customAuth.userSessions.revokeOtherSessions(
+        req.user._id,
+        req.session.sessionRecordId
+      );
+      customAuth.auditLog.record(req, {
+        type: customAuth.auditLog.EVENT_TYPES.SESSION_REVOKED,
+      });
 
-    if (req.user.providers.length <= 1) {
-      const error = new Error("Cannot unlink the last provider");
-      error.status = 400;
-      error.details = "You must have at least one login method";
-      throw error;
+      res.json({ message: "Other sessions logged out", revoked });
+    } catch (err) {
+      errors.handleAuthError(err, res);
     }
-
-    // Remove the provider and save
-    req.user.providers.splice(providerIndex, 1);
-    await req.user.save();
-
-    res.json({
-      message: `${provider} account unlinked successfully`,
-      providers: req.user.providers.map((p) => ({
-        provider: p.provider,
-        displayName: p.displayName,
-        email: p.email,
-        profilePhoto: p.profilePhoto,
-        linkedAt: p.linkedAt,
-      })),
-    });
-  } catch (err) {
-    handleError(err, res);
   }
-});
+);
 
 /**
  * @swagger
- * /auth/link/{provider}:
- *   get:
+ * /auth/sessions/{id}:
+ *   delete:
  *     tags: [User]
- *     summary: Start the process to link a new provider
- *     description: Redirects to the provider's authorization page for account linking
+ *     summary: Revoke a session
+ *     description: Logs out one of the user's sessions; it is rejected on its next request
  *     parameters:
  *       - in: path
- *         name: provider
+ *         name: id
  *         required: true
  *         schema:
  *           type: string
- *           enum: [google, github, facebook, microsoft, linkedin]
  *     responses:
- *       302:
- *         description: Redirect to provider's authorization page
+ *       200:
+ *         description: Session revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
  *       401:
  *         description: Not authenticated
  *         content:
@@ -463,84 +377,1053 @@ router.get("/unlink/:provider", async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       404:
- *         description: Provider not found or not configured
+ *         description: Session not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get("/link/:provider", (req, res, next) => {
-  try {
-    if (!req.isAuthenticated()) {
-      const error = new Error("Must be logged in to link accounts");
-      error.status = 401;
-      throw error;
-    }
-
-    const { provider } = req.params;
+router.delete(
+  "/sessions/:id",
+  rateLimited("account"),
+  requireAuthenticated,
+  csrfProtected(),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
 
-    if (!supportedProviders.includes(provider)) {
-      const error = new Error("Provider not found");
-      error.status = 404;
-      throw error;
-    }
+      // Revoking the current session is a regular logout
+      if (id === req.session.sessionRecordId) {
+        return customAuth.logout(req, res, (err) => {
+          if (err) {
+            return errors.handleAuthError(err, res);
+          }
+          res.json({ message: "Session revoked" });
+        });
+      }
 
-    if (
-      !process.env[`${provider.toUpperCase()}_CLIENT_ID`] ||
-      !process.env[`${provider.toUpperCase()}_CLIENT_SECRET`]
-    ) {
-      const error = new Error(
-        `The ${provider} authentication provider is not configured.`
-      );
-      error.status = 404;
-      throw error;
+      await customAuth.userSessions.revokeSession(req.user._id, id);
+      customAuth.auditLog.record(req, {
+        type: customAuth.auditLog.EVENT_TYPES.SESSION_REVOKED,
+      });
+      res.json({ message: "Session revoked" });
+    } catch (err) {
+      errors.handleAuthError(err, res);
     }
-
-    // Use our custom auth framework for authorization/linking
-    console.log(`Using custom framework to link ${provider} account`);
-    customAuth.authorize(provider, {
-      scope: getProviderScope(provider),
-      state: true,
-    })(req, res, next);
-  } catch (err) {
-    handleError(err, res);
   }
-});
+);
 
 /**
  * @swagger
- * /auth/providers:
- *   get:
+ * /auth/token/exchange:
+ *   post:
  *     tags: [Authentication]
- *     summary: Get list of configured providers
- *     description: Returns a list of OAuth providers that are configured and available
+ *     summary: Exchange a token mode login code
+ *     description: Exchanges the one-time code from the token mode success redirect's URL fragment for an access token and a refresh token. Codes are single use and short-lived.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code]
+ *             properties:
+ *               code:
+ *                 type: string
  *     responses:
  *       200:
- *         description: List of available providers
+ *         description: Token pair
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 providers:
- *                   type: array
- *                   items:
- *                     type: string
- *                     enum: [google, github, facebook, microsoft, linkedin]
+ *               $ref: '#/components/schemas/TokenResponse'
+ *       400:
+ *         description: Code missing, invalid, expired or already used
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/token/exchange", rateLimited("account"), async (req, res) => {
+  try {
+    const body = req.body || {};
+    res.set("Cache-Control", "no-store");
+    res.json(await customAuth.authTokens.exchangeLoginCode(req, body.code));
+  } catch (err) {
+    errors.handleAuthError(err, res);
+  }
+});
+
+/**
+ * @swagger
+ * /auth/activity:
+ *   get:
+ *     tags: [User]
+ *     summary: List the current user's security activity
+ *     description: Returns the user's recent logins, links, unlinks, logouts and token use, newest first
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: before
+ *         description: Return events older than this time (the createdAt of the last event of the previous page)
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Events
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 events:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuthEvent'
+ *       400:
+ *         description: Invalid query parameter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Not authenticated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get(
+  "/activity",
+  rateLimited("account"),
+  requireAuthenticated,
+  async (req, res) => {
+    try {
+      const events = await customAuth.auditLog.listUserEvents(
+        req.user._id,
+        req.query
+      );
+
+      res.json({ events });
+    } catch (err) {
+      errors.handleAuthError(err, res);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /auth/admin/events:
+ *   get:
+ *     tags: [User]
+ *     summary: Search authentication events of all users
+ *     description: Only available to the users listed in AUDIT_ADMIN_USER_IDS
+ *     parameters:
+ *       - in: query
+ *         name: user
+ *         description: User ID
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: provider
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: outcome
+ *         schema:
+ *           type: string
+ *           enum: [success, failure]
+ *       - in: query
+ *         name: ip
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: before
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Events
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 events:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AuthEvent'
+ *       400:
+ *         description: Invalid query parameter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Not authenticated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Not an admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get(
+  "/admin/events",
+  rateLimited("account"),
+  requireAuthenticated,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const events = await customAuth.auditLog.queryEvents(req.query);
+      res.json({ events });
+    } catch (err) {
+      errors.handleAuthError(err, res);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /auth/admin/webhooks/deliveries:
+ *   get:
+ *     tags: [User]
+ *     summary: List webhook deliveries
+ *     description: Only available to the users listed in AUDIT_ADMIN_USER_IDS
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, delivering, delivered, dead]
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Deliveries, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 deliveries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookDelivery'
+ *       401:
+ *         description: Not authenticated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Not an admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get(
+  "/admin/webhooks/deliveries",
+  rateLimited("account"),
+  requireAuthenticated,
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const deliveries = await customAuth.webhooks.listDeliveries(req.query);
+      res.json({ deliveries });
+    } catch (err) {
+      errors.handleAuthError(err, res);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /auth/admin/webhooks/replay:
+ *   post:
+ *     tags: [User]
+ *     summary: Replay webhook deliveries
+ *     description: Queues deliveries to be sent again. Without ids every dead-lettered delivery is replayed. Only available to the users listed in AUDIT_ADMIN_USER_IDS
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               ids:
+ *                 type: array
+ *                 description: IDs of dead-lettered or delivered deliveries
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Deliveries queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 replayed:
+ *                   type: integer
+ *       400:
+ *         description: Invalid delivery IDs
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Not authenticated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Not an admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post(
+  "/admin/webhooks/replay",
+  rateLimited("account"),
+  requireAuthenticated,
+  requireAdmin,
+  csrfProtected(),
+  async (req, res) => {
+    try {
+      const replayed = await customAuth.webhooks.replayDeliveries(
+        (req.body || {}).ids
+      );
+      res.json({ replayed });
+    } catch (err) {
+      errors.handleAuthError(err, res);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /auth/token/refresh:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Refresh token mode credentials
+ *     description: Exchanges a refresh token for a new access token and a new refresh token. The presented refresh token can not be used again.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [refresh_token]
+ *             properties:
+ *               refresh_token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New token pair
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TokenResponse'
+ *       400:
+ *         description: Missing refresh token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Refresh token invalid, expired, revoked or reused
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/token/refresh", rateLimited("account"), async (req, res) => {
+  try {
+    const body = req.body || {};
+    res.set("Cache-Control", "no-store");
+    res.json(
+      await customAuth.authTokens.refreshTokens(req, body.refresh_token)
+    );
+  } catch (err) {
+    errors.handleAuthError(err, res);
+  }
+});
+
+/**
+ * @swagger
+ * /auth/token/revoke:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Revoke token mode credentials
+ *     description: Revokes a refresh token and every token rotated from the same login. Unknown tokens are ignored. Issued access tokens stay valid until they expire.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [refresh_token]
+ *             properties:
+ *               refresh_token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Token revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Missing refresh token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/token/revoke", rateLimited("account"), async (req, res) => {
+  try {
+    const body = req.body || {};
+    await customAuth.authTokens.revokeRefreshToken(req, body.refresh_token);
+    res.json({ message: "Token revoked" });
+  } catch (err) {
+    errors.handleAuthError(err, res);
+  }
+});
+
+/**
+ * @swagger
+ * /auth/mobile/token:
+ *   post:
+ *     tags: [Authentication]
+ *     summary: Exchange a native app's one-time code
+ *     description: Exchanges the one-time code sent to a native app's redirect URI, with the app's PKCE code verifier, for tokens (flows started with mode=token) or a session cookie. Codes are single use and short-lived.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code, code_verifier, client, redirect_uri]
+ *             properties:
+ *               code:
+ *                 type: string
+ *               code_verifier:
+ *                 type: string
+ *               client:
+ *                 type: string
+ *               redirect_uri:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Token response (token mode) or the logged in user's ID with a session cookie
+ *         content:
+ *           application/json:
+ *             schema:
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/TokenResponse'
+ *                 - type: object
+ *                   properties:
+ *                     message:
+ *                       type: string
+ *                     user:
+ *                       type: object
+ *                       properties:
+ *                         id:
+ *                           type: string
+ *       400:
+ *         description: Code invalid, expired, already used or the verifier does not match
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post("/mobile/token", rateLimited("account"), async (req, res) => {
+  try {
+    const body = await customAuth.mobile.exchangeCode(req, res, req.body || {});
+    res.set("Cache-Control", "no-store");
+    res.json(body);
+  } catch (err) {
+    errors.handleAuthError(err, res);
+  }
+});
+
+/**
+ * Unlink a provider from the logged in user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const unlinkProvider = async (req, res) => {
+  try {
+    const { provider } = req.params;
+
+    if (!customAuth.registry.has(provider)) {
+      throw errors.createCodedError(
+        errors.AUTH_ERRORS.PROVIDER_NOT_FOUND,
+        "Provider not found",
+        404
+      );
+    }
+
+    const providerIndex = req.user.providers.findIndex(
+      (p) => p.provider === provider
+    );
+
+    if (providerIndex === -1) {
+      throw errors.createCodedError(
+        errors.TOKEN_ERRORS.NOT_LINKED,
+        `No ${provider} account linked to this user`,
+        404
+      );
+    }
+
+    if (req.user.providers.length <= 1) {
+      throw errors.createCodedError(
+        errors.AUTH_ERRORS.LAST_LOGIN_METHOD,
+        "Cannot unlink the last provider",
+        400,
+        { reason: "You must have at least one login method" }
+      );
+    }
+
+    // Hooks may veto the unlink
+    const payload = await customAuth.hooks.runBefore("provider.unlinked", {
+      req,
+      user: req.user,
+      provider,
+      providerId: req.user.providers[providerIndex].providerId,
+    });
+
+    // Remove the provider and save
+    req.user.providers.splice(providerIndex, 1);
+    await req.user.save();
+    customAuth.metrics.recordProviderUnlinked(provider);
+    customAuth.auditLog.record(req, {
+      type: customAuth.auditLog.EVENT_TYPES.PROVIDER_UNLINKED,
+      provider,
+    });
+    customAuth.webhooks.publish("provider.unlinked", {
+      user: req.user,
+      provider,
+      providerId: payload.providerId,
+    });
+    customAuth.hooks.emit("provider.unlinked", payload);
+
+    res.json({
+      message: `${provider} account unlinked successfully`,
+      providers: req.user.providers.map((p) => ({
+        provider: p.provider,
+        displayName: p.displayName,
+        email: p.email,
+        profilePhoto: p.profilePhoto,
+        linkedAt: p.linkedAt,
+        needsReconsent: p.needsReconsent || false,
+      })),
+    });
+  } catch (err) {
+    customAuth.auditLog.record(req, {
+      type: customAuth.auditLog.EVENT_TYPES.PROVIDER_UNLINKED,
+      provider: req.params.provider,
+      error: err,
+    });
+    errors.handleAuthError(err, res);
+  }
+};
+
+/**
+ * @swagger
+ * /auth/providers/{provider}:
+ *   delete:
+ *     tags: [User]
+ *     summary: Unlink a provider from the current user
+ *     description: Removes the specified provider from the user's account. Requires the X-CSRF-Token header for session logins
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           $ref: '#/components/schemas/ProviderName'
+ *     responses:
+ *       200:
+ *         description: Provider successfully unlinked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 providers:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/User/properties/providers/items'
+ *       400:
+ *         description: Cannot unlink the last provider
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Not authenticated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Missing or invalid CSRF token, or unlinking was rejected by a provider.unlinked hook
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Provider not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete(
+  "/providers/:provider",
+  rateLimited("account"),
+  requireAuthenticated,
+  csrfProtected(),
+  unlinkProvider
+);
+
+/**
+ * @swagger
+ * /auth/unlink/{provider}:
+ *   get:
+ *     tags: [User]
+ *     deprecated: true
+ *     summary: Unlink a provider from the current user (deprecated)
+ *     description: Only available when LEGACY_UNLINK_ROUTE is true; use DELETE /auth/providers/{provider}
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           $ref: '#/components/schemas/ProviderName'
+ *     responses:
+ *       200:
+ *         description: Provider successfully unlinked
+ */
+if (config.csrf.legacyUnlinkRoute) {
+  router.get(
+    "/unlink/:provider",
+    rateLimited("account"),
+    requireAuthenticated,
+    // A GET cannot carry the CSRF token; refuse at least cross-site requests
+    csrfProtected({ originOnly: true }),
+    (req, res, next) => {
+      logger.warn(
+        "GET /auth/unlink/:provider is deprecated; use DELETE /auth/providers/:provider",
+        { req }
+      );
+      res.set({
+        Deprecation: "true",
+        Link: `</auth/providers/${req.params.provider}>; rel="successor-version"`,
+      });
+      next();
+    },
+    unlinkProvider
+  );
+}
+
+/**
+ * @swagger
+ * /auth/link/{provider}:
+ *   get:
+ *     tags: [User]
+ *     summary: Start the process to link a new provider
+ *     description: Redirects to the provider's authorization page for account linking
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *           $ref: '#/components/schemas/ProviderName'
+ *       - in: query
+ *         name: returnTo
+ *         required: false
+ *         description: URL or frontend path to return to after linking; must match the configured origins and path patterns
+ *         schema:
+ *           type: string
+ *     responses:
+ *       302:
+ *         description: Redirect to provider's authorization page
+ *       400:
+ *         description: returnTo is not allowed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Not authenticated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Provider not found or not configured
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get(
+  "/link/:provider",
+  rateLimited("start"),
+  checkProviderEnabled,
+  (req, res, next) => {
+    try {
+      if (!req.isAuthenticated()) {
+        throw errors.createCodedError(
+          errors.AUTH_ERRORS.NOT_AUTHENTICATED,
+          "Must be logged in to link accounts",
+          401
+        );
+      }
+
+      const { provider } = req.params;
+
+      // Use our custom auth framework for authorization/linking
+      logger.info("Starting provider link", { req, provider });
+      customAuth.authorize(provider, {
+        scope: customAuth.registry.getScope(provider),
+        returnTo: getReturnTo(req),
+      })(req, res, next);
+    } catch (err) {
+      errors.handleAuthError(err, res);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /auth/providers:
+ *   get:
+ *     tags: [Authentication]
+ *     summary: Get list of configured providers
+ *     description: Returns a list of OAuth providers that are configured and available
+ *     responses:
+ *       200:
+ *         description: List of available providers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 providers:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                     $ref: '#/components/schemas/ProviderName'
  */
 router.get("/providers", (req, res) => {
   try {
-    const enabledProviders = supportedProviders.filter((provider) => {
-      return (
-        process.env[`${provider.toUpperCase()}_CLIENT_ID`] &&
-        process.env[`${provider.toUpperCase()}_CLIENT_SECRET`]
-      );
-    });
+    const enabledProviders = customAuth.registry.getConfiguredProviders();
 
     res.json({ providers: enabledProviders });
   } catch (err) {
-    handleError(err, res);
+    errors.handleAuthError(err, res);
   }
 });
 
+/**
+ * Get the default redirects after a provider callback
+ * @param {boolean} linking - Whether the callback links a provider to the
+ *   logged in user
+ * @returns {Object} { successRedirect, failureRedirect }
+ */
+const getFlowRedirects = (linking) => {
+  return linking
+    ? {
+        successRedirect: config.redirects.linkSuccess,
+        failureRedirect: config.redirects.linkFailure,
+      }
+    : {
+        successRedirect: config.redirects.loginSuccess,
+        failureRedirect: config.redirects.loginFailure,
+      };
+};
+
+/**
+ * Build a failure redirect carrying the error code and correlation ID
+ * @param {Object} req - Express request object
+ * @param {string} failureRedirect - Failure page URL
+ * @param {Error} err - Error that ended the flow
+ * @returns {string} Redirect URL
+ */
+const getFailureRedirect = (req, failureRedirect, err) => {
+  return customAuth.redirects.appendParams(failureRedirect, {
+    error: errors.getErrorCode(err),
+    correlation_id: req.correlationId,
+  });
+};
+
+/*
+ * Provider routes are registered last so that /:provider does not
+ * shadow the named routes above.
+ */
+
+/**
+ * @swagger
+ * /auth/{provider}:
+ *   get:
+ *     tags: [Authentication]
+ *     summary: Initiate OAuth authentication with a provider
+ *     description: Redirects the user to the provider's authorization page
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ProviderName'
+ *       - in: query
+ *         name: returnTo
+ *         required: false
+ *         description: URL or frontend path to return to after logging in; must match the configured origins and path patterns
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: mode
+ *         required: false
+ *         description: Use `token` to log in with an access and refresh token instead of a session cookie. The success redirect's URL fragment carries a one-time code for /auth/token/exchange
+ *         schema:
+ *           type: string
+ *           enum: [session, token]
+ *       - in: query
+ *         name: client
+ *         required: false
+ *         description: Registered native app client ID. The app is redirected to its redirect URI with a one-time code for /auth/mobile/token
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: redirect_uri
+ *         required: false
+ *         description: One of the client's registered redirect URIs (defaults to the first)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: code_challenge
+ *         required: false
+ *         description: The app's S256 PKCE challenge (required with client)
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: state
+ *         required: false
+ *         description: Opaque value returned to the app's redirect URI
+ *         schema:
+ *           type: string
+ *     responses:
+ *       302:
+ *         description: Redirect to provider's authorization page
+ *       400:
+ *         description: Unknown mode, returnTo not allowed, or invalid native app parameters
+ *       404:
+ *         description: Provider not configured or not found, or token mode not enabled
+ */
+router.get(
+  "/:provider",
+  rateLimited("start"),
+  checkProviderEnabled,
+  (req, res, next) => {
+    const { provider } = req.params;
+
+    try {
+      const { mode = "session" } = req.query;
+      if (!["session", "token"].includes(mode)) {
+        throw errors.createCodedError(
+          errors.OAUTH_ERRORS.INVALID_REQUEST,
+          `Unknown mode "${mode}"`,
+          400
+        );
+      }
+
+      const authOptions = {
+        scope: customAuth.registry.getScope(provider),
+        returnTo: getReturnTo(req),
+        mode,
+        mobile: req.query.client
+          ? customAuth.mobile.validateRequest(req.query)
+          : undefined,
+      };
+
+      // Token mode and app logins always log in; they never link to the
+      // session's user
+      if (req.isAuthenticated() && mode !== "token" && !authOptions.mobile) {
+        logger.info("Starting provider link", { req, provider });
+        customAuth.authorize(provider, authOptions)(req, res, next);
+      } else {
+        logger.info("Starting login", {
+          req,
+          provider,
+          mode,
+          client: authOptions.mobile && authOptions.mobile.client,
+        });
+        customAuth.authenticate(provider, authOptions)(req, res, next);
+      }
+    } catch (err) {
+      errors.handleAuthError(err, res);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /auth/{provider}/callback:
+ *   get:
+ *     tags: [Authentication]
+ *     summary: OAuth callback from provider
+ *     description: Handles the callback from the OAuth provider after authorization
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           $ref: '#/components/schemas/ProviderName'
+ *     responses:
+ *       302:
+ *         description: Redirect to frontend success/failure URL
+ */
+router.get(
+  "/:provider/callback",
+  trackCallback,
+  rateLimited("callback"),
+  checkProviderEnabled,
+  (req, res, next) => {
+    const { provider } = req.params;
+    const authOptions = getFlowRedirects(req.isAuthenticated());
+
+    try {
+      logger.debug("Provider callback received", {
+        req,
+        provider,
+        authenticated: req.isAuthenticated(),
+      });
+
+      if (req.isAuthenticated()) {
+        customAuth.authorize(provider, authOptions)(req, res, next);
+      } else {
+        customAuth.authenticate(provider, authOptions)(req, res, next);
+      }
+    } catch (err) {
+      logger.error("Provider callback failed", { req, provider, err });
+
+      const failureRedirect = getFailureRedirect(
+        req,
+        authOptions.failureRedirect,
+        err
+      );
+
+      // For critical security errors only, log out the user
+      if (err.status === 401) {
+        // Unauthorized
+        customAuth.logout(req, res, () => {
+          return res.redirect(failureRedirect);
+        });
+      } else {
+        // For other errors, keep user logged in but show error
+        return res.redirect(failureRedirect);
+      }
+    }
+  }
+);
+
+// Providers registered with formPostCallback (e.g. Microsoft) might use
+// the form_post response mode
+router.post(
+  "/:provider/callback",
+  trackCallback,
+  rateLimited("callback"),
+  checkProviderEnabled,
+  (req, res, next) => {
+    const { provider } = req.params;
+
+    try {
+      if (!customAuth.registry.getEntry(provider).formPostCallback) {
+        throw errors.createCodedError(
+          errors.AUTH_ERRORS.PROVIDER_NOT_FOUND,
+          "Provider not found",
+          404
+        );
+      }
+
+      const authOptions = getFlowRedirects(req.isAuthenticated());
+
+      logger.debug("Provider callback received", {
+        req,
+        provider,
+        authenticated: req.isAuthenticated(),
+        formPost: true,
+      });
+
+      if (req.isAuthenticated()) {
+        customAuth.authorize(provider, authOptions)(req, res, next);
+      } else {
+        customAuth.authenticate(provider, authOptions)(req, res, next);
+      }
+    } catch (err) {
+      errors.handleAuthError(err, res);
+    }
+  }
+);
+
 module.exports = router;
@@ -0,0 +1,103 @@
+/**
+ * Provider token encryption migration
+ *
+ * Encrypts plaintext provider tokens left from before encryption was
+ * enabled and re-encrypts tokens produced with a retired key using the
+ * active key. Each token is updated with a conditional write, so the
+ * routine can run against a live database: a token changed by a
+ * concurrent login is skipped rather than overwritten.
+ *
+ * Usage: npm run tokens:reencrypt [-- --dry-run]
+ */
+
+const mongoose = require("mongoose");
+const config = require("../config");
+const configLoader = require("../config/loader");
+const User = require("../models/User");
+const encryption = require("../lib/auth/encryption");
+
+const TOKEN_FIELDS = ["accessToken", "refreshToken"];
+
+/**
+ * Encrypt or re-encrypt every stored provider token with the active key
+ * @param {Object} options - Migration options
+ * @param {boolean} options.dryRun - Only count tokens that need updating
+ * @returns {Promise<Object>} Counts of scanned users and updated tokens
+ */
+const reencryptTokens = async (options = {}) => {
+  if (!encryption.isEnabled()) {
+    throw new Error("TOKEN_ENCRYPTION_KEYS must be set to encrypt tokens");
+  }
+
+  const stats = { users: 0, updated: 0, skipped: 0 };
+
+  // Read raw stored values; the model's getters would decrypt them
+  const cursor = User.collection.find(
+    { "providers.0": { $exists: true } },
+    { projection: { providers: 1 } }
+  );
+
+  for await (const user of cursor) {
+    stats.users += 1;
+
+    for (const entry of user.providers) {
+      for (const field of TOKEN_FIELDS) {
+        const stored = entry[field];
+        if (!encryption.needsReEncryption(stored)) {
+          continue;
+        }
+
+        if (options.dryRun) {
+          stats.updated += 1;
+          continue;
+        }
+
+        // Only replace the value we read, never a token written meanwhile
+        const result = await User.collection.updateOne(
+          {
+            _id: user._id,
+            providers: { $elemMatch: { _id: entry._id, [field]: stored } },
+          },
+          {
+            $set: { [`providers.$.${field}`]: encryption.reEncrypt(stored) },
+          }
+        );
+
+        if (result.modifiedCount === 1) {
+          stats.updated += 1;
+        } else {
+          stats.skipped += 1;
+        }
+      }
+    }
+  }
+
+  return stats;
+};
+
+// Run as a script
+if (require.main === module) {
+  const dryRun = process.argv.includes("--dry-run");
+  configLoader.assertValid();
+
+  mongoose
+    .connect(config.mongodb.uri)
+    .then(() => reencryptTokens({ dryRun }))
+    .then((stats) => {
+      console.log(
+        `${dryRun ? "[dry run] " : ""}Scanned ${stats.users} users, ` +
+          `${dryRun ? "would update" : "updated"} ${stats.updated} tokens, ` +
+          `skipped ${stats.skipped} changed concurrently`
+      );
+      return mongoose.disconnect();
+    })
+    .catch((err) => {
+      console.error("Token re-encryption failed:", err.message);
+      process.exitCode = 1;
+      return mongoose.disconnect();
+    });
+}
+
+module.exports = {
+  reencryptTokens,
+};
@@ -0,0 +1,107 @@
+const crypto = require("crypto");
+const config = require("../config");
+const User = require("../models/User");
+const encryption = require("../lib/auth/encryption");
+const { reencryptTokens } = require("./reencryptTokens");
+
+const KEY_1 = `k1:${crypto.randomBytes(32).toString("base64")}`;
+const KEY_2 = `k2:${crypto.randomBytes(32).toString("base64")}`;
+
+describe("token re-encryption", () => {
+  let users;
+  let updateOne;
+
+  /**
+   * Configure the encryption keys
+   * @param {string} keys - Key list
+   * @param {string} activeKeyId - Active key ID
+   */
+  const setKeys = (keys, activeKeyId) => {
+    config.encryption.keys = keys;
+    config.encryption.activeKeyId = activeKeyId;
+  };
+
+  beforeEach(() => {
+    setKeys(KEY_1);
+    users = [
+      {
+        _id: "user-1",
+        providers: [
+          {
+            _id: "link-1",
+            accessToken: "plain-access",
+            refreshToken: encryption.encrypt("old-refresh"),
+          },
+        ],
+      },
+      { _id: "user-2", providers: [{ _id: "link-2", accessToken: null }] },
+    ];
+
+    // Raw documents as stored in the collection
+    jest.spyOn(User.collection, "find").mockReturnValue(users);
+    updateOne = jest
+      .spyOn(User.collection, "updateOne")
+      .mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterAll(() => setKeys(""));
+
+  it("encrypts plaintext and rotated tokens with the active key", async () => {
+    setKeys(`${KEY_1},${KEY_2}`, "k2");
+
+    const stats = await reencryptTokens();
+
+    expect(stats).toEqual({ users: 2, updated: 2, skipped: 0 });
+    const updates = updateOne.mock.calls.map(([filter, update]) => ({
+      filter,
+      value: Object.values(update.$set)[0],
+    }));
+    expect(updates.map(({ value }) => encryption.getKeyId(value))).toEqual([
+      "k2",
+      "k2",
+    ]);
+    expect(encryption.decrypt(updates[0].value)).toBe("plain-access");
+    expect(encryption.decrypt(updates[1].value)).toBe("old-refresh");
+  });
+
+  it("only replaces the value it read", async () => {
+    await reencryptTokens();
+
+    expect(updateOne).toHaveBeenCalledWith(
+      {
+        _id: "user-1",
+        providers: {
+          $elemMatch: { _id: "link-1", accessToken: "plain-access" },
+        },
+      },
+      { $set: { "providers.$.accessToken": expect.stringMatching(/^enc:/) } }
+    );
+  });
+
+  it("skips tokens changed concurrently", async () => {
+    updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+    await expect(reencryptTokens()).resolves.toEqual({
+      users: 2,
+      updated: 0,
+      skipped: 1,
+    });
+  });
+
+  it("only counts tokens in a dry run", async () => {
+    setKeys(`${KEY_1},${KEY_2}`, "k2");
+
+    await expect(reencryptTokens({ dryRun: true })).resolves.toEqual({
+      users: 2,
+      updated: 2,
+      skipped: 0,
+    });
+    expect(updateOne).not.toHaveBeenCalled();
+  });
+
+  it("requires encryption keys", async () => {
+    setKeys("");
+
+    await expect(reencryptTokens()).rejects.toThrow("TOKEN_ENCRYPTION_KEYS");
+  });
+});
@@ -1,63 +1,82 @@
 const express = require("express");
 const mongoose = require("mongoose");
-const session = require("express-session");
 const cors = require("cors");
 const customAuth = require("./lib/auth");
+const logger = require("./lib/auth/logger");
+const sessionStore = require("./lib/auth/sessionStore");
+const errors = require("./lib/auth/errors");
 const config = require("./config");
+const configLoader = require("./config/loader");
 const authRoutes = require("./routes/auth");
-const { swaggerUi, swaggerDocs, swaggerUiOptions } = require("./utils/swagger");
+const {
+  swaggerUi,
+  getSwaggerDocs,
+  swaggerUiOptions,
+} = require("./utils/swagger");
+
+// Refuse to start with invalid settings, listing every problem
+configLoader.assertValid();
 
 const app = express();
 
+let server = null;
+let shuttingDown = false;
+let reconnectTimer = null;
+let mongoConnected = false;
+
 // Configure CORS first
 app.use(
   cors({
     origin: [config.urls.frontend, config.urls.base],
     credentials: true,
     methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization", "Accept"],
-    exposedHeaders: ["Set-Cookie"],
+    allowedHeaders: [
+      "Content-Type",
+      "Authorization",
+      "Accept",
+      "X-CSRF-Token",
+      "X-Correlation-ID",
+    ],
+    exposedHeaders: [
+      "Set-Cookie",
+      "X-Correlation-ID",
+      "Retry-After",
+      "RateLimit-Limit",
+      "RateLimit-Remaining",
+      "RateLimit-Reset",
+    ],
   })
 );
 
+// Probes are answered before sessions are loaded, so they keep working
+// while the session store is down
+app.get("/healthz", customAuth.health.liveness());
+app.get("/readyz", customAuth.health.readiness());
+
 // Middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Session middleware with in-memory store (suitable for development)
-app.use(
-  session({
-    secret: config.session.secret,
-    name: config.session.cookieName,
-    cookie: {
-      secure: false, // Set to false for development HTTP
-      sameSite: "lax", // Use 'lax' for development
-      httpOnly: true,
-      maxAge: 24 * 60 * 60 * 1000, // 24 hours
-    },
-    resave: false, // Don't save session if unmodified
-    saveUninitialized: true, // Create session for all visitors to properly handle OAuth state
-    rolling: true, // Reset expiration countdown on each response
-  })
-);
+// Honor X-Forwarded-* headers from trusted proxies (required for secure
+// cookies behind a TLS terminating load balancer)
+if (config.server.trustProxy) {
+  app.set("trust proxy", config.server.trustProxy);
+}
+
+// Session middleware with the configured store and cookie settings
+app.use(sessionStore.createSessionMiddleware());
 
 // Initialize custom authentication framework
 app.use(customAuth.initialize());
 
-// MongoDB connection
-mongoose
-  .connect(config.mongodb.uri)
-  .then(() => {
-    console.log("Connected to MongoDB");
-  })
-  .catch((err) => {
-    console.error("MongoDB connection error:", err);
-    process.exit(1);
-  });
-
 // Register routes
 app.use("/auth", authRoutes);
 
+// Prometheus metrics
+if (config.metrics.enabled) {
+  app.get("/metrics", customAuth.metrics.handler());
+}
+
 // Swagger documentation with custom options
 const swaggerCustomOptions = {
   ...swaggerUiOptions,
@@ -69,12 +88,12 @@ const swaggerCustomOptions = {
 
 // Serve Swagger documentation
 app.get("/api-docs/swagger.json", (req, res) => {
-  res.json(swaggerDocs);
+  res.json(getSwaggerDocs());
 });
 app.use(
   "/api-docs",
   swaggerUi.serve,
-  swaggerUi.setup(swaggerDocs, swaggerCustomOptions)
+  swaggerUi.setup(null, swaggerCustomOptions)
 );
 
 // Basic route for testing
@@ -84,19 +103,152 @@ app.get("/", (req, res) => {
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({
-    error: "Something went wrong!",
+  const status = err.status || 500;
+  logger[status >= 500 ? "error" : "warn"]("Request failed", { req, err });
+  res.status(status).json({
+    error: status >= 500 ? "Something went wrong!" : err.message,
+    code: errors.getErrorCode(err),
+    correlationId: req.correlationId,
     message: config.server.env === "development" ? err.message : undefined,
   });
 });
 
-// Start server
-const PORT = config.server.port || 3000;
-app.listen(PORT, () => {
-  console.log(`Server is running on port ${PORT}`);
-  console.log(`Environment: ${config.server.env}`);
-  console.log(`API documentation available at: ${config.urls.base}/api-docs`);
+/**
+ * Connect to MongoDB, retrying with exponential backoff until it succeeds.
+ * Once connected, the driver reconnects by itself
+ * @param {number} attempt - Number of failed attempts so far
+ */
+const connectMongo = (attempt = 0) => {
+  reconnectTimer = null;
+
+  mongoose
+    .connect(config.mongodb.uri)
+    .then(() => {
+      logger.info("Connected to MongoDB");
+
+      // Send queued webhook deliveries in the background
+      customAuth.webhooks.startWorker();
+    })
+    .catch((err) => {
+      if (shuttingDown) {
+        return;
+      }
+
+      const delay = Math.min(
+        config.mongodb.retryDelay * 2 ** attempt,
+        config.mongodb.maxRetryDelay
+      );
+      logger.error("MongoDB connection failed; retrying", {
+        err,
+        attempt: attempt + 1,
+        retryIn: delay,
+      });
+      reconnectTimer = setTimeout(() => connectMongo(attempt + 1), delay);
+    });
+};
+
+// Failed connection attempts also emit "disconnected"; only report a
+// connection that was lost
+mongoose.connection.on("connected", () => {
+  mongoConnected = true;
+});
+mongoose.connection.on("disconnected", () => {
+  if (mongoConnected && !shuttingDown) {
+    logger.warn("Disconnected from MongoDB");
+  }
+  mongoConnected = false;
+});
+mongoose.connection.on("reconnected", () => {
+  logger.info("Reconnected to MongoDB");
 });
 
+/**
+ * Shut down gracefully: fail readiness, stop accepting connections, let
+ * in-flight OAuth callbacks finish, stop the webhook worker and close the
+ * MongoDB connection (which the mongo session store shares)
+ * @param {string} signal - Signal that triggered the shutdown
+ * @returns {Promise<void>}
+ */
+const shutdown = async (signal) => {
+  if (shuttingDown) {
+    return;
+  }
+  shuttingDown = true;
+
+  logger.info("Shutting down", { signal });
+  customAuth.health.markShuttingDown();
+  clearTimeout(reconnectTimer);
+
+  const { shutdownTimeout } = config.server;
+  const deadline = Date.now() + shutdownTimeout;
+
+  // Never outlive the orchestrator's grace period
+  setTimeout(() => {
+    logger.error("Shutdown timed out");
+    process.exit(1);
+  }, shutdownTimeout + 5000).unref();
+
+  try {
+    const workerStopped = customAuth.webhooks.stopWorker();
+    const closed = new Promise((resolve) => {
+      if (!server) {
+        return resolve();
+      }
+      server.close(() => resolve());
+      // Idle keep-alive connections would hold the server open
+      server.closeIdleConnections();
+    });
+
+    if (!(await customAuth.health.drain(shutdownTimeout))) {
+      logger.warn("OAuth callbacks were still in flight at the timeout");
+    }
+
+    // Other requests get what is left of the timeout
+    const cutoff = setTimeout(
+      () => server.closeAllConnections(),
+      Math.max(0, deadline - Date.now())
+    );
+    await closed;
+    clearTimeout(cutoff);
+
+    await workerStopped;
+    await mongoose.connection.close();
+
+    logger.info("Shutdown complete");
+    process.exit(0);
+  } catch (err) {
+    logger.error("Shutdown failed", { err });
+    process.exit(1);
+  }
+};
+
+/**
+ * Connect to MongoDB and start serving requests. The server answers
+ * /readyz with 503 until MongoDB is connected
+ * @returns {Object} HTTP server
+ */
+const start = () => {
+  connectMongo();
+
+  const PORT = config.server.port || 3000;
+  server = app.listen(PORT, () => {
+    logger.info(`Server is running on port ${PORT}`, {
+      env: config.server.env,
+      docs: `${config.urls.base}/api-docs`,
+    });
+  });
+
+  process.once("SIGTERM", () => shutdown("SIGTERM"));
+  process.once("SIGINT", () => shutdown("SIGINT"));
+  return server;
+};
+
+if (require.main === module) {
+  start();
+}
+
+// The app stays the export; embedding apps start and stop it with these
+app.start = start;
+app.shutdown = shutdown;
+
 module.exports = app;
@@ -1,6 +1,9 @@
 const swaggerJsDoc = require("swagger-jsdoc");
 const swaggerUi = require("swagger-ui-express");
 const config = require("../config");
+const registry = require("../lib/auth/registry");
+const errors = require("../lib/auth/errors");
+const webhooks = require("../lib/auth/webhooks");
 const packageJson = require("../../package.json");
 
 // Swagger definition
@@ -39,6 +42,12 @@ const swaggerOptions = {
     ],
     components: {
       schemas: {
+        ProviderName: {
+          type: "string",
+          description: "Provider name (google, github, etc.)",
+          // Populated from the provider registry, see getSwaggerDocs()
+          enum: [],
+        },
         User: {
           type: "object",
           properties: {
@@ -65,15 +74,7 @@ const swaggerOptions = {
                 type: "object",
                 properties: {
                   provider: {
-                    type: "string",
-                    description: "Provider name (google, github, etc.)",
-                    enum: [
-                      "google",
-                      "github",
-                      "facebook",
-                      "microsoft",
-                      "linkedin",
-                    ],
+                    $ref: "#/components/schemas/ProviderName",
                   },
                   displayName: {
                     type: "string",
@@ -92,6 +93,11 @@ const swaggerOptions = {
                     format: "date-time",
                     description: "When this provider was linked",
                   },
+                  needsReconsent: {
+                    type: "boolean",
+                    description:
+                      "Token refresh was rejected; link the provider again",
+                  },
                 },
               },
             },
@@ -107,6 +113,161 @@ const swaggerOptions = {
             },
           },
         },
+        Session: {
+          type: "object",
+          properties: {
+            id: {
+              type: "string",
+              description: "Session ID",
+            },
+            current: {
+              type: "boolean",
+              description: "Whether this is the session making the request",
+            },
+            provider: {
+              type: "string",
+              description: "Provider used to log in",
+            },
+            device: {
+              type: "string",
+              description: "Device description, e.g. Chrome on macOS",
+            },
+            userAgent: {
+              type: "string",
+              description: "User agent of the session",
+            },
+            ip: {
+              type: "string",
+              description: "Last seen IP address",
+            },
+            createdAt: {
+              type: "string",
+              format: "date-time",
+              description: "Login timestamp",
+            },
+            lastSeenAt: {
+              type: "string",
+              format: "date-time",
+              description: "Last request timestamp",
+            },
+          },
+        },
+        AuthEvent: {
+          type: "object",
+          properties: {
+            id: {
+              type: "string",
+            },
+            type: {
+              type: "string",
+              description:
+                "Event type, e.g. login, user.created, provider.linked, provider.unlinked, logout, session.revoked, token.refreshed or token.revoked",
+            },
+            user: {
+              type: "string",
+              description: "User ID (admin search only)",
+            },
+            provider: {
+              type: "string",
+            },
+            outcome: {
+              type: "string",
+              enum: ["success", "failure"],
+            },
+            errorCode: {
+              type: "string",
+              description: "Error code of a failure",
+            },
+            ip: {
+              type: "string",
+            },
+            userAgent: {
+              type: "string",
+            },
+            correlationId: {
+              type: "string",
+            },
+            createdAt: {
+              type: "string",
+              format: "date-time",
+            },
+          },
+        },
+        WebhookDelivery: {
+          type: "object",
+          properties: {
+            id: {
+              type: "string",
+            },
+            subscription: {
+              type: "string",
+              description:
+                'Subscription ID, or "config" for the configured WEBHOOK_URL',
+            },
+            url: {
+              type: "string",
+            },
+            event: {
+              type: "string",
+              enum: webhooks.EVENTS,
+            },
+            eventId: {
+              type: "string",
+              description:
+                "Event ID, shared by its deliveries to every subscription",
+            },
+            status: {
+              type: "string",
+              enum: ["pending", "delivering", "delivered", "dead"],
+            },
+            attempts: {
+              type: "integer",
+            },
+            nextAttemptAt: {
+              type: "string",
+              format: "date-time",
+            },
+            lastStatusCode: {
+              type: "integer",
+            },
+            lastError: {
+              type: "string",
+            },
+            deliveredAt: {
+              type: "string",
+              format: "date-time",
+            },
+            createdAt: {
+              type: "string",
+              format: "date-time",
+            },
+          },
+        },
+        TokenResponse: {
+          type: "object",
+          properties: {
+            access_token: {
+              type: "string",
+              description: "Signed access JWT; send as a Bearer token",
+            },
+            token_type: {
+              type: "string",
+              example: "Bearer",
+            },
+            expires_in: {
+              type: "integer",
+              description: "Access token lifetime in seconds",
+            },
+            refresh_token: {
+              type: "string",
+              description: "Single-use refresh token",
+            },
+            refresh_token_expires_in: {
+              type: "integer",
+              description: "Refresh token lifetime in seconds",
+            },
+          },
+        },
         Error: {
           type: "object",
           properties: {
@@ -114,6 +275,15 @@ const swaggerOptions = {
               type: "string",
               description: "Error type",
             },
+            code: {
+              type: "string",
+              description: "Stable machine-readable error code",
+              enum: Object.keys(errors.ERROR_STATUSES),
+            },
+            correlationId: {
+              type: "string",
+              description: "Request ID to quote when reporting the error",
+            },
             message: {
               type: "string",
               description: "Error message details",
@@ -141,6 +311,15 @@ const swaggerOptions = {
 // Initialize swagger-jsdoc
 const swaggerDocs = swaggerJsDoc(swaggerOptions);
 
+/**
+ * Get the OpenAPI spec with provider enums read from the registry
+ * @returns {Object} OpenAPI document
+ */
+const getSwaggerDocs = () => {
+  swaggerDocs.components.schemas.ProviderName.enum = registry.getNames();
+  return swaggerDocs;
+};
+
 // Swagger UI options
 const swaggerUiOptions = {
   explorer: true,
@@ -161,6 +340,7 @@ const swaggerUiOptions = {
 
 module.exports = {
   swaggerDocs,
+  getSwaggerDocs,
   swaggerUi,
   swaggerUiOptions,
 };
@@ -0,0 +1,75 @@
+/**
+ * Express app for route specs
+ *
+ * Mounts the session, the auth framework and the auth routes the way
+ * src/server.js does, without connecting to MongoDB or listening. Modules
+ * are required when the app is built, so specs set the environment the
+ * config is read from first. Specs log users in through the generic
+ * OpenID Connect provider pointed at a stub issuer, and send the
+ * session's CSRF token with state-changing requests.
+ */
+
+const express = require("express");
+
+const CLIENT_ID = "passportlink-test";
+
+/**
+ * Point the generic OpenID Connect provider at a stub issuer; call before
+ * anything requires the config, as it is read from the environment once
+ * @param {Object} issuer - Stub issuer handle
+ */
+const useStubIssuer = (issuer) => {
+  process.env.OIDC_ISSUER = issuer.issuer;
+  process.env.OIDC_CLIENT_ID = CLIENT_ID;
+  process.env.OIDC_CLIENT_SECRET = "stub-secret";
+};
+
+/**
+ * Build an app serving the auth routes
+ * @returns {Object} Express app
+ */
+const createApp = () => {
+  const customAuth = require("../src/lib/auth");
+  const sessionStore = require("../src/lib/auth/sessionStore");
+  const authRoutes = require("../src/routes/auth");
+  const app = express();
+
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+  app.use(sessionStore.createSessionMiddleware());
+  app.use(customAuth.initialize());
+  app.use("/auth", authRoutes);
+
+  return app;
+};
+
+/**
+ * Log an agent in at the stub issuer
+ * @param {Object} agent - supertest agent keeping the session cookie
+ * @param {Object} issuer - Stub issuer handle
+ * @param {Object} options - authorize() options
+ * @returns {Promise<Object>} The callback's response
+ */
+const login = async (agent, issuer, options) => {
+  const res = await agent.get("/auth/oidc").expect(302);
+  const { code, state } = issuer.authorize(res.headers.location, options);
+  return agent.get("/auth/oidc/callback").query({ code, state }).expect(302);
+};
+
+/**
+ * Fetch the CSRF token of an agent's session
+ * @param {Object} agent - supertest agent keeping the session cookie
+ * @returns {Promise<Object>} Headers to send with state-changing requests
+ */
+const csrfHeaders = async (agent) => {
+  const res = await agent.get("/auth/csrf-token").expect(200);
+  return { "X-CSRF-Token": res.body.csrfToken };
+};
+
+module.exports = {
+  CLIENT_ID,
+  useStubIssuer,
+  createApp,
+  login,
+  csrfHeaders,
+};
@@ -0,0 +1,229 @@
+/**
+ * In-memory stand-ins for the mongoose models
+ *
+ * Replaces the persistence methods the auth modules call with jest spies
+ * over an array of documents, so specs run without MongoDB. Documents are
+ * real mongoose documents (defaults, casting, `id`). Filters support
+ * equality, null (unset), dotted paths into arrays, $or and the $gt, $gte,
+ * $lt, $lte, $ne and $in operators; updates are plain or $set objects,
+ * optionally with $inc. find() results can be sorted and limited.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const MODELS_DIR = path.join(__dirname, "../src/models");
+
+/**
+ * Compare a stored value with a filter value
+ * @param {*} value - Stored value
+ * @param {*} expected - Filter value; null matches unset values
+ * @returns {boolean} Whether they are equal
+ */
+const isEqual = (value, expected) => {
+  if (expected === null) {
+    return value === null || value === undefined;
+  }
+  return (
+    value !== null && value !== undefined && String(value) === String(expected)
+  );
+};
+
+const OPERATORS = {
+  $gt: (value, operand) =>
+    value !== null && value !== undefined && value > operand,
+  $gte: (value, operand) =>
+    value !== null && value !== undefined && value >= operand,
+  $lt: (value, operand) =>
+    value !== null && value !== undefined && value < operand,
+  $lte: (value, operand) =>
+    value !== null && value !== undefined && value <= operand,
+  $ne: (value, operand) => !isEqual(value, operand),
+  $in: (value, operands) => operands.some((operand) => isEqual(value, operand)),
+};
+
+/**
+ * Read the values at a dotted path, looking into arrays
+ * @param {Object} doc - Document
+ * @param {string} key - Dotted path
+ * @returns {Array} Values found
+ */
+const getValues = (doc, key) => {
+  return key.split(".").reduce(
+    (values, part) =>
+      values.flatMap((value) => {
+        const next =
+          value === null || value === undefined ? undefined : value[part];
+        return Array.isArray(next) ? Array.from(next) : [next];
+      }),
+    [doc]
+  );
+};
+
+/**
+ * Check whether a document matches a filter
+ * @param {Object} doc - Document
+ * @param {Object} filter - Query filter
+ * @returns {boolean} Whether the document matches
+ */
+const matches = (doc, filter = {}) => {
+  return Object.keys(filter).every((key) => {
+    const condition = filter[key];
+    if (key === "$or") {
+      return condition.some((alternative) => matches(doc, alternative));
+    }
+
+    const values = getValues(doc, key);
+    const isOperator =
+      condition &&
+      typeof condition === "object" &&
+      Object.keys(condition).length > 0 &&
+      Object.keys(condition).every((op) => op.startsWith("$"));
+
+    if (isOperator) {
+      return Object.keys(condition).every((op) =>
+        values.some((value) => OPERATORS[op](value, condition[op]))
+      );
+    }
+    return values.some((value) => isEqual(value, condition));
+  });
+};
+
+/**
+ * Sort documents like a mongoose sort specification
+ * @param {Array<Object>} docs - Documents
+ * @param {Object} spec - Sort specification, e.g. { createdAt: -1 }
+ * @returns {Array<Object>} Sorted copy
+ */
+const sortDocs = (docs, spec) => {
+  return [...docs].sort((a, b) => {
+    const key = Object.keys(spec).find((k) => a.get(k) !== b.get(k));
+    if (!key) {
+      return 0;
+    }
+    return (a.get(key) > b.get(key) ? 1 : -1) * spec[key];
+  });
+};
+
+/**
+ * Build a query over found documents that can be sorted and limited
+ * before it is awaited
+ * @param {Array<Object>} found - Matching documents
+ * @returns {Object} Thenable query
+ */
+const createQuery = (found) => {
+  let results = found;
+  const query = {
+    sort: (spec) => {
+      results = sortDocs(results, spec);
+      return query;
+    },
+    limit: (count) => {
+      results = results.slice(0, count);
+      return query;
+    },
+    then: (resolve, reject) => Promise.resolve(results).then(resolve, reject),
+  };
+  return query;
+};
+
+/**
+ * Back a model with an in-memory array of documents
+ * @param {Object} Model - Mongoose model
+ * @returns {Array<Object>} The model's documents
+ */
+const mockModel = (Model) => {
+  const docs = [];
+  const findAll = (filter) => docs.filter((doc) => matches(doc, filter));
+  const findFirst = (filter) => findAll(filter)[0] || null;
+  const update = (doc, changes) => {
+    const { $inc, ...rest } = changes;
+    Object.keys($inc || {}).forEach((key) =>
+      doc.set(key, (doc.get(key) || 0) + $inc[key])
+    );
+    doc.set(rest.$set || rest);
+  };
+
+  jest.spyOn(Model.prototype, "save").mockImplementation(async function save() {
+    if (!docs.includes(this)) {
+      docs.push(this);
+    }
+    return this;
+  });
+  jest
+    .spyOn(Model, "create")
+    .mockImplementation(async (data) => new Model(data).save());
+  jest
+    .spyOn(Model, "insertMany")
+    .mockImplementation(async (items) =>
+      Promise.all(items.map((data) => Model.create(data)))
+    );
+  jest
+    .spyOn(Model, "find")
+    .mockImplementation((filter) => createQuery(findAll(filter)));
+  jest
+    .spyOn(Model, "findOne")
+    .mockImplementation(async (filter) => findFirst(filter));
+  jest
+    .spyOn(Model, "findById")
+    .mockImplementation(async (id) => findFirst({ _id: id }));
+  jest
+    .spyOn(Model, "countDocuments")
+    .mockImplementation(async (filter) => findAll(filter).length);
+  jest
+    .spyOn(Model, "findOneAndUpdate")
+    .mockImplementation(async (filter, changes, options = {}) => {
+      const found = findAll(filter);
+      const doc = (options.sort ? sortDocs(found, options.sort) : found)[0];
+      if (!doc) {
+        return null;
+      }
+      // Like mongoose, the document as it was unless { new: true }
+      const original = Model.hydrate(doc.toObject());
+      update(doc, changes);
+      return options.new ? doc : original;
+    });
+  jest.spyOn(Model, "updateOne").mockImplementation(async (filter, changes) => {
+    const doc = findFirst(filter);
+    if (doc) {
+      update(doc, changes);
+    }
+    return { matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+  });
+  jest
+    .spyOn(Model, "updateMany")
+    .mockImplementation(async (filter, changes) => {
+      const found = findAll(filter);
+      found.forEach((doc) => update(doc, changes));
+      return { matchedCount: found.length, modifiedCount: found.length };
+    });
+  jest.spyOn(Model, "deleteOne").mockImplementation(async (filter) => {
+    const doc = findFirst(filter);
+    if (doc) {
+      docs.splice(docs.indexOf(doc), 1);
+    }
+    return { deletedCount: doc ? 1 : 0 };
+  });
+
+  return docs;
+};
+
+/**
+ * Back every model of src/models with in-memory documents
+ * @returns {Object} Documents by model name, e.g. { User: [...] }
+ */
+const mockModels = () => {
+  return fs
+    .readdirSync(MODELS_DIR)
+    .filter((file) => file.endsWith(".js"))
+    .reduce((stores, file) => {
+      const Model = require(path.join(MODELS_DIR, file));
+      stores[Model.modelName] = mockModel(Model);
+      return stores;
+    }, {});
+};
+
+module.exports = {
+  mockModel,
+  mockModels,
+};
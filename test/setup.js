@@ -0,0 +1,12 @@
+/**
+ * Jest setup, run before every spec file
+ *
+ * Sets the environment the config is loaded from and makes any model call
+ * a spec did not replace fail at once instead of waiting for MongoDB.
+ */
+
+process.env.NODE_ENV = "test";
+process.env.SESSION_SECRET = "test-session-secret-0123456789abcdef";
+process.env.LOG_LEVEL = "error";
+
+require("mongoose").set("bufferCommands", false);
@@ -0,0 +1,199 @@
+/**
+ * Stub OpenID Connect issuer
+ *
+ * A local HTTP server publishing a discovery document, a JWKS, and token
+ * and userinfo endpoints, so specs exercise the real discovery, key
+ * fetching, token exchange and ID token validation code. Specs play the
+ * user at the authorization endpoint with `authorize()`, which issues a
+ * code for the request's nonce and PKCE challenge.
+ */
+
+const crypto = require("crypto");
+const express = require("express");
+
+const KEY_ID = "stub-key-1";
+
+/**
+ * Sign claims as an RS256 JWT
+ * @param {Object} claims - JWT claims
+ * @param {Object} options - { privateKey, kid }
+ * @returns {string} Compact JWT
+ */
+const signJwt = (claims, { privateKey, kid }) => {
+  const encode = (value) =>
+    Buffer.from(JSON.stringify(value)).toString("base64url");
+  const input = `${encode({ alg: "RS256", typ: "JWT", kid })}.${encode(
+    claims
+  )}`;
+  const signature = crypto.sign("sha256", Buffer.from(input), privateKey);
+  return `${input}.${signature.toString("base64url")}`;
+};
+
+/**
+ * Start a stub issuer on an ephemeral port
+ * @returns {Promise<Object>} Issuer handle
+ */
+const startStubIssuer = async () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", {
+    modulusLength: 2048,
+  });
+  const codes = new Map();
+  const accessTokens = new Map();
+  const requests = { jwks: 0, token: [] };
+  const app = express();
+  let issuer;
+
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get("/.well-known/openid-configuration", (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      userinfo_endpoint: `${issuer}/userinfo`,
+      jwks_uri: `${issuer}/jwks`,
+      token_endpoint_auth_methods_supported: ["client_secret_post"],
+    });
+  });
+
+  app.get("/jwks", (req, res) => {
+    requests.jwks += 1;
+    res.json({
+      keys: [
+        {
+          ...publicKey.export({ format: "jwk" }),
+          kid: KEY_ID,
+          use: "sig",
+          alg: "RS256",
+        },
+      ],
+    });
+  });
+
+  app.post("/token", (req, res) => {
+    requests.token.push(req.body);
+    const grant = codes.get(req.body.code);
+    codes.delete(req.body.code);
+
+    const verifierMatches =
+      !grant ||
+      !grant.codeChallenge ||
+      crypto
+        .createHash("sha256")
+        .update(req.body.code_verifier || "")
+        .digest("base64url") === grant.codeChallenge;
+    if (!grant || !verifierMatches) {
+      return res.status(400).json({ error: "invalid_grant" });
+    }
+
+    const accessToken = crypto.randomBytes(16).toString("base64url");
+    accessTokens.set(accessToken, grant);
+    res.json({
+      access_token: accessToken,
+      token_type: "Bearer",
+      expires_in: 3600,
+      id_token: signJwt(grant.claims, { privateKey, kid: KEY_ID }),
+    });
+  });
+
+  app.get("/userinfo", (req, res) => {
+    const accessToken = (req.get("authorization") || "").replace(
+      /^Bearer /,
+      ""
+    );
+    const grant = accessTokens.get(accessToken);
+    if (!grant) {
+      return res.status(401).json({ error: "invalid_token" });
+    }
+    res.json(grant.userinfo);
+  });
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  issuer = `http://127.0.0.1:${server.address().port}`;
+
+  const handle = {
+    issuer,
+    requests,
+
+    /**
+     * Sign claims with the issuer's key (or another key, to test
+     * rejections)
+     * @param {Object} claims - ID token claims
+     * @param {Object} options - { privateKey, kid }
+     * @returns {string} ID token
+     */
+    signIdToken: (claims, options = {}) =>
+      signJwt(claims, { privateKey, kid: KEY_ID, ...options }),
+
+    /**
+     * Build valid ID token claims for a client
+     * @param {string} clientId - Audience
+     * @param {Object} overrides - Claims to change
+     * @returns {Object} Claims
+     */
+    buildClaims: (clientId, overrides = {}) => {
+      const now = Math.floor(Date.now() / 1000);
+      return {
+        iss: issuer,
+        sub: "user-1",
+        aud: clientId,
+        iat: now,
+        exp: now + 300,
+        ...overrides,
+      };
+    },
+
+    /**
+     * Log the user in at the authorization endpoint
+     * @param {string} authorizationUrl - URL the app redirected to
+     * @param {Object} options - { claims, userinfo } overriding the
+     *   defaults of the ID token and userinfo response
+     * @returns {Object} { code, state, redirectUri } to call back with
+     */
+    authorize: (authorizationUrl, options = {}) => {
+      const { searchParams } = new URL(authorizationUrl);
+      const code = crypto.randomBytes(16).toString("base64url");
+      const claims = handle.buildClaims(searchParams.get("client_id"), {
+        nonce: searchParams.get("nonce") || undefined,
+        ...options.claims,
+      });
+      const grant = {
+        claims,
+        codeChallenge: searchParams.get("code_challenge"),
+        userinfo: {
+          sub: claims.sub,
+          name: "Ada Lovelace",
+          email: "ada@example.com",
+          email_verified: true,
+          ...options.userinfo,
+        },
+      };
+
+      codes.set(code, grant);
+      return {
+        code,
+        state: searchParams.get("state"),
+        redirectUri: searchParams.get("redirect_uri"),
+      };
+    },
+
+    /**
+     * Stop the server
+     * @returns {Promise<void>}
+     */
+    close: () =>
+      new Promise((resolve) => {
+        server.close(() => resolve());
+        // Keep-alive connections of the HTTP client would hold it open
+        server.closeAllConnections();
+      }),
+  };
+
+  return handle;
+};
+
+module.exports = {
+  startStubIssuer,
+};